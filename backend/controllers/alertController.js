@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import SlaAlert from "../models/SlaAlert.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { acknowledgeSlaAlert, runSlaScan } from "../services/slaAlertService.js";
+import { getUserScope, withScope } from "../services/accessScopeService.js";
+
+// Alerts keep the bill's lab and organization as top-level fields
+const ALERT_SCOPE_FIELDS = { lab: ["labId"], org: ["orgId"] };
+
+const ALERT_STATUSES = SlaAlert.schema.path("status").enumValues;
+
+export const getAlerts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, level, labId, billId } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  if (status !== undefined && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${ALERT_STATUSES.join(", ")}`,
+    });
+  }
+  // Integers only, so NaN and query operators (?labId[$ne]=1) never reach the filter
+  const numbers = {};
+  for (const [name, value] of Object.entries({ level, labId, billId })) {
+    if (value === undefined || value === "") continue;
+    numbers[name] = Number(value);
+    if (typeof value !== "string" || !Number.isInteger(numbers[name])) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} must be an integer`,
+      });
+    }
+  }
+
+  // Default to alerts that still need attention
+  const query = {
+    status: status ? status : { $in: ["open", "acknowledged"] },
+  };
+  if (numbers.level !== undefined) query.level = { $gte: numbers.level };
+  if (numbers.labId !== undefined) query.labId = numbers.labId;
+  if (numbers.billId !== undefined) query.billId = numbers.billId;
+
+  const scopedQuery = withScope(query, getUserScope(req.user), ALERT_SCOPE_FIELDS);
+
+  const [alerts, total] = await Promise.all([
+    SlaAlert.find(scopedQuery)
+      .sort({ level: -1, dueAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    SlaAlert.countDocuments(scopedQuery),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+    data: alerts,
+  });
+});
+
+export const acknowledgeAlert = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body || {};
+  const acknowledgedBy = req.user.name;
+
+  const inScope = mongoose.isValidObjectId(id) &&
+    (await SlaAlert.exists(withScope({ _id: id }, getUserScope(req.user), ALERT_SCOPE_FIELDS)));
+  const alert = inScope ? await acknowledgeSlaAlert(id, { acknowledgedBy, note }) : null;
+
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      error: "Open alert not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: alert,
+  });
+});
+
+export const scanAlerts = asyncHandler(async (req, res) => {
+  const summary = await runSlaScan();
+
+  res.json({
+    success: true,
+    data: summary,
+  });
+});
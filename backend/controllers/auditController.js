@@ -0,0 +1,61 @@
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import AuditLog from "../models/AuditLog.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { AUDIT_CSV_HEADER, buildAuditQuery, toAuditCsvRow } from "../services/auditLogService.js";
+
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const query = buildAuditQuery(req.query);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+    data: entries,
+  });
+});
+
+export const exportAuditLog = asyncHandler(async (req, res) => {
+  const query = buildAuditQuery(req.query);
+  const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.write(`${AUDIT_CSV_HEADER}\n`);
+
+  // Stream entries so large exports are not held in memory; pipeline handles
+  // backpressure and closes the cursor if the client disconnects
+  const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+  const toCsv = new Transform({
+    writableObjectMode: true,
+    transform(entry, encoding, callback) {
+      callback(null, `${toAuditCsvRow(entry)}\n`);
+    },
+  });
+
+  try {
+    await pipeline(cursor, toCsv, res);
+  } catch (error) {
+    // Headers are sent, so the error cannot become a JSON response; pipeline
+    // has already destroyed the response and closed the cursor
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") {
+      console.warn("⚠️  Audit log export aborted by the client");
+    } else {
+      console.error("❌ Error exporting audit log:", error.message);
+    }
+  }
+});
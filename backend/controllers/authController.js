@@ -0,0 +1,114 @@
+import User from "../models/User.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import {
+  AuthError,
+  hashPassword,
+  login,
+  logout,
+  refreshSession,
+  revokeUserSessions,
+  toPublicUser,
+  validatePassword,
+  verifyPassword,
+} from "../services/authService.js";
+
+/**
+ * Send an AuthError as a JSON response, rethrow anything else
+ */
+function sendAuthError(res, error) {
+  if (!(error instanceof AuthError)) throw error;
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+  });
+}
+
+export const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({
+      success: false,
+      error: "email and password are required",
+    });
+  }
+
+  try {
+    const tokens = await login(email, password, { userAgent: req.get("user-agent"), ip: req.ip });
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+});
+
+export const refreshTokens = asyncHandler(async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body?.refreshToken);
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+});
+
+export const logoutUser = asyncHandler(async (req, res) => {
+  await logout(req.body?.refreshToken);
+
+  res.json({
+    success: true,
+    data: null,
+  });
+});
+
+export const getCurrentUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user || !user.active) {
+    return res.status(401).json({
+      success: false,
+      error: "Account is not active",
+      code: "UNAUTHORIZED",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: toPublicUser(user),
+  });
+});
+
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: passwordError,
+    });
+  }
+
+  const user = await User.findById(req.user.id).select("+passwordHash");
+  if (!user || !(await verifyPassword(currentPassword, user.passwordHash))) {
+    return res.status(400).json({
+      success: false,
+      error: "Current password is incorrect",
+    });
+  }
+
+  user.passwordHash = await hashPassword(newPassword);
+  await user.save();
+  // Other devices must log in again with the new password
+  await revokeUserSessions(user._id, "Password changed");
+
+  res.json({
+    success: true,
+    data: toPublicUser(user),
+  });
+});
@@ -4,27 +4,108 @@ import SampleStatusTracker from "../models/SampleStatusTracker.js";
 import ReportStatusTracker from "../models/ReportStatusTracker.js";
 import { asyncHandler } from "../middleware/asyncHandler.js";
 import Report from "../models/Report.js";
+import { getDashboardStatistics, resolveDateRange } from "../services/dashboardStatsService.js";
+import {
+  ACTIVITY_INTERVALS,
+  MAX_ACTIVITY_MONTHS,
+  getActivitySeries,
+  isValidTimezone,
+} from "../services/activityService.js";
+import { assertBillInScope, getUserScope, withScope } from "../services/accessScopeService.js";
+import { getBillTimeline } from "../services/billTimelineService.js";
 
-export const getAllPatients = asyncHandler(async (req, res) => {
+export const getDashboardStats = asyncHandler(async (req, res) => {
+  const { fromDate, toDate } = req.query;
+  const { startDate, endDate } = resolveDateRange(fromDate, toDate);
 
-  const { page = 1, limit = 20, status, search, fromDate, toDate } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const stats = await getDashboardStatistics(startDate, endDate, getUserScope(req.user));
+
+  res.json({
+    success: true,
+    data: stats,
+  });
+});
+
+export const getActivityData = asyncHandler(async (req, res) => {
+  const {
+    months = 6,
+    fromDate,
+    toDate,
+    timezone = process.env.DASHBOARD_TIMEZONE || "UTC",
+  } = req.query;
+  // Default to monthly buckets for a months window, daily buckets for an explicit range
+  const interval = req.query.interval || (fromDate && toDate ? "day" : "month");
+
+  if (!ACTIVITY_INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      error: `interval must be one of: ${ACTIVITY_INTERVALS.join(", ")}`,
+    });
+  }
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown timezone: ${timezone}`,
+    });
+  }
 
-  // Handle date range: support both old 'date' parameter and new 'fromDate'/'toDate'
+  // Whole days in the requested timezone, so the range lines up with the buckets
   let startDate, endDate;
   if (fromDate && toDate) {
-    // Use date range if both fromDate and toDate are provided
-    startDate = new Date(fromDate);
-    startDate.setHours(0, 0, 0, 0);
-    endDate = new Date(toDate);
-    endDate.setHours(23, 59, 59, 999); // Include the entire end date
+    ({ startDate, endDate } = resolveDateRange(fromDate, toDate, timezone));
   } else {
-    // Default: today
-    startDate = new Date(new Date().setHours(0, 0, 0, 0));
-    endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    const windowMonths = parseInt(months) || 6;
+    if (windowMonths < 1 || windowMonths > MAX_ACTIVITY_MONTHS) {
+      return res.status(400).json({
+        success: false,
+        error: `months must be between 1 and ${MAX_ACTIVITY_MONTHS}`,
+      });
+    }
+    const today = new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(new Date());
+    const firstDay = new Date(`${today}T00:00:00Z`);
+    firstDay.setUTCMonth(firstDay.getUTCMonth() - windowMonths);
+    ({ startDate } = resolveDateRange(firstDay.toISOString().slice(0, 10), today, timezone));
+    endDate = new Date();
   }
 
+  const maxEndDate = new Date(startDate);
+  maxEndDate.setUTCMonth(maxEndDate.getUTCMonth() + MAX_ACTIVITY_MONTHS);
+  if (endDate > maxEndDate) {
+    return res.status(400).json({
+      success: false,
+      error: `The range must not span more than ${MAX_ACTIVITY_MONTHS} months`,
+    });
+  }
+
+  const series = await getActivitySeries({ startDate, endDate, interval, timezone, scope: getUserScope(req.user) });
+
+  res.json({
+    success: true,
+    meta: {
+      interval,
+      timezone,
+      fromDate: startDate.toISOString(),
+      toDate: endDate.toISOString(),
+    },
+    data: series,
+  });
+});
+
+export const getAllPatients = asyncHandler(async (req, res) => {
+
+  const { page = 1, limit = 20, status, search, fromDate, toDate, timezone } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown timezone: ${timezone}`,
+    });
+  }
+
+  // Handle date range: fromDate/toDate, defaulting to today (whole days in timezone, if given)
+  const { startDate, endDate } = resolveDateRange(fromDate, toDate, timezone || null);
+
   // Build query
   const query = {
     createdAt: {
@@ -65,12 +146,14 @@ export const getAllPatients = asyncHandler(async (req, res) => {
     ];
   }  
 
+  const scopedQuery = withScope(query, getUserScope(req.user));
+
   const [patients, total] = await Promise.all([
-    RequestDump.find(query)
+    RequestDump.find(scopedQuery)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit)),
-    RequestDump.countDocuments(query),
+    RequestDump.countDocuments(scopedQuery),
   ]);
 
   res.json({
@@ -87,9 +170,10 @@ export const getAllPatients = asyncHandler(async (req, res) => {
 
 export const getPatientBillById = asyncHandler(async (req, res) => {
   const { id } = req.query;
-  const bill = await RequestDump.findOne({
+  // Bills outside the user's labs/organizations are reported as not found
+  const bill = await RequestDump.findOne(withScope({
     "request.billId": Number(id)
-  }).select("request");
+  }, getUserScope(req.user))).select("request");
   if (!bill) {
     return res.status(404).json({
       success: false,
@@ -104,6 +188,7 @@ export const getPatientBillById = asyncHandler(async (req, res) => {
 
 export const getPatientTests = asyncHandler(async (req, res) => {
   const { id } = req.query;
+  await assertBillInScope(Number(id), getUserScope(req.user));
   const tests = await SampleStatusTracker.find({
     "request.billId": Number(id)
   }).select("request");
@@ -115,9 +200,12 @@ export const getPatientTests = asyncHandler(async (req, res) => {
 
 export const getPatientReports = asyncHandler(async (req, res) => {
   const { id } = req.query;
+  await assertBillInScope(Number(id), getUserScope(req.user));
+  // PDFs are served by /reports/:billId/:testId/pdf; legacy documents may
+  // still hold the base64 copy, which must not be sent to the browser
   const reports = await Report.find({
     billId: Number(id)
-  });
+  }).select("-reportBase64");
   return res.status(200).json({
     success: true,
     data: reports,
@@ -126,11 +214,35 @@ export const getPatientReports = asyncHandler(async (req, res) => {
 
 export const getPatientReportStatus = asyncHandler(async (req, res) => {
   const { id } = req.query;
+  await assertBillInScope(Number(id), getUserScope(req.user));
+  // Deliveries stored before the PDFs moved to the blob store may still hold them
   const reportStatus = await ReportStatusTracker.find({
     "request.billId": Number(id)
-  }).select("request").sort({ createdAt: -1 });
+  }).select("-request.reportBase64 -request.reportDetails.reportBase64").sort({ createdAt: -1 });
   return res.status(200).json({
     success: true,
     data: reportStatus.map(rs => rs.request),
   });
 });
+
+export const getPatientTimeline = asyncHandler(async (req, res) => {
+  const billId = Number(req.query.id);
+  if (!Number.isInteger(billId)) {
+    return res.status(400).json({
+      success: false,
+      error: "id must be a numeric bill ID",
+    });
+  }
+  await assertBillInScope(billId, getUserScope(req.user));
+  const timeline = await getBillTimeline(billId);
+  if (!timeline) {
+    return res.status(404).json({
+      success: false,
+      error: "Bill not found",
+    });
+  }
+  return res.status(200).json({
+    success: true,
+    data: timeline,
+  });
+});
@@ -0,0 +1,186 @@
+import mongoose from "mongoose";
+import Doctor from "../models/Doctor.js";
+import Patient from "../models/Patient.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { getUserScope, scopeQuery } from "../services/accessScopeService.js";
+import { PATIENT_SCOPE_FIELDS } from "../services/patientDirectoryService.js";
+import {
+  buildDoctorQuery,
+  findDuplicateDoctors,
+  mergeDoctors,
+  updateDoctorProfile,
+} from "../services/doctorService.js";
+
+const LIST_FIELDS =
+  "doctorId name specialty email phone qualifications licenseNumber experience status crelioDocIds aliases isPlaceholder createdAt";
+
+const PATIENT_FIELDS = "patientId name age gender status billIdNumber labName lastVisitDate";
+
+/**
+ * Page and page size from query parameters (at most 100 per page)
+ */
+function parsePagination({ page = 1, limit = 20 }) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * Number of patients per doctor, counting only patients within the user's scope
+ */
+async function countPatients(doctorIds, user) {
+  const counts = await Patient.aggregate([
+    { $match: { ...scopeQuery(getUserScope(user), PATIENT_SCOPE_FIELDS), assignedDoctor: { $in: doctorIds } } },
+    { $group: { _id: "$assignedDoctor", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((item) => [String(item._id), item.count]));
+}
+
+export const getDoctors = asyncHandler(async (req, res) => {
+  const { query, error } = buildDoctorQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+    });
+  }
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const [doctors, total] = await Promise.all([
+    Doctor.find(query).select(LIST_FIELDS).sort({ name: 1, _id: 1 }).skip(skip).limit(limit).lean(),
+    Doctor.countDocuments(query),
+  ]);
+  const patientCounts = await countPatients(
+    doctors.map((doctor) => doctor._id),
+    req.user
+  );
+
+  res.json({
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: doctors.map((doctor) => ({ ...doctor, patients: patientCounts.get(String(doctor._id)) || 0 })),
+  });
+});
+
+export const getDoctorFilters = asyncHandler(async (req, res) => {
+  const placeholders = await Doctor.countDocuments({ isPlaceholder: true });
+
+  res.json({
+    success: true,
+    data: {
+      specialties: Doctor.schema.path("specialty").enumValues,
+      statuses: Doctor.schema.path("status").enumValues,
+      placeholders,
+    },
+  });
+});
+
+export const getDoctorById = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid doctor id",
+    });
+  }
+
+  const doctor = await Doctor.findById(req.params.id).select(LIST_FIELDS).lean();
+  if (!doctor) {
+    return res.status(404).json({
+      success: false,
+      error: "Doctor not found",
+    });
+  }
+
+  // Patients referred by the doctor, within the user's labs/organizations
+  const patientQuery = { ...scopeQuery(getUserScope(req.user), PATIENT_SCOPE_FIELDS), assignedDoctor: doctor._id };
+  const [patients, patientTotal] = await Promise.all([
+    Patient.find(patientQuery).select(PATIENT_FIELDS).sort({ lastVisitDate: -1 }).limit(20).lean(),
+    Patient.countDocuments(patientQuery),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...doctor,
+      patients: patientTotal,
+      recentPatients: patients,
+    },
+  });
+});
+
+export const updateDoctor = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid doctor id",
+    });
+  }
+
+  const updates = { ...req.body };
+  if (typeof updates.qualifications === "string") {
+    updates.qualifications = updates.qualifications.split(",").map((item) => item.trim()).filter(Boolean);
+  }
+  if (updates.experience === "") {
+    updates.experience = null;
+  }
+
+  const doctor = await updateDoctorProfile(req.params.id, updates);
+  if (!doctor) {
+    return res.status(404).json({
+      success: false,
+      error: "Doctor not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: doctor,
+  });
+});
+
+export const getDoctorDuplicates = asyncHandler(async (req, res) => {
+  const pairs = await findDuplicateDoctors();
+
+  res.json({
+    success: true,
+    data: pairs,
+  });
+});
+
+export const mergeDoctor = asyncHandler(async (req, res) => {
+  const duplicateId = req.body?.duplicateId;
+  if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(duplicateId)) {
+    return res.status(400).json({
+      success: false,
+      error: "duplicateId and the doctor id must be valid ids",
+    });
+  }
+  if (String(duplicateId) === req.params.id) {
+    return res.status(400).json({
+      success: false,
+      error: "A doctor cannot be merged into itself",
+    });
+  }
+
+  const result = await mergeDoctors({
+    survivorId: req.params.id,
+    duplicateId,
+    user: { id: req.user.id, name: req.user.name, role: req.user.role },
+  });
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      error: "Doctor not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import DuplicateCandidate from "../models/DuplicateCandidate.js";
+import PatientMerge from "../models/PatientMerge.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { mergePatients, queueDuplicateScan, undoPatientMerge } from "../services/duplicatePatientService.js";
+
+// What a reviewer compares side by side
+const CANDIDATE_PATIENT_FIELDS =
+  "patientId patientIdNumber labPatientId designation name age gender dateOfBirth phone email billIdNumber labName lastVisitDate createdAt";
+
+const CANDIDATE_STATUSES = DuplicateCandidate.schema.path("status").enumValues;
+
+/**
+ * Page and page size from query parameters (at most 100 per page)
+ */
+function parsePagination({ page = 1, limit = 20 }) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * { id, name, role } of the logged-in admin, for reviews, merges and the audit trail
+ */
+function reviewer(user) {
+  return { id: user.id, name: user.name, role: user.role };
+}
+
+export const getDuplicateCandidates = asyncHandler(async (req, res) => {
+  const status = req.query.status || "pending";
+  if (!CANDIDATE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${CANDIDATE_STATUSES.join(", ")}`,
+    });
+  }
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = { status };
+  if (req.query.minScore) query.score = { $gte: Number(req.query.minScore) || 0 };
+
+  const [candidates, total] = await Promise.all([
+    DuplicateCandidate.find(query)
+      .populate("patients", CANDIDATE_PATIENT_FIELDS)
+      .sort(status === "pending" ? { score: -1, _id: 1 } : { reviewedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    DuplicateCandidate.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: candidates,
+  });
+});
+
+export const scanDuplicatePatients = asyncHandler(async (req, res) => {
+  // The scan reads every patient; the job worker runs it (follow it with GET /jobs/:id)
+  const job = await queueDuplicateScan();
+
+  res.status(202).json({
+    success: true,
+    data: job,
+  });
+});
+
+export const dismissDuplicateCandidate = asyncHandler(async (req, res) => {
+  const { id, name } = reviewer(req.user);
+  const candidate = await DuplicateCandidate.findOneAndUpdate(
+    { _id: req.params.id, status: "pending" },
+    { $set: { status: "dismissed", reviewedBy: { id, name }, reviewedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!candidate) {
+    return res.status(404).json({
+      success: false,
+      error: "Pending duplicate candidate not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: candidate,
+  });
+});
+
+export const mergeDuplicateCandidate = asyncHandler(async (req, res) => {
+  const candidate = await DuplicateCandidate.findOne({ _id: req.params.id, status: "pending" }).lean();
+  if (!candidate) {
+    return res.status(404).json({
+      success: false,
+      error: "Pending duplicate candidate not found",
+    });
+  }
+
+  // The record to keep; the other one of the pair is merged into it
+  const keep = req.body?.keep;
+  const pair = candidate.patients.map(String);
+  if (!mongoose.isValidObjectId(keep) || !pair.includes(String(keep))) {
+    return res.status(400).json({
+      success: false,
+      error: "keep must be the _id of one of the two patients",
+    });
+  }
+
+  const merge = await mergePatients({
+    survivorId: keep,
+    duplicateId: pair.find((patientId) => patientId !== String(keep)),
+    candidateId: candidate._id,
+    user: reviewer(req.user),
+  });
+
+  res.json({
+    success: true,
+    data: { ...merge.toObject(), duplicateSnapshot: undefined },
+  });
+});
+
+export const getPatientMerges = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [merges, total] = await Promise.all([
+    PatientMerge.find({})
+      .select("-duplicateSnapshot -survivorFields")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    PatientMerge.countDocuments({}),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: merges,
+  });
+});
+
+export const undoMerge = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid merge id",
+    });
+  }
+
+  const merge = await undoPatientMerge(req.params.id, reviewer(req.user));
+
+  res.json({
+    success: true,
+    data: { ...merge.toObject(), duplicateSnapshot: undefined },
+  });
+});
@@ -0,0 +1,31 @@
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import Report from "../models/Report.js";
+import { isValidBlobKey, sendBlob } from "../services/blobStoreService.js";
+import { getUserScope, isBillInScope } from "../services/accessScopeService.js";
+
+/**
+ * Check that a stored file belongs to a report the user may see
+ */
+async function isFileInScope(key, scope) {
+  if (!scope) return true;
+  const reports = await Report.find({ $or: [{ "pdf.storageKey": key }, { "pdf.thumbnailKey": key }] })
+    .select("billId")
+    .lean();
+  for (const report of reports) {
+    if (await isBillInScope(report.billId, scope)) return true;
+  }
+  return false;
+}
+
+export const downloadFile = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+
+  if (!isValidBlobKey(key) || !(await isFileInScope(key, getUserScope(req.user)))) {
+    return res.status(404).json({
+      success: false,
+      error: "File not found",
+    });
+  }
+
+  await sendBlob(req, res, key);
+});
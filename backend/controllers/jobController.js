@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import BackgroundJob from "../models/BackgroundJob.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { retryJob, purgeDeadJobs } from "../services/jobQueueService.js";
+
+const JOB_STATUSES = BackgroundJob.schema.path("status").enumValues;
+
+export const getJobs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, type, serialKey } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${JOB_STATUSES.join(", ")}`,
+    });
+  }
+  // Strings only, so query operators (?type[$ne]=x) cannot reach the filter
+  if ([type, serialKey].some((value) => value !== undefined && typeof value !== "string")) {
+    return res.status(400).json({
+      success: false,
+      error: "type and serialKey must be strings",
+    });
+  }
+
+  // Default to jobs that need attention (retrying or dead-lettered)
+  const query = {
+    status: status ? status : { $in: ["failed", "dead"] },
+  };
+  if (type) query.type = type;
+  if (serialKey) query.serialKey = serialKey;
+
+  const [jobs, total] = await Promise.all([
+    BackgroundJob.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    BackgroundJob.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+    data: jobs,
+  });
+});
+
+export const getJob = asyncHandler(async (req, res) => {
+  const job = mongoose.isValidObjectId(req.params.id) ? await BackgroundJob.findById(req.params.id) : null;
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found",
+    });
+  }
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+export const retryFailedJob = asyncHandler(async (req, res) => {
+  const job = await retryJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Failed job not found",
+    });
+  }
+  return res.status(200).json({
+    success: true,
+    data: job,
+  });
+});
+
+export const purgeFailedJobs = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  if (type !== undefined && typeof type !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "type must be a string",
+    });
+  }
+  const deletedCount = await purgeDeadJobs(type ? { type } : {});
+  return res.status(200).json({
+    success: true,
+    data: { deletedCount },
+  });
+});
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import NotificationRule from "../models/NotificationRule.js";
+import NotificationDelivery from "../models/NotificationDelivery.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { compileTemplate } from "../services/templateEngine.js";
+
+// Fields a client may set on a rule
+const RULE_FIELDS = ["name", "enabled", "match", "recipients", "subject", "body", "template"];
+
+/**
+ * Pick the editable rule fields from a request body
+ */
+function pickRuleFields(body = {}) {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (field in body) fields[field] = body[field];
+  }
+  if (typeof fields.recipients === "string") {
+    fields.recipients = fields.recipients.split(",");
+  }
+  if (Array.isArray(fields.recipients)) {
+    fields.recipients = fields.recipients.map((email) => String(email).trim()).filter(Boolean);
+  }
+
+  // Reject inline templates with syntax errors (TemplateError → 400)
+  if (fields.subject) compileTemplate(fields.subject);
+  if (fields.body) compileTemplate(fields.body);
+
+  return fields;
+}
+
+export const getNotificationRules = asyncHandler(async (req, res) => {
+  const rules = await NotificationRule.find({}).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: rules,
+  });
+});
+
+export const createNotificationRule = asyncHandler(async (req, res) => {
+  const rule = await NotificationRule.create(pickRuleFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    data: rule,
+  });
+});
+
+export const updateNotificationRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const rule = mongoose.isValidObjectId(id)
+    ? await NotificationRule.findByIdAndUpdate(id, { $set: pickRuleFields(req.body) }, { new: true, runValidators: true })
+    : null;
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: "Notification rule not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: rule,
+  });
+});
+
+export const deleteNotificationRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const rule = mongoose.isValidObjectId(id) ? await NotificationRule.findByIdAndDelete(id) : null;
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: "Notification rule not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: rule,
+  });
+});
+
+export const getNotificationDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, outcome, ruleId, billId, webhookType } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const query = {};
+  if (outcome) query.outcome = outcome;
+  if (ruleId) query.rule = ruleId;
+  if (billId) query.billId = parseInt(billId);
+  if (webhookType) query.webhookType = webhookType;
+
+  const [deliveries, total] = await Promise.all([
+    NotificationDelivery.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    NotificationDelivery.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+    data: deliveries,
+  });
+});
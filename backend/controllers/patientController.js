@@ -0,0 +1,198 @@
+import Patient from "../models/Patient.js";
+import Doctor from "../models/Doctor.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { getUserScope, scopeQuery, withScope } from "../services/accessScopeService.js";
+import { PATIENT_SCOPE_FIELDS, buildPatientQuery, buildPatientSort } from "../services/patientDirectoryService.js";
+import { loadPatientHistory } from "../services/patientHistoryService.js";
+
+// Columns of the patients directory
+const LIST_FIELDS = [
+  "patientId",
+  "labPatientId",
+  "designation",
+  "name",
+  "age",
+  "gender",
+  "phone",
+  "status",
+  "currentStage",
+  "reportStatus",
+  "assignedDoctor",
+  "billIdNumber",
+  "billTime",
+  "testName",
+  "labId",
+  "labName",
+  "orgId",
+  "orgName",
+  "lastVisitDate",
+  "createdAt",
+].join(" ");
+
+// Large or unused payload copies are never sent to the browser
+const DETAIL_EXCLUDED_FIELDS = "-webhookMetadata -integrationPayload -reportFormatAndValues";
+
+const DOCTOR_FIELDS = "doctorId name specialty";
+
+/**
+ * Page and page size from query parameters (at most 100 per page)
+ */
+function parsePagination({ page = 1, limit = 20 }) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * One page of patients matching a filter, within the user's scope
+ */
+async function findPatientPage(req, query, sort) {
+  const { page, limit, skip } = parsePagination(req.query);
+  const scopedQuery = withScope(query, getUserScope(req.user), PATIENT_SCOPE_FIELDS);
+
+  const [patients, total] = await Promise.all([
+    Patient.find(scopedQuery)
+      .select(LIST_FIELDS)
+      .populate("assignedDoctor", DOCTOR_FIELDS)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Patient.countDocuments(scopedQuery),
+  ]);
+
+  return {
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: patients,
+  };
+}
+
+export const getPatients = asyncHandler(async (req, res) => {
+  const { query, error } = buildPatientQuery(req.query);
+  const { sort, error: sortError } = buildPatientSort(req.query);
+  if (error || sortError) {
+    return res.status(400).json({
+      success: false,
+      error: error || sortError,
+    });
+  }
+
+  const result = await findPatientPage(req, query, sort);
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+export const getPatientFilters = asyncHandler(async (req, res) => {
+  const scope = scopeQuery(getUserScope(req.user), PATIENT_SCOPE_FIELDS);
+
+  const [labs, orgs, doctorIds] = await Promise.all([
+    Patient.aggregate([
+      { $match: { ...scope, labId: { $ne: null } } },
+      { $group: { _id: "$labId", name: { $last: "$labName" } } },
+      { $sort: { name: 1 } },
+    ]),
+    Patient.aggregate([
+      { $match: { ...scope, orgId: { $ne: null } } },
+      { $group: { _id: "$orgId", name: { $last: "$orgName" } } },
+      { $sort: { name: 1 } },
+    ]),
+    Patient.distinct("assignedDoctor", { ...scope, assignedDoctor: { $ne: null } }),
+  ]);
+  const doctors = await Doctor.find({ _id: { $in: doctorIds } }).select(DOCTOR_FIELDS).sort({ name: 1 }).lean();
+
+  res.json({
+    success: true,
+    data: {
+      statuses: Patient.schema.path("status").enumValues,
+      genders: Patient.schema.path("gender").enumValues,
+      labs: labs.map((lab) => ({ labId: lab._id, labName: lab.name })),
+      orgs: orgs.map((org) => ({ orgId: org._id, orgName: org.name })),
+      doctors,
+    },
+  });
+});
+
+export const getTodayPatients = asyncHandler(async (req, res) => {
+  const patients = await Patient.getTodayPatients()
+    .where(scopeQuery(getUserScope(req.user), PATIENT_SCOPE_FIELDS))
+    .select(LIST_FIELDS)
+    .populate("assignedDoctor", DOCTOR_FIELDS)
+    .sort({ registrationDate: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: patients,
+  });
+});
+
+export const getPatientsByStatus = asyncHandler(async (req, res) => {
+  const { query, error } = buildPatientQuery({ status: req.params.status });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+    });
+  }
+
+  const result = await findPatientPage(req, query, { lastVisitDate: -1, _id: -1 });
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+export const getPatientById = asyncHandler(async (req, res) => {
+  // Patients outside the user's labs/organizations are reported as not found
+  const patient = await Patient.findOne(
+    withScope({ patientId: req.params.patientId }, getUserScope(req.user), PATIENT_SCOPE_FIELDS)
+  )
+    .select(DETAIL_EXCLUDED_FIELDS)
+    .populate("assignedDoctor", `${DOCTOR_FIELDS} email phone`)
+    .lean();
+
+  if (!patient) {
+    return res.status(404).json({
+      success: false,
+      error: "Patient not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: patient,
+  });
+});
+
+export const getPatientHistory = asyncHandler(async (req, res) => {
+  const scope = getUserScope(req.user);
+  const patient = await Patient.findOne(withScope({ patientId: req.params.patientId }, scope, PATIENT_SCOPE_FIELDS))
+    .select(
+      "patientId patientIdNumber labPatientId billIdNumber mergedFrom designation name age gender dateOfBirth phone email assignedDoctor"
+    )
+    .populate("assignedDoctor", DOCTOR_FIELDS)
+    .lean();
+
+  if (!patient) {
+    return res.status(404).json({
+      success: false,
+      error: "Patient not found",
+    });
+  }
+
+  const history = await loadPatientHistory(patient, scope);
+  res.json({
+    success: true,
+    data: {
+      patient,
+      ...history,
+    },
+  });
+});
@@ -0,0 +1,27 @@
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { parseReplayFilters, queueWebhookReplay } from "../services/webhookReplayService.js";
+
+// Documents replayed per request unless a limit is given (use the CLI for more)
+const DEFAULT_REPLAY_LIMIT = 1000;
+
+export const replayStoredWebhooks = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const { filters, error } = parseReplayFilters({ ...body, limit: body.limit ?? DEFAULT_REPLAY_LIMIT });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+    });
+  }
+
+  // Runs on the job worker; follow it with GET /jobs/:id
+  const job = await queueWebhookReplay(filters, {
+    dryRun: body.dryRun === true,
+    user: { id: req.user.id, name: req.user.name, role: req.user.role },
+  });
+
+  res.status(202).json({
+    success: true,
+    data: job,
+  });
+});
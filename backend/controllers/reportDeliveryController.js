@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import ReportDeliverySetting from "../models/ReportDeliverySetting.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { getReportPassword, queuePatientReportDelivery } from "../services/patientReportDeliveryService.js";
+import { assertBillInScope, getUserScope } from "../services/accessScopeService.js";
+
+export const getReportDeliverySettings = asyncHandler(async (req, res) => {
+  const settings = await ReportDeliverySetting.find({}).sort({ orgId: 1 });
+
+  res.json({
+    success: true,
+    data: settings,
+  });
+});
+
+export const upsertReportDeliverySetting = asyncHandler(async (req, res) => {
+  const { orgName, enabled, passwordProtect } = req.body;
+
+  let orgId = null;
+  if (req.body.orgId !== undefined && req.body.orgId !== null && req.body.orgId !== "") {
+    orgId = Number(req.body.orgId);
+    if (!Number.isInteger(orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: "orgId must be an integer (or null for the fallback setting)",
+      });
+    }
+  }
+
+  const update = {};
+  if (orgName !== undefined) update.orgName = orgName;
+  if (enabled !== undefined) update.enabled = Boolean(enabled);
+  if (passwordProtect !== undefined) update.passwordProtect = Boolean(passwordProtect);
+
+  const setting = await ReportDeliverySetting.findOneAndUpdate(
+    { orgId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.json({
+    success: true,
+    data: setting,
+  });
+});
+
+export const deleteReportDeliverySetting = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const setting = mongoose.isValidObjectId(id) ? await ReportDeliverySetting.findByIdAndDelete(id) : null;
+
+  if (!setting) {
+    return res.status(404).json({
+      success: false,
+      error: "Report delivery setting not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: setting,
+  });
+});
+
+export const resendReportEmail = asyncHandler(async (req, res) => {
+  const billId = Number(req.params.billId);
+  const testId = Number(req.params.testId);
+  await assertBillInScope(billId, getUserScope(req.user));
+
+  const report = await Report.findOne({ billId, testId }).select("pdf").lean();
+  if (!report?.pdf?.storageKey) {
+    return res.status(404).json({
+      success: false,
+      error: "No report PDF found for this test",
+    });
+  }
+
+  const job = await queuePatientReportDelivery(billId, testId, req.user.name);
+  if (!job) {
+    return res.status(500).json({
+      success: false,
+      error: "Failed to queue the report email",
+    });
+  }
+
+  const updated = await Report.findOne({ billId, testId }).select("billId testId patientDelivery");
+
+  res.status(202).json({
+    success: true,
+    data: updated,
+  });
+});
+
+export const getReportDeliveryPassword = asyncHandler(async (req, res) => {
+  const billId = Number(req.params.billId);
+  const testId = Number(req.params.testId);
+  await assertBillInScope(billId, getUserScope(req.user));
+
+  const password = await getReportPassword(billId, testId);
+  if (!password) {
+    return res.status(404).json({
+      success: false,
+      error: "This report was not emailed with a password",
+    });
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    data: { billId, testId, password },
+  });
+});
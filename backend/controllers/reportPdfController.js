@@ -0,0 +1,54 @@
+import Report from "../models/Report.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { sendBlob } from "../services/blobStoreService.js";
+import {
+  buildReportFileName,
+  contentDisposition,
+  getReportThumbnailKey,
+  loadBillForReport,
+} from "../services/reportPdfService.js";
+import { getUserScope, isBillInScope } from "../services/accessScopeService.js";
+
+/**
+ * Report with a stored PDF for the :billId/:testId route params, or null
+ * (also null when the bill is outside the user's labs/organizations)
+ */
+async function findReportWithPdf(params, user) {
+  const billId = Number(params.billId);
+  const testId = Number(params.testId);
+  if (!Number.isFinite(billId) || !Number.isFinite(testId)) return null;
+  if (!(await isBillInScope(billId, getUserScope(user)))) return null;
+
+  const report = await Report.findOne({ billId, testId }).select("billId testId pdf").lean();
+  return report?.pdf?.storageKey ? report : null;
+}
+
+export const getReportPdf = asyncHandler(async (req, res) => {
+  const report = await findReportWithPdf(req.params, req.user);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: "No report PDF found for this test",
+    });
+  }
+
+  const billDetails = await loadBillForReport(report.billId, report.testId);
+  const fileName = `${buildReportFileName(billDetails?.bill.patientName, billDetails?.test.testName)}.pdf`;
+
+  await sendBlob(req, res, report.pdf.storageKey, {
+    "Content-Disposition": contentDisposition(fileName, req.query.download === "1" || req.query.download === "true"),
+  });
+});
+
+export const getReportThumbnail = asyncHandler(async (req, res) => {
+  const report = await findReportWithPdf(req.params, req.user);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: "No report PDF found for this test",
+    });
+  }
+
+  const thumbnailKey = await getReportThumbnailKey(report);
+  await sendBlob(req, res, thumbnailKey);
+});
@@ -0,0 +1,79 @@
+import LegalHold from "../models/LegalHold.js";
+import AuditLog from "../models/AuditLog.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import {
+  getRetentionPolicies,
+  placeLegalHold,
+  releaseLegalHold,
+  queueRetentionPurge,
+} from "../services/retentionService.js";
+
+export const getRetention = asyncHandler(async (req, res) => {
+  const [holds, lastPurge] = await Promise.all([
+    LegalHold.find({}).sort({ createdAt: -1 }),
+    AuditLog.findOne({ action: "retention.purge" }).sort({ createdAt: -1 }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      policies: getRetentionPolicies(),
+      holds,
+      lastPurge,
+    },
+  });
+});
+
+export const purgeExpiredData = asyncHandler(async (req, res) => {
+  const dryRun = req.body?.dryRun === true || req.query.dryRun === "true";
+  // Runs on the job worker, after any purge in progress; follow it with GET /jobs/:id
+  const job = await queueRetentionPurge({
+    dryRun,
+    user: { id: req.user.id, name: req.user.name, role: req.user.role },
+  });
+
+  res.status(202).json({
+    success: true,
+    data: job,
+  });
+});
+
+export const createLegalHold = asyncHandler(async (req, res) => {
+  const billId = Number(req.params.billId);
+  const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+  if (!Number.isInteger(billId)) {
+    return res.status(400).json({
+      success: false,
+      error: "billId must be an integer",
+    });
+  }
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      error: "reason is required",
+    });
+  }
+
+  const hold = await placeLegalHold(billId, reason, { id: req.user.id, name: req.user.name });
+
+  res.json({
+    success: true,
+    data: hold,
+  });
+});
+
+export const deleteLegalHold = asyncHandler(async (req, res) => {
+  const hold = await releaseLegalHold(Number(req.params.billId));
+  if (!hold) {
+    return res.status(404).json({
+      success: false,
+      error: "Legal hold not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: hold,
+  });
+});
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import TatTarget from "../models/TatTarget.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { resolveDateRange } from "../services/dashboardStatsService.js";
+import { TAT_STAGES, getTurnaroundStats } from "../services/tatService.js";
+import { getUserScope } from "../services/accessScopeService.js";
+
+const TARGET_FIELDS = Object.values(TAT_STAGES).map((stage) => stage.target);
+
+export const getTatStats = asyncHandler(async (req, res) => {
+  const { fromDate, toDate } = req.query;
+  const { startDate, endDate } = resolveDateRange(fromDate, toDate);
+
+  const stats = await getTurnaroundStats(startDate, endDate, getUserScope(req.user));
+
+  res.json({
+    success: true,
+    data: stats,
+  });
+});
+
+export const getTatTargets = asyncHandler(async (req, res) => {
+  const targets = await TatTarget.find({}).sort({ scope: 1, key: 1 });
+
+  res.json({
+    success: true,
+    data: targets,
+  });
+});
+
+export const upsertTatTarget = asyncHandler(async (req, res) => {
+  const { scope } = req.body;
+  const key = scope === "default" ? "" : String(req.body.key || "").trim().toLowerCase();
+
+  if (!TatTarget.schema.path("scope").enumValues.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      error: "scope must be one of test, imagingType, department, default",
+    });
+  }
+  if (scope !== "default" && !key) {
+    return res.status(400).json({
+      success: false,
+      error: "key is required for this scope",
+    });
+  }
+
+  const update = {};
+  for (const field of TARGET_FIELDS) {
+    if (!(field in req.body)) continue;
+    const value = req.body[field];
+    if (value === null || value === "") {
+      update[field] = null;
+      continue;
+    }
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${field} must be a non-negative number of minutes`,
+      });
+    }
+    update[field] = minutes;
+  }
+
+  const target = await TatTarget.findOneAndUpdate(
+    { scope, key },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.json({
+    success: true,
+    data: target,
+  });
+});
+
+export const deleteTatTarget = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const target = mongoose.isValidObjectId(id) ? await TatTarget.findByIdAndDelete(id) : null;
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: "TAT target not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: target,
+  });
+});
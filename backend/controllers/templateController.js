@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import {
+  listTemplates,
+  getTemplate,
+  getTemplateHistory,
+  saveTemplateVersion,
+  restoreTemplateVersion,
+  previewTemplate,
+} from "../services/emailTemplateService.js";
+import { WEBHOOK_SOURCE_MODELS } from "../services/eventContextService.js";
+
+export const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await listTemplates();
+
+  res.json({
+    success: true,
+    data: templates,
+  });
+});
+
+export const getTemplateByName = asyncHandler(async (req, res) => {
+  const template = await getTemplateHistory(req.params.name);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: "Template not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template,
+  });
+});
+
+export const updateTemplate = asyncHandler(async (req, res) => {
+  const { subject, html, text, description, note } = req.body || {};
+  const createdBy = req.user.name;
+
+  if (!subject || !html) {
+    return res.status(400).json({
+      success: false,
+      error: "subject and html are required",
+    });
+  }
+
+  const template = await saveTemplateVersion(req.params.name, { subject, html, text, description, note, createdBy });
+
+  if (!template) {
+    return res.status(409).json({
+      success: false,
+      error: "The template was changed by someone else, reload and try again",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template,
+  });
+});
+
+export const restoreTemplate = asyncHandler(async (req, res) => {
+  const version = parseInt(req.params.version);
+  const template = Number.isInteger(version)
+    ? await restoreTemplateVersion(req.params.name, version, req.user.name)
+    : null;
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: "Template version not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template,
+  });
+});
+
+export const previewTemplateByName = asyncHandler(async (req, res) => {
+  const { webhookType, sourceId, version, subject, html, text } = req.body || {};
+
+  if (!WEBHOOK_SOURCE_MODELS[webhookType] || !mongoose.isValidObjectId(sourceId)) {
+    return res.status(400).json({
+      success: false,
+      error: "webhookType (billGenerate, sampleStatus or reportStatus) and a valid sourceId are required",
+    });
+  }
+
+  // Render an unsaved draft, or a stored version
+  const template = subject && html
+    ? { subject, html, text }
+    : await getTemplate(req.params.name, version ? parseInt(version) : null);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: "Template not found",
+    });
+  }
+
+  const preview = await previewTemplate({ template, webhookType, sourceId });
+
+  if (!preview) {
+    return res.status(404).json({
+      success: false,
+      error: "Webhook document not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: preview,
+  });
+});
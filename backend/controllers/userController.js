@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import User, { USER_ROLES } from "../models/User.js";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { hashPassword, revokeUserSessions, validatePassword } from "../services/authService.js";
+
+/**
+ * Parse a labIds/orgIds body value (array or comma-separated string) into IDs
+ * Returns null if any entry is not an integer.
+ */
+function parseIdList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const ids = items.map((item) => String(item).trim()).filter(Boolean).map(Number);
+  return ids.every(Number.isInteger) ? [...new Set(ids)] : null;
+}
+
+/**
+ * Read allLabs/labIds/orgIds from a request body; undefined fields are left out
+ */
+function parseScope(body) {
+  const scope = {};
+  if (body.allLabs !== undefined) {
+    if (typeof body.allLabs !== "boolean") return { error: "allLabs must be true or false" };
+    scope.allLabs = body.allLabs;
+  }
+  for (const field of ["labIds", "orgIds"]) {
+    if (body[field] === undefined) continue;
+    const ids = parseIdList(body[field] ?? []);
+    if (!ids) return { error: `${field} must be a list of integer IDs` };
+    scope[field] = ids;
+  }
+  return { scope };
+}
+
+const sameIds = (a, b) => a.length === b.length && a.every((id) => b.includes(id));
+
+export const getUsers = asyncHandler(async (req, res) => {
+  const users = await User.find({}).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: users,
+  });
+});
+
+export const createUser = asyncHandler(async (req, res) => {
+  const { email, name, role, password } = req.body;
+
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `role must be one of ${USER_ROLES.join(", ")}`,
+    });
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: passwordError,
+    });
+  }
+
+  const { scope, error: scopeError } = parseScope(req.body);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      error: scopeError,
+    });
+  }
+
+  const user = await User.create({
+    email,
+    name,
+    role,
+    ...scope,
+    passwordHash: await hashPassword(password),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: await User.findById(user._id),
+  });
+});
+
+export const updateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  const { name, role, active, password } = req.body;
+  const isSelf = user._id.toString() === req.user.id;
+
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `role must be one of ${USER_ROLES.join(", ")}`,
+    });
+  }
+  if (isSelf && ((role !== undefined && role !== "admin") || active === false)) {
+    return res.status(400).json({
+      success: false,
+      error: "You cannot remove your own admin access",
+    });
+  }
+
+  const { scope, error: scopeError } = parseScope(req.body);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      error: scopeError,
+    });
+  }
+
+  let revokeReason = null;
+  if (name !== undefined) user.name = name;
+  if (role !== undefined && role !== user.role) {
+    user.role = role;
+    revokeReason = "Role changed";
+  }
+  for (const [field, value] of Object.entries(scope)) {
+    if (field === "allLabs" ? value !== user.allLabs : !sameIds(value, user[field])) {
+      user[field] = value;
+      revokeReason = "Access scope changed";
+    }
+  }
+  if (active !== undefined && Boolean(active) !== user.active) {
+    user.active = Boolean(active);
+    if (!user.active) revokeReason = "User deactivated";
+  }
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+      });
+    }
+    user.passwordHash = await hashPassword(password);
+    revokeReason = "Password reset";
+  }
+
+  await user.save();
+  if (revokeReason) {
+    // Tokens carry the old role/scope/password; make the user log in again
+    await revokeUserSessions(user._id, revokeReason);
+  }
+
+  res.json({
+    success: true,
+    data: user,
+  });
+});
@@ -2,8 +2,16 @@ import Patient from "../models/Patient.js";
 import RequestDump from "../models/RequestDump.js";
 import ReportStatusTracker from "../models/ReportStatusTracker.js";
 import SampleStatusTracker from "../models/SampleStatusTracker.js";
-import Report from "../models/Report.js";
 import { consolidatePatientFromWebhook } from "../services/patientConsolidationService.js";
+import {
+  markWebhookProcessed,
+  recordWebhookDelivery,
+  releaseWebhookDelivery,
+} from "../services/webhookDedupService.js";
+import { resolveSlaAlerts } from "../services/slaAlertService.js";
+import { queueNotifications } from "../services/notificationService.js";
+import { queuePatientReportDelivery } from "../services/patientReportDeliveryService.js";
+import { storeWebhookPdfs, upsertReportFromWebhook } from "../services/reportUpdateService.js";
 
 export const patientRegisterHandler = async (req, res) => {
   try {
@@ -17,80 +25,107 @@ export const patientRegisterHandler = async (req, res) => {
 };
 
 export const billGenerateHandler = async (req, res) => {
+  let delivery = null;
   try {
-    // const token = req.headers["x-webhook-token"];
-    // const expectedToken = process.env.WEBHOOK_SECRET;
-    // if (!token || token !== expectedToken) {
-    //   return res.status(401).json({ success: false, message: "Invalid webhook token" });
-    // }
-    await RequestDump.create({ request: req.body });
-    
-    // Trigger patient consolidation automatically (runs in background)
-    consolidatePatientFromWebhook('billGenerate', req.body);
+    const { duplicate, document } = await recordWebhookDelivery(RequestDump, 'billGenerate', req, {
+      normalized: req.normalizedPayload,
+    });
+    if (duplicate) {
+      return res.status(200).json({ success: true, duplicate: true, message: "Duplicate Bill Generate Webhook ignored" });
+    }
+    delivery = document;
+
+    // Queue patient consolidation (runs in the background job worker)
+    await consolidatePatientFromWebhook('billGenerate', req.body);
+
+    // Queue notification rules (sent by the background job worker)
+    await queueNotifications('billGenerate', document);
     
+    await markWebhookProcessed(RequestDump, document);
     return res.status(200).json({ success: true, message: "Bill Generate Webhook Received" });
   } catch (error) {
     console.error("❌ Error generating bill:", error.message);
+    // Let Crelio's retry process the delivery again
+    if (delivery) {
+      await releaseWebhookDelivery(RequestDump, delivery).catch(() => {});
+    }
     return res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
 export const trackReportStatusHandler = async (req, res) => {
+  let delivery = null;
   try {
-    await ReportStatusTracker.create({ request: req.body });
-    const {labReportId, billId, testID: testId, status, "Signing Doctor": signingDoctor, "Sample Date": sampleDate, reportBase64} = req.body;
+    // The PDF goes to the blob store; the tracker keeps only its key
+    const request = await storeWebhookPdfs(req.body);
+    const { duplicate, document } = await recordWebhookDelivery(ReportStatusTracker, 'reportStatus', req, {
+      request,
+      normalized: req.normalizedPayload,
+    });
+    if (duplicate) {
+      return res.status(200).json({ success: true, duplicate: true, message: "Duplicate report webhook ignored" });
+    }
+    delivery = document;
 
-    // Build dynamic update object
-    const update = {
-      status,
-    };
+    const { billId, testId, testIds, status } = req.normalizedPayload;
 
-    // Status-based fields
-    if (status === "Report Signed" && signingDoctor) {
-      update.signingDoctor = signingDoctor;
-      update.sampleDate = sampleDate;
-    }
+    await upsertReportFromWebhook(request, req.normalizedPayload);
 
-    if (status === "Report PDF (Webhook)" && reportBase64) {
-      update.reportBase64 = reportBase64;
+    // Signed reports close any open TAT breach alerts
+    if (status === "Report Signed" || status === "Report PDF (Webhook)") {
+      await resolveSlaAlerts(billId, testIds).catch((error) =>
+        console.error("❌ Error resolving SLA alerts:", error.message)
+      );
     }
 
-    await Report.findOneAndUpdate(
-      { billId, testId },           // unique key
-      {
-        $set: update,               // update status + conditional fields
-        $setOnInsert: {             // only on first create
-          labReportId,
-          billId,
-          testId,
-        },
-      },
-      {
-        upsert: true,               // create if not exists
-        new: true,
-      }
-    );
+    // Queue patient consolidation (runs in the background job worker)
+    await consolidatePatientFromWebhook('reportStatus', req.body);
 
-    // Trigger patient consolidation automatically (runs in background)
-    consolidatePatientFromWebhook('reportStatus', req.body);
+    // Queue notification rules (sent by the background job worker)
+    await queueNotifications('reportStatus', document);
 
+    // Queue emailing the PDF to the patient (opt-in per organization)
+    if (status === "Report PDF (Webhook)" && request.reportPdf) {
+      await queuePatientReportDelivery(billId, testId);
+    }
+
+    await markWebhookProcessed(ReportStatusTracker, document);
     return res.status(200).json({ success: true, message: "Report webhook data received" });
   } catch (error) {
     console.error("❌ Error receiving report webhook data:", error.message);
+    // Let Crelio's retry process the delivery again
+    if (delivery) {
+      await releaseWebhookDelivery(ReportStatusTracker, delivery).catch(() => {});
+    }
     return res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
 export const trackSampleStatusHandler = async (req, res) => {
+  let delivery = null;
   try {
-    await SampleStatusTracker.create({ request: req.body });
-    
-    // Trigger patient consolidation automatically (runs in background)
-    consolidatePatientFromWebhook('sampleStatus', req.body);
+    const { duplicate, document } = await recordWebhookDelivery(SampleStatusTracker, 'sampleStatus', req, {
+      normalized: req.normalizedPayload,
+    });
+    if (duplicate) {
+      return res.status(200).json({ success: true, duplicate: true, message: "Duplicate sample webhook ignored" });
+    }
+    delivery = document;
+
+    // Queue patient consolidation (runs in the background job worker)
+    await consolidatePatientFromWebhook('sampleStatus', req.body);
+
+    // Queue notification rules (sent by the background job worker)
+    await queueNotifications('sampleStatus', document);
     
+    await markWebhookProcessed(SampleStatusTracker, document);
     return res.status(200).json({ success: true, message: "Sample webhook data received" });
   } catch (error) {
     console.error("❌ Error receiving sample webhook data:", error.message);
+    // Let Crelio's retry process the delivery again
+    if (delivery) {
+      await releaseWebhookDelivery(SampleStatusTracker, delivery).catch(() => {});
+    }
     return res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
\ No newline at end of file
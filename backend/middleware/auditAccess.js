@@ -0,0 +1,42 @@
+/**
+ * Audit Access Middleware
+ *
+ * Records PHI access in the audit trail (see services/auditLogService.js).
+ *
+ * Usage:
+ *   router.get('/patients/bill', auditAccess('bill.view'), getPatientBillById);
+ *
+ * The entry is written once the response has finished, including its status
+ * code, so denied and not-found requests are recorded too. Writing it never
+ * delays or fails the request.
+ */
+
+import { recordAuditEvent, resolveAuditTarget } from "../services/auditLogService.js";
+
+/**
+ * Audit requests to a route (use after requireAuth)
+ *
+ * @param {string|Function} action - Audit action, or (req) => action
+ * @returns {Function} - Express middleware
+ */
+export const auditAccess = (action) => (req, res, next) => {
+  res.on("finish", () => {
+    resolveAuditTarget(req)
+      .then((target) => {
+        recordAuditEvent({
+          action: typeof action === "function" ? action(req) : action,
+          user: req.user ? { id: req.user.id, name: req.user.name, role: req.user.role } : undefined,
+          ...target,
+          method: req.method,
+          endpoint: req.originalUrl,
+          statusCode: res.statusCode,
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        });
+      })
+      .catch((error) => {
+        console.error(`❌ Failed to audit ${req.method} ${req.originalUrl}:`, error.message);
+      });
+  });
+  next();
+};
@@ -0,0 +1,61 @@
+/**
+ * Authentication Middleware
+ *
+ * Protects dashboard routes with JWT access tokens and user roles.
+ *
+ * Usage:
+ *   router.use(requireAuth);
+ *   router.put('/templates/:name', requireRole('admin'), updateTemplate);
+ *
+ * requireAuth sets req.user = { id, name, role, allLabs, labIds, orgIds } from the
+ * "Authorization: Bearer <access token>" header. Expired tokens are rejected
+ * with code TOKEN_EXPIRED so the client knows to refresh.
+ */
+
+import { AuthError, verifyAccessToken } from "../services/authService.js";
+
+/**
+ * Require a valid access token
+ */
+export const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+      code: "UNAUTHORIZED",
+    });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    return next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+    return next(error);
+  }
+};
+
+/**
+ * Require one of the given roles (use after requireAuth)
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "You do not have permission to do this",
+      code: "FORBIDDEN",
+    });
+  }
+  return next();
+};
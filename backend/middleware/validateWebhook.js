@@ -0,0 +1,125 @@
+/**
+ * Webhook Validation Middleware
+ *
+ * Validates incoming Crelio payloads against a per-webhook-type schema
+ * (express-validator) and attaches the canonical shape produced by
+ * services/webhookNormalizer.js as req.normalizedPayload.
+ *
+ * Payloads that fail validation are stored in the QuarantinedWebhook
+ * collection with the failure reasons and answered with 422, instead of
+ * being written to the raw dump collections.
+ *
+ * Usage:
+ *   router.post('/crelio/bill-generate', validateWebhook('billGenerate'), billGenerateHandler);
+ */
+
+import { body, validationResult } from "express-validator";
+import QuarantinedWebhook from "../models/QuarantinedWebhook.js";
+import { markWebhookProcessed, recordWebhookDelivery } from "../services/webhookDedupService.js";
+import { storeWebhookPdfs } from "../services/reportUpdateService.js";
+import { extractBillId, normalizeWebhookPayload, toNumberArray } from "../services/webhookNormalizer.js";
+
+/**
+ * billId must be present (as billId or bill_id) and numeric
+ */
+const billIdRule = () =>
+  body("billId")
+    .custom((value, { req }) => extractBillId(req.body) !== null)
+    .withMessage("billId (or bill_id) is required and must be numeric");
+
+/**
+ * testID must contain at least one numeric test ID
+ */
+const testIdRule = () =>
+  body("testID")
+    .custom((value, { req }) => toNumberArray(req.body.testID ?? req.body.testId).length > 0)
+    .withMessage("testID is required and must be a numeric ID or a list of numeric IDs");
+
+const optionalNumber = (field) =>
+  body(field).optional({ values: "null" }).isNumeric().withMessage(`${field} must be numeric`);
+
+/**
+ * Validation chains per webhook type
+ */
+const schemas = {
+  billGenerate: [
+    billIdRule(),
+    body("Patient Name")
+      .custom((value, { req }) => {
+        const name = req.body["Patient Name"] ?? req.body.patientName;
+        return typeof name === "string" && name.trim() !== "";
+      })
+      .withMessage("Patient Name (or patientName) is required"),
+    body("billInfoDetails").optional({ values: "null" }).isArray().withMessage("billInfoDetails must be an array"),
+    optionalNumber("billTotalAmount"),
+    optionalNumber("dueAmount"),
+    body("patient_email").optional({ values: "falsy" }).isEmail().withMessage("patient_email must be a valid email"),
+  ],
+  sampleStatus: [
+    billIdRule(),
+    testIdRule(),
+  ],
+  reportStatus: [
+    billIdRule(),
+    testIdRule(),
+    body("status")
+      .custom((value) => typeof value === "string" && value.trim() !== "")
+      .withMessage("status is required"),
+    body("reportBase64").optional({ values: "falsy" }).isString().withMessage("reportBase64 must be a string"),
+  ],
+};
+
+/**
+ * Build the validation middleware for a webhook type
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @returns {Function} - Express middleware
+ */
+export const validateWebhook = (webhookType) => {
+  const chains = schemas[webhookType] || [];
+
+  return async (req, res, next) => {
+    try {
+      if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+        req.body = {};
+      }
+
+      await Promise.all(chains.map((chain) => chain.run(req)));
+      const result = validationResult(req);
+
+      if (!result.isEmpty()) {
+        // The rejected values are not kept: they can be PHI (phone, email)
+        const reasons = result.array().map((error) => ({
+          field: error.path,
+          message: error.msg,
+        }));
+
+        const { duplicate, document } = await recordWebhookDelivery(QuarantinedWebhook, webhookType, req, {
+          // Report PDFs go to the blob store, as for valid deliveries
+          request: webhookType === "reportStatus" ? await storeWebhookPdfs(req.body) : req.body,
+          webhookType,
+          path: req.originalUrl,
+          reasons,
+        });
+        // Quarantining is all the processing an invalid payload gets
+        if (!duplicate) {
+          await markWebhookProcessed(QuarantinedWebhook, document);
+        }
+
+        console.warn(`🧪 Quarantined ${webhookType} webhook: ${reasons.map((reason) => reason.message).join("; ")}`);
+        return res.status(422).json({
+          success: false,
+          quarantined: true,
+          message: "Webhook payload failed validation",
+          errors: reasons,
+        });
+      }
+
+      req.normalizedPayload = normalizeWebhookPayload(webhookType, req.body);
+      return next();
+    } catch (error) {
+      console.error(`❌ Error validating ${webhookType} webhook:`, error.message);
+      return res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  };
+};
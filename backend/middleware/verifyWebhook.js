@@ -0,0 +1,199 @@
+/**
+ * Webhook Verification Middleware
+ *
+ * This middleware authenticates incoming Crelio webhook deliveries before
+ * they reach the webhook handlers.
+ *
+ * Modes (WEBHOOK_AUTH_MODE):
+ * - token: Compares the X-Webhook-Token header against the shared secret
+ * - hmac: Verifies an HMAC-SHA256 signature of "<timestamp>.<raw body>"
+ *         sent in X-Webhook-Signature, with X-Webhook-Timestamp checked
+ *         against WEBHOOK_TIMESTAMP_TOLERANCE seconds
+ * - disabled: Skips verification (local development only)
+ * Any other value stops the server from starting.
+ *
+ * Secrets:
+ * - WEBHOOK_SECRET: Comma-separated list of accepted secrets. The first one is
+ *   the current secret, the rest are kept during rotation.
+ * - WEBHOOK_LAB_SECRETS: Optional JSON map of labId → secret(s), e.g.
+ *   {"1234": "secret-a,secret-b"}. A lab with its own entry only accepts
+ *   its own secrets.
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+const AUTH_MODES = ["token", "hmac", "disabled"];
+const AUTH_MODE = (process.env.WEBHOOK_AUTH_MODE || "token").trim().toLowerCase();
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE || "300");
+
+/**
+ * Split a comma-separated secret list into trimmed, non-empty entries
+ */
+function parseSecretList(value) {
+  if (!value || typeof value !== "string") return [];
+  return value.split(",").map((secret) => secret.trim()).filter(Boolean);
+}
+
+/**
+ * Parse WEBHOOK_LAB_SECRETS into a map of labId → array of secrets
+ */
+function parseLabSecrets(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    const labSecrets = {};
+    for (const [labId, secrets] of Object.entries(parsed)) {
+      labSecrets[String(labId)] = Array.isArray(secrets)
+        ? secrets.map((secret) => String(secret).trim()).filter(Boolean)
+        : parseSecretList(String(secrets));
+    }
+    return labSecrets;
+  } catch (error) {
+    console.error("❌ WEBHOOK_LAB_SECRETS is not valid JSON:", error.message);
+    return {};
+  }
+}
+
+const GLOBAL_SECRETS = parseSecretList(process.env.WEBHOOK_SECRET);
+const LAB_SECRETS = parseLabSecrets(process.env.WEBHOOK_LAB_SECRETS);
+
+// Fail at startup rather than falling back to another mode on a typo
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+  throw new Error(`WEBHOOK_AUTH_MODE must be one of ${AUTH_MODES.join(", ")} ("${process.env.WEBHOOK_AUTH_MODE}")`);
+}
+
+if (AUTH_MODE === "disabled") {
+  console.warn("⚠️  Webhook verification is DISABLED (WEBHOOK_AUTH_MODE=disabled). Do not use this in production.");
+}
+
+/**
+ * Extract the labId from a webhook payload
+ * Crelio sends labId either as a number or as an object ({ labId, labName })
+ */
+function extractLabId(body) {
+  const labId = body?.labId;
+  if (labId === undefined || labId === null) return null;
+  if (typeof labId === "object") {
+    return labId.labId !== undefined && labId.labId !== null ? String(labId.labId) : null;
+  }
+  return String(labId);
+}
+
+/**
+ * Resolve the secrets accepted for a request (per-lab secrets take precedence)
+ */
+function getSecretsForRequest(req) {
+  const labId = extractLabId(req.body);
+  if (labId && LAB_SECRETS[labId]?.length) {
+    return LAB_SECRETS[labId];
+  }
+  return GLOBAL_SECRETS;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeCompare(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Compute the expected HMAC-SHA256 signature (hex) for a delivery
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} - Hex encoded signature
+ */
+export function computeWebhookSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || "")
+    .digest("hex");
+}
+
+/**
+ * Verify the shared-token header
+ *
+ * @returns {string|null} - Failure reason, or null when valid
+ */
+function verifyToken(req, secrets) {
+  const token = req.headers["x-webhook-token"];
+  if (!token) return "Missing X-Webhook-Token header";
+  const matched = secrets.some((secret) => safeCompare(token, secret));
+  return matched ? null : "Invalid webhook token";
+}
+
+/**
+ * Verify the HMAC body signature and timestamp
+ *
+ * @returns {string|null} - Failure reason, or null when valid
+ */
+function verifyHmac(req, secrets) {
+  const signatureHeader = req.headers["x-webhook-signature"];
+  const timestamp = req.headers["x-webhook-timestamp"];
+
+  if (!signatureHeader) return "Missing X-Webhook-Signature header";
+  if (!timestamp) return "Missing X-Webhook-Timestamp header";
+
+  // Timestamp may be sent in seconds or milliseconds
+  let timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds)) return "Invalid X-Webhook-Timestamp header";
+  if (timestampSeconds > 1e12) timestampSeconds = Math.floor(timestampSeconds / 1000);
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (Math.abs(nowSeconds - timestampSeconds) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return "Webhook timestamp outside tolerance window";
+  }
+
+  // Accept both "sha256=<hex>" and bare "<hex>"
+  const signature = String(signatureHeader).replace(/^sha256=/i, "").trim().toLowerCase();
+  const rawBody = req.rawBody || JSON.stringify(req.body || {});
+
+  const matched = secrets.some((secret) =>
+    safeCompare(signature, computeWebhookSignature(secret, timestamp, rawBody))
+  );
+  return matched ? null : "Invalid webhook signature";
+}
+
+/**
+ * Express middleware that rejects unauthenticated webhook deliveries with 401
+ */
+export const verifyWebhook = (req, res, next) => {
+  // Fail at startup rather than falling back to another mode on a typo
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+  throw new Error(`WEBHOOK_AUTH_MODE must be one of ${AUTH_MODES.join(", ")} ("${process.env.WEBHOOK_AUTH_MODE}")`);
+}
+
+if (AUTH_MODE === "disabled") {
+    return next();
+  }
+
+  const secrets = getSecretsForRequest(req);
+  let failureReason;
+
+  if (secrets.length === 0) {
+    failureReason = "Webhook secret not configured";
+  } else if (AUTH_MODE === "hmac") {
+    failureReason = verifyHmac(req, secrets);
+  } else {
+    failureReason = verifyToken(req, secrets);
+  }
+
+  if (failureReason) {
+    console.warn(
+      `🚫 Webhook rejected: ${failureReason} | ${req.method} ${req.originalUrl} | IP: ${req.ip} | Lab: ${extractLabId(req.body) || "unknown"}`
+    );
+    return res.status(401).json({ success: false, message: failureReason });
+  }
+
+  return next();
+};
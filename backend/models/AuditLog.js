@@ -0,0 +1,96 @@
+/**
+ * AuditLog Model
+ *
+ * This model is the append-only audit trail: who opened which patient, bill,
+ * test list or report PDF through the dashboard, and when. Retention purges, legal
+ * holds, webhook replays and patient and doctor merges are recorded here too.
+ * Entries are never updated or deleted by the application; the schema rejects
+ * update and delete queries.
+ *
+ * Fields:
+ * - action: What was done (one of AUDIT_ACTIONS, e.g. "reportPdf.view")
+ * - user: { id, name, role } of the logged-in user (empty for scheduled purges and command-line runs)
+ * - billId / testId: The bill (and test) that was accessed
+ * - patientId / patientName: Patient of the bill, for filtering
+ * - method / endpoint / statusCode: The API request and its response status
+ * - ip / userAgent: Client that made the request
+ * - details: Extra information for the action
+ */
+
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "bill.view",
+  "tests.view",
+  "reports.view",
+  "reportStatus.view",
+  "timeline.view",
+  "patient.view",
+  "patientHistory.view",
+  "reportPdf.view",
+  "reportPdf.download",
+  "reportThumbnail.view",
+  "file.download",
+  "report.email",
+  "auditLog.export",
+  "retention.purge",
+  "legalHold.place",
+  "legalHold.release",
+  "webhook.replay",
+  "patient.merge",
+  "patient.unmerge",
+  "doctor.merge",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    user: {
+      id: { type: String, index: true },
+      name: String,
+      role: String,
+    },
+    billId: {
+      type: Number,
+      index: true,
+    },
+    testId: Number,
+    patientId: {
+      type: Number,
+      index: true,
+    },
+    patientName: String,
+    method: String,
+    endpoint: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    details: Object,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Append-only: existing entries cannot be changed or removed
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be changed or deleted"));
+};
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectChange
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,94 @@
+/**
+ * BackgroundJob Model
+ *
+ * This model represents a unit of background work (e.g. patient consolidation)
+ * persisted in MongoDB so it survives crashes and restarts.
+ *
+ * Fields:
+ * - type: Job handler name (e.g. "consolidatePatient")
+ * - payload: Arguments passed to the handler
+ * - serialKey: Jobs sharing a key never run concurrently (e.g. "bill:12345"); enforced by a unique index on running jobs
+ * - status: pending → running → completed, or failed (retrying) / dead (dead-letter)
+ * - attempts / maxAttempts / runAt: Retry bookkeeping with exponential backoff
+ * - lockedAt / lockedBy: Worker lease, used to recover jobs from crashed workers
+ * - result: What the handler returned (e.g. a scan summary), for callers polling the job
+ */
+
+import mongoose from "mongoose";
+
+const backgroundJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    serialKey: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "dead"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for the worker's claim query
+backgroundJobSchema.index({ status: 1, runAt: 1 });
+backgroundJobSchema.index({ serialKey: 1, status: 1 });
+
+// At most one running job per serialKey, even with several workers claiming
+backgroundJobSchema.index(
+  { serialKey: 1 },
+  { unique: true, partialFilterExpression: { status: "running", serialKey: { $type: "string" } } }
+);
+
+// Completed jobs are removed automatically after 7 days
+backgroundJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Create and export the BackgroundJob model
+const BackgroundJob = mongoose.model("BackgroundJob", backgroundJobSchema);
+
+export default BackgroundJob;
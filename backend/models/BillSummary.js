@@ -0,0 +1,73 @@
+/**
+ * BillSummary Model
+ *
+ * This model keeps a compact copy of each consolidated bill: who it belongs
+ * to, its lab and organization, and its tests. It is written by patient
+ * consolidation (services/billSummaryService.js) and never purged, so access
+ * scopes, report file names and patient history keep working after the raw
+ * webhook documents are purged (services/retentionService.js).
+ *
+ * Fields:
+ * - billId: Crelio bill ID (one summary per bill)
+ * - patientId: Patient record the bill was consolidated into (e.g. PAT-12345)
+ * - patientIdNumber / labPatientId: Crelio patient identifiers on the bill
+ * - patientName: Patient name on the bill
+ * - labId / labName / orgId / orgName: Lab and organization of the bill
+ * - billTime / billReferral / billTotalAmount / dueAmount: Bill details
+ * - tests: Tests on the bill, with when their sample was received
+ * - consolidatedAt: When the bill was last consolidated into its patient
+ */
+
+import mongoose from "mongoose";
+
+const billTestSchema = new mongoose.Schema({
+  testId: Number,
+  testName: String,
+  testCode: String,
+  testAmount: Number,
+  sampleReceivedAt: Date,
+}, { _id: false });
+
+const billSummarySchema = new mongoose.Schema(
+  {
+    billId: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    patientId: {
+      type: String,
+      index: true,
+    },
+    patientIdNumber: {
+      type: Number,
+      index: true,
+    },
+    labPatientId: {
+      type: String,
+      index: true,
+    },
+    patientName: String,
+    labId: Number,
+    labName: String,
+    orgId: Number,
+    orgName: String,
+    billTime: Date,
+    billReferral: String,
+    billTotalAmount: Number,
+    dueAmount: Number,
+    tests: [billTestSchema],
+    consolidatedAt: {
+      type: Date,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the BillSummary model
+const BillSummary = mongoose.model("BillSummary", billSummarySchema);
+
+export default BillSummary;
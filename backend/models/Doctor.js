@@ -9,6 +9,9 @@
  * - Professional information (specialty, qualifications, license)
  * - Status (active, on leave, etc.)
  * - Patient assignments
+ * - Crelio links (docIds and the referral names seen for the doctor)
+ * - isPlaceholder: created from a bill with placeholder contact details,
+ *   until an admin completes the profile (services/doctorService.js)
  */
 
 import mongoose from "mongoose";
@@ -96,6 +99,28 @@ const doctorSchema = new mongoose.Schema(
       default: 0,
     },
     
+    // Crelio referral doctor IDs ("docId" on bills) linked to this doctor
+    crelioDocIds: {
+      type: [Number],
+      default: [],
+      index: true,
+    },
+    // Other spellings of the name seen on bills or merged doctors
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    // Normalized name and aliases, for matching bills to the doctor
+    nameKeys: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    isPlaceholder: {
+      type: Boolean,
+      default: false,
+    },
+    
     // Profile Image URL (optional)
     profileImage: {
       type: String,
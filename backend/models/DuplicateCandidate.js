@@ -0,0 +1,74 @@
+/**
+ * DuplicateCandidate Model
+ *
+ * This model is the review queue of patient records that probably belong to the
+ * same person (e.g. registered twice in Crelio under two Patient Ids). Pairs are
+ * found and scored by the duplicate scan (services/duplicatePatientService.js);
+ * an admin then merges or dismisses them. Dismissed pairs are not proposed again.
+ *
+ * Fields:
+ * - pairKey: Both Patient _ids in sorted order (one candidate per pair)
+ * - patients: The two Patient _ids
+ * - score: Likelihood of a duplicate, 0-100
+ * - reasons: Per-field points ({ field, points, detail }) behind the score
+ * - status: pending, dismissed or merged
+ * - reviewedBy / reviewedAt: Admin who dismissed or merged the pair
+ * - lastScannedAt: Last scan that found the pair
+ */
+
+import mongoose from "mongoose";
+
+const reasonSchema = new mongoose.Schema(
+  {
+    field: String,
+    points: Number,
+    detail: String,
+  },
+  { _id: false }
+);
+
+const duplicateCandidateSchema = new mongoose.Schema(
+  {
+    pairKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    patients: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Patient" }],
+      validate: [(patients) => patients.length === 2, "A candidate is a pair of patients"],
+      index: true,
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    reasons: {
+      type: [reasonSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "dismissed", "merged"],
+      default: "pending",
+    },
+    reviewedBy: {
+      id: String,
+      name: String,
+    },
+    reviewedAt: Date,
+    lastScannedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+
+// Create and export the DuplicateCandidate model
+const DuplicateCandidate = mongoose.model("DuplicateCandidate", duplicateCandidateSchema);
+
+export default DuplicateCandidate;
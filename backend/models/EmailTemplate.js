@@ -0,0 +1,73 @@
+/**
+ * EmailTemplate Model
+ *
+ * This model stores editable, versioned email templates. Every edit adds a new
+ * version; the current version is the one used to send email. Templates that
+ * were never edited fall back to the built-in defaults in
+ * services/emailTemplateService.js.
+ *
+ * Fields:
+ * - name: Template name (e.g. "reportSigned")
+ * - event: Event the template is the default for (optional for custom templates)
+ * - description: What the template is for
+ * - currentVersion: Version number used for sending
+ * - versions: Every saved version (subject, html, text, note, author)
+ */
+
+import mongoose from "mongoose";
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    text: String,
+    note: String,
+    createdBy: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      match: [/^[A-Za-z][\w-]*$/, "Template name may only contain letters, digits, - and _"],
+    },
+    event: {
+      type: String,
+      enum: ["billGenerated", "sampleReceived", "reportSigned", "reportPdfReady", null],
+      default: null,
+    },
+    description: String,
+    currentVersion: {
+      type: Number,
+      required: true,
+    },
+    versions: [templateVersionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the EmailTemplate model
+const EmailTemplate = mongoose.model("EmailTemplate", emailTemplateSchema);
+
+export default EmailTemplate;
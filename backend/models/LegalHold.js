@@ -0,0 +1,41 @@
+/**
+ * LegalHold Model
+ *
+ * This model marks bills whose raw webhook data must not be purged by the
+ * retention job (see services/retentionService.js), e.g. during a dispute or
+ * an investigation. Releasing a hold deletes it.
+ *
+ * Fields:
+ * - billId: Crelio bill ID (one hold per bill)
+ * - reason: Why the data is held
+ * - placedBy: { id, name } of the admin who placed the hold
+ */
+
+import mongoose from "mongoose";
+
+const legalHoldSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    placedBy: {
+      id: String,
+      name: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the LegalHold model
+const LegalHold = mongoose.model("LegalHold", legalHoldSchema);
+
+export default LegalHold;
@@ -0,0 +1,64 @@
+/**
+ * NotificationDelivery Model
+ *
+ * This model is the delivery log for notification rules: one entry per rule
+ * per webhook event, recording whether the email was sent or failed.
+ *
+ * Fields:
+ * - rule / ruleName: The rule that matched
+ * - webhookType / sourceId: The stored webhook document that triggered it
+ * - billId / status: Event details for filtering
+ * - recipients / subject / templateName / templateVersion: What was sent
+ * - outcome: "sent" or "failed"; error and attempts for failures
+ */
+
+import mongoose from "mongoose";
+
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NotificationRule",
+      required: true,
+    },
+    ruleName: String,
+    webhookType: {
+      type: String,
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    billId: {
+      type: Number,
+      index: true,
+    },
+    status: String,
+    recipients: [String],
+    subject: String,
+    templateName: String,
+    templateVersion: Number,
+    outcome: {
+      type: String,
+      enum: ["sent", "failed"],
+      required: true,
+      index: true,
+    },
+    messageId: String,
+    error: String,
+    attempts: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One log entry per rule per webhook event (retries update it)
+notificationDeliverySchema.index({ rule: 1, sourceId: 1 }, { unique: true });
+notificationDeliverySchema.index({ createdAt: -1 });
+
+// Create and export the NotificationDelivery model
+const NotificationDelivery = mongoose.model("NotificationDelivery", notificationDeliverySchema);
+
+export default NotificationDelivery;
@@ -0,0 +1,90 @@
+/**
+ * NotificationRule Model
+ *
+ * This model stores configurable email notification rules. When a webhook is
+ * stored, every enabled rule whose criteria all match the event sends an email
+ * to its recipients. Empty criteria match anything.
+ *
+ * Fields:
+ * - name / enabled: Display name and on/off switch
+ * - match: Criteria (webhook types, status values, lab IDs, org IDs,
+ *          test departments, referral doctor names)
+ * - recipients: Email addresses
+ * - subject / body: Inline templates with {{placeholders}} (e.g. {{patient.name}})
+ * - template: Named EmailTemplate used when there is no inline subject/body
+ *             (defaults to the template for the event, e.g. "reportSigned")
+ */
+
+import mongoose from "mongoose";
+
+const ruleMatchSchema = new mongoose.Schema(
+  {
+    webhookTypes: {
+      type: [String],
+      enum: ["billGenerate", "sampleStatus", "reportStatus"],
+      default: [],
+    },
+    statuses: {
+      type: [String],
+      default: [],
+    },
+    labIds: {
+      type: [Number],
+      default: [],
+    },
+    orgIds: {
+      type: [Number],
+      default: [],
+    },
+    departments: {
+      type: [String],
+      default: [],
+    },
+    referralDoctors: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    match: {
+      type: ruleMatchSchema,
+      default: () => ({}),
+    },
+    recipients: {
+      type: [String],
+      validate: {
+        validator: (recipients) => recipients.length > 0,
+        message: "At least one recipient is required",
+      },
+    },
+    subject: String,
+    body: String,
+    template: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the NotificationRule model
+const NotificationRule = mongoose.model("NotificationRule", notificationRuleSchema);
+
+export default NotificationRule;
@@ -10,10 +10,13 @@
  * - Medical information (blood group, allergies, medical history)
  * - Status tracking (current stage in workflow)
  * - Relationships (assigned doctor, lab reports)
+ * - Merged records (identifiers of duplicates merged into this patient)
  * - Timestamps (created, updated, last visit)
  */
 
 import mongoose from "mongoose";
+import fieldEncryption from "./plugins/fieldEncryption.js";
+import { ENCRYPTED_FIELDS } from "../services/fieldEncryptionService.js";
 
 // Define the patient schema
 const patientSchema = new mongoose.Schema(
@@ -165,6 +168,20 @@ const patientSchema = new mongoose.Schema(
         ref: "Report",
       },
     ],
+    // Duplicate records merged into this one (services/duplicatePatientService.js);
+    // their bills and new webhooks belong to this patient
+    mergedFrom: [
+      {
+        _id: false,
+        patientId: String,
+        patientIdNumber: Number,
+        labPatientId: String,
+        billIdNumber: Number,
+        name: String,
+        merge: { type: mongoose.Schema.Types.ObjectId, ref: "PatientMerge" },
+        mergedAt: Date,
+      },
+    ],
     
     // Billing Information
     billId: {
@@ -264,9 +281,6 @@ const patientSchema = new mongoose.Schema(
       type: [mongoose.Schema.Types.Mixed], // Array of objects like [{"Signing Doctor 1": "Dr. Name"}]
       default: [],
     },
-    reportBase64: {
-      type: String, // Base64 encoded PDF report
-    },
     fileAttachments: {
       type: [mongoose.Schema.Types.Mixed], // Array of file attachment objects
       default: [],
@@ -408,6 +422,7 @@ patientSchema.index({ assignedDoctor: 1, status: 1 });
 patientSchema.index({ createdAt: -1 }); // For recent patients query
 patientSchema.index({ billId: 1, testId: 1 }); // For webhook lookups
 patientSchema.index({ labId: 1, orgId: 1 }); // For lab/organization queries
+patientSchema.index({ "mergedFrom.patientId": 1 }); // For webhooks of merged records
 // Note: patientIdNumber is already indexed in schema definition above
 
 /**
@@ -444,6 +459,9 @@ patientSchema.statics.getTodayPatients = function () {
   });
 };
 
+// Patient identifiers are encrypted at rest (see services/fieldEncryptionService.js)
+patientSchema.plugin(fieldEncryption, { fields: ENCRYPTED_FIELDS.Patient });
+
 // Create and export the Patient model
 const Patient = mongoose.model("Patient", patientSchema);
 
@@ -0,0 +1,91 @@
+/**
+ * PatientMerge Model
+ *
+ * This model is the merge history of patient records. A merge removes the
+ * duplicate record and points its identifiers, bills and reports at the record
+ * that is kept; the entry holds what is needed to undo it. The duplicate is
+ * stored as it was in the database, so encrypted fields stay encrypted here.
+ *
+ * Fields:
+ * - survivor / survivorPatientId: The record that was kept
+ * - duplicatePatientId / duplicateName: The record that was merged into it
+ * - candidate: DuplicateCandidate that proposed the merge (if any)
+ * - duplicateSnapshot: The stored duplicate record, restored by an undo
+ * - survivorFields: Stored values of the survivor's fields the merge filled in
+ * - addedReports: Report _ids added to the survivor's labReports
+ * - movedIdentities: patientIds added to the survivor's mergedFrom list
+ * - mergedBy: { id, name } of the admin
+ * - status: merging → merged, undoing → undone (merging / undoing: written first,
+ *   and left behind when the merge or undo was interrupted; see resumePatientMerges)
+ * - undoneBy / undoneAt: Admin who undid the merge
+ */
+
+import mongoose from "mongoose";
+
+const patientMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+      index: true,
+    },
+    survivorPatientId: {
+      type: String,
+      required: true,
+    },
+    duplicatePatientId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    duplicateName: String,
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DuplicateCandidate",
+      default: null,
+    },
+    duplicateSnapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    survivorFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    addedReports: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    movedIdentities: {
+      type: [String],
+      default: [],
+    },
+    mergedBy: {
+      id: String,
+      name: String,
+    },
+    status: {
+      type: String,
+      enum: ["merging", "merged", "undoing", "undone"],
+      default: "merged",
+      index: true,
+    },
+    undoneBy: {
+      id: String,
+      name: String,
+    },
+    undoneAt: Date,
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+patientMergeSchema.index({ createdAt: -1 });
+
+// Create and export the PatientMerge model
+const PatientMerge = mongoose.model("PatientMerge", patientMergeSchema);
+
+export default PatientMerge;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import fieldEncryption from "./plugins/fieldEncryption.js";
+import { ENCRYPTED_FIELDS } from "../services/fieldEncryptionService.js";
+
+// Webhook payloads that failed schema validation (see middleware/validateWebhook.js)
+const quarantinedWebhookSchema = new mongoose.Schema({
+  webhookType: { type: String, required: true, index: true },
+  path: String,
+  request: {
+    type: Object,
+    required: true,
+  },
+  reasons: {
+    type: [{ field: String, message: String, _id: false }],
+    default: [],
+  },
+  // Delivery de-duplication (see services/webhookDedupService.js)
+  fingerprint: { type: String, index: true },
+  deliveryId: String,
+  duplicateCount: { type: Number, default: 0 },
+  lastDuplicateAt: Date,
+  dedupWindow: Number,
+  claimedAt: Date,
+  processedAt: Date,
+}, { timestamps: true });
+
+// One stored delivery per fingerprint and de-duplication window
+quarantinedWebhookSchema.index(
+  { fingerprint: 1, dedupWindow: 1 },
+  { unique: true, partialFilterExpression: { dedupWindow: { $exists: true } } }
+);
+
+// Contact details and identifiers in the payload are encrypted at rest
+quarantinedWebhookSchema.plugin(fieldEncryption, { fields: ENCRYPTED_FIELDS.QuarantinedWebhook });
+
+const QuarantinedWebhook = mongoose.model("QuarantinedWebhook", quarantinedWebhookSchema);
+
+export default QuarantinedWebhook;
@@ -0,0 +1,64 @@
+/**
+ * RefreshSession Model
+ *
+ * This model stores one login session per refresh token chain. Refresh tokens
+ * rotate on every use; the session keeps the hash of the current token only.
+ * Presenting an older token from the chain means it was copied, so the whole
+ * session is revoked.
+ *
+ * Fields:
+ * - user: The user the session belongs to
+ * - tokenHash: SHA-256 of the current refresh token
+ * - expiresAt: Expiry of the current refresh token (TTL index removes old sessions)
+ * - revokedAt / revokedReason: Set on logout, reuse detection or account changes
+ * - userAgent / ip: Client that logged in
+ * - lastUsedAt: Time of the last refresh
+ */
+
+import mongoose from "mongoose";
+
+const refreshSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove sessions once their refresh token has expired
+refreshSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the RefreshSession model
+const RefreshSession = mongoose.model("RefreshSession", refreshSessionSchema);
+
+export default RefreshSession;
@@ -1,5 +1,29 @@
 import mongoose from "mongoose";
 
+// Email delivery of the report PDF to the patient
+const patientDeliverySchema = new mongoose.Schema({
+  status: { type: String, enum: ["pending", "sent", "failed", "skipped"] },
+  email: String,
+  passwordProtected: Boolean,
+  attempts: { type: Number, default: 0 },
+  requestedBy: String,      // "webhook" or who clicked resend
+  lastAttemptAt: Date,
+  sentAt: Date,
+  messageId: String,
+  reason: String,           // why it failed or was skipped
+}, { _id: false });
+
+// Report PDF in the blob store (services/blobStoreService.js)
+const pdfSchema = new mongoose.Schema({
+  storageKey: String,       // "<sha256>.pdf"
+  sha256: String,
+  size: Number,             // bytes
+  contentType: String,
+  backend: String,          // "local" or "gridfs"
+  storedAt: Date,
+  thumbnailKey: String,     // page-one PNG, rendered on first request
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
   labReportId: Number,
   billId: { type: Number, required: true },
@@ -8,10 +32,19 @@ const reportSchema = new mongoose.Schema({
   sampleDate: Date,
 
   signingDoctor: Array,   // comes when REPORT_SIGNED
-  reportBase64: String,          // comes when REPORT_SUBMITTED
+  pdf: pdfSchema,                // comes when REPORT_SUBMITTED
+  signedAt: Date,                // first signed (or PDF) webhook
+  pdfAt: Date,                   // first PDF webhook
+
+  patientDelivery: patientDeliverySchema,
+  // Password of the encrypted ZIP emailed to the patient (encrypted at rest,
+  // read only through services/patientReportDeliveryService.js)
+  deliveryPassword: { type: String, select: false },
 }, { timestamps: true });
 
 reportSchema.index({ billId: 1, testId: 1 }, { unique: true });
+reportSchema.index({ signedAt: 1 });
+reportSchema.index({ pdfAt: 1 });
 
 const Report = mongoose.model('Report', reportSchema);
 export default Report;
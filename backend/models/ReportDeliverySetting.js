@@ -0,0 +1,46 @@
+/**
+ * ReportDeliverySetting Model
+ *
+ * This model stores, per organization, whether signed report PDFs are emailed
+ * to patients. Delivery is opt-in: organizations without an enabled setting
+ * never email patients. A setting with orgId null applies to bills whose
+ * organization has no setting of its own (including bills without an org).
+ *
+ * Fields:
+ * - orgId / orgName: Crelio organization (null for the fallback setting)
+ * - enabled: Email report PDFs to the patient's patient_email
+ * - passwordProtect: Send the PDF inside an AES-256 encrypted ZIP with a random
+ *   password that staff give to the patient outside email
+ */
+
+import mongoose from "mongoose";
+
+const reportDeliverySettingSchema = new mongoose.Schema(
+  {
+    orgId: {
+      type: Number,
+      default: null,
+      unique: true,
+    },
+    orgName: {
+      type: String,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    passwordProtect: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the ReportDeliverySetting model
+const ReportDeliverySetting = mongoose.model("ReportDeliverySetting", reportDeliverySettingSchema);
+
+export default ReportDeliverySetting;
@@ -1,12 +1,35 @@
 import mongoose from "mongoose";
+import fieldEncryption from "./plugins/fieldEncryption.js";
+import { ENCRYPTED_FIELDS } from "../services/fieldEncryptionService.js";
 
 const reportStatusTrackerSchema = new mongoose.Schema({
   request: {
     type: Object,
     required: true,
   },
+  // Canonical shape of the request (see services/webhookNormalizer.js)
+  normalized: {
+    type: Object,
+    default: null,
+  },
+  // Delivery de-duplication (see services/webhookDedupService.js)
+  fingerprint: { type: String, index: true },
+  deliveryId: String,
+  duplicateCount: { type: Number, default: 0 },
+  lastDuplicateAt: Date,
+  dedupWindow: Number,
+  claimedAt: Date,
+  processedAt: Date,
 }, { timestamps: true });
 
+// One stored delivery per fingerprint and de-duplication window
+reportStatusTrackerSchema.index(
+  { fingerprint: 1, dedupWindow: 1 },
+  { unique: true, partialFilterExpression: { dedupWindow: { $exists: true } } }
+);
+
+// Contact details and identifiers in the payload are encrypted at rest
+reportStatusTrackerSchema.plugin(fieldEncryption, { fields: ENCRYPTED_FIELDS.ReportStatusTracker });
 
 const ReportStatusTracker = mongoose.model("ReportStatusTracker", reportStatusTrackerSchema);
 
@@ -0,0 +1,94 @@
+/**
+ * SlaAlert Model
+ *
+ * This model stores turnaround (SLA) breach alerts for bill/test pairs that
+ * have not reached "Report Signed" within their TAT target (see TatTarget).
+ * There is at most one alert per bill/test pair; it escalates while the test
+ * stays overdue and is resolved automatically once the report is signed.
+ *
+ * Fields:
+ * - billId / testId: The overdue bill/test pair
+ * - Test, patient, lab and organization details captured when the alert was raised
+ * - targetMinutes / dueAt: Applied bill → signed target and the resulting deadline
+ * - level: Escalation level (1 = breached, higher = further overdue)
+ * - status: open, acknowledged or resolved
+ * - notifications: Every alert email that was attempted
+ */
+
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    level: Number,
+    recipients: [String],
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    success: Boolean,
+    error: String,
+  },
+  { _id: false }
+);
+
+const slaAlertSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: Number,
+      required: true,
+    },
+    testId: {
+      type: Number,
+      required: true,
+    },
+    testName: String,
+    testCode: String,
+    department: String,
+    imagingType: String,
+    patientName: String,
+    labId: Number,
+    labName: String,
+    orgId: Number,
+    orgName: String,
+    billTime: Date,
+    sampleReceivedAt: Date,
+    targetMinutes: {
+      type: Number,
+      required: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    level: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+      index: true,
+    },
+    escalatedAt: Date,
+    acknowledgedAt: Date,
+    acknowledgedBy: String,
+    acknowledgementNote: String,
+    resolvedAt: Date,
+    resolution: String,
+    notifications: [notificationSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One alert per bill/test pair
+slaAlertSchema.index({ billId: 1, testId: 1 }, { unique: true });
+slaAlertSchema.index({ status: 1, level: -1, dueAt: 1 });
+
+// Create and export the SlaAlert model
+const SlaAlert = mongoose.model("SlaAlert", slaAlertSchema);
+
+export default SlaAlert;
@@ -0,0 +1,62 @@
+/**
+ * TatTarget Model
+ *
+ * This model stores turnaround-time (TAT) targets used to flag slow tests.
+ * A target applies to one scope; the most specific matching target wins:
+ * test → imagingType → department → default.
+ *
+ * Fields:
+ * - scope: "test" (TestName), "imagingType" (ImagingProcedure.ImagingType),
+ *          "department" (DepartmentInfo.DepartmentName) or "default"
+ * - key: Name matched within the scope, case-insensitively (stored lowercase; empty for "default")
+ * - Target minutes per stage (bill→sample, sample→sign, sign→PDF) and overall bill→sign
+ */
+
+import mongoose from "mongoose";
+
+const tatTargetSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["test", "imagingType", "department", "default"],
+      required: true,
+    },
+    key: {
+      type: String,
+      trim: true,
+      lowercase: true, // "CBC" and "cbc" are the same target
+      default: "",
+    },
+    billToSampleMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    sampleToSignMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    signToPdfMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    billToSignMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One target per scope/key
+tatTargetSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Create and export the TatTarget model
+const TatTarget = mongoose.model("TatTarget", tatTargetSchema);
+
+export default TatTarget;
@@ -0,0 +1,82 @@
+/**
+ * User Model
+ *
+ * This model stores dashboard user accounts. Passwords are stored as bcrypt
+ * hashes and are never returned by queries unless explicitly selected.
+ *
+ * Roles:
+ * - admin: Everything, including users, notification rules, templates and settings
+ * - front-desk: Patients, bills and reports; can email reports to patients
+ * - doctor: Patients, reports, turnaround times and alerts
+ * - lab-tech: Patients, reports, turnaround times and alerts
+ *
+ * Fields:
+ * - email: Login name (unique, lowercase)
+ * - name: Display name
+ * - role: One of USER_ROLES
+ * - passwordHash: bcrypt hash (select: false)
+ * - allLabs: The user sees every lab (admins always do)
+ * - labIds / orgIds: Labs and organizations whose data the user may see
+ *   (both empty and no allLabs: nothing; see services/accessScopeService.js)
+ * - active: Inactive users cannot log in or refresh tokens
+ * - lastLoginAt: Time of the last successful login
+ */
+
+import mongoose from "mongoose";
+
+export const USER_ROLES = ["admin", "front-desk", "doctor", "lab-tech"];
+
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Email is not valid"],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      required: [true, "Role is required"],
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    allLabs: {
+      type: Boolean,
+      default: false,
+    },
+    labIds: {
+      type: [Number],
+      default: [],
+    },
+    orgIds: {
+      type: [Number],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create and export the User model
+const User = mongoose.model("User", userSchema);
+
+export default User;
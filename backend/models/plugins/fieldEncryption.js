@@ -0,0 +1,85 @@
+/**
+ * Field Encryption Plugin
+ *
+ * Encrypts configured fields when documents are saved or updated and
+ * decrypts them when documents are read (hydrated or lean), using
+ * services/fieldEncryptionService.js. Equality filters on deterministic
+ * fields are rewritten so they still match.
+ *
+ * Usage:
+ *   schema.plugin(fieldEncryption, { fields: ENCRYPTED_FIELDS.Patient });
+ *
+ * Adds encryptionKeyId: the key new documents were encrypted with (used by
+ * the migration script to find records to re-encrypt after a key rotation).
+ *
+ * Not covered: aggregation pipelines and query cursors return stored
+ * (encrypted) values, and random-mode fields cannot be searched.
+ */
+
+import {
+  decryptFields,
+  encryptFieldFilter,
+  encryptFieldUpdate,
+  encryptFields,
+  getActiveKeyId,
+} from "../../services/fieldEncryptionService.js";
+
+const FILTER_OPERATIONS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+  "replaceOne",
+  "distinct",
+];
+const UPDATE_OPERATIONS = ["findOneAndUpdate", "updateOne", "updateMany"];
+const READ_OPERATIONS = ["find", "findOne", "findOneAndUpdate", "findOneAndDelete", "findOneAndReplace"];
+
+export default function fieldEncryption(schema, { fields }) {
+  schema.add({ encryptionKeyId: String });
+
+  // Hydrated documents: decrypt the raw data before Mongoose sees it
+  schema.pre("init", function (raw) {
+    decryptFields(raw, fields);
+  });
+
+  // Lean results skip init, so decrypt them once the query returns
+  schema.post(READ_OPERATIONS, function (result) {
+    if (!this.mongooseOptions().lean || !result) return;
+    for (const doc of Array.isArray(result) ? result : [result]) {
+      decryptFields(doc, fields);
+    }
+  });
+
+  schema.pre(FILTER_OPERATIONS, function () {
+    this.setQuery(encryptFieldFilter(this.getFilter(), fields));
+  });
+
+  schema.pre(UPDATE_OPERATIONS, function () {
+    const update = this.getUpdate();
+    if (update && !Array.isArray(update)) {
+      this.setUpdate(encryptFieldUpdate(update, fields));
+    }
+  });
+
+  // Runs after validation, so validators see plaintext. Nested objects are
+  // copied first: Mixed fields may share objects with the caller (req.body).
+  schema.pre("save", function () {
+    const paths = Object.keys(fields).filter((path) => this.isNew || this.isModified(path));
+    const encrypted = encryptFields(this._doc, fields, { paths, copy: true });
+    if (this.isNew && encrypted > 0) {
+      this.encryptionKeyId = getActiveKeyId();
+    }
+  });
+
+  // Hand the saved document back to the caller in plaintext
+  schema.post("save", function (doc) {
+    decryptFields(doc._doc, fields, { copy: true });
+  });
+}
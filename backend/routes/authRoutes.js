@@ -0,0 +1,16 @@
+import express from "express";
+import { loginUser, refreshTokens, logoutUser, getCurrentUser, changePassword } from "../controllers/authController.js";
+import { requireAuth } from "../middleware/authenticate.js";
+
+const router = express.Router();
+
+// Token endpoints (no access token needed)
+router.post("/login", loginUser);
+router.post("/refresh", refreshTokens);
+router.post("/logout", logoutUser);
+
+// Current user
+router.get("/me", requireAuth, getCurrentUser);
+router.put("/me/password", requireAuth, changePassword);
+
+export default router;
@@ -1,19 +1,184 @@
 import express from "express";
 import {
+  getDashboardStats,
+  getActivityData,
   getAllPatients,
   getPatientBillById,
   getPatientTests,
   getPatientReports,
   getPatientReportStatus,
+  getPatientTimeline,
 } from "../controllers/dashboardController.js";
+import {
+  getPatients,
+  getPatientFilters,
+  getTodayPatients,
+  getPatientsByStatus,
+  getPatientById,
+  getPatientHistory,
+} from "../controllers/patientController.js";
+import { getJobs, getJob, retryFailedJob, purgeFailedJobs } from "../controllers/jobController.js";
+import { replayStoredWebhooks } from "../controllers/replayController.js";
+import { getAlerts, acknowledgeAlert, scanAlerts } from "../controllers/alertController.js";
+import {
+  getNotificationRules,
+  createNotificationRule,
+  updateNotificationRule,
+  deleteNotificationRule,
+  getNotificationDeliveries,
+} from "../controllers/notificationController.js";
+import {
+  getTemplates,
+  getTemplateByName,
+  updateTemplate,
+  restoreTemplate,
+  previewTemplateByName,
+} from "../controllers/templateController.js";
+import {
+  getReportDeliverySettings,
+  upsertReportDeliverySetting,
+  deleteReportDeliverySetting,
+  resendReportEmail,
+  getReportDeliveryPassword,
+} from "../controllers/reportDeliveryController.js";
+import { downloadFile } from "../controllers/fileController.js";
+import { getReportPdf, getReportThumbnail } from "../controllers/reportPdfController.js";
+import { getUsers, createUser, updateUser } from "../controllers/userController.js";
+import { getAuditLog, exportAuditLog } from "../controllers/auditController.js";
+import {
+  getRetention,
+  purgeExpiredData,
+  createLegalHold,
+  deleteLegalHold,
+} from "../controllers/retentionController.js";
+import { requireAuth, requireRole } from "../middleware/authenticate.js";
+import { auditAccess } from "../middleware/auditAccess.js";
+import {
+  getDuplicateCandidates,
+  scanDuplicatePatients,
+  dismissDuplicateCandidate,
+  mergeDuplicateCandidate,
+  getPatientMerges,
+  undoMerge,
+} from "../controllers/duplicatePatientController.js";
+import {
+  getDoctors,
+  getDoctorFilters,
+  getDoctorDuplicates,
+  getDoctorById,
+  updateDoctor,
+  mergeDoctor,
+} from "../controllers/doctorController.js";
+import { getTatStats, getTatTargets, upsertTatTarget, deleteTatTarget } from "../controllers/tatController.js";
 
 const router = express.Router();
 
+// Every dashboard route serves PHI: a logged-in user is required
+router.use(requireAuth);
+
+// Roles allowed per route group (see models/User.js)
+const adminOnly = requireRole("admin");
+const clinicalStaff = requireRole("admin", "doctor", "lab-tech");
+const reportSenders = requireRole("admin", "front-desk");
+
 // Dashboard statistics
+router.get("/stats", getDashboardStats);
+router.get("/activity", getActivityData);
 router.get("/patients", getAllPatients);
-router.get("/patients/bill", getPatientBillById);
-router.get("/patients/tests", getPatientTests);
-router.get("/patients/reports", getPatientReports);
-router.get("/patients/report-status", getPatientReportStatus);
+
+// Bill details, tests and reports (every access is audited)
+router.get("/patients/bill", auditAccess("bill.view"), getPatientBillById);
+router.get("/patients/tests", auditAccess("tests.view"), getPatientTests);
+router.get("/patients/reports", auditAccess("reports.view"), getPatientReports);
+router.get("/patients/report-status", auditAccess("reportStatus.view"), getPatientReportStatus);
+router.get("/patients/timeline", auditAccess("timeline.view"), getPatientTimeline);
+
+// Patients directory (consolidated Patient records; patient lists are audited)
+router.get("/patients/directory", auditAccess("patients.list"), getPatients);
+router.get("/patients/directory/filters", getPatientFilters);
+router.get("/patients/today", auditAccess("patients.list"), getTodayPatients);
+router.get("/patients/status/:status", auditAccess("patients.list"), getPatientsByStatus);
+
+// Duplicate patient review queue and merges (admin only)
+router.get("/patients/duplicates", adminOnly, getDuplicateCandidates);
+router.post("/patients/duplicates/scan", adminOnly, scanDuplicatePatients);
+router.post("/patients/duplicates/:id/dismiss", adminOnly, dismissDuplicateCandidate);
+router.post("/patients/duplicates/:id/merge", adminOnly, mergeDuplicateCandidate);
+router.get("/patients/merges", adminOnly, getPatientMerges);
+router.post("/patients/merges/:id/undo", adminOnly, undoMerge);
+
+router.get("/patients/:patientId", auditAccess("patient.view"), getPatientById);
+router.get("/patients/:patientId/history", auditAccess("patientHistory.view"), getPatientHistory);
+
+// Doctors directory, profile completion and duplicate merging
+router.get("/doctors", getDoctors);
+router.get("/doctors/filters", getDoctorFilters);
+router.get("/doctors/duplicates", adminOnly, getDoctorDuplicates);
+router.get("/doctors/:id", getDoctorById);
+router.put("/doctors/:id", adminOnly, updateDoctor);
+router.post("/doctors/:id/merge", adminOnly, mergeDoctor);
+
+// Stored files (report PDFs), streamed with Range support
+const pdfAction = (req) => (req.query.download === "1" || req.query.download === "true" ? "reportPdf.download" : "reportPdf.view");
+router.get("/files/:key", auditAccess("file.download"), downloadFile);
+router.get("/reports/:billId/:testId/pdf", auditAccess(pdfAction), getReportPdf);
+router.get("/reports/:billId/:testId/thumbnail", auditAccess("reportThumbnail.view"), getReportThumbnail);
+
+// Emailing report PDFs to patients (opt-in per organization)
+router.get("/report-delivery/settings", adminOnly, getReportDeliverySettings);
+router.put("/report-delivery/settings", adminOnly, upsertReportDeliverySetting);
+router.delete("/report-delivery/settings/:id", adminOnly, deleteReportDeliverySetting);
+router.post("/reports/:billId/:testId/deliver", reportSenders, auditAccess("report.email"), resendReportEmail);
+router.get("/reports/:billId/:testId/delivery-password", reportSenders, auditAccess("reportPassword.view"), getReportDeliveryPassword);
+
+// Turnaround times and TAT targets
+router.get("/tat", getTatStats);
+router.get("/tat/targets", getTatTargets);
+router.put("/tat/targets", adminOnly, upsertTatTarget);
+router.delete("/tat/targets/:id", adminOnly, deleteTatTarget);
+
+// SLA breach alerts
+router.get("/alerts", clinicalStaff, getAlerts);
+router.post("/alerts/scan", adminOnly, scanAlerts);
+router.post("/alerts/:id/acknowledge", clinicalStaff, acknowledgeAlert);
+
+// Notification rules and delivery log
+router.get("/notifications/rules", adminOnly, getNotificationRules);
+router.post("/notifications/rules", adminOnly, createNotificationRule);
+router.put("/notifications/rules/:id", adminOnly, updateNotificationRule);
+router.delete("/notifications/rules/:id", adminOnly, deleteNotificationRule);
+router.get("/notifications/deliveries", adminOnly, getNotificationDeliveries);
+
+// Email templates (versioned)
+router.get("/templates", adminOnly, getTemplates);
+router.get("/templates/:name", adminOnly, getTemplateByName);
+router.put("/templates/:name", adminOnly, updateTemplate);
+router.post("/templates/:name/restore/:version", adminOnly, restoreTemplate);
+router.post("/templates/:name/preview", adminOnly, previewTemplateByName);
+
+// Background jobs (failed / dead-lettered consolidation work)
+router.get("/jobs", adminOnly, getJobs);
+router.get("/jobs/:id", adminOnly, getJob);
+router.post("/jobs/:id/retry", adminOnly, retryFailedJob);
+router.delete("/jobs/failed", adminOnly, purgeFailedJobs);
+
+// Reprocess stored webhook payloads (Reports and patient consolidation)
+router.post("/webhooks/replay", adminOnly, replayStoredWebhooks);
+
+// User accounts
+router.get("/users", adminOnly, getUsers);
+router.post("/users", adminOnly, createUser);
+router.put("/users/:id", adminOnly, updateUser);
+
+// PHI access audit trail
+router.get("/audit", adminOnly, getAuditLog);
+router.get("/audit/export", adminOnly, auditAccess("auditLog.export"), exportAuditLog);
+
+// Raw webhook data retention and legal holds
+router.get("/retention", adminOnly, getRetention);
+router.post("/retention/purge", adminOnly, purgeExpiredData);
+router.put("/retention/holds/:billId", adminOnly, auditAccess("legalHold.place"), createLegalHold);
+router.delete("/retention/holds/:billId", adminOnly, auditAccess("legalHold.release"), deleteLegalHold);
+
 export default router;
 
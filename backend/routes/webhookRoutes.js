@@ -1,12 +1,16 @@
 import express from "express";
 import {patientRegisterHandler,billGenerateHandler, trackSampleStatusHandler, trackReportStatusHandler } from "../controllers/webhookController.js";
+import { verifyWebhook } from "../middleware/verifyWebhook.js";
+import { validateWebhook } from "../middleware/validateWebhook.js";
 
 const router = express.Router();
 
+// Every Crelio delivery must carry a valid token or signature
+router.use("/crelio", verifyWebhook);
+
 router.post("/crelio/webhook", patientRegisterHandler);
-router.post("/crelio/bill-generate", billGenerateHandler);
-router.post("/crelio/sample-status", trackSampleStatusHandler);
-router.post("/crelio/report-status", trackReportStatusHandler);
+router.post("/crelio/bill-generate", validateWebhook("billGenerate"), billGenerateHandler);
+router.post("/crelio/sample-status", validateWebhook("sampleStatus"), trackSampleStatusHandler);
+router.post("/crelio/report-status", validateWebhook("reportStatus"), trackReportStatusHandler);
 
 export default router;
-
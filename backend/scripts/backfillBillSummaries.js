@@ -0,0 +1,70 @@
+/**
+ * Script to write the bill summaries of bills consolidated before they existed
+ *
+ * Retention (services/retentionService.js) only purges the webhooks of bills
+ * that have a BillSummary, so bills consolidated before summaries were kept
+ * are never purged until they get one. This script queues a consolidation job
+ * for every bill webhook without a summary; the job writes the summary (and
+ * brings the patient up to date). Run it before the next retention purge.
+ *
+ * Usage: node scripts/backfillBillSummaries.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import RequestDump from "../models/RequestDump.js";
+import BillSummary from "../models/BillSummary.js";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { enqueueJob } from "../services/jobQueueService.js";
+import { CONSOLIDATE_PATIENT_JOB } from "../services/patientConsolidationService.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function backfillBillSummaries() {
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+    console.log(`🧾 Backfilling bill summaries${dryRun ? " (dry run)" : ""}...`);
+
+    const [normalizedIds, requestIds, summarized] = await Promise.all([
+      RequestDump.distinct("normalized.billId"),
+      RequestDump.distinct("request.billId"),
+      BillSummary.distinct("billId"),
+    ]);
+    const billIds = [...new Set([...normalizedIds, ...requestIds].map(Number).filter(Number.isInteger))];
+    const summarizedIds = new Set(summarized);
+    const missing = billIds.filter((billId) => !summarizedIds.has(billId));
+
+    let queued = 0;
+    if (!dryRun) {
+      for (const billId of missing) {
+        await enqueueJob(
+          CONSOLIDATE_PATIENT_JOB,
+          { billId, billIdNumber: billId, webhookType: "billGenerate" },
+          { serialKey: `bill:${billId}` }
+        );
+        queued++;
+      }
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`🧾 Bills: ${billIds.length}`);
+    console.log(`✅ With a summary: ${billIds.length - missing.length}`);
+    console.log(`📋 Consolidation jobs ${dryRun ? "to queue" : "queued"}: ${dryRun ? missing.length : queued}`);
+    console.log("=".repeat(60));
+    if (!dryRun && queued > 0) {
+      console.log("   The job worker of the running server writes the summaries.");
+    }
+  } catch (error) {
+    console.error("❌ Error backfilling bill summaries:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+backfillBillSummaries();
@@ -15,12 +15,12 @@
 
 import dotenv from "dotenv";
 import Patient from "../models/Patient.js";
-import Doctor from "../models/Doctor.js";
 import RequestDump from "../models/RequestDump.js";
 import ReportStatusTracker from "../models/ReportStatusTracker.js";
 import SampleStatusTracker from "../models/SampleStatusTracker.js";
 import Report from "../models/Report.js";
 import { connectDB, disconnectDB } from "../config/database.js";
+import { findOrCreateDoctor } from "../services/doctorService.js";
 
 /**
  * Extract patient data from Report entry
@@ -41,7 +41,6 @@ function extractFromReport(reportData) {
     // Report Status and Doctor Information
     reportStatus: reportData.status || null,
     signingDoctor: reportData.signingDoctor || null,
-    reportBase64: reportData.reportBase64 || null,
     sampleDate: reportData.sampleDate instanceof Date ? reportData.sampleDate : 
                 (reportData.sampleDate ? new Date(reportData.sampleDate) : null),
     
@@ -89,39 +88,6 @@ function extractDoctorNameFromSigningDoctor(signingDoctor) {
   return null;
 }
 
-/**
- * Find or create Doctor by name
- */
-async function findOrCreateDoctor(doctorName, docId = null) {
-  if (!doctorName || typeof doctorName !== 'string') return null;
-  
-  try {
-    // Try to find existing doctor by name (case-insensitive)
-    let doctor = await Doctor.findOne({
-      name: { $regex: new RegExp(`^${doctorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
-    });
-    
-    if (!doctor) {
-      // Create new doctor if not found
-      const doctorId = docId ? `DOC-${docId}` : `DOC-${Date.now()}`;
-      doctor = await Doctor.create({
-        doctorId: doctorId,
-        name: doctorName,
-        email: `${doctorId.toLowerCase().replace(/-/g, '')}@crelio.local`,
-        phone: '0000000000', // Default phone since it's required
-        specialty: 'General Practitioner',
-        status: 'Active',
-      });
-      console.log(`   👨‍⚕️  Created new doctor: ${doctorName} (${doctorId})`);
-    }
-    
-    return doctor._id;
-  } catch (error) {
-    console.error(`   ⚠️  Error finding/creating doctor ${doctorName}:`, error.message);
-    return null;
-  }
-}
-
 /**
  * Extract patient data from RequestDump entry
  */
@@ -259,7 +225,6 @@ function extractFromReportStatusTracker(requestData) {
     reportStatus: requestData.status || null,
     signingDoctor: requestData.reportDetails?.[0]?.["Signing Doctor"] || null,
     doctorNameFromSigningDoctor: extractDoctorNameFromSigningDoctor(requestData.reportDetails?.[0]?.["Signing Doctor"]), // Extract doctor name
-    reportBase64: requestData.reportDetails?.[0]?.reportBase64 || null,
     fileAttachments: requestData.reportDetails?.[0]?.fileAttachments || null,
     fileInputReport: requestData.reportDetails?.[0]?.fileInputReport || null,
     isProfile: requestData.reportDetails?.[0]?.isProfile || null,
@@ -0,0 +1,94 @@
+/**
+ * Script to create a dashboard user (e.g. the first admin)
+ *
+ * If --password is omitted, a random password is generated and printed once.
+ * --labs / --orgs limit the user to those lab or organization IDs; "--labs all"
+ * lets the user see every lab. Non-admin users need one of them to see any data.
+ *
+ * Usage: node scripts/createUser.js --email admin@example.com --name "Admin" --role admin [--password <password>] [--labs 1,2|all] [--orgs 5]
+ * Roles: admin, front-desk, doctor, lab-tech
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import User, { USER_ROLES } from "../models/User.js";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { hashPassword, validatePassword } from "../services/authService.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Read "--name value" style arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Parse a comma-separated ID list ("1,2") into numbers
+ */
+function parseIds(value) {
+  if (!value) return [];
+  const ids = value.split(",").map((id) => Number(id.trim()));
+  if (!ids.every(Number.isInteger)) {
+    console.error(`❌ Not a list of IDs: ${value}`);
+    process.exit(1);
+  }
+  return ids;
+}
+
+async function createUser() {
+  const { email, name, role, password: givenPassword, labs, orgs } = parseArgs(process.argv.slice(2));
+
+  if (!email || !name || !USER_ROLES.includes(role)) {
+    console.error('Usage: node scripts/createUser.js --email <email> --name "<name>" --role <role> [--password <password>] [--labs <ids>|all] [--orgs <ids>]');
+    console.error(`Roles: ${USER_ROLES.join(", ")}`);
+    process.exit(1);
+  }
+
+  const allLabs = labs === "all";
+  const labIds = allLabs ? [] : parseIds(labs);
+  const orgIds = parseIds(orgs);
+  const password = givenPassword || crypto.randomBytes(12).toString("base64url");
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    console.error(`❌ ${passwordError}`);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await connectDB();
+
+    if (await User.exists({ email: email.toLowerCase() })) {
+      throw new Error(`A user with email ${email} already exists`);
+    }
+
+    const user = await User.create({ email, name, role, allLabs, labIds, orgIds, passwordHash: await hashPassword(password) });
+    console.log(`✅ Created ${user.role} ${user.name} <${user.email}>`);
+    if (labIds.length || orgIds.length) {
+      console.log(`🏥 Limited to labs [${labIds.join(", ")}] and organizations [${orgIds.join(", ")}]`);
+    } else if (role !== "admin" && !allLabs) {
+      console.log("⚠️  No labs or organizations: the user sees no patient data until given access (--labs all for every lab)");
+    }
+    if (!givenPassword) {
+      console.log(`🔑 Password: ${password}`);
+    }
+  } catch (error) {
+    console.error("❌ Error creating user:", error.message);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+createUser();
@@ -0,0 +1,133 @@
+/**
+ * Script to encrypt sensitive fields on existing records
+ *
+ * Records written before field encryption was enabled still hold plaintext,
+ * and records written before a key rotation hold values encrypted with the
+ * old key. This script re-encrypts the configured fields of every record
+ * (see ENCRYPTED_FIELDS in services/fieldEncryptionService.js) with the active
+ * key (FIELD_ENCRYPTION_KEY_ID) and records it on encryptionKeyId.
+ *
+ * Old keys must stay in FIELD_ENCRYPTION_KEYS until this script has finished.
+ *
+ * Also drops the rejected values older QuarantinedWebhook records kept in
+ * reasons[].value (they can be PHI and were stored unencrypted).
+ *
+ * Usage: node scripts/encryptFields.js [--dry-run] [--model Patient]
+ */
+
+import dotenv from "dotenv";
+import Patient from "../models/Patient.js";
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import QuarantinedWebhook from "../models/QuarantinedWebhook.js";
+import { connectDB, disconnectDB } from "../config/database.js";
+import {
+  ENCRYPTED_FIELDS,
+  getActiveKeyId,
+  isEncryptionEnabled,
+  reencryptValue,
+} from "../services/fieldEncryptionService.js";
+
+// Load environment variables
+dotenv.config();
+
+const MODELS = { Patient, RequestDump, SampleStatusTracker, ReportStatusTracker, QuarantinedWebhook };
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes("--dry-run");
+const modelArgIndex = process.argv.indexOf("--model");
+const onlyModel = modelArgIndex !== -1 ? process.argv[modelArgIndex + 1] : null;
+
+/**
+ * Read a dotted path from a raw document
+ */
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), doc);
+}
+
+async function encryptModel(name, Model, keyId) {
+  const fields = ENCRYPTED_FIELDS[name];
+  // Read the raw collection so documents are not decrypted on the way in
+  const cursor = Model.collection.find({
+    $or: [{ encryptionKeyId: { $ne: keyId } }, { "reasons.value": { $exists: true } }],
+  });
+
+  let scanned = 0;
+  let values = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (!dryRun && batch.length > 0) {
+      await Model.collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    const $set = { encryptionKeyId: keyId };
+
+    for (const [path, mode] of Object.entries(fields)) {
+      const stored = getPath(doc, path);
+      const encrypted = reencryptValue(stored, mode);
+      if (encrypted !== stored) {
+        $set[path] = encrypted;
+        values++;
+      }
+    }
+
+    if (Array.isArray(doc.reasons) && doc.reasons.some((reason) => reason && "value" in reason)) {
+      $set.reasons = doc.reasons.map(({ field, message }) => ({ field, message }));
+      values++;
+    }
+
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`   ${name}: ${scanned} records, ${values} values ${dryRun ? "to encrypt" : "encrypted"}`);
+  return { scanned, values };
+}
+
+async function encryptFields() {
+  let exitCode = 0;
+
+  try {
+    if (!isEncryptionEnabled()) {
+      throw new Error("FIELD_ENCRYPTION_KEYS is not set");
+    }
+    if (onlyModel && !MODELS[onlyModel]) {
+      throw new Error(`Unknown model "${onlyModel}" (expected one of ${Object.keys(MODELS).join(", ")})`);
+    }
+
+    await connectDB();
+    const keyId = getActiveKeyId();
+    console.log(`🔐 Encrypting sensitive fields with key "${keyId}"${dryRun ? " (dry run)" : ""}...`);
+
+    let scanned = 0;
+    let values = 0;
+    for (const [name, Model] of Object.entries(MODELS)) {
+      if (onlyModel && name !== onlyModel) continue;
+      const result = await encryptModel(name, Model, keyId);
+      scanned += result.scanned;
+      values += result.values;
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`📄 Records ${dryRun ? "to update" : "updated"}: ${scanned}`);
+    console.log(`🔐 Values ${dryRun ? "to encrypt" : "encrypted"}: ${values}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error encrypting fields:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+encryptFields();
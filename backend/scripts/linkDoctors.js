@@ -0,0 +1,82 @@
+/**
+ * Script to prepare existing doctors for linking by Crelio docId
+ *
+ * Doctors created before bills were linked by docId only have a name and a
+ * doctorId. This script fills in what services/doctorService.js matches on:
+ * - crelioDocIds: from doctorId "DOC-<docId>" (timestamp IDs of doctors
+ *   created without a docId are skipped)
+ * - nameKeys: normalized name and aliases
+ * - isPlaceholder: for profiles still holding the placeholder email or phone
+ *
+ * Usage: node scripts/linkDoctors.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import Doctor from "../models/Doctor.js";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { doctorNameKeys, hasPlaceholderContact } from "../services/doctorService.js";
+
+// Load environment variables
+dotenv.config();
+
+// doctorIds of doctors created without a docId end in Date.now() (13 digits)
+const TIMESTAMP_ID_DIGITS = 13;
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function linkDoctors() {
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+    console.log(`👨‍⚕️ Linking doctors${dryRun ? " (dry run)" : ""}...`);
+
+    const doctors = await Doctor.find({}).select("doctorId name email phone aliases crelioDocIds nameKeys isPlaceholder").lean();
+    let linked = 0;
+    let placeholders = 0;
+    let updated = 0;
+
+    for (const doctor of doctors) {
+      const $set = {};
+
+      const docIdMatch = /^DOC-(\d+)$/.exec(doctor.doctorId);
+      const docId = docIdMatch && docIdMatch[1].length < TIMESTAMP_ID_DIGITS ? Number(docIdMatch[1]) : null;
+      if (docId !== null && !(doctor.crelioDocIds || []).includes(docId)) {
+        $set.crelioDocIds = [...(doctor.crelioDocIds || []), docId];
+        linked++;
+      }
+
+      const nameKeys = doctorNameKeys(doctor.name, doctor.aliases || []);
+      if (nameKeys.join("|") !== (doctor.nameKeys || []).join("|")) {
+        $set.nameKeys = nameKeys;
+      }
+
+      const isPlaceholder = hasPlaceholderContact(doctor);
+      if (isPlaceholder !== Boolean(doctor.isPlaceholder)) {
+        $set.isPlaceholder = isPlaceholder;
+      }
+      if (isPlaceholder) placeholders++;
+
+      if (Object.keys($set).length === 0) continue;
+      updated++;
+      if (!dryRun) {
+        await Doctor.updateOne({ _id: doctor._id }, { $set });
+      }
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`👨‍⚕️ Doctors: ${doctors.length}`);
+    console.log(`🔗 Linked to a Crelio docId: ${linked}`);
+    console.log(`📝 Placeholder profiles: ${placeholders}`);
+    console.log(`📄 Records ${dryRun ? "to update" : "updated"}: ${updated}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error linking doctors:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+linkDoctors();
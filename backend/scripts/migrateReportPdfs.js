@@ -0,0 +1,150 @@
+/**
+ * Script to move report PDFs out of MongoDB documents into the blob store
+ *
+ * Reports stored before the blob store kept the PDF as a base64 string on
+ * Report.reportBase64 (and a copy on Patient.reportBase64). This script writes
+ * each PDF to the configured blob store (BLOB_STORE), records its key, hash and
+ * size on Report.pdf, and removes the base64 copies.
+ *
+ * Stored report webhooks (ReportStatusTracker, QuarantinedWebhook) kept the raw
+ * body including reportBase64 (and reportDetails[].reportBase64). Those PDFs are
+ * moved to the blob store too, and the stored body keeps reportPdf
+ * ({ storageKey, sha256, size }) in their place, as new deliveries do.
+ *
+ * Usage: node scripts/migrateReportPdfs.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import Report from "../models/Report.js";
+import Patient from "../models/Patient.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import QuarantinedWebhook from "../models/QuarantinedWebhook.js";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { putBlob } from "../services/blobStoreService.js";
+import { storeWebhookPdfs } from "../services/reportUpdateService.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const WEBHOOK_MODELS = { ReportStatusTracker, QuarantinedWebhook };
+
+/**
+ * Base64 characters of the PDFs in a stored webhook body
+ */
+function countBase64(request) {
+  const details = Array.isArray(request.reportDetails) ? request.reportDetails : [];
+  return [request, ...details]
+    .map((item) => (item && typeof item.reportBase64 === "string" ? item.reportBase64.length : 0))
+    .reduce((sum, length) => sum + length, 0);
+}
+
+/**
+ * Move the PDFs of stored report webhooks to the blob store
+ */
+async function migrateWebhookPdfs(name, Model) {
+  // Raw collection: only the PDF fields are rewritten, encrypted fields stay as stored
+  const cursor = Model.collection.find(
+    { $or: [{ "request.reportBase64": { $exists: true } }, { "request.reportDetails.reportBase64": { $exists: true } }] },
+    { projection: { "request.reportBase64": 1, "request.reportDetails": 1 } }
+  );
+
+  let documents = 0;
+  let bytes = 0;
+
+  for await (const doc of cursor) {
+    documents++;
+    bytes += Math.floor((countBase64(doc.request) * 3) / 4);
+    if (dryRun) continue;
+
+    const stored = await storeWebhookPdfs(doc.request);
+    const $set = {};
+    if (stored.reportPdf) $set["request.reportPdf"] = stored.reportPdf;
+    if (stored.reportDetails) $set["request.reportDetails"] = stored.reportDetails;
+
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      {
+        ...(Object.keys($set).length > 0 && { $set }),
+        ...(!("reportBase64" in stored) && { $unset: { "request.reportBase64": "" } }),
+      }
+    );
+  }
+
+  console.log(`   ${name}: ${documents} stored webhooks (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+  return documents;
+}
+
+async function migrateReportPdfs() {
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+    console.log(`📦 Moving report PDFs to the blob store${dryRun ? " (dry run)" : ""}...`);
+
+    // reportBase64 is no longer in the schema, so read the raw collection
+    const cursor = Report.collection.find(
+      { reportBase64: { $exists: true } },
+      { projection: { billId: 1, testId: 1, reportBase64: 1 } }
+    );
+
+    let moved = 0;
+    let emptied = 0;
+    let bytes = 0;
+
+    for await (const report of cursor) {
+      if (!report.reportBase64) {
+        emptied++;
+        if (!dryRun) {
+          await Report.collection.updateOne({ _id: report._id }, { $unset: { reportBase64: "" } });
+        }
+        continue;
+      }
+
+      const buffer = Buffer.from(report.reportBase64, "base64");
+      bytes += buffer.length;
+      moved++;
+
+      if (dryRun) {
+        console.log(`   Would move bill ${report.billId} / test ${report.testId} (${buffer.length} bytes)`);
+        continue;
+      }
+
+      const stored = await putBlob(buffer, { extension: "pdf" });
+      await Report.collection.updateOne(
+        { _id: report._id },
+        {
+          $set: { pdf: { ...stored, storedAt: new Date() } },
+          $unset: { reportBase64: "" },
+        }
+      );
+      console.log(`   ✅ Bill ${report.billId} / test ${report.testId} → ${stored.storageKey}`);
+    }
+
+    let webhooks = 0;
+    for (const [name, Model] of Object.entries(WEBHOOK_MODELS)) {
+      webhooks += await migrateWebhookPdfs(name, Model);
+    }
+
+    const patientCopies = await Patient.collection.countDocuments({ reportBase64: { $exists: true } });
+    if (!dryRun && patientCopies > 0) {
+      await Patient.collection.updateMany({ reportBase64: { $exists: true } }, { $unset: { reportBase64: "" } });
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`📄 Reports ${dryRun ? "to move" : "moved"}: ${moved} (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+    console.log(`🧹 Empty reportBase64 fields ${dryRun ? "to remove" : "removed"}: ${emptied}`);
+    console.log(`📨 Stored webhooks ${dryRun ? "to clean" : "cleaned"}: ${webhooks}`);
+    console.log(`👤 Patient PDF copies ${dryRun ? "to remove" : "removed"}: ${patientCopies}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error migrating report PDFs:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+migrateReportPdfs();
@@ -0,0 +1,50 @@
+/**
+ * Script to purge expired raw webhook documents
+ *
+ * Runs the same purge as the scheduled retention job (see
+ * services/retentionService.js) once, using the RETENTION_*_DAYS periods.
+ * Bills on legal hold and bills that have not been consolidated are kept.
+ *
+ * Usage: node scripts/purgeRetention.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { getRetentionPolicies, runRetentionPurge } from "../services/retentionService.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function purgeRetention() {
+  let exitCode = 0;
+
+  try {
+    if (!getRetentionPolicies().some((policy) => policy.retentionDays)) {
+      throw new Error("No retention period configured (RETENTION_REQUEST_DUMP_DAYS, RETENTION_SAMPLE_STATUS_DAYS, RETENTION_REPORT_STATUS_DAYS)");
+    }
+
+    await connectDB();
+    console.log(`🧹 Purging expired raw webhook documents${dryRun ? " (dry run)" : ""}...`);
+
+    const summary = await runRetentionPurge({ dryRun });
+
+    console.log("\n" + "=".repeat(60));
+    for (const collection of summary.collections) {
+      console.log(`📄 ${collection.collection} (older than ${collection.retentionDays} days): ${collection.expired} expired`);
+      console.log(`   🗑️  ${dryRun ? "To purge" : "Purged"}: ${collection.purged}`);
+      console.log(`   ⚖️  On legal hold: ${collection.held}`);
+      console.log(`   ⏳ Not consolidated yet: ${collection.unconsolidated}`);
+    }
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error purging expired documents:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+purgeRetention();
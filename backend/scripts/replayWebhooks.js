@@ -0,0 +1,90 @@
+/**
+ * Script to replay stored webhook payloads
+ *
+ * Re-runs stored bill, sample status and report status webhooks in the order
+ * they were received: report payloads update the canonical Reports and every
+ * replayed bill is queued for consolidation, which the server's job worker runs
+ * (see services/webhookReplayService.js). Dry runs preview the consolidation.
+ * Notifications and report emails are not sent again.
+ *
+ * Usage: node scripts/replayWebhooks.js [--dry-run] [--from 2024-01-01] [--to 2024-01-31]
+ *        [--bill 12345,12346] [--type billGenerate,sampleStatus,reportStatus] [--limit 500]
+ */
+
+import dotenv from "dotenv";
+import { connectDB, disconnectDB } from "../config/database.js";
+import { parseReplayFilters, replayWebhooks } from "../services/webhookReplayService.js";
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Value following a command-line flag
+ */
+function getArg(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Print the changed fields of a report or patient
+ */
+function printChanges(changes) {
+  for (const [field, { from, to }] of Object.entries(changes)) {
+    console.log(`      ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+  }
+}
+
+async function replay() {
+  let exitCode = 0;
+
+  try {
+    const { filters, error } = parseReplayFilters({
+      fromDate: getArg("--from"),
+      toDate: getArg("--to"),
+      billIds: getArg("--bill"),
+      types: getArg("--type"),
+      limit: getArg("--limit"),
+    });
+    if (error) {
+      throw new Error(error);
+    }
+
+    await connectDB();
+    console.log(`🔁 Replaying stored webhooks${dryRun ? " (dry run)" : ""}...`);
+
+    const result = await replayWebhooks(filters, { dryRun });
+
+    for (const report of result.reports) {
+      console.log(`   📄 Report ${report.billId} / ${report.testId}: ${report.action}`);
+      printChanges(report.changes);
+    }
+    for (const patient of result.patients) {
+      console.log(`   👤 Patient ${patient.patientId || "-"} (bill ${patient.billId}): ${patient.action}${patient.reason ? ` (${patient.reason})` : ""}`);
+      printChanges(patient.changes);
+    }
+    for (const failure of result.errors) {
+      console.log(`   ❌ ${failure.type} ${failure.id || ""} (bill ${failure.billId ?? "-"}): ${failure.error}`);
+    }
+
+    const describe = (counts) => Object.entries(counts).map(([action, count]) => `${count} ${action}`).join(", ") || "none";
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`📥 Webhooks replayed: ${Object.entries(result.selected).map(([type, count]) => `${type} ${count}`).join(", ")}`);
+    console.log(`🧾 Bills: ${result.summary.bills}`);
+    console.log(`📄 Reports: ${describe(result.summary.reports)}`);
+    console.log(`👤 Patients: ${describe(result.summary.patients)}`);
+    console.log(`❌ Errors: ${result.summary.errors}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error replaying webhooks:", error);
+    exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit(exitCode);
+  }
+}
+
+replay();
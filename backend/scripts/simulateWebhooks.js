@@ -0,0 +1,455 @@
+/**
+ * Webhook Simulator for local development
+ *
+ * Generates realistic, correlated Crelio webhook sequences and posts them to a
+ * running server, so the webhook endpoints can be exercised without a live
+ * Crelio account. Payloads are built from the fixture templates in
+ * scripts/fixtures/webhooks (billGenerate.json, sampleStatus.json,
+ * reportStatus.json) and the tests, patients, doctors, labs and organizations
+ * in catalog.json.
+ *
+ * Each simulated bill goes through its lifecycle:
+ *   bill generated → per test: sample received → report signed → report PDF
+ * Events carry simulated timestamps (billTime, accessionDate, Report Date) and
+ * are posted in timeline order across all bills. Requests are authenticated
+ * like Crelio's: WEBHOOK_AUTH_MODE (token or hmac) with WEBHOOK_SECRET.
+ *
+ * Usage: node scripts/simulateWebhooks.js [options]
+ *   --url http://localhost:5000   Server to post to (default: localhost on PORT)
+ *   --bills 5                     Number of bills
+ *   --tests 1-3                   Tests per bill (a number or a min-max range)
+ *   --imaging 0.3                 Share of tests that are imaging tests (0-1)
+ *   --only CBC,MRI-KNEE JOINT     Only use these tests (codes or names from catalog.json)
+ *   --stages bill,sample,signed,pdf  Stages to send; add "register" to post /crelio/webhook first
+ *   --incomplete 0.2              Share of tests whose lifecycle stops early (pending tests)
+ *   --duplicates 0.1              Share of deliveries sent twice (exercises de-duplication)
+ *   --rate 5                      Requests per second (0 = as fast as possible)
+ *   --spread 8                    Spread bills over the last N hours
+ *   --start-bill-id 700001        First bill ID (default: derived from the clock)
+ *   --seed 42                     Random seed, for repeatable runs
+ *   --secret my-secret-token      Webhook secret (default: first WEBHOOK_SECRET)
+ *   --print                       Print the payloads instead of posting them
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { computeWebhookSignature } from "../middleware/verifyWebhook.js";
+
+// Load environment variables
+dotenv.config();
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "webhooks");
+const ALL_STAGES = ["register", "bill", "sample", "signed", "pdf"];
+const TEST_STAGES = ["sample", "signed", "pdf"];
+const MINUTE_MS = 60 * 1000;
+
+const ENDPOINTS = {
+  register: "/crelio/webhook",
+  bill: "/crelio/bill-generate",
+  sample: "/crelio/sample-status",
+  signed: "/crelio/report-status",
+  pdf: "/crelio/report-status",
+};
+
+/**
+ * Value following a command-line flag
+ */
+function getArg(flag, fallback) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Read a fixture file
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8"));
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so runs can be repeated
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const options = {
+  url: getArg("--url", `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ""),
+  bills: parseInt(getArg("--bills", "5")),
+  tests: getArg("--tests", "1-3").split("-").map(Number),
+  imaging: parseFloat(getArg("--imaging", "0.3")),
+  only: getArg("--only", "").split(",").map((item) => item.trim().toLowerCase()).filter(Boolean),
+  stages: getArg("--stages", "bill,sample,signed,pdf").split(",").map((item) => item.trim()),
+  incomplete: parseFloat(getArg("--incomplete", "0")),
+  duplicates: parseFloat(getArg("--duplicates", "0")),
+  rate: parseFloat(getArg("--rate", "5")),
+  spreadHours: parseFloat(getArg("--spread", "8")),
+  startBillId: parseInt(getArg("--start-bill-id", String(700000 + (Math.floor(Date.now() / 1000) % 100000) * 10))),
+  seed: parseInt(getArg("--seed", String(Date.now() % 2147483647))),
+  secret: getArg("--secret", null),
+  print: process.argv.includes("--print"),
+};
+
+const random = createRandom(options.seed);
+const pick = (items) => items[Math.floor(random() * items.length)];
+const between = ([min, max]) => min + random() * (max - min);
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Check the options and return the first problem found
+ */
+function validateOptions(catalog) {
+  const [minTests, maxTests = minTests] = options.tests;
+  if (!(options.bills > 0)) return "--bills must be a positive number";
+  if (!(minTests >= 1) || !(maxTests >= minTests)) return "--tests must be a number or a min-max range";
+  for (const flag of ["imaging", "incomplete", "duplicates"]) {
+    if (!(options[flag] >= 0 && options[flag] <= 1)) return `--${flag} must be between 0 and 1`;
+  }
+  if (!(options.rate >= 0)) return "--rate must be 0 or more";
+  const unknownStage = options.stages.find((stage) => !ALL_STAGES.includes(stage));
+  if (unknownStage) return `Unknown stage "${unknownStage}" (expected ${ALL_STAGES.join(", ")})`;
+  if (options.only.length > 0 && catalog.labTests.length + catalog.imagingTests.length === 0) {
+    return `No test in catalog.json matches --only ${options.only.join(",")}`;
+  }
+  return null;
+}
+
+/**
+ * Restrict the catalog to the tests named with --only
+ */
+function filterCatalog(catalog) {
+  if (options.only.length === 0) return catalog;
+  const matches = (test) => options.only.includes(test.testCode.toLowerCase()) || options.only.includes(test.testName.toLowerCase());
+  return { ...catalog, labTests: catalog.labTests.filter(matches), imagingTests: catalog.imagingTests.filter(matches) };
+}
+
+/**
+ * Choose the tests for one bill, honouring the imaging share
+ */
+function pickTests(catalog) {
+  const [minTests, maxTests = minTests] = options.tests;
+  const count = minTests + Math.floor(random() * (maxTests - minTests + 1));
+  const tests = [];
+
+  for (let index = 0; index < count; index++) {
+    const wantImaging = random() < options.imaging;
+    const preferred = wantImaging ? catalog.imagingTests : catalog.labTests;
+    const fallback = wantImaging ? catalog.labTests : catalog.imagingTests;
+    // Fall back to the other kind of test when the preferred kind is used up
+    let available = preferred.filter((test) => !tests.includes(test));
+    if (available.length === 0) available = fallback.filter((test) => !tests.includes(test));
+    if (available.length === 0) break;
+    tests.push(pick(available));
+  }
+  return tests.map((test) => ({ ...test, imaging: catalog.imagingTests.includes(test) }));
+}
+
+/**
+ * A one-page PDF with a few lines of text (stands in for the report PDF)
+ */
+function buildSamplePdf(lines) {
+  const escape = (text) => text.replace(/[^\x20-\x7e]/g, "-").replace(/([\\()])/g, "\\$1");
+  const content = lines.map((line, index) => `BT /F1 12 Tf 50 ${780 - index * 20} Td (${escape(line)}) Tj ET`).join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, "ascii");
+}
+
+/**
+ * Age in whole years on a date
+ */
+function ageOn(dob, date) {
+  const birth = new Date(dob);
+  let age = date.getFullYear() - birth.getFullYear();
+  if (date < new Date(date.getFullYear(), birth.getMonth(), birth.getDate())) age--;
+  return age;
+}
+
+/**
+ * Build every event of one bill's lifecycle, with simulated timestamps
+ */
+function buildBillEvents(index, catalog, templates, now) {
+  const billId = options.startBillId + index;
+  const patient = pick(catalog.patients);
+  const patientId = 500000 + (billId % 100000);
+  const referral = pick(catalog.referralDoctors);
+  const lab = pick(catalog.labs);
+  const org = pick(catalog.organizations);
+  const tests = pickTests(catalog).map((test, testIndex) => ({ ...test, testId: billId * 10 + testIndex }));
+  const billTime = new Date(now - random() * options.spreadHours * 60 * MINUTE_MS);
+  const minutes = catalog.lifecycleMinutes;
+
+  // Per-test timeline; some lifecycles stop early to leave pending tests
+  const timelines = tests.map((test) => {
+    const sampleAt = new Date(billTime.getTime() + between(minutes.billToSample) * MINUTE_MS);
+    const signedAt = new Date(sampleAt.getTime() + between(minutes.sampleToSigned[test.imaging ? "imaging" : "lab"]) * MINUTE_MS);
+    const pdfAt = new Date(signedAt.getTime() + between(minutes.signedToPdf) * MINUTE_MS);
+    const lastStage = random() < options.incomplete ? pick(TEST_STAGES.slice(0, -1)) : "pdf";
+    return { test, sample: sampleAt, signed: signedAt, pdf: pdfAt, lastStage };
+  });
+
+  // Keep the whole lifecycle in the past
+  const lastEventAt = Math.max(billTime.getTime(), ...timelines.map((timeline) => timeline[timeline.lastStage].getTime()));
+  const shift = Math.max(lastEventAt - now, 0);
+  const at = (date) => new Date(date.getTime() - shift);
+
+  const total = tests.reduce((sum, test) => sum + test.amount, 0);
+  const advance = random() < 0.8 ? total : Math.round(total / 2);
+  const common = {
+    labId: lab,
+    ...(org && { orgId: org }),
+  };
+
+  const bill = {
+    ...clone(templates.bill),
+    ...common,
+    billId,
+    "Patient Id": patientId,
+    labPatientId: `LP-${patientId}`,
+    "Patient Designation": patient.designation,
+    "Patient Name": patient.name,
+    "Patient Age": String(ageOn(patient.dob, at(billTime))),
+    "Patient gender": patient.gender,
+    "Patient Dob": patient.dob,
+    "Mobile Number": `98765${String(patientId).slice(-5)}`,
+    patient_email: `${patient.name.toLowerCase().replace(/[^a-z]+/g, ".")}@example.com`,
+    billTime: at(billTime).toISOString(),
+    billTotalAmount: total,
+    billAdvance: advance,
+    dueAmount: total - advance,
+    billPaymentStatus: advance === total ? 1 : 0,
+    billReferral: referral ? `${referral.name};` : "SELF",
+    docId: referral ? referral.docId : null,
+    billInfoDetails: tests.map((test) => ({
+      ...clone(templates.bill.billInfoDetails[0]),
+      testID: test.testId,
+      testname: test.testName,
+      testAmount: test.amount,
+      TestDetails: {
+        ...templates.bill.billInfoDetails[0].TestDetails,
+        category: test.category,
+        TestName: test.testName,
+        TestCode: test.testCode,
+      },
+    })),
+  };
+  if (!org) delete bill.orgId;
+
+  const events = [];
+  const addEvent = (stage, date, body, key) => {
+    if (!options.stages.includes(stage)) return;
+    events.push({ stage, at: at(date), billId, path: ENDPOINTS[stage], body, deliveryId: `sim-${billId}-${key}` });
+  };
+
+  addEvent("register", new Date(billTime.getTime() - MINUTE_MS), {
+    "Patient Id": patientId,
+    "Patient Name": patient.name,
+    "Patient gender": patient.gender,
+    "Patient Dob": patient.dob,
+    "Mobile Number": bill["Mobile Number"],
+    labId: lab,
+  }, "register");
+  addEvent("bill", billTime, bill, "bill");
+
+  timelines.forEach(({ test, sample, signed, pdf, lastStage }, testIndex) => {
+    const reachedStages = TEST_STAGES.slice(0, TEST_STAGES.indexOf(lastStage) + 1);
+    const labReportId = billId * 10 + testIndex + 1;
+    const signingDoctor = [{ "Signing Doctor 1": pick(catalog.signingDoctors[test.imaging ? "imaging" : "lab"]) }];
+
+    addEvent("sample", sample, {
+      ...clone(templates.sample),
+      ...common,
+      billId,
+      testID: test.testId,
+      sampleId: `S-${billId}-${testIndex + 1}`,
+      accessionDate: at(sample).toISOString(),
+      "Patient Name": patient.name,
+    }, `sample-${test.testId}`);
+
+    const report = (status, reportDate) => ({
+      ...clone(templates.report),
+      ...common,
+      billId,
+      testID: test.testId,
+      labReportId,
+      status,
+      testName: test.testName,
+      "Patient Name": patient.name,
+      "Signing Doctor": signingDoctor,
+      reportDetails: [
+        {
+          ...templates.report.reportDetails[0],
+          "Sample Date": at(sample).toISOString(),
+          "Accession Date": at(sample).toISOString(),
+          "Report Date": at(reportDate).toISOString(),
+          "Signing Doctor": signingDoctor,
+        },
+      ],
+    });
+
+    if (reachedStages.includes("signed")) {
+      addEvent("signed", signed, report("Report Signed", signed), `signed-${test.testId}`);
+    }
+    if (reachedStages.includes("pdf")) {
+      const pdfBody = report("Report PDF (Webhook)", signed);
+      pdfBody.reportBase64 = buildSamplePdf([
+        "MedShell Diagnostics - Simulated Report",
+        `Patient: ${patient.name} (${bill["Patient Age"]} / ${patient.gender})`,
+        `Bill ${billId} - ${test.testName}`,
+        `Signed by ${signingDoctor[0]["Signing Doctor 1"]} on ${at(signed).toISOString()}`,
+        "This report was generated by the webhook simulator.",
+      ]).toString("base64");
+      addEvent("pdf", pdf, pdfBody, `pdf-${test.testId}`);
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Secret for a delivery: the lab's own secret if it has one (WEBHOOK_LAB_SECRETS)
+ */
+function getSecret(body) {
+  if (options.secret) return options.secret;
+  try {
+    const labSecrets = JSON.parse(process.env.WEBHOOK_LAB_SECRETS || "{}");
+    const labSecret = labSecrets[String(body.labId?.labId ?? body.labId)];
+    if (labSecret) return (Array.isArray(labSecret) ? labSecret[0] : String(labSecret).split(",")[0]).trim();
+  } catch (error) {
+    // Invalid JSON is reported by the server; fall back to the global secret
+  }
+  return (process.env.WEBHOOK_SECRET || "").split(",")[0].trim();
+}
+
+/**
+ * Authentication headers for a delivery, as Crelio would send them
+ */
+function authHeaders(rawBody, body) {
+  const mode = (process.env.WEBHOOK_AUTH_MODE || "token").toLowerCase();
+  const secret = getSecret(body);
+  if (mode === "disabled" || !secret) return {};
+  if (mode === "hmac") {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    return {
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": `sha256=${computeWebhookSignature(secret, timestamp, rawBody)}`,
+    };
+  }
+  return { "X-Webhook-Token": secret };
+}
+
+/**
+ * Post one delivery and return the response status and body
+ */
+async function postEvent(event) {
+  const rawBody = JSON.stringify(event.body);
+  const response = await fetch(`${options.url}${event.path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Delivery-Id": event.deliveryId,
+      ...authHeaders(rawBody, event.body),
+    },
+    body: rawBody,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function simulateWebhooks() {
+  let exitCode = 0;
+
+  try {
+    const catalog = filterCatalog(loadFixture("catalog.json"));
+    const optionError = validateOptions(catalog);
+    if (optionError) {
+      throw new Error(optionError);
+    }
+
+    const templates = {
+      bill: loadFixture("billGenerate.json"),
+      sample: loadFixture("sampleStatus.json"),
+      report: loadFixture("reportStatus.json"),
+    };
+
+    const now = Date.now();
+    const events = [];
+    for (let index = 0; index < options.bills; index++) {
+      events.push(...buildBillEvents(index, catalog, templates, now));
+    }
+    events.sort((a, b) => a.at - b.at);
+
+    if (options.print) {
+      for (const event of events) {
+        const body = event.body.reportBase64 ? { ...event.body, reportBase64: `<${event.body.reportBase64.length} base64 characters>` } : event.body;
+        console.log(JSON.stringify({ stage: event.stage, at: event.at, path: event.path, deliveryId: event.deliveryId, body }, null, 2));
+      }
+      console.log(`\n📋 ${events.length} webhook(s) for ${options.bills} bill(s) (seed ${options.seed})`);
+      return;
+    }
+
+    console.log(`📡 Posting ${events.length} webhook(s) for ${options.bills} bill(s) to ${options.url} (seed ${options.seed})...`);
+
+    // Outcome counts per stage: { bill: { 200: 3, duplicate: 1 }, ... }
+    const outcomes = {};
+    const count = (stage, outcome) => {
+      outcomes[stage] = outcomes[stage] || {};
+      outcomes[stage][outcome] = (outcomes[stage][outcome] || 0) + 1;
+    };
+    const delay = options.rate > 0 ? 1000 / options.rate : 0;
+
+    for (const event of events) {
+      const sends = random() < options.duplicates ? 2 : 1;
+      for (let send = 0; send < sends; send++) {
+        const { status, data } = await postEvent(event);
+        count(event.stage, data.duplicate ? "duplicate" : String(status));
+        if (status >= 400) {
+          console.warn(`   ⚠️  ${event.stage} for bill ${event.billId} → ${status}: ${data.message || data.error || ""}`);
+        }
+        if (delay) await sleep(delay);
+      }
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`🧾 Bills: ${options.bills} (from ${options.startBillId} to ${options.startBillId + options.bills - 1})`);
+    for (const [stage, counts] of Object.entries(outcomes)) {
+      const summary = Object.entries(counts).map(([outcome, total]) => `${outcome}: ${total}`).join(", ");
+      console.log(`📨 ${stage.padEnd(8)} ${summary}`);
+    }
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("❌ Error simulating webhooks:", error.cause?.code === "ECONNREFUSED" ? `Cannot reach ${options.url}` : error.message);
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+simulateWebhooks();
@@ -9,7 +9,12 @@
  * - Express server setup
  * - CORS configuration
  * - Route handling
+ * - JWT authentication for dashboard routes
  * - Error handling
+ * - Background job worker
+ * - SLA breach monitor
+ * - Raw webhook data retention purge
+ * - Duplicate patient scan
  */
 
 import express from "express";
@@ -18,7 +23,12 @@ import dotenv from "dotenv";
 import { connectDB } from "./config/database.js";
 import webhookRoutes from "./routes/webhookRoutes.js";
 import dashboardRoutes from "./routes/dashboardRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
 import { errorHandler, notFound } from "./middleware/errorHandler.js";
+import { startJobWorker } from "./services/jobQueueService.js";
+import { startSlaMonitor } from "./services/slaAlertService.js";
+import { startRetentionScheduler } from "./services/retentionService.js";
+import { startDuplicateScanScheduler } from "./services/duplicatePatientService.js";
 
 // Load environment variables
 dotenv.config();
@@ -29,6 +39,16 @@ const app = express();
 // Get port from environment or default to 5000
 const PORT = process.env.PORT || 5000;
 
+// Largest accepted webhook body (report webhooks embed the PDF as base64)
+const WEBHOOK_BODY_LIMIT = process.env.WEBHOOK_BODY_LIMIT || "50mb";
+
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (logged in the
+// audit trail) is the client address: a hop count, "true" or a subnet list
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+}
+
 // Get frontend URL for CORS
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
 
@@ -56,12 +76,31 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Webhook-Token"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Webhook-Token",
+      "X-Webhook-Signature",
+      "X-Webhook-Timestamp",
+      "X-Webhook-Delivery-Id",
+    ],
+    // Lets the frontend name downloaded report PDFs
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 
-// Parse JSON bodies (with increased limit for large PDF base64 data)
-app.use(express.json({ limit: "50mb" }));
+// Parse JSON bodies
+// Only webhooks carry base64 PDFs, so only they get the large body limit.
+// The raw body is kept for webhook HMAC signature verification.
+const parseJson = (limit) =>
+  express.json({
+    limit,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  });
+app.use(["/api/webhook", "/crelio"], parseJson(WEBHOOK_BODY_LIMIT));
+app.use(parseJson("1mb"));
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
@@ -83,7 +122,10 @@ app.use("/api/webhook", webhookRoutes);
 // POST /crelio/webhook - for compatibility with original webhook receiver
 app.use("/crelio", webhookRoutes);
 
-// Dashboard routes (for frontend data)
+// Login, token refresh and logout
+app.use("/api/auth", authRoutes);
+
+// Dashboard routes (for frontend data, login required)
 app.use("/api/dashboard", dashboardRoutes);
 
 // 404 handler (must be after all routes)
@@ -97,6 +139,18 @@ const startServer = async () => {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Start the background job worker (patient consolidation, etc.)
+    startJobWorker();
+
+    // Start the SLA breach monitor (overdue tests → alerts)
+    startSlaMonitor();
+
+    // Start the retention purge (expired raw webhook documents)
+    startRetentionScheduler();
+
+    // Start the duplicate patient scan (review queue of likely duplicates)
+    startDuplicateScanScheduler();
     
     // Start Express server
     app.listen(PORT, () => {
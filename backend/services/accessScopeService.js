@@ -0,0 +1,132 @@
+/**
+ * Access Scope Service
+ *
+ * Limits dashboard data to the labs and organizations a user belongs to.
+ * Admins and users with allLabs (see models/User.js) see every lab. Other users
+ * only see bills whose lab OR organization is in their labIds / orgIds; a user
+ * with neither sees nothing. Bills outside the scope are reported as not found,
+ * so their IDs leak nothing.
+ *
+ * The scope is carried in the access token (req.user.allLabs / labIds / orgIds).
+ *
+ * Functions:
+ * - getUserScope: Scope of a logged-in user (null when unrestricted)
+ * - scopeQuery: MongoDB filter for documents in a scope
+ * - withScope: Combine a query with a scope filter
+ * - isBillInScope: Check whether a bill belongs to a scope
+ * - assertBillInScope: Throw BillNotFoundError (404) for bills outside a scope
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import BillSummary from "../models/BillSummary.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import { billIdQuery } from "./testLifecycleService.js";
+
+// Filter that matches no document (a scope without labs or organizations)
+const MATCH_NOTHING = { _id: { $in: [] } };
+
+// Where webhook documents (RequestDump, SampleStatusTracker, ReportStatusTracker)
+// keep the lab and organization. Older documents have no normalized copy and
+// Crelio sends labId/orgId either as a number or as an object.
+export const WEBHOOK_SCOPE_FIELDS = {
+  lab: ["normalized.labId", "request.labId", "request.labId.labId"],
+  org: ["normalized.orgId", "request.orgId", "request.orgId.orgId"],
+};
+
+// Where BillSummary documents keep the lab and organization
+export const BILL_SUMMARY_SCOPE_FIELDS = { lab: ["labId"], org: ["orgId"] };
+
+/**
+ * Thrown when a bill does not exist or is outside the user's scope
+ */
+export class BillNotFoundError extends Error {
+  constructor(billId) {
+    super("Bill not found");
+    this.name = "BillNotFoundError";
+    this.billId = billId;
+    this.statusCode = 404;
+  }
+}
+
+/**
+ * Scope of a logged-in user
+ *
+ * @param {Object} user - req.user
+ * @returns {{ labIds: number[], orgIds: number[] } | null} - null when the user sees every lab
+ */
+export function getUserScope(user) {
+  if (user?.role === "admin" || user?.allLabs === true) return null;
+  return { labIds: user?.labIds || [], orgIds: user?.orgIds || [] };
+}
+
+/**
+ * MongoDB filter matching documents whose lab or organization is in the scope
+ *
+ * @param {Object|null} scope - From getUserScope
+ * @param {Object} fields - { lab: [paths], org: [paths] } (defaults to webhook documents)
+ * @returns {Object} - Filter ({} when unrestricted, matching nothing for an empty scope)
+ */
+export function scopeQuery(scope, fields = WEBHOOK_SCOPE_FIELDS) {
+  if (!scope) return {};
+
+  // Raw payloads may hold the IDs as strings
+  const anyOf = (ids) => ({ $in: [...ids, ...ids.map(String)] });
+  const conditions = [
+    ...(scope.labIds.length ? fields.lab.map((path) => ({ [path]: anyOf(scope.labIds) })) : []),
+    ...(scope.orgIds.length ? fields.org.map((path) => ({ [path]: anyOf(scope.orgIds) })) : []),
+  ];
+  return conditions.length > 0 ? { $or: conditions } : MATCH_NOTHING;
+}
+
+/**
+ * Combine a query with a scope filter
+ *
+ * @param {Object} query - MongoDB filter
+ * @param {Object|null} scope - From getUserScope
+ * @param {Object} fields - See scopeQuery
+ * @returns {Object} - Filter
+ */
+export function withScope(query, scope, fields = WEBHOOK_SCOPE_FIELDS) {
+  if (!scope) return query;
+  return { $and: [query, scopeQuery(scope, fields)] };
+}
+
+/**
+ * Check whether a bill belongs to a scope
+ * The bill webhook decides, then the bill's summary (kept after the webhook is
+ * purged); sample and report webhooks (which also carry the lab and
+ * organization) are only used when neither exists.
+ *
+ * @param {number} billId - Crelio bill ID
+ * @param {Object|null} scope - From getUserScope
+ * @returns {Promise<boolean>}
+ */
+export async function isBillInScope(billId, scope) {
+  if (!scope) return true;
+  if (!Number.isFinite(billId)) return false;
+
+  const byBill = billIdQuery([billId]);
+  if (await RequestDump.exists(withScope(byBill, scope))) return true;
+  if (await RequestDump.exists(byBill)) return false;
+  if (await BillSummary.exists(withScope({ billId }, scope, BILL_SUMMARY_SCOPE_FIELDS))) return true;
+  if (await BillSummary.exists({ billId })) return false;
+
+  const [sample, reportStatus] = await Promise.all([
+    SampleStatusTracker.exists(withScope(byBill, scope)),
+    ReportStatusTracker.exists(withScope(byBill, scope)),
+  ]);
+  return Boolean(sample || reportStatus);
+}
+
+/**
+ * Throw BillNotFoundError unless the bill belongs to the scope
+ *
+ * @param {number} billId - Crelio bill ID
+ * @param {Object|null} scope - From getUserScope
+ */
+export async function assertBillInScope(billId, scope) {
+  if (!(await isBillInScope(billId, scope))) {
+    throw new BillNotFoundError(billId);
+  }
+}
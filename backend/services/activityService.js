@@ -0,0 +1,170 @@
+/**
+ * Activity Time-Series Service
+ *
+ * Buckets bill creations, sample receipts and report signings per day, week
+ * or month over a window, in a given IANA timezone. Empty buckets are filled
+ * with zeros so charts get a continuous series.
+ *
+ * Functions:
+ * - isValidTimezone: Checks an IANA timezone name
+ * - getActivitySeries: Builds the bucketed series
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import { withScope } from "./accessScopeService.js";
+
+export const ACTIVITY_INTERVALS = ["day", "week", "month"];
+
+// Longest window served (buckets are listed day by day)
+export const MAX_ACTIVITY_MONTHS = 60;
+
+// $dateToString formats for each bucket key
+const KEY_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%Y-%m-%d", // Monday of the week
+  month: "%Y-%m",
+};
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format an instant as YYYY-MM-DD in a timezone
+ */
+function toLocalDateString(date, timezone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Format a UTC calendar date (Date at midnight UTC) as YYYY-MM-DD
+ */
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Describe the bucket containing a calendar day
+ *
+ * @param {Date} day - Calendar day at midnight UTC
+ * @param {string} interval - day, week or month
+ * @returns {{ key: string, fromDate: string, toDate: string }}
+ */
+function getBucketForDay(day, interval) {
+  if (interval === "week") {
+    const monday = new Date(day);
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    const sunday = new Date(monday);
+    sunday.setUTCDate(sunday.getUTCDate() + 6);
+    return { key: toDateString(monday), fromDate: toDateString(monday), toDate: toDateString(sunday) };
+  }
+  if (interval === "month") {
+    const first = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    const last = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+    return { key: toDateString(first).substring(0, 7), fromDate: toDateString(first), toDate: toDateString(last) };
+  }
+  const date = toDateString(day);
+  return { key: date, fromDate: date, toDate: date };
+}
+
+/**
+ * List every bucket between two instants, in order
+ */
+function listBuckets(startDate, endDate, interval, timezone) {
+  const [startYear, startMonth, startDay] = toLocalDateString(startDate, timezone).split("-").map(Number);
+  const [endYear, endMonth, endDay] = toLocalDateString(endDate, timezone).split("-").map(Number);
+  const day = new Date(Date.UTC(startYear, startMonth - 1, startDay));
+  const lastDay = new Date(Date.UTC(endYear, endMonth - 1, endDay));
+
+  const buckets = new Map();
+  while (day <= lastDay) {
+    const bucket = getBucketForDay(day, interval);
+    if (!buckets.has(bucket.key)) buckets.set(bucket.key, bucket);
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return buckets;
+}
+
+/**
+ * Count documents per bucket key
+ */
+async function countByBucket(Model, match, interval, timezone, scope) {
+  const bucketDate = interval === "week"
+    ? { $dateTrunc: { date: "$createdAt", unit: "week", timezone, startOfWeek: "monday" } }
+    : "$createdAt";
+
+  const rows = await Model.aggregate([
+    { $match: withScope(match, scope) },
+    {
+      $group: {
+        _id: { $dateToString: { format: KEY_FORMATS[interval], date: bucketDate, timezone } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id, row.count]));
+}
+
+/**
+ * Build the activity series for a window
+ *
+ * @param {Object} options
+ * @param {Date} options.startDate - Window start
+ * @param {Date} options.endDate - Window end
+ * @param {string} options.interval - day, week or month
+ * @param {string} options.timezone - IANA timezone used for bucketing
+ * @param {Object|null} options.scope - Labs/organizations to count (see accessScopeService; null for all)
+ * @returns {Promise<Array>} - [{ bucket, fromDate, toDate, bills, samplesReceived, reportsSigned }]
+ */
+export async function getActivitySeries({ startDate, endDate, interval, timezone, scope = null }) {
+  const createdAt = { $gte: startDate, $lte: endDate };
+
+  const [bills, samples, signings] = await Promise.all([
+    countByBucket(RequestDump, { createdAt }, interval, timezone, scope),
+    countByBucket(
+      SampleStatusTracker,
+      {
+        createdAt,
+        $or: [{ "normalized.status": "Sample Received" }, { "request.Status": "Sample Received" }],
+      },
+      interval,
+      timezone,
+      scope
+    ),
+    countByBucket(
+      ReportStatusTracker,
+      {
+        createdAt,
+        $or: [{ "normalized.status": "Report Signed" }, { "request.status": "Report Signed" }],
+      },
+      interval,
+      timezone,
+      scope
+    ),
+  ]);
+
+  return [...listBuckets(startDate, endDate, interval, timezone).values()].map((bucket) => ({
+    bucket: bucket.key,
+    fromDate: bucket.fromDate,
+    toDate: bucket.toDate,
+    bills: bills.get(bucket.key) || 0,
+    samplesReceived: samples.get(bucket.key) || 0,
+    reportsSigned: signings.get(bucket.key) || 0,
+  }));
+}
@@ -0,0 +1,166 @@
+/**
+ * Audit Log Service
+ *
+ * Writes the PHI access audit trail (models/AuditLog.js) and queries it.
+ * Writes happen after the response has been sent and failures are only
+ * logged, so auditing never slows down or breaks a dashboard request.
+ *
+ * Functions:
+ * - recordAuditEvent: Appends an audit entry in the background
+ * - resolveAuditTarget: Finds the bill, test and patient a request accessed
+ * - buildAuditQuery: MongoDB filter from audit log query parameters
+ * - toAuditCsvRow / AUDIT_CSV_HEADER: CSV export of entries
+ */
+
+import AuditLog from "../models/AuditLog.js";
+import Report from "../models/Report.js";
+import RequestDump from "../models/RequestDump.js";
+import Patient from "../models/Patient.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { billIdQuery } from "./testLifecycleService.js";
+import { resolveDateRange } from "./dashboardStatsService.js";
+
+/**
+ * Append an audit entry without waiting for it
+ *
+ * @param {Object} entry - AuditLog fields
+ */
+export function recordAuditEvent(entry) {
+  AuditLog.create(entry).catch((error) => {
+    console.error(`❌ Failed to write audit entry (${entry.action}, bill ${entry.billId ?? "-"}):`, error.message);
+  });
+}
+
+/**
+ * Find the bill, test and patient a request accessed
+ * Bill routes use ?id= or :billId; stored files are traced back to their report
+ * and patient routes (:patientId) to the patient's latest bill.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { billId, testId, patientId, patientName }
+ */
+export async function resolveAuditTarget(req) {
+  if (req.params.patientId) {
+    const patient = await Patient.findOne({ patientId: req.params.patientId })
+      .select("patientIdNumber name billIdNumber")
+      .lean();
+    return {
+      billId: patient?.billIdNumber ?? null,
+      testId: null,
+      patientId: patient?.patientIdNumber ?? null,
+      patientName: patient?.name ?? null,
+    };
+  }
+
+  let billId = Number(req.params.billId ?? req.query.id);
+  let testId = req.params.testId !== undefined ? Number(req.params.testId) : null;
+
+  if (req.params.key) {
+    const report = await Report.findOne({
+      $or: [{ "pdf.storageKey": req.params.key }, { "pdf.thumbnailKey": req.params.key }],
+    })
+      .select("billId testId")
+      .lean();
+    billId = report?.billId;
+    testId = report?.testId ?? null;
+  }
+
+  if (!Number.isFinite(billId)) {
+    return { billId: null, testId, patientId: null, patientName: null };
+  }
+
+  const dump = await RequestDump.findOne(billIdQuery([billId])).select("request normalized").lean();
+  const bill = dump ? getStoredNormalized("billGenerate", dump) : {};
+
+  return {
+    billId,
+    testId: Number.isFinite(testId) ? testId : null,
+    patientId: bill.patientId ?? null,
+    patientName: bill.patientName ?? null,
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a filter from audit log query parameters
+ *
+ * @param {Object} params - { userId, user, billId, patientId, patient, action, fromDate, toDate }
+ * @returns {Object} - MongoDB filter
+ */
+export function buildAuditQuery(params) {
+  const { userId, user, billId, patientId, patient, action, fromDate, toDate } = params;
+  const query = {};
+
+  if (userId) query["user.id"] = String(userId);
+  if (user) query["user.name"] = { $regex: escapeRegex(user), $options: "i" };
+  if (billId) query.billId = Number(billId);
+  if (patientId) query.patientId = Number(patientId);
+  if (patient) query.patientName = { $regex: escapeRegex(patient), $options: "i" };
+  if (action) query.action = action;
+  if (fromDate && toDate) {
+    const { startDate, endDate } = resolveDateRange(fromDate, toDate);
+    query.createdAt = { $gte: startDate, $lte: endDate };
+  }
+
+  return query;
+}
+
+export const AUDIT_CSV_HEADER = [
+  "time",
+  "action",
+  "userId",
+  "userName",
+  "userRole",
+  "billId",
+  "testId",
+  "patientId",
+  "patientName",
+  "method",
+  "endpoint",
+  "statusCode",
+  "ip",
+  "userAgent",
+].join(",");
+
+/**
+ * Quote a CSV field; formula characters are prefixed so spreadsheets show them as text
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One audit entry as a CSV line
+ *
+ * @param {Object} entry - AuditLog document (lean)
+ * @returns {string}
+ */
+export function toAuditCsvRow(entry) {
+  return [
+    entry.createdAt?.toISOString(),
+    entry.action,
+    entry.user?.id,
+    entry.user?.name,
+    entry.user?.role,
+    entry.billId,
+    entry.testId,
+    entry.patientId,
+    entry.patientName,
+    entry.method,
+    entry.endpoint,
+    entry.statusCode,
+    entry.ip,
+    entry.userAgent,
+  ]
+    .map(csvField)
+    .join(",");
+}
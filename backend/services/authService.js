@@ -0,0 +1,316 @@
+/**
+ * Authentication Service
+ *
+ * Password hashing and JWT access/refresh tokens for dashboard users.
+ *
+ * Tokens:
+ * - Access token (JWT_ACCESS_TTL, default 15m): sent as "Authorization: Bearer"
+ *   on every API request; carries the user ID, name, role and lab/org scope
+ * - Refresh token (JWT_REFRESH_TTL, default 7d): exchanged for a new token
+ *   pair at /api/auth/refresh. Each refresh token belongs to a RefreshSession
+ *   and rotates on use; reusing an old token revokes the session.
+ *
+ * Secrets (JWT_ACCESS_SECRET, JWT_REFRESH_SECRET) are required in production.
+ * In development a random secret is generated per process, so tokens stop
+ * working when the server restarts.
+ *
+ * Functions:
+ * - hashPassword / verifyPassword: bcrypt helpers
+ * - validatePassword: Password policy check (returns an error message or null)
+ * - login: Checks credentials and starts a session
+ * - refreshSession: Rotates a refresh token
+ * - logout: Revokes the session of a refresh token
+ * - revokeUserSessions: Revokes every session of a user
+ * - verifyAccessToken: Verifies an access token and returns its claims
+ * - toPublicUser: User fields safe to send to the client
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import RefreshSession from "../models/RefreshSession.js";
+
+dotenv.config();
+
+const JWT_ACCESS_TTL = process.env.JWT_ACCESS_TTL || "15m";
+const JWT_REFRESH_TTL = process.env.JWT_REFRESH_TTL || "7d";
+const JWT_ISSUER = "crelio-dashboard";
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Compared against when the email is unknown, so both cases take as long
+let dummyPasswordHash = null;
+
+/**
+ * Thrown for failed logins and invalid or expired tokens
+ */
+export class AuthError extends Error {
+  constructor(message, code = "UNAUTHORIZED", statusCode = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const secrets = {};
+
+/**
+ * JWT secret from the environment (random per process outside production)
+ */
+function getSecret(name) {
+  if (!secrets[name]) {
+    if (process.env[name]) {
+      secrets[name] = process.env[name];
+    } else if (process.env.NODE_ENV === "production") {
+      throw new Error(`${name} must be set in production`);
+    } else {
+      console.warn(`⚠️  ${name} is not set; using a random secret (tokens are invalidated on restart)`);
+      secrets[name] = crypto.randomBytes(32).toString("hex");
+    }
+  }
+  return secrets[name];
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Hash a password with bcrypt
+ */
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a password with a bcrypt hash
+ */
+export async function verifyPassword(password, passwordHash) {
+  if (!passwordHash) {
+    dummyPasswordHash = dummyPasswordHash || (await bcrypt.hash(crypto.randomBytes(16).toString("hex"), BCRYPT_ROUNDS));
+    await bcrypt.compare(String(password || ""), dummyPasswordHash);
+    return false;
+  }
+  return bcrypt.compare(String(password || ""), passwordHash);
+}
+
+/**
+ * Password policy
+ *
+ * @param {string} password - Proposed password
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+export function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 72) {
+    // bcrypt ignores everything after 72 bytes
+    return "Password must be at most 72 characters";
+  }
+  return null;
+}
+
+/**
+ * User fields safe to send to the client
+ */
+export function toPublicUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    allLabs: Boolean(user.allLabs),
+    labIds: user.labIds || [],
+    orgIds: user.orgIds || [],
+  };
+}
+
+function signAccessToken(user) {
+  const claims = {
+    name: user.name,
+    role: user.role,
+    allLabs: Boolean(user.allLabs),
+    labIds: user.labIds || [],
+    orgIds: user.orgIds || [],
+  };
+  return jwt.sign(claims, getSecret("JWT_ACCESS_SECRET"), {
+    subject: user._id.toString(),
+    expiresIn: JWT_ACCESS_TTL,
+    issuer: JWT_ISSUER,
+  });
+}
+
+function signRefreshToken(user, sessionId) {
+  return jwt.sign({ sid: sessionId.toString() }, getSecret("JWT_REFRESH_SECRET"), {
+    subject: user._id.toString(),
+    expiresIn: JWT_REFRESH_TTL,
+    issuer: JWT_ISSUER,
+    // Unique per token, so a rotated token never equals the previous one
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/**
+ * Issue a token pair for a session and store the refresh token hash
+ * When rotating, the session is only updated if it still holds the previous
+ * token, so two concurrent refreshes with one token cannot both succeed.
+ */
+async function issueTokens(user, session, previousTokenHash = null) {
+  const refreshToken = signRefreshToken(user, session._id);
+  const { exp } = jwt.decode(refreshToken);
+  const update = { tokenHash: hashToken(refreshToken), expiresAt: new Date(exp * 1000) };
+
+  if (previousTokenHash) {
+    const result = await RefreshSession.updateOne(
+      { _id: session._id, tokenHash: previousTokenHash, revokedAt: null },
+      { $set: { ...update, lastUsedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new AuthError("Session has ended", "INVALID_REFRESH_TOKEN");
+    }
+  } else {
+    session.set(update);
+    await session.save();
+  }
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    user: toPublicUser(user),
+  };
+}
+
+/**
+ * Check credentials and start a session
+ *
+ * @param {string} email - Login email
+ * @param {string} password - Password
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, user }
+ */
+export async function login(email, password, client = {}) {
+  const user = await User.findOne({ email: String(email || "").trim().toLowerCase() }).select("+passwordHash");
+  const passwordMatches = await verifyPassword(password, user?.passwordHash);
+
+  if (!user || !passwordMatches || !user.active) {
+    throw new AuthError("Invalid email or password", "INVALID_CREDENTIALS");
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  const session = new RefreshSession({
+    user: user._id,
+    tokenHash: "pending",
+    expiresAt: new Date(),
+    userAgent: client.userAgent,
+    ip: client.ip,
+  });
+  return issueTokens(user, session);
+}
+
+/**
+ * Verify a refresh token and load its session
+ */
+async function loadRefreshSession(refreshToken) {
+  let claims;
+  try {
+    claims = jwt.verify(String(refreshToken || ""), getSecret("JWT_REFRESH_SECRET"), { issuer: JWT_ISSUER });
+  } catch (error) {
+    throw new AuthError("Invalid or expired refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const session = await RefreshSession.findById(claims.sid);
+  if (!session || session.revokedAt || session.user.toString() !== claims.sub) {
+    throw new AuthError("Session has ended", "INVALID_REFRESH_TOKEN");
+  }
+  return session;
+}
+
+/**
+ * Rotate a refresh token
+ *
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} - { accessToken, refreshToken, user }
+ */
+export async function refreshSession(refreshToken) {
+  const session = await loadRefreshSession(refreshToken);
+  const tokenHash = hashToken(refreshToken);
+
+  if (session.tokenHash !== tokenHash) {
+    // An older token of this session was presented: treat it as stolen
+    session.revokedAt = new Date();
+    session.revokedReason = "Refresh token reuse";
+    await session.save();
+    console.warn(`⚠️  Refresh token reuse detected; session ${session._id} revoked`);
+    throw new AuthError("Session has ended", "INVALID_REFRESH_TOKEN");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.active) {
+    session.revokedAt = new Date();
+    session.revokedReason = "User inactive";
+    await session.save();
+    throw new AuthError("Session has ended", "INVALID_REFRESH_TOKEN");
+  }
+
+  return issueTokens(user, session, tokenHash);
+}
+
+/**
+ * End the session of a refresh token (invalid tokens are ignored)
+ *
+ * @param {string} refreshToken - Refresh token
+ */
+export async function logout(refreshToken) {
+  try {
+    const session = await loadRefreshSession(refreshToken);
+    session.revokedAt = new Date();
+    session.revokedReason = "Logout";
+    await session.save();
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+  }
+}
+
+/**
+ * Revoke every open session of a user (password change, deactivation)
+ *
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ */
+export async function revokeUserSessions(userId, reason) {
+  await RefreshSession.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Verify an access token
+ *
+ * @param {string} token - Access token
+ * @returns {Object} - { id, name, role, allLabs, labIds, orgIds }
+ */
+export function verifyAccessToken(token) {
+  try {
+    const claims = jwt.verify(token, getSecret("JWT_ACCESS_SECRET"), { issuer: JWT_ISSUER });
+    return {
+      id: claims.sub,
+      name: claims.name,
+      role: claims.role,
+      allLabs: claims.allLabs === true,
+      labIds: claims.labIds || [],
+      orgIds: claims.orgIds || [],
+    };
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new AuthError("Access token expired", "TOKEN_EXPIRED");
+    }
+    throw new AuthError("Invalid access token", "INVALID_TOKEN");
+  }
+}
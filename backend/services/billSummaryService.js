@@ -0,0 +1,89 @@
+/**
+ * Bill Summary Service
+ *
+ * Keeps one BillSummary per consolidated bill (models/BillSummary.js), so the
+ * bill's patient, lab, organization and tests outlive the raw webhook documents
+ * purged by services/retentionService.js. The summary doubles as the record
+ * that the bill has been consolidated.
+ *
+ * Functions:
+ * - recordBillSummary: Writes the summary of a bill after it was consolidated
+ * - summaryToBill: A summary in the normalized bill shape (services/webhookNormalizer.js)
+ */
+
+import BillSummary from "../models/BillSummary.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { loadTestLifecycles } from "./testLifecycleService.js";
+
+/**
+ * Write the summary of a bill after it was consolidated into a patient
+ *
+ * @param {Object} requestDump - Bill webhook document (RequestDump)
+ * @param {string} patientId - Patient record the bill belongs to (e.g. PAT-12345)
+ * @returns {Promise<Object|null>} - The BillSummary, or null if the bill has no ID
+ */
+export async function recordBillSummary(requestDump, patientId) {
+  const bill = getStoredNormalized("billGenerate", requestDump);
+  if (bill.billId === null || bill.billId === undefined) return null;
+
+  // Sample receipt times, so they survive the SampleStatusTracker purge
+  const lifecycles = await loadTestLifecycles([requestDump]);
+  const sampleTimes = new Map(lifecycles.map((lifecycle) => [lifecycle.testId, lifecycle.sampleReceivedAt]));
+
+  const tests = (bill.tests || [])
+    .filter((test) => test.testId !== null && test.testId !== undefined)
+    .map((test) => ({ ...test, sampleReceivedAt: sampleTimes.get(test.testId) || null }));
+
+  return BillSummary.findOneAndUpdate(
+    { billId: bill.billId },
+    {
+      $set: {
+        patientId,
+        patientIdNumber: bill.patientId ?? null,
+        labPatientId: bill.labPatientId ?? null,
+        patientName: bill.patientName ?? null,
+        labId: bill.labId ?? null,
+        labName: bill.labName ?? null,
+        orgId: bill.orgId ?? null,
+        orgName: bill.orgName ?? null,
+        billTime: new Date(bill.billTime || requestDump.createdAt),
+        billReferral: bill.billReferral ?? null,
+        billTotalAmount: bill.billTotalAmount ?? null,
+        dueAmount: bill.dueAmount ?? null,
+        tests,
+        consolidatedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * A bill summary in the normalized bill shape, for code that reads bills
+ * whose webhook document was purged
+ *
+ * @param {Object} summary - BillSummary (lean)
+ * @returns {Object} - Normalized bill (without contact details, which are not kept)
+ */
+export function summaryToBill(summary) {
+  return {
+    billId: summary.billId,
+    patientId: summary.patientIdNumber ?? null,
+    labPatientId: summary.labPatientId ?? null,
+    patientName: summary.patientName ?? null,
+    billTime: summary.billTime ? new Date(summary.billTime).toISOString() : null,
+    billTotalAmount: summary.billTotalAmount ?? null,
+    dueAmount: summary.dueAmount ?? null,
+    billReferral: summary.billReferral ?? null,
+    labId: summary.labId ?? null,
+    labName: summary.labName ?? null,
+    orgId: summary.orgId ?? null,
+    orgName: summary.orgName ?? null,
+    tests: (summary.tests || []).map(({ testId, testName, testCode, testAmount }) => ({
+      testId,
+      testName: testName ?? null,
+      testCode: testCode ?? null,
+      testAmount: testAmount ?? null,
+    })),
+  };
+}
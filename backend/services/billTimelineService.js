@@ -0,0 +1,233 @@
+/**
+ * Bill Timeline Service
+ *
+ * Merges every event recorded for a bill into one ordered timeline per test:
+ * - billed: bill generated (RequestDump, at "billTime")
+ * - sampleReceived: "Sample Received" (SampleStatusTracker, at accessionDate)
+ * - reportSigned: "Report Signed" (ReportStatusTracker, when received)
+ * - reportPdf: "Report PDF (Webhook)" (ReportStatusTracker, when received)
+ * Any other sample or report status is kept as a sampleUpdate / reportUpdate
+ * event, which does not complete a stage.
+ *
+ * Timestamps follow the TAT calculations (services/testLifecycleService.js).
+ * When the raw webhook documents have been purged (services/retentionService.js),
+ * the bill time, tests and sample receipt times come from the bill's
+ * BillSummary and the report stages from the canonical Report's signedAt and
+ * pdfAt.
+ *
+ * Functions:
+ * - TIMELINE_STAGES: Ordered stages with display labels
+ * - getBillTimeline: Typed, ordered timeline for every test on a bill
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import Report from "../models/Report.js";
+import BillSummary from "../models/BillSummary.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { summaryToBill } from "./billSummaryService.js";
+import { billIdQuery, SAMPLE_RECEIVED, REPORT_SIGNED, REPORT_PDF } from "./testLifecycleService.js";
+
+export const TIMELINE_STAGES = [
+  { stage: "billed", label: "Bill Generation" },
+  { stage: "sampleReceived", label: "Sample Collection" },
+  { stage: "reportSigned", label: "Report Signed" },
+  { stage: "reportPdf", label: "Report Print" },
+];
+
+// Stage reached by each report status
+const REPORT_STAGES = {
+  [REPORT_SIGNED]: "reportSigned",
+  [REPORT_PDF]: "reportPdf",
+};
+
+// PDFs can be large; never load them when only event metadata is needed
+const WITHOUT_PDF = "-request.reportBase64 -request.reportDetails.reportBase64";
+
+/**
+ * First signing doctor name from a Report's signingDoctor list
+ */
+function firstSigningDoctor(signingDoctor) {
+  const first = Array.isArray(signingDoctor) ? signingDoctor[0] : signingDoctor;
+  if (!first) return null;
+  return (typeof first === "object" ? Object.values(first)[0] : first) || null;
+}
+
+/**
+ * Build a timeline event
+ */
+function toEvent({ stage, status = null, testId = null, actor = null, source, timestamp, receivedAt = null, details = {} }) {
+  return {
+    stage,
+    status,
+    testId,
+    actor,
+    source,
+    timestamp: timestamp ? new Date(timestamp) : null,
+    receivedAt: receivedAt ? new Date(receivedAt) : null,
+    details,
+  };
+}
+
+/**
+ * Sort events by time; undated events go last
+ */
+function byTimestamp(a, b) {
+  if (!a.timestamp || !b.timestamp) return a.timestamp ? -1 : b.timestamp ? 1 : 0;
+  return a.timestamp - b.timestamp;
+}
+
+/**
+ * Build the timeline of one test from its events
+ */
+function buildTestTimeline(test, billEvent, events) {
+  const sorted = [billEvent, ...events].filter(Boolean).sort(byTimestamp);
+
+  const stages = TIMELINE_STAGES.map(({ stage, label }) => {
+    // Earliest event that reached the stage
+    const event = sorted.find((item) => item.stage === stage);
+    return {
+      stage,
+      label,
+      completed: Boolean(event),
+      timestamp: event?.timestamp || null,
+      actor: event?.actor || null,
+      source: event?.source || null,
+    };
+  });
+  const reached = stages.filter((stage) => stage.completed);
+
+  return {
+    ...test,
+    currentStage: reached.length > 0 ? reached[reached.length - 1].stage : null,
+    stages,
+    events: sorted,
+  };
+}
+
+/**
+ * Typed, ordered timeline for every test on a bill
+ *
+ * @param {number} billId - Crelio bill ID
+ * @returns {Promise<Object|null>} - { billId, billTime, patientName, tests: [{ testId, testName, testCode, currentStage, stages, events }] },
+ *   or null when nothing was recorded for the bill
+ */
+export async function getBillTimeline(billId) {
+  const [billDump, summary, samples, reportEvents, reports] = await Promise.all([
+    RequestDump.findOne(billIdQuery([billId])).sort({ createdAt: 1 }).lean(),
+    BillSummary.findOne({ billId }).lean(),
+    SampleStatusTracker.find(billIdQuery([billId])).select("request normalized createdAt").lean(),
+    ReportStatusTracker.find(billIdQuery([billId])).select(WITHOUT_PDF).lean(),
+    Report.find({ billId }).select("-reportBase64").lean(),
+  ]);
+
+  // Purged bill dumps: the BillSummary keeps the bill time and tests
+  const bill = billDump ? getStoredNormalized("billGenerate", billDump) : summary ? summaryToBill(summary) : null;
+
+  if (!bill && samples.length === 0 && reportEvents.length === 0 && reports.length === 0) {
+    return null;
+  }
+
+  const billTime = bill?.billTime || billDump?.createdAt || null;
+  const billEvent = billTime
+    ? toEvent({
+        stage: "billed",
+        source: billDump ? "RequestDump" : "BillSummary",
+        timestamp: billTime,
+        receivedAt: billDump?.createdAt,
+      })
+    : null;
+
+  // Events per test, in the order tests were first seen
+  const eventsByTest = new Map();
+  const tests = new Map();
+  const addTest = (testId, fields = {}) => {
+    if (!tests.has(testId)) {
+      tests.set(testId, { testId, testName: null, testCode: null, ...fields });
+      eventsByTest.set(testId, []);
+    }
+    return eventsByTest.get(testId);
+  };
+
+  for (const test of bill?.tests || []) {
+    if (test.testId === null || test.testId === undefined) continue;
+    addTest(test.testId, { testName: test.testName, testCode: test.testCode });
+  }
+
+  const testsWithSampleEvents = new Set();
+  for (const sample of samples) {
+    const normalized = getStoredNormalized("sampleStatus", sample);
+    for (const testId of normalized.testIds || []) {
+      testsWithSampleEvents.add(testId);
+      addTest(testId).push(toEvent({
+        stage: normalized.status === SAMPLE_RECEIVED ? "sampleReceived" : "sampleUpdate",
+        status: normalized.status,
+        testId,
+        source: "SampleStatusTracker",
+        timestamp: normalized.accessionDate || sample.createdAt,
+        receivedAt: sample.createdAt,
+        details: { sampleId: normalized.sampleId },
+      }));
+    }
+  }
+
+  // Purged sample events: the BillSummary keeps when each sample was received
+  for (const test of summary?.tests || []) {
+    if (!test.sampleReceivedAt || testsWithSampleEvents.has(test.testId)) continue;
+    addTest(test.testId, { testName: test.testName ?? null, testCode: test.testCode ?? null }).push(toEvent({
+      stage: "sampleReceived",
+      status: SAMPLE_RECEIVED,
+      testId: test.testId,
+      source: "BillSummary",
+      timestamp: test.sampleReceivedAt,
+    }));
+  }
+
+  const testsWithReportEvents = new Set();
+  for (const event of reportEvents) {
+    const normalized = getStoredNormalized("reportStatus", event);
+    const stage = REPORT_STAGES[normalized.status] || "reportUpdate";
+    for (const testId of normalized.testIds || []) {
+      testsWithReportEvents.add(testId);
+      addTest(testId).push(toEvent({
+        stage,
+        status: normalized.status,
+        testId,
+        actor: normalized.signingDoctors?.[0] || null,
+        source: "ReportStatusTracker",
+        timestamp: event.createdAt,
+        receivedAt: event.createdAt,
+        details: { labReportId: normalized.labReportId, reportDate: normalized.reportDate },
+      }));
+    }
+  }
+
+  // Purged report events: the canonical Report keeps when each stage was first reached
+  for (const report of reports) {
+    if (testsWithReportEvents.has(report.testId)) continue;
+    const reportEvent = (stage, status, timestamp) =>
+      toEvent({
+        stage,
+        status,
+        testId: report.testId,
+        actor: firstSigningDoctor(report.signingDoctor),
+        source: "Report",
+        timestamp,
+        details: { labReportId: report.labReportId ?? null },
+      });
+
+    const events = addTest(report.testId);
+    if (report.signedAt) events.push(reportEvent("reportSigned", REPORT_SIGNED, report.signedAt));
+    if (report.pdfAt) events.push(reportEvent("reportPdf", REPORT_PDF, report.pdfAt));
+    // Reports without stage times only show their current status (when it was reached is not known)
+    if (!report.signedAt && !report.pdfAt) events.push(reportEvent("reportUpdate", report.status, report.updatedAt));
+  }
+
+  return {
+    billId,
+    billTime: billTime ? new Date(billTime) : null,
+    patientName: bill?.patientName || summary?.patientName || null,
+    tests: [...tests.values()].map((test) => buildTestTimeline(test, billEvent, eventsByTest.get(test.testId))),
+  };
+}
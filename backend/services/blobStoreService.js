@@ -0,0 +1,332 @@
+/**
+ * Blob Store Service
+ *
+ * Stores binary files (report PDFs) outside MongoDB documents. Documents keep
+ * only the storage key, SHA-256 content hash and size; the bytes live in the
+ * configured backend and are streamed on download.
+ *
+ * Backends (BLOB_STORE):
+ * - local: Files under BLOB_STORE_DIR (default: ./storage)
+ * - gridfs: MongoDB GridFS bucket BLOB_GRIDFS_BUCKET (default: reportFiles)
+ *
+ * Blobs are content-addressed: the key is derived from the SHA-256 hash, so the
+ * same PDF delivered twice is stored once and keys never change meaning.
+ *
+ * Functions:
+ * - getBlobStore: The configured backend
+ * - putBlob: Stores a buffer and returns its key, hash and size
+ * - statBlob: Size and content type of a stored blob (null if missing)
+ * - createBlobReadStream: Streams a blob, optionally a byte range
+ * - readBlob: Reads a whole blob into a buffer
+ * - deleteBlob: Removes a blob
+ * - isValidBlobKey: Checks the format of a storage key
+ * - sendBlob: Streams a blob as an HTTP response (Range, ETag, Content-Type)
+ * - parseRange: Parses a single-range HTTP Range header
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const BLOB_STORE = (process.env.BLOB_STORE || "local").toLowerCase();
+const BLOB_STORE_DIR = path.resolve(process.env.BLOB_STORE_DIR || "storage");
+const BLOB_GRIDFS_BUCKET = process.env.BLOB_GRIDFS_BUCKET || "reportFiles";
+
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  zip: "application/zip",
+};
+
+// sha256 hex + extension, e.g. "3f2a...9c.pdf"
+const KEY_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,8}$/;
+
+/**
+ * Thrown for invalid keys and missing blobs
+ */
+export class BlobNotFoundError extends Error {
+  constructor(key) {
+    super(`Blob not found: ${key}`);
+    this.name = "BlobNotFoundError";
+    this.statusCode = 404;
+  }
+}
+
+/**
+ * Check a key before it is used in a file path or GridFS query
+ */
+export function isValidBlobKey(key) {
+  return typeof key === "string" && KEY_PATTERN.test(key);
+}
+
+function contentTypeForKey(key) {
+  return CONTENT_TYPES[key.split(".").pop()] || "application/octet-stream";
+}
+
+/**
+ * Local filesystem backend
+ * Files are spread over two directory levels ("3f/2a/3f2a...9c.pdf").
+ */
+function createLocalBlobStore(rootDir) {
+  const filePath = (key) => path.join(rootDir, key.slice(0, 2), key.slice(2, 4), key);
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // Write to a temporary file first so readers never see a partial file
+      const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(temporary, buffer);
+      await fs.promises.rename(temporary, target);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(filePath(key));
+        return { size: stats.size, contentType: contentTypeForKey(key) };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(filePath(key), { start, end });
+    },
+
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+/**
+ * MongoDB GridFS backend (uses the mongoose connection)
+ */
+function createGridFsBlobStore(bucketName) {
+  let bucket = null;
+  const getBucket = () => {
+    if (!bucket) {
+      if (!mongoose.connection.db) {
+        throw new Error("GridFS blob store used before MongoDB is connected");
+      }
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+  const findFile = async (key) => (await getBucket().find({ filename: key }).limit(1).toArray())[0] || null;
+
+  return {
+    name: "gridfs",
+
+    async put(key, buffer, { contentType }) {
+      await new Promise((resolve, reject) => {
+        getBucket()
+          .openUploadStream(key, { metadata: { contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(buffer);
+      });
+    },
+
+    async stat(key) {
+      const file = await findFile(key);
+      return file ? { size: file.length, contentType: file.metadata?.contentType || contentTypeForKey(key) } : null;
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      // GridFS ranges are end-exclusive
+      const options = start === undefined ? {} : { start, end: end + 1 };
+      return getBucket().openDownloadStreamByName(key, options);
+    },
+
+    async delete(key) {
+      const files = await getBucket().find({ filename: key }).toArray();
+      await Promise.all(files.map((file) => getBucket().delete(file._id)));
+    },
+  };
+}
+
+let store = null;
+
+/**
+ * The configured backend
+ */
+export function getBlobStore() {
+  if (!store) {
+    if (BLOB_STORE === "gridfs") {
+      store = createGridFsBlobStore(BLOB_GRIDFS_BUCKET);
+    } else if (BLOB_STORE === "local") {
+      store = createLocalBlobStore(BLOB_STORE_DIR);
+    } else {
+      throw new Error(`Unknown BLOB_STORE "${BLOB_STORE}" (expected local or gridfs)`);
+    }
+  }
+  return store;
+}
+
+/**
+ * Store a buffer
+ *
+ * @param {Buffer} buffer - File content
+ * @param {Object} options
+ * @param {string} options.extension - File extension used in the key (default "pdf")
+ * @returns {Promise<Object>} - { storageKey, sha256, size, contentType, backend }
+ */
+export async function putBlob(buffer, { extension = "pdf" } = {}) {
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const storageKey = `${sha256}.${extension}`;
+  const contentType = contentTypeForKey(storageKey);
+  const backend = getBlobStore();
+
+  // Content-addressed: an existing blob with this key has the same bytes
+  const existing = await backend.stat(storageKey);
+  if (!existing) {
+    await backend.put(storageKey, buffer, { contentType });
+  }
+
+  return { storageKey, sha256, size: buffer.length, contentType, backend: backend.name };
+}
+
+/**
+ * Size and content type of a stored blob
+ *
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} - { size, contentType }, or null if missing
+ */
+export async function statBlob(key) {
+  if (!isValidBlobKey(key)) return null;
+  return getBlobStore().stat(key);
+}
+
+/**
+ * Stream a blob
+ *
+ * @param {string} key - Storage key
+ * @param {Object} range - Optional inclusive byte range { start, end }
+ * @returns {ReadableStream}
+ */
+export function createBlobReadStream(key, range = {}) {
+  if (!isValidBlobKey(key)) throw new BlobNotFoundError(key);
+  return getBlobStore().createReadStream(key, range);
+}
+
+/**
+ * Read a whole blob into a buffer
+ *
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>}
+ */
+export async function readBlob(key) {
+  if (!(await statBlob(key))) throw new BlobNotFoundError(key);
+
+  const chunks = [];
+  for await (const chunk of createBlobReadStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Remove a blob
+ *
+ * @param {string} key - Storage key
+ */
+export async function deleteBlob(key) {
+  if (!isValidBlobKey(key)) return;
+  await getBlobStore().delete(key);
+}
+
+/**
+ * Parse a single-range HTTP Range header ("bytes=0-1023", "bytes=1024-", "bytes=-500")
+ *
+ * @param {string} header - Range header value
+ * @param {number} size - Blob size in bytes
+ * @returns {Object|null|false} - { start, end } (inclusive), null when there is
+ *   no usable range (serve the whole blob), false when unsatisfiable (416)
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Stream a blob as an HTTP response
+ * Supports single byte ranges (206 / 416) and conditional requests on the
+ * content hash (ETag / If-None-Match → 304).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} headers - Extra response headers (e.g. Content-Disposition)
+ * @returns {Promise<void>}
+ */
+export async function sendBlob(req, res, key, headers = {}) {
+  const stat = await statBlob(key);
+  if (!stat) throw new BlobNotFoundError(key);
+
+  const etag = `"${key.split(".")[0]}"`;
+  res.set({
+    "Content-Type": stat.contentType,
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+    // Patient data: browsers must not keep a copy, and every request is re-authorized
+    "Cache-Control": "private, no-store",
+    ...headers,
+  });
+
+  if (req.headers["if-none-match"] === etag) {
+    res.status(304).end();
+    return;
+  }
+
+  const range = req.headers.range ? parseRange(req.headers.range, stat.size) : null;
+  if (range === false) {
+    res.status(416).set("Content-Range", `bytes */${stat.size}`).end();
+    return;
+  }
+
+  if (range) {
+    res.status(206).set({
+      "Content-Range": `bytes ${range.start}-${range.end}/${stat.size}`,
+      "Content-Length": range.end - range.start + 1,
+    });
+  } else {
+    res.status(200).set("Content-Length", stat.size);
+  }
+
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+
+  const stream = createBlobReadStream(key, range || {});
+  stream.on("error", (error) => {
+    console.error(`❌ Error streaming blob ${key}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
@@ -0,0 +1,389 @@
+/**
+ * Dashboard Statistics Service
+ *
+ * Aggregates RequestDump (bills), SampleStatusTracker (samples) and Report
+ * documents over a date range for the dashboard home page. Counting happens in
+ * aggregation pipelines that only read the fields they need, never the raw
+ * webhook bodies. Reports count by when they were signed (Report.signedAt) and
+ * when their PDF arrived (Report.pdfAt).
+ *
+ * Functions:
+ * - resolveDateRange: Parses fromDate/toDate query values (defaults to today)
+ * - getBillLabOrg: Reads the lab and organization of a stored bill
+ * - getDashboardStatistics: Totals, pending counts per stage, and per-lab / per-org breakdowns
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import Report from "../models/Report.js";
+import { getStoredNormalized, zonedTimeToDate } from "./webhookNormalizer.js";
+import { SAMPLE_RECEIVED, REPORT_SIGNED, REPORT_PDF, billIdQuery } from "./testLifecycleService.js";
+import { withScope } from "./accessScopeService.js";
+
+/**
+ * Thrown for fromDate/toDate values that are not valid dates
+ */
+export class InvalidDateRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidDateRangeError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Parse a query date, throwing InvalidDateRangeError when it is not a date
+ */
+function parseQueryDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidDateRangeError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+/**
+ * First instant of a query date (YYYY-MM-DD) in a timezone, plus the given number of days
+ */
+function startOfZonedDay(value, name, timezone, addDays = 0) {
+  const [year, month, dayOfMonth] = (String(value).match(/^(\d{4})-(\d{2})-(\d{2})/) || []).slice(1).map(Number);
+  const day = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  if (Number.isNaN(day.getTime()) || day.getUTCMonth() !== month - 1 || day.getUTCDate() !== dayOfMonth) {
+    throw new InvalidDateRangeError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  day.setUTCDate(day.getUTCDate() + addDays);
+  return zonedTimeToDate(
+    { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() },
+    timezone
+  );
+}
+
+/**
+ * Resolve a date range from query parameters
+ * Both dates are inclusive whole days; without both, the range is today.
+ * Days start at midnight in the timezone, or in the server's timezone when none is given.
+ *
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @param {string|null} timezone - IANA timezone the dates are in
+ * @returns {{ startDate: Date, endDate: Date }}
+ * @throws {InvalidDateRangeError} - For invalid dates, or fromDate after toDate
+ */
+export function resolveDateRange(fromDate, toDate, timezone = null) {
+  let startDate, endDate;
+  if (timezone) {
+    const today = new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(new Date());
+    const [from, to] = fromDate && toDate ? [fromDate, toDate] : [today, today];
+    startDate = startOfZonedDay(from, "fromDate", timezone);
+    endDate = new Date(startOfZonedDay(to, "toDate", timezone, 1).getTime() - 1); // Include the entire end date
+  } else if (fromDate && toDate) {
+    startDate = parseQueryDate(fromDate, "fromDate");
+    startDate.setHours(0, 0, 0, 0);
+    endDate = parseQueryDate(toDate, "toDate");
+    endDate.setHours(23, 59, 59, 999); // Include the entire end date
+  } else {
+    startDate = new Date(new Date().setHours(0, 0, 0, 0));
+    endDate = new Date(startDate);
+    endDate.setHours(23, 59, 59, 999);
+  }
+  if (startDate > endDate) {
+    throw new InvalidDateRangeError("fromDate must not be after toDate");
+  }
+  return { startDate, endDate };
+}
+
+/**
+ * Get the canonical bill shape for a stored RequestDump
+ */
+function getNormalizedBill(dump) {
+  return getStoredNormalized("billGenerate", dump);
+}
+
+/**
+ * Read the lab and organization of a stored bill
+ *
+ * @param {Object} dump - RequestDump document (lean)
+ * @returns {{ labId: number|null, labName: string|null, orgId: number|null, orgName: string|null }}
+ */
+export function getBillLabOrg(dump) {
+  const bill = getNormalizedBill(dump);
+  return {
+    labId: bill.labId ?? null,
+    labName: bill.labName ?? null,
+    orgId: bill.orgId ?? null,
+    orgName: bill.orgName ?? null,
+  };
+}
+
+// Aggregation expressions for stored webhook fields. Documents stored before
+// normalization have no `normalized` copy, and Crelio sends labId/orgId either
+// as a number or as an object.
+const toNumberExpr = (input) => ({ $convert: { input, to: "double", onError: null, onNull: null } });
+const BILL_ID = toNumberExpr({ $ifNull: ["$normalized.billId", "$request.billId", "$request.bill_id"] });
+const LAB_ORG_FIELDS = {
+  labId: toNumberExpr({ $ifNull: ["$normalized.labId", "$request.labId.labId", "$request.labId"] }),
+  labName: { $ifNull: ["$normalized.labName", "$request.labId.labName", null] },
+  orgId: toNumberExpr({ $ifNull: ["$normalized.orgId", "$request.orgId.orgId", "$request.orgId"] }),
+  orgName: { $ifNull: ["$normalized.orgName", "$request.orgId.orgFullName", "$request.orgId.orgName", null] },
+};
+const BILL_TEST_IDS = {
+  $cond: [
+    { $ifNull: ["$normalized", false] },
+    { $ifNull: ["$normalized.tests.testId", []] },
+    { $ifNull: ["$request.billInfoDetails.testId", "$request.billInfoDetails.testID", []] },
+  ],
+};
+const SAMPLE_TEST_IDS = {
+  $cond: [
+    { $ifNull: ["$normalized", false] },
+    { $ifNull: ["$normalized.testIds", []] },
+    { $ifNull: ["$request.testID", "$request.testId", []] },
+  ],
+};
+const SAMPLE_RECEIVED_QUERY = {
+  $or: [{ "normalized.status": SAMPLE_RECEIVED }, { "request.Status": SAMPLE_RECEIVED }],
+};
+
+/**
+ * Empty counters for one group (overall, one lab or one org)
+ */
+function createCounters() {
+  return {
+    billsCreated: 0,
+    samplesReceived: 0,
+    reportsSigned: 0,
+    pdfsDelivered: 0,
+    totalBilled: 0,
+    totalDue: 0,
+    pending: {
+      awaitingSample: 0,
+      awaitingSignature: 0,
+      awaitingPdf: 0,
+    },
+  };
+}
+
+/**
+ * A report counts as signed once it reached "Report Signed" (or later) or has a signing doctor
+ */
+function isReportSigned(report) {
+  return report.status === REPORT_SIGNED || report.status === REPORT_PDF || (report.signingDoctor?.length || 0) > 0;
+}
+
+/**
+ * Lab and organization of bills, keyed by billId
+ */
+async function findBillLabOrgs(billIds, scope) {
+  const rows = await RequestDump.aggregate([
+    { $match: withScope(billIdQuery(billIds), scope) },
+    { $sort: { createdAt: 1 } },
+    { $project: { billId: BILL_ID, ...LAB_ORG_FIELDS } },
+    {
+      $group: {
+        _id: "$billId",
+        labId: { $first: "$labId" },
+        labName: { $first: "$labName" },
+        orgId: { $first: "$orgId" },
+        orgName: { $first: "$orgName" },
+      },
+    },
+  ]);
+  return new Map(rows.map(({ _id, ...info }) => [_id, info]));
+}
+
+/**
+ * Reports signed and PDFs delivered in a range, per bill
+ * Reports stored before signedAt/pdfAt were recorded fall back to updatedAt.
+ */
+function countReportsByBill(range) {
+  const inRange = (field) => ({ $and: [{ $gte: [field, range.$gte] }, { $lte: [field, range.$lte] }] });
+  const isSigned = {
+    $or: [
+      { $in: ["$status", [REPORT_SIGNED, REPORT_PDF]] },
+      { $gt: [{ $size: { $ifNull: ["$signingDoctor", []] } }, 0] },
+    ],
+  };
+  const signedAt = { $ifNull: ["$signedAt", { $cond: [isSigned, "$updatedAt", null] }] };
+  const pdfAt = { $ifNull: ["$pdfAt", { $cond: [{ $eq: ["$status", REPORT_PDF] }, "$updatedAt", null] }] };
+
+  return Report.aggregate([
+    {
+      $match: {
+        $or: [
+          { signedAt: range },
+          { pdfAt: range },
+          { signedAt: { $exists: false }, updatedAt: range },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: "$billId",
+        signed: { $sum: { $cond: [inRange(signedAt), 1, 0] } },
+        delivered: { $sum: { $cond: [inRange(pdfAt), 1, 0] } },
+      },
+    },
+  ]);
+}
+
+/**
+ * Compute dashboard statistics for a date range
+ *
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {Object|null} scope - Labs/organizations to count (see accessScopeService; null for all)
+ * @returns {Promise<Object>} - { range, totals, byLab, byOrg }
+ */
+export async function getDashboardStatistics(startDate, endDate, scope = null) {
+  const range = { $gte: startDate, $lte: endDate };
+  const billsMatch = withScope({ createdAt: range }, scope);
+
+  const [billGroups, billTests, sampleCounts, reportCounts] = await Promise.all([
+    // Bills and amounts per lab/org
+    RequestDump.aggregate([
+      { $match: billsMatch },
+      {
+        $project: {
+          ...LAB_ORG_FIELDS,
+          billTotalAmount: toNumberExpr({ $ifNull: ["$normalized.billTotalAmount", "$request.billTotalAmount"] }),
+          dueAmount: toNumberExpr({ $ifNull: ["$normalized.dueAmount", "$request.dueAmount"] }),
+        },
+      },
+      {
+        $group: {
+          _id: { labId: "$labId", orgId: "$orgId" },
+          labName: { $first: "$labName" },
+          orgName: { $first: "$orgName" },
+          billsCreated: { $sum: 1 },
+          totalBilled: { $sum: "$billTotalAmount" },
+          totalDue: { $sum: "$dueAmount" },
+        },
+      },
+    ]),
+    // Tests of the bills in the range, for the pending counts
+    RequestDump.aggregate([
+      { $match: billsMatch },
+      { $project: { _id: 0, billId: BILL_ID, labId: LAB_ORG_FIELDS.labId, orgId: LAB_ORG_FIELDS.orgId, testIds: BILL_TEST_IDS } },
+      { $match: { billId: { $ne: null } } },
+    ]),
+    // Samples received in the range, per bill
+    SampleStatusTracker.aggregate([
+      { $match: withScope({ createdAt: range, ...SAMPLE_RECEIVED_QUERY }, scope) },
+      { $group: { _id: BILL_ID, count: { $sum: 1 } } },
+    ]),
+    countReportsByBill(range),
+  ]);
+
+  // Lab/org of every bill counted, including bills created before the range
+  const billInfo = new Map(billTests.map((bill) => [bill.billId, bill]));
+  const missingBillIds = [...new Set([...sampleCounts, ...reportCounts].map((row) => row._id))]
+    .filter((billId) => billId !== null && billId !== undefined && !billInfo.has(billId));
+  if (missingBillIds.length > 0) {
+    for (const [billId, info] of await findBillLabOrgs(missingBillIds, scope)) {
+      billInfo.set(billId, info);
+    }
+  }
+
+  const totals = createCounters();
+  const byLab = new Map();
+  const byOrg = new Map();
+  const labNames = new Map();
+  const orgNames = new Map();
+
+  // Apply a counter update to the overall totals and a lab and org group
+  const countFor = (info, update) => {
+    const labKey = info.labId ?? "unknown";
+    const orgKey = info.orgId ?? "unknown";
+    if (!byLab.has(labKey)) byLab.set(labKey, { labId: info.labId ?? null, labName: null, ...createCounters() });
+    if (!byOrg.has(orgKey)) byOrg.set(orgKey, { orgId: info.orgId ?? null, orgName: null, ...createCounters() });
+    update(totals);
+    update(byLab.get(labKey));
+    update(byOrg.get(orgKey));
+  };
+
+  // Counters of a bill's lab and org
+  const count = (billId, update) => {
+    // Samples and reports of bills outside the scope are not counted
+    if (scope && !billInfo.has(billId)) return;
+    countFor(billInfo.get(billId) || {}, update);
+  };
+
+  // Bills and amounts
+  for (const group of billGroups) {
+    const info = { labId: group._id.labId, orgId: group._id.orgId };
+    if (group.labName && info.labId !== null) labNames.set(info.labId, group.labName);
+    if (group.orgName && info.orgId !== null) orgNames.set(info.orgId, group.orgName);
+    countFor(info, (counters) => {
+      counters.billsCreated += group.billsCreated;
+      counters.totalBilled += group.totalBilled;
+      counters.totalDue += group.totalDue;
+    });
+  }
+
+  // Samples received
+  for (const { _id: billId, count: samplesReceived } of sampleCounts) {
+    count(billId, (counters) => {
+      counters.samplesReceived += samplesReceived;
+    });
+  }
+
+  // Reports signed and PDFs delivered
+  for (const { _id: billId, signed, delivered } of reportCounts) {
+    count(billId, (counters) => {
+      counters.reportsSigned += signed;
+      counters.pdfsDelivered += delivered;
+    });
+  }
+
+  // Pending counts per stage for tests on bills created in the range
+  if (billTests.length > 0) {
+    const billIds = billTests.map((bill) => bill.billId);
+    const [billSamples, billReports] = await Promise.all([
+      SampleStatusTracker.aggregate([
+        { $match: { $and: [billIdQuery(billIds), SAMPLE_RECEIVED_QUERY] } },
+        { $project: { _id: 0, billId: BILL_ID, testIds: SAMPLE_TEST_IDS } },
+      ]),
+      Report.find({ billId: { $in: billIds } }).select("billId testId status signingDoctor").lean(),
+    ]);
+
+    const receivedTests = new Set();
+    for (const sample of billSamples) {
+      for (const testId of [].concat(sample.testIds)) {
+        receivedTests.add(`${sample.billId}:${testId}`);
+      }
+    }
+
+    const reportsByTest = new Map(billReports.map((report) => [`${report.billId}:${report.testId}`, report]));
+
+    for (const bill of billTests) {
+      for (const testId of [].concat(bill.testIds)) {
+        if (testId === null || testId === undefined) continue;
+        const key = `${bill.billId}:${testId}`;
+        const report = reportsByTest.get(key);
+        const isSigned = report && isReportSigned(report);
+
+        countFor(bill, (counters) => {
+          if (report?.status === REPORT_PDF) return;
+          if (isSigned) counters.pending.awaitingPdf += 1;
+          else if (receivedTests.has(key) || report) counters.pending.awaitingSignature += 1;
+          else counters.pending.awaitingSample += 1;
+        });
+      }
+    }
+  }
+
+  // Names from bills outside the range fill in labs/orgs without a bill in it
+  for (const info of billInfo.values()) {
+    if (info.labName && info.labId !== null && !labNames.has(info.labId)) labNames.set(info.labId, info.labName);
+    if (info.orgName && info.orgId !== null && !orgNames.has(info.orgId)) orgNames.set(info.orgId, info.orgName);
+  }
+  for (const group of byLab.values()) group.labName = labNames.get(group.labId) ?? null;
+  for (const group of byOrg.values()) group.orgName = orgNames.get(group.orgId) ?? null;
+
+  return {
+    range: { fromDate: startDate.toISOString(), toDate: endDate.toISOString() },
+    totals,
+    byLab: [...byLab.values()].sort((a, b) => b.billsCreated - a.billsCreated),
+    byOrg: [...byOrg.values()].sort((a, b) => b.billsCreated - a.billsCreated),
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * Doctor Service
+ *
+ * Links Crelio referral doctors to Doctor records and keeps those records tidy.
+ *
+ * Bills carry the referral doctor as a "docId" and a free-text name in
+ * billReferral. A doctor is found by docId first; only bills without a linked
+ * docId fall back to the name, compared in normalized form (no titles,
+ * qualifications or punctuation, so "Dr. A. Shah" and "A Shah" match). Doctors
+ * created from bills get placeholder contact details and isPlaceholder until
+ * an admin completes the profile.
+ *
+ * Spellings that normalize differently ("Dr. Amit Shah" and "A. Shah") are
+ * proposed as likely duplicates, which an admin can merge.
+ *
+ * Functions:
+ * - normalizeDoctorName: Normalized form of a doctor's name
+ * - doctorNameSimilarity: How likely two names are the same doctor
+ * - doctorNameKeys / hasPlaceholderContact: Stored name keys and placeholder check
+ * - findOrCreateDoctor: Doctor for a bill's referral (by docId, then by name)
+ * - buildDoctorQuery: MongoDB filter from doctor directory query parameters
+ * - updateDoctorProfile: Applies profile edits and clears the placeholder flag
+ * - findDuplicateDoctors: Pairs of doctors with similar names
+ * - mergeDoctors: Merges a duplicate doctor into another one
+ */
+
+import mongoose from "mongoose";
+import Doctor from "../models/Doctor.js";
+import Patient from "../models/Patient.js";
+import AuditLog from "../models/AuditLog.js";
+
+// Contact details of doctors created from bills
+export const PLACEHOLDER_EMAIL_DOMAIN = "crelio.local";
+export const PLACEHOLDER_PHONE = "0000000000";
+
+// Names at least this similar are proposed as duplicates
+const DUPLICATE_SIMILARITY = 0.85;
+
+// Fields an admin can edit on a profile
+const PROFILE_FIELDS = ["name", "email", "phone", "specialty", "qualifications", "licenseNumber", "experience", "status"];
+// Fields a merge copies from the duplicate when the kept doctor has none
+const FILL_FIELDS = ["licenseNumber", "experience", "profileImage"];
+
+const TITLES = new Set(["dr", "doctor", "prof", "professor", "mr", "mrs", "ms"]);
+const QUALIFICATIONS = new Set([
+  "mbbs",
+  "md",
+  "ms",
+  "dm",
+  "dnb",
+  "mch",
+  "frcs",
+  "mrcp",
+  "mrcog",
+  "dch",
+  "dgo",
+  "do",
+  "bams",
+  "bhms",
+  "bds",
+  "mds",
+  "phd",
+  "bpt",
+  "mpt",
+]);
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Normalized form of a doctor's name: lowercase words without titles,
+ * qualifications or punctuation ("Dr. A. Shah, MD" → "a shah")
+ *
+ * @param {string} name - Name as written on a bill or profile
+ * @returns {string}
+ */
+export function normalizeDoctorName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !TITLES.has(word) && !QUALIFICATIONS.has(word))
+    .join(" ");
+}
+
+/**
+ * Whether two given names can be the same person ("a" and "amit" can)
+ */
+function givenNamesMatch(a, b) {
+  if (a.length === 1 || b.length === 1) return a[0] === b[0];
+  return a === b || (Math.min(a.length, b.length) >= 4 && levenshtein(a, b) <= 1);
+}
+
+/**
+ * How likely two names are the same doctor
+ * Surnames must match (one typo allowed in longer ones); given names may be
+ * initials. Other names fall back to their edit distance.
+ *
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {{ similarity: number, detail: string }} - Similarity from 0 to 1 and why
+ */
+export function doctorNameSimilarity(nameA, nameB) {
+  const a = normalizeDoctorName(nameA);
+  const b = normalizeDoctorName(nameB);
+  if (!a || !b) return { similarity: 0, detail: "No name" };
+  if (a === b) return { similarity: 1, detail: "Same name" };
+
+  const wordsA = a.split(" ");
+  const wordsB = b.split(" ");
+  const surnameA = wordsA.pop();
+  const surnameB = wordsB.pop();
+  const sameSurname =
+    surnameA === surnameB || (Math.min(surnameA.length, surnameB.length) >= 5 && levenshtein(surnameA, surnameB) <= 1);
+
+  if (sameSurname && wordsA.length > 0 && wordsB.length > 0) {
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+    if (shorter.every((word, index) => givenNamesMatch(word, longer[index]))) {
+      const initials = shorter.some((word, index) => (word.length === 1) !== (longer[index].length === 1));
+      return initials
+        ? { similarity: 0.9, detail: "Initials match" }
+        : { similarity: surnameA === surnameB ? 0.95 : 0.9, detail: "Spelling differs" };
+    }
+  }
+
+  const similarity = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  return { similarity, detail: `Similar names (${Math.round(similarity * 100)}%)` };
+}
+
+/**
+ * Normalized keys of a doctor's name and aliases (stored as nameKeys)
+ *
+ * @param {string} name
+ * @param {string[]} aliases
+ * @returns {string[]}
+ */
+export function doctorNameKeys(name, aliases = []) {
+  return [...new Set([name, ...aliases].map(normalizeDoctorName).filter(Boolean))];
+}
+
+/**
+ * Whether contact details are the placeholders given to doctors created from bills
+ *
+ * @param {Object} doctor - { email, phone }
+ * @returns {boolean}
+ */
+export function hasPlaceholderContact({ email, phone }) {
+  return String(email || "").endsWith(`@${PLACEHOLDER_EMAIL_DOMAIN}`) || !phone || phone === PLACEHOLDER_PHONE;
+}
+
+/**
+ * Find the doctor of a bill's referral, creating a placeholder profile if needed
+ * The Crelio docId is authoritative: a doctor linked to another docId is never
+ * matched by name. Matching by name links the docId for later bills.
+ * On dry runs a missing doctor is not created; a description is returned instead.
+ *
+ * @param {string} doctorName - Name from billReferral (or a signing doctor)
+ * @param {number|string} docId - Crelio "docId" of the bill, if any
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Do not create or link anything
+ * @returns {Promise<ObjectId|string|null>} - Doctor _id (a description on dry runs)
+ */
+export async function findOrCreateDoctor(doctorName, docId = null, { dryRun = false } = {}) {
+  if (!doctorName || typeof doctorName !== "string") return null;
+  const crelioDocId = docId !== null && docId !== "" && Number.isFinite(Number(docId)) ? Number(docId) : null;
+  const nameKey = normalizeDoctorName(doctorName);
+
+  try {
+    let doctor = null;
+    if (crelioDocId !== null) {
+      // Doctors created before docIds were linked have doctorId "DOC-<docId>"
+      doctor = await Doctor.findOne({ $or: [{ crelioDocIds: crelioDocId }, { doctorId: `DOC-${crelioDocId}` }] });
+    }
+    if (!doctor && nameKey) {
+      doctor = await Doctor.findOne({
+        nameKeys: nameKey,
+        ...(crelioDocId !== null && { crelioDocIds: { $size: 0 } }),
+      });
+    }
+
+    if (!doctor && dryRun) {
+      return `New doctor: ${doctorName}`;
+    }
+
+    if (!doctor) {
+      const doctorId = crelioDocId !== null ? `DOC-${crelioDocId}` : `DOC-${Date.now()}`;
+      doctor = await Doctor.create({
+        doctorId,
+        name: doctorName.trim(),
+        email: `${doctorId.toLowerCase().replace(/-/g, "")}@${PLACEHOLDER_EMAIL_DOMAIN}`,
+        phone: PLACEHOLDER_PHONE, // Phone is required; completed from the doctors page
+        specialty: "General Practitioner",
+        status: "Active",
+        crelioDocIds: crelioDocId !== null ? [crelioDocId] : [],
+        nameKeys: doctorNameKeys(doctorName),
+        isPlaceholder: true,
+      });
+      console.log(`👨‍⚕️ Created doctor ${doctor.name} (${doctorId})`);
+    } else if (!dryRun) {
+      // Remember the docId and this spelling of the name for later bills
+      const isNewSpelling = nameKey && !doctor.nameKeys.includes(nameKey);
+      if ((crelioDocId !== null && !doctor.crelioDocIds.includes(crelioDocId)) || isNewSpelling) {
+        await Doctor.updateOne(
+          { _id: doctor._id },
+          {
+            $addToSet: {
+              ...(crelioDocId !== null && { crelioDocIds: crelioDocId }),
+              ...(isNewSpelling && { nameKeys: nameKey, aliases: doctorName.trim() }),
+            },
+          }
+        );
+      }
+    }
+
+    return doctor._id;
+  } catch (error) {
+    console.error(`⚠️  Error finding/creating doctor ${doctorName}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a filter from doctor directory query parameters
+ *
+ * @param {Object} params - { search, status, specialty, placeholder ("true"/"false") }
+ * @returns {{ query: Object } | { error: string }}
+ */
+export function buildDoctorQuery({ search, status, specialty, placeholder } = {}) {
+  const query = {};
+  const statuses = Doctor.schema.path("status").enumValues;
+  const specialties = Doctor.schema.path("specialty").enumValues;
+
+  if (status) {
+    if (!statuses.includes(status)) return { error: `status must be one of: ${statuses.join(", ")}` };
+    query.status = status;
+  }
+  if (specialty) {
+    if (!specialties.includes(specialty)) return { error: `specialty must be one of: ${specialties.join(", ")}` };
+    query.specialty = specialty;
+  }
+  if (placeholder === "true") query.isPlaceholder = true;
+  if (placeholder === "false") query.isPlaceholder = { $ne: true };
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: "i" };
+    query.$or = [{ name: pattern }, { aliases: pattern }, { doctorId: pattern }];
+  }
+
+  return { query };
+}
+
+/**
+ * Apply profile edits to a doctor
+ * The placeholder flag is cleared once real contact details are entered.
+ *
+ * @param {string} id - Doctor _id
+ * @param {Object} updates - Any of name, email, phone, specialty, qualifications, licenseNumber, experience, status
+ * @returns {Promise<Object|null>} - Updated doctor, or null if not found
+ */
+export async function updateDoctorProfile(id, updates) {
+  const doctor = await Doctor.findById(id);
+  if (!doctor) return null;
+
+  for (const field of PROFILE_FIELDS) {
+    if (updates[field] !== undefined) doctor[field] = updates[field];
+  }
+  if (doctor.isModified("name")) {
+    doctor.nameKeys = doctorNameKeys(doctor.name, doctor.aliases);
+  }
+  doctor.isPlaceholder = hasPlaceholderContact(doctor);
+
+  return doctor.save();
+}
+
+/**
+ * Pairs of doctors with similar names, most similar first
+ * Pairs linked to different Crelio docIds are flagged, as Crelio itself
+ * treats them as different doctors.
+ *
+ * @returns {Promise<Array<Object>>} - [{ doctors: [a, b], similarity, detail, differentDocIds }]
+ */
+export async function findDuplicateDoctors() {
+  const doctors = await Doctor.find({})
+    .select("doctorId name aliases specialty email phone status crelioDocIds isPlaceholder")
+    .lean();
+
+  // Only doctors sharing the first letter of their surname are compared
+  const blocks = new Map();
+  for (const doctor of doctors) {
+    const surname = normalizeDoctorName(doctor.name).split(" ").pop();
+    if (!surname) continue;
+    if (!blocks.has(surname[0])) blocks.set(surname[0], []);
+    blocks.get(surname[0]).push(doctor);
+  }
+
+  const pairs = [];
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]];
+        // Best match over every known spelling of both doctors
+        let best = { similarity: 0, detail: "" };
+        for (const nameA of [a.name, ...(a.aliases || [])]) {
+          for (const nameB of [b.name, ...(b.aliases || [])]) {
+            const match = doctorNameSimilarity(nameA, nameB);
+            if (match.similarity > best.similarity) best = match;
+          }
+        }
+        if (best.similarity < DUPLICATE_SIMILARITY) continue;
+
+        const docIdsA = a.crelioDocIds || [];
+        const docIdsB = b.crelioDocIds || [];
+        pairs.push({
+          doctors: [a, b],
+          similarity: Math.round(best.similarity * 100) / 100,
+          detail: best.detail,
+          differentDocIds: docIdsA.length > 0 && docIdsB.length > 0 && !docIdsA.some((docId) => docIdsB.includes(docId)),
+        });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Merge a duplicate doctor into the doctor that is kept
+ * Patients move to the kept doctor, which also takes over the duplicate's
+ * docIds and names (so later bills link to it) and, while its own profile is a
+ * placeholder, the duplicate's completed contact details.
+ *
+ * @param {Object} options
+ * @param {string} options.survivorId - Doctor _id to keep
+ * @param {string} options.duplicateId - Doctor _id to merge into it
+ * @param {Object} options.user - { id, name, role } of the admin
+ * @returns {Promise<Object|null>} - { doctor, patientsMoved }, or null if a doctor was not found
+ */
+export async function mergeDoctors({ survivorId, duplicateId, user = null }) {
+  if (!mongoose.isValidObjectId(survivorId) || !mongoose.isValidObjectId(duplicateId)) return null;
+  if (String(survivorId) === String(duplicateId)) return null;
+
+  const [survivor, duplicate] = await Promise.all([Doctor.findById(survivorId), Doctor.findById(duplicateId)]);
+  if (!survivor || !duplicate) return null;
+
+  survivor.aliases = [...new Set([...survivor.aliases, duplicate.name, ...duplicate.aliases])].filter(
+    (alias) => alias !== survivor.name
+  );
+  survivor.nameKeys = doctorNameKeys(survivor.name, survivor.aliases);
+  survivor.crelioDocIds = [...new Set([...survivor.crelioDocIds, ...duplicate.crelioDocIds])];
+  if (survivor.qualifications.length === 0) survivor.qualifications = duplicate.qualifications;
+  for (const field of FILL_FIELDS) {
+    if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+  }
+  const takeContact = survivor.isPlaceholder && !duplicate.isPlaceholder;
+  if (takeContact) {
+    survivor.email = duplicate.email;
+    survivor.phone = duplicate.phone;
+    survivor.specialty = duplicate.specialty;
+    survivor.isPlaceholder = false;
+  }
+
+  // The kept doctor is saved before anything else changes. When it takes over the
+  // duplicate's (unique) email, the duplicate holds a temporary one meanwhile.
+  if (takeContact) {
+    await Doctor.updateOne(
+      { _id: duplicate._id },
+      { $set: { email: `merging-${duplicate._id}@${PLACEHOLDER_EMAIL_DOMAIN}` } }
+    );
+  }
+  try {
+    await survivor.save();
+  } catch (error) {
+    if (takeContact) {
+      await Doctor.updateOne({ _id: duplicate._id }, { $set: { email: duplicate.email } });
+    }
+    throw error;
+  }
+
+  // Only once the kept doctor is saved: its patients move over and the duplicate is removed
+  const moved = await Patient.updateMany({ assignedDoctor: duplicate._id }, { $set: { assignedDoctor: survivor._id } });
+  await Doctor.deleteOne({ _id: duplicate._id });
+
+  await AuditLog.create({
+    action: "doctor.merge",
+    user: user || undefined,
+    details: {
+      survivor: survivor.doctorId,
+      duplicate: duplicate.doctorId,
+      duplicateName: duplicate.name,
+      patientsMoved: moved.modifiedCount,
+      contactTakenOver: takeContact,
+    },
+  });
+
+  console.log(`🔗 Merged doctor ${duplicate.doctorId} into ${survivor.doctorId} (${moved.modifiedCount} patient(s))`);
+  return { doctor: survivor, patientsMoved: moved.modifiedCount };
+}
@@ -0,0 +1,648 @@
+/**
+ * Duplicate Patient Service
+ *
+ * Finds patient records that probably belong to the same person and merges
+ * them. Consolidation creates one record per Crelio "Patient Id" (or per bill
+ * without one), so a person registered twice in Crelio ends up as two records.
+ *
+ * The scan compares records that share a phone number or a similar name and
+ * scores each pair from 0 to 100 on name, phone, date of birth, age and gender.
+ * Pairs scoring at least DUPLICATE_MIN_SCORE (default 60) are queued for review
+ * (models/DuplicateCandidate.js). It runs as a "duplicatePatientScan" background
+ * job every DUPLICATE_SCAN_INTERVAL_MS (default: daily), or on demand.
+ *
+ * A merge keeps one record and removes the other. The kept record inherits the
+ * duplicate's identifiers (mergedFrom), so its bills are listed in the patient
+ * history and later webhooks for it update the kept record; report links are
+ * moved and blank fields filled in. Each merge is stored in models/PatientMerge.js
+ * and can be undone.
+ *
+ * The PatientMerge entry is written first ("merging" / "undoing") and holds
+ * everything the merge or undo needs; each following write can be repeated
+ * safely. A merge or undo interrupted half-way is finished by
+ * resumePatientMerges, which the scan job runs first.
+ *
+ * Functions:
+ * - scorePatientPair: Duplicate score of two patient records
+ * - runDuplicateScan: Scores candidate pairs and updates the review queue
+ * - queueDuplicateScan: Queues a scan on the background job queue
+ * - mergePatients / undoPatientMerge: Merge two records, or restore a merge
+ * - resumePatientMerges: Finishes merges and undos that were interrupted
+ * - startDuplicateScanScheduler / stopDuplicateScanScheduler: Controls the periodic scan
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+import DuplicateCandidate from "../models/DuplicateCandidate.js";
+import PatientMerge from "../models/PatientMerge.js";
+import AuditLog from "../models/AuditLog.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+import { decryptFields, ENCRYPTED_FIELDS } from "./fieldEncryptionService.js";
+
+// Load environment variables
+dotenv.config();
+
+export const DUPLICATE_SCAN_JOB = "duplicatePatientScan";
+// One scan at a time across server instances
+const SCAN_SERIAL_KEY = "duplicatePatients";
+
+const SCAN_INTERVAL_MS = parseInt(process.env.DUPLICATE_SCAN_INTERVAL_MS || "86400000");
+export const MIN_SCORE = parseInt(process.env.DUPLICATE_MIN_SCORE || "60");
+
+// Points per field; conflicting values subtract points
+const WEIGHTS = { name: 40, phone: 30, dateOfBirth: 15, age: 10, gender: 5 };
+// Names less similar than this are never duplicates, even with the same phone
+// (families often share one mobile number)
+const MIN_NAME_SIMILARITY = 0.75;
+// Larger blocks (very common names) are skipped instead of compared pairwise
+const MAX_BLOCK_SIZE = 200;
+
+const SCAN_FIELDS = "patientId patientIdNumber labPatientId name age gender dateOfBirth phone";
+// Fields a merge copies from the duplicate when the kept record has no value
+const FILL_FIELDS = [
+  "labPatientId",
+  "designation",
+  "age",
+  "gender",
+  "dateOfBirth",
+  "email",
+  "phone",
+  "alternateContact",
+  "alternateEmail",
+  "countryCode",
+  "bloodGroup",
+  "assignedDoctor",
+];
+const TITLE_PATTERN = /^(mr|mrs|ms|miss|mx|dr|master|baby|smt|shri|sri)\b\.?\s*/;
+// Merges and undos untouched for this long were interrupted (not still running)
+const RESUME_AFTER_MS = 5 * 60 * 1000;
+
+let scanTimer = null;
+
+/**
+ * Thrown when a merge or an undo is not possible
+ */
+export class PatientMergeError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = "PatientMergeError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Lowercase name without titles, punctuation or extra spaces
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(TITLE_PATTERN, "");
+}
+
+/**
+ * Last 10 digits of a phone number (drops country codes and formatting)
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Name similarity from 0 to 1; word order does not matter
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const sortedA = a.split(" ").sort().join(" ");
+  const sortedB = b.split(" ").sort().join(" ");
+  if (sortedA === sortedB) return 1;
+  return 1 - levenshtein(sortedA, sortedB) / Math.max(sortedA.length, sortedB.length);
+}
+
+/**
+ * Whether a value counts as missing when scoring or merging
+ */
+function isBlank(value) {
+  return value === null || value === undefined || value === "" || value === "Not Specified" || value === "Unknown";
+}
+
+/**
+ * Duplicate score of two patient records
+ *
+ * @param {Object} a - Patient record (lean, decrypted)
+ * @param {Object} b - Patient record (lean, decrypted)
+ * @returns {{ score: number, reasons: Array<Object> }} - Score 0-100 and the points per field
+ */
+export function scorePatientPair(a, b) {
+  const reasons = [];
+
+  const similarity = nameSimilarity(normalizeName(a.name), normalizeName(b.name));
+  if (similarity < MIN_NAME_SIMILARITY) {
+    return { score: 0, reasons: [{ field: "name", points: 0, detail: "Different names" }] };
+  }
+  reasons.push({
+    field: "name",
+    points: Math.round(WEIGHTS.name * similarity),
+    detail: similarity === 1 ? "Same name" : `Similar names (${Math.round(similarity * 100)}%)`,
+  });
+
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  if (phoneA && phoneB) {
+    reasons.push(
+      phoneA === phoneB
+        ? { field: "phone", points: WEIGHTS.phone, detail: "Same phone number" }
+        : { field: "phone", points: -10, detail: "Different phone numbers" }
+    );
+  }
+
+  if (a.dateOfBirth && b.dateOfBirth) {
+    const sameDay = new Date(a.dateOfBirth).toISOString().slice(0, 10) === new Date(b.dateOfBirth).toISOString().slice(0, 10);
+    reasons.push(
+      sameDay
+        ? { field: "dateOfBirth", points: WEIGHTS.dateOfBirth, detail: "Same date of birth" }
+        : { field: "dateOfBirth", points: -WEIGHTS.dateOfBirth, detail: "Different dates of birth" }
+    );
+  }
+
+  if (Number.isFinite(a.age) && Number.isFinite(b.age)) {
+    // Ages are recorded at different visits, so a year or two apart still matches
+    const difference = Math.abs(a.age - b.age);
+    if (difference <= 1) reasons.push({ field: "age", points: WEIGHTS.age, detail: "Same age" });
+    else if (difference <= 3) reasons.push({ field: "age", points: WEIGHTS.age / 2, detail: `Ages ${difference} years apart` });
+    else if (difference > 5) reasons.push({ field: "age", points: -WEIGHTS.age, detail: `Ages ${difference} years apart` });
+  }
+
+  if (!isBlank(a.gender) && !isBlank(b.gender) && a.gender !== "Other" && b.gender !== "Other") {
+    reasons.push(
+      a.gender === b.gender
+        ? { field: "gender", points: WEIGHTS.gender, detail: "Same gender" }
+        : { field: "gender", points: -20, detail: "Different genders" }
+    );
+  }
+
+  const total = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score: Math.max(0, Math.min(100, total)), reasons };
+}
+
+/**
+ * Keys that put records worth comparing into the same block
+ */
+function blockingKeys(patient) {
+  const keys = [];
+  const phone = normalizePhone(patient.phone);
+  if (phone) keys.push(`phone:${phone}`);
+
+  const tokens = normalizeName(patient.name).split(" ").filter(Boolean);
+  if (tokens.length > 0) {
+    keys.push(`name:${[...tokens].sort().join(" ")}`);
+    // First letters of the first and last word catch typos later in the name
+    const prefixes = [tokens[0].slice(0, 3), tokens[tokens.length - 1].slice(0, 3)].sort();
+    keys.push(`prefix:${prefixes.join("|")}`);
+  }
+  return keys;
+}
+
+/**
+ * Both Patient _ids in sorted order
+ */
+function pairKeyOf(idA, idB) {
+  return [String(idA), String(idB)].sort().join(":");
+}
+
+/**
+ * Queue a pending pair, or refresh it
+ *
+ * @returns {Promise<boolean>} - Whether the pair is new
+ */
+async function upsertCandidate(match, now) {
+  const result = await DuplicateCandidate.updateOne(
+    { pairKey: match.pairKey },
+    {
+      $setOnInsert: { pairKey: match.pairKey, patients: match.patients, status: "pending" },
+      $set: { lastScannedAt: now },
+    },
+    { upsert: true }
+  );
+  // Only pending pairs are rescored; reviewed pairs keep the score they were reviewed with
+  await DuplicateCandidate.updateOne(
+    { pairKey: match.pairKey, status: "pending" },
+    { $set: { score: match.score, reasons: match.reasons } }
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Score candidate pairs and update the review queue once
+ * New pairs are queued, pending pairs rescored, and pending pairs no longer
+ * found (or whose records are gone) removed. Dismissed and merged pairs stay.
+ *
+ * Records are streamed and only their _ids kept per block; each block is then
+ * loaded and compared on its own, so the scan never holds every record.
+ *
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} - { startedAt, finishedAt, patients, compared, candidates, created, removed, skippedBlocks }
+ */
+export async function runDuplicateScan({ now = new Date() } = {}) {
+  const startedAt = new Date();
+
+  let patients = 0;
+  const blocks = new Map();
+  for await (const patient of Patient.find({}).select(SCAN_FIELDS).lean().cursor()) {
+    // Query cursors skip the encryption plugin
+    decryptFields(patient, ENCRYPTED_FIELDS.Patient);
+    patients++;
+    for (const key of blockingKeys(patient)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(String(patient._id));
+    }
+  }
+
+  const compared = new Set();
+  let candidates = 0;
+  let created = 0;
+  let skippedBlocks = 0;
+  for (const [key, ids] of blocks) {
+    blocks.delete(key);
+    if (ids.length < 2) continue;
+    if (ids.length > MAX_BLOCK_SIZE) {
+      skippedBlocks++;
+      continue;
+    }
+
+    // Records merged or removed since they were streamed are simply missing
+    const block = await Patient.find({ _id: { $in: ids } }).select(SCAN_FIELDS).lean();
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const pairKey = pairKeyOf(block[i]._id, block[j]._id);
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const { score, reasons } = scorePatientPair(block[i], block[j]);
+        if (score >= MIN_SCORE) {
+          candidates++;
+          if (await upsertCandidate({ pairKey, patients: [block[i]._id, block[j]._id], score, reasons }, now)) created++;
+        }
+      }
+    }
+  }
+
+  const stale = await DuplicateCandidate.deleteMany({
+    status: "pending",
+    $or: [{ lastScannedAt: { $lt: now } }, { lastScannedAt: null }],
+  });
+
+  return {
+    startedAt,
+    finishedAt: new Date(),
+    patients,
+    compared: compared.size,
+    candidates,
+    created,
+    removed: stale.deletedCount,
+    skippedBlocks,
+  };
+}
+
+/**
+ * Identity of a record, as kept in mergedFrom
+ */
+function identityOf(patient, mergeId, mergedAt) {
+  return {
+    patientId: patient.patientId,
+    patientIdNumber: patient.patientIdNumber ?? null,
+    labPatientId: patient.labPatientId ?? null,
+    billIdNumber: patient.billIdNumber ?? null,
+    name: patient.name,
+    merge: mergeId,
+    mergedAt,
+  };
+}
+
+/**
+ * Merge a duplicate patient record into the record that is kept
+ * Works on the stored documents, so encrypted values are copied as they are.
+ *
+ * @param {Object} options
+ * @param {string} options.survivorId - Patient _id of the record to keep
+ * @param {string} options.duplicateId - Patient _id of the record to merge into it
+ * @param {string} options.candidateId - DuplicateCandidate that proposed the pair (optional)
+ * @param {Object} options.user - { id, name, role } of the admin
+ * @returns {Promise<Object>} - The PatientMerge document
+ */
+export async function mergePatients({ survivorId, duplicateId, candidateId = null, user = null }) {
+  if (String(survivorId) === String(duplicateId)) {
+    throw new PatientMergeError("A patient cannot be merged into itself", 400);
+  }
+
+  const [storedSurvivor, storedDuplicate] = await Promise.all([
+    Patient.collection.findOne({ _id: new mongoose.Types.ObjectId(String(survivorId)) }),
+    Patient.collection.findOne({ _id: new mongoose.Types.ObjectId(String(duplicateId)) }),
+  ]);
+  if (!storedSurvivor || !storedDuplicate) {
+    throw new PatientMergeError("Patient not found", 404);
+  }
+
+  const merge = new PatientMerge({
+    survivor: storedSurvivor._id,
+    survivorPatientId: storedSurvivor.patientId,
+    duplicatePatientId: storedDuplicate.patientId,
+    duplicateName: storedDuplicate.name,
+    candidate: candidateId,
+    duplicateSnapshot: storedDuplicate,
+    mergedBy: user ? { id: user.id, name: user.name } : undefined,
+    status: "merging",
+  });
+
+  // Blank fields of the kept record that the duplicate fills in (with their stored values)
+  const survivorFields = {};
+  for (const field of FILL_FIELDS) {
+    if (isBlank(storedSurvivor[field]) && !isBlank(storedDuplicate[field])) {
+      survivorFields[field] = storedSurvivor[field] ?? null;
+    }
+  }
+  const survivorReports = new Set((storedSurvivor.labReports || []).map(String));
+
+  merge.survivorFields = survivorFields;
+  merge.addedReports = (storedDuplicate.labReports || []).filter((reportId) => !survivorReports.has(String(reportId)));
+  merge.movedIdentities = [storedDuplicate.patientId, ...(storedDuplicate.mergedFrom || []).map((identity) => identity.patientId)];
+  // Written before any patient is changed: it holds everything needed to finish or undo the merge
+  await merge.save();
+
+  return applyMerge(merge, user);
+}
+
+/**
+ * Apply a saved "merging" PatientMerge; every step can be repeated safely
+ */
+async function applyMerge(merge, user = merge.mergedBy) {
+  const snapshot = merge.duplicateSnapshot;
+  const mergedAt = merge.createdAt;
+  const fill = Object.fromEntries(Object.keys(merge.survivorFields || {}).map((field) => [field, snapshot[field]]));
+  // The duplicate's own merged records move along with it
+  const identities = [identityOf(snapshot, merge._id, mergedAt), ...(snapshot.mergedFrom || [])];
+
+  // Skipped when already applied (the kept record then lists this merge)
+  await Patient.collection.updateOne(
+    { _id: merge.survivor, "mergedFrom.merge": { $ne: merge._id } },
+    {
+      $set: { ...fill, updatedAt: mergedAt },
+      $push: { mergedFrom: { $each: identities }, labReports: { $each: merge.addedReports } },
+    }
+  );
+  // Never remove the duplicate unless the kept record holds its identifiers
+  const storedSurvivor = await Patient.collection.findOne(
+    { _id: merge.survivor, "mergedFrom.merge": merge._id },
+    { projection: { billIdNumber: 1, patientIdNumber: 1, name: 1 } }
+  );
+  if (!storedSurvivor) {
+    throw new PatientMergeError(`${merge.survivorPatientId} no longer exists; ${merge.duplicatePatientId} was kept`);
+  }
+  await Patient.collection.deleteOne({ _id: snapshot._id });
+
+  // Pairs with the removed record are obsolete; the next scan compares the kept one
+  await DuplicateCandidate.deleteMany({ patients: snapshot._id, status: "pending", _id: { $ne: merge.candidate } });
+  if (merge.candidate) {
+    await DuplicateCandidate.updateOne(
+      { _id: merge.candidate },
+      { $set: { status: "merged", reviewedBy: merge.mergedBy, reviewedAt: mergedAt } }
+    );
+  }
+
+  merge.status = "merged";
+  await merge.save();
+
+  await AuditLog.create({
+    action: "patient.merge",
+    user: user || undefined,
+    billId: storedSurvivor.billIdNumber ?? undefined,
+    patientId: storedSurvivor.patientIdNumber ?? undefined,
+    patientName: storedSurvivor.name,
+    details: {
+      merge: merge._id,
+      survivor: merge.survivorPatientId,
+      duplicate: merge.duplicatePatientId,
+      filledFields: Object.keys(fill),
+      movedReports: merge.addedReports.length,
+    },
+  });
+
+  console.log(`🔗 Merged patient ${merge.duplicatePatientId} into ${merge.survivorPatientId}`);
+  return merge;
+}
+
+/**
+ * Undo a merge: restore the duplicate record and remove what it added to the kept one
+ * Filled fields are only reset while they still hold the merged value. An undo
+ * that was interrupted is finished by undoing again.
+ *
+ * @param {string} mergeId - PatientMerge _id
+ * @param {Object} user - { id, name, role } of the admin
+ * @returns {Promise<Object>} - The updated PatientMerge document
+ */
+export async function undoPatientMerge(mergeId, user = null) {
+  let merge = await PatientMerge.findById(mergeId);
+  if (!merge) {
+    throw new PatientMergeError("Merge not found", 404);
+  }
+  if (merge.status === "undone") {
+    throw new PatientMergeError("The merge has already been undone");
+  }
+  if (merge.status === "merging") {
+    throw new PatientMergeError("The merge is still being applied; try again in a few minutes");
+  }
+
+  if (merge.status === "merged") {
+    const storedSurvivor = await Patient.collection.findOne({ _id: merge.survivor }, { projection: { _id: 1 } });
+    if (!storedSurvivor) {
+      throw new PatientMergeError(`${merge.survivorPatientId} has since been merged into another patient; undo that merge first`);
+    }
+    const existing = await Patient.collection.findOne({ patientId: merge.duplicatePatientId }, { projection: { _id: 1 } });
+    if (existing) {
+      throw new PatientMergeError(`A patient ${merge.duplicatePatientId} exists again; it cannot be restored`);
+    }
+
+    // Claimed atomically, so two admins cannot undo the same merge at once
+    merge = await PatientMerge.findOneAndUpdate(
+      { _id: merge._id, status: "merged" },
+      { $set: { status: "undoing", undoneBy: user ? { id: user.id, name: user.name } : undefined, undoneAt: new Date() } },
+      { new: true }
+    );
+    if (!merge) {
+      throw new PatientMergeError("The merge is already being undone");
+    }
+  }
+
+  return applyUndo(merge, user);
+}
+
+/**
+ * Apply an "undoing" PatientMerge; every step can be repeated safely
+ */
+async function applyUndo(merge, user = merge.undoneBy) {
+  const snapshot = merge.duplicateSnapshot;
+
+  try {
+    await Patient.collection.insertOne(snapshot);
+  } catch (error) {
+    // Already restored by an earlier attempt
+    if (error.code !== 11000 || !(await Patient.collection.countDocuments({ _id: snapshot._id }))) {
+      throw error.code === 11000
+        ? new PatientMergeError(`A patient ${merge.duplicatePatientId} exists again; it cannot be restored`)
+        : error;
+    }
+  }
+
+  const storedSurvivor = await Patient.collection.findOne({ _id: merge.survivor });
+  if (storedSurvivor) {
+    const $set = { updatedAt: new Date() };
+    const $unset = {};
+    for (const [field, previous] of Object.entries(merge.survivorFields || {})) {
+      if (String(storedSurvivor[field]) !== String(snapshot[field])) continue;
+      if (previous === null) $unset[field] = "";
+      else $set[field] = previous;
+    }
+
+    await Patient.collection.updateOne(
+      { _id: storedSurvivor._id },
+      {
+        $set,
+        ...(Object.keys($unset).length > 0 && { $unset }),
+        $pull: {
+          mergedFrom: { patientId: { $in: merge.movedIdentities } },
+          labReports: { $in: merge.addedReports },
+        },
+      }
+    );
+  }
+
+  // The pair goes back to the review queue
+  if (merge.candidate) {
+    await DuplicateCandidate.updateOne(
+      { _id: merge.candidate },
+      { $set: { status: "pending", reviewedBy: null, reviewedAt: null } }
+    );
+  }
+
+  merge.status = "undone";
+  await merge.save();
+
+  await AuditLog.create({
+    action: "patient.unmerge",
+    user: user || undefined,
+    billId: snapshot.billIdNumber ?? undefined,
+    patientId: snapshot.patientIdNumber ?? undefined,
+    patientName: snapshot.name,
+    details: {
+      merge: merge._id,
+      survivor: merge.survivorPatientId,
+      duplicate: merge.duplicatePatientId,
+    },
+  });
+
+  console.log(`↩️  Restored patient ${merge.duplicatePatientId} from ${merge.survivorPatientId}`);
+  return merge;
+}
+
+/**
+ * Finish merges and undos that were interrupted half-way (e.g. by a crash)
+ *
+ * @returns {Promise<Object>} - { merged, undone, failed }
+ */
+export async function resumePatientMerges() {
+  const summary = { merged: 0, undone: 0, failed: 0 };
+  const stalled = await PatientMerge.find({
+    status: { $in: ["merging", "undoing"] },
+    updatedAt: { $lt: new Date(Date.now() - RESUME_AFTER_MS) },
+  });
+
+  for (const merge of stalled) {
+    try {
+      if (merge.status === "merging") {
+        await applyMerge(merge);
+        summary.merged++;
+      } else {
+        await applyUndo(merge);
+        summary.undone++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Could not finish ${merge.status} ${merge.duplicatePatientId} → ${merge.survivorPatientId}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+registerJobHandler(DUPLICATE_SCAN_JOB, async () => {
+  const resumed = await resumePatientMerges();
+  if (resumed.merged + resumed.undone > 0) {
+    console.log(`🔗 Finished ${resumed.merged} interrupted merge(s) and ${resumed.undone} undo(s)`);
+  }
+
+  const summary = await runDuplicateScan();
+  console.log(`👥 Duplicate patient scan: ${summary.candidates} candidate pair(s), ${summary.created} new`);
+  return summary;
+});
+
+/**
+ * Queue a duplicate scan on the background job queue
+ * A scan that has not started yet is reused.
+ *
+ * @returns {Promise<Object>} - The BackgroundJob document
+ */
+export async function queueDuplicateScan() {
+  return enqueueJob(DUPLICATE_SCAN_JOB, {}, { serialKey: SCAN_SERIAL_KEY });
+}
+
+/**
+ * Queue a scan and schedule the next one
+ */
+async function queueAndReschedule() {
+  try {
+    await queueDuplicateScan();
+  } catch (error) {
+    console.error("❌ Failed to queue duplicate patient scan:", error.message);
+  }
+
+  if (scanTimer) {
+    scanTimer = setTimeout(queueAndReschedule, SCAN_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the periodic duplicate scan
+ */
+export function startDuplicateScanScheduler() {
+  if (scanTimer) return;
+  scanTimer = setTimeout(queueAndReschedule, 0);
+  console.log(`👥 Duplicate patient scan scheduled (every ${Math.round(SCAN_INTERVAL_MS / 3600000)}h)`);
+}
+
+/**
+ * Stop the periodic duplicate scan
+ */
+export function stopDuplicateScanScheduler() {
+  if (scanTimer) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+}
@@ -6,6 +6,7 @@
  * 
  * Features:
  * - Sends email alerts on webhook receipt
+ * - Sends SLA breach alerts for tests that are overdue
  * - Includes all webhook payload information
  * - Handles email sending errors gracefully
  * - Configurable via environment variables
@@ -14,6 +15,7 @@
 
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { escapeHtml } from "./templateEngine.js";
 
 // Load environment variables
 dotenv.config();
@@ -78,7 +80,7 @@ const getEmailConfig = () => {
 
 const EMAIL_CONFIG = getEmailConfig();
 
-// Recipient email address (where alerts will be sent)
+// Default recipient email address (where alerts are sent when no recipients are given)
 const RECIPIENT_EMAIL = process.env.RECIPIENT_EMAIL || "sharktankindia1122@gmail.com";
 
 // Create reusable transporter object using the default SMTP transport
@@ -139,185 +141,61 @@ async function initializeTransporter() {
 }
 
 /**
- * Send email notification when webhook is received
- * 
- * @param {Object} webhookData - The webhook payload and extracted fields
- * @param {string} webhookData.reportId - Report ID from the payload
- * @param {string} webhookData.billId - Bill ID from the payload (optional)
- * @param {string} webhookData.testId - Test ID from the payload (optional)
- * @param {string} webhookData.patientName - Patient name (optional)
- * @param {Object} webhookData.patient - Patient document (optional)
- * @param {Object} webhookData.report - Report document (optional)
- * @param {Object} webhookData.payload - Full webhook payload (for reference)
- * @returns {Promise<Object>} - Email sending result
+ * Send an email through the configured SMTP transport
+ * Errors are logged and returned, never thrown, so callers are not broken
+ * by a misconfigured or unreachable mail server.
+ *
+ * @param {Object} message
+ * @param {string|Array<string>} message.to - Recipient(s) (defaults to RECIPIENT_EMAIL)
+ * @param {string} message.subject - Email subject
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain text body (fallback for clients without HTML)
+ * @param {string} message.fromName - Display name of the sender
+ * @param {boolean} message.highPriority - Mark the email as high priority
+ * @param {Array<Object>} message.attachments - nodemailer attachments ({ filename, content, contentType })
+ * @returns {Promise<Object>} - { success, messageId, recipient } or { success: false, error, recipient }
  */
-export async function sendWebhookAlert(webhookData) {
+export async function sendEmail({ to, subject, html, text, fromName = "Crelio Dashboard", highPriority = false, attachments = [] }) {
+  const recipient = (Array.isArray(to) ? to : [to]).filter(Boolean).join(", ") || RECIPIENT_EMAIL;
+
   try {
     // Initialize transporter (async - verifies connection)
     const emailTransporter = await initializeTransporter();
-    
+
     // If email is not configured, skip sending (don't throw error)
     if (!emailTransporter) {
       console.log("📧 Email not configured, skipping email notification");
-      return { success: false, message: "Email not configured" };
+      return { success: false, error: "Email not configured", recipient };
     }
 
-    // Extract data from webhookData
-    const { reportId, billId, testId, patientName, patient, report, payload } = webhookData;
-
-    // Create email subject with report ID
-    const subject = `🔔 Crelio Webhook Alert - Report ID: ${reportId || "Unknown"}`;
-
-    // Create email body with all webhook information
-    const emailBody = `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background-color: #4CAF50; color: white; padding: 15px; border-radius: 5px 5px 0 0; }
-    .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-    .field { margin: 10px 0; padding: 10px; background-color: white; border-left: 3px solid #4CAF50; }
-    .label { font-weight: bold; color: #555; }
-    .value { color: #333; margin-top: 5px; }
-    .footer { margin-top: 20px; padding: 10px; text-align: center; color: #777; font-size: 12px; }
-    .timestamp { color: #666; font-size: 14px; }
-    .success { color: #4CAF50; font-weight: bold; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h2>🔔 New Crelio Webhook Received</h2>
-    </div>
-    <div class="content">
-      <p class="timestamp">📅 Received at: ${new Date().toLocaleString()}</p>
-      <p class="success">✅ Data saved to database successfully!</p>
-      
-      <div class="field">
-        <div class="label">📄 Report ID:</div>
-        <div class="value">${reportId || "Not provided"}</div>
-      </div>
-      
-      ${billId ? `
-      <div class="field">
-        <div class="label">🧾 Bill ID:</div>
-        <div class="value">${billId}</div>
-      </div>
-      ` : ""}
-      
-      ${testId ? `
-      <div class="field">
-        <div class="label">🧪 Test ID:</div>
-        <div class="value">${testId}</div>
-      </div>
-      ` : ""}
-      
-      ${patientName ? `
-      <div class="field">
-        <div class="label">👤 Patient Name:</div>
-        <div class="value">${patientName}</div>
-      </div>
-      ` : ""}
-      
-      ${patient ? `
-      <div class="field">
-        <div class="label">👤 Patient Details:</div>
-        <div class="value">
-          ID: ${patient.patientId || patient._id}<br>
-          Name: ${patient.name || "N/A"}<br>
-          Status: ${patient.status || "N/A"}<br>
-          Age: ${patient.age || "N/A"}<br>
-          Gender: ${patient.gender || "N/A"}
-        </div>
-      </div>
-      ` : ""}
-      
-      ${report ? `
-      <div class="field">
-        <div class="label">📋 Report Details:</div>
-        <div class="value">
-          Report ID: ${report.reportId || "N/A"}<br>
-          Status: ${report.status || "N/A"}<br>
-          Test Name: ${report.testName || "N/A"}<br>
-          Generated: ${report.reportGeneratedDate ? new Date(report.reportGeneratedDate).toLocaleString() : "N/A"}
-        </div>
-      </div>
-      ` : ""}
-      
-      <div class="field">
-        <div class="label">📦 Payload Fields Received:</div>
-        <div class="value">${payload ? Object.keys(payload).join(", ") : "None"}</div>
-      </div>
-      
-      <div class="footer">
-        <p>This is an automated notification from the Crelio Dashboard Webhook Receiver.</p>
-        <p>Webhook processed and saved to database at ${new Date().toISOString()}</p>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-    `;
-
-    // Plain text version (fallback for email clients that don't support HTML)
-    const textBody = `
-🔔 New Crelio Webhook Received
-
-📅 Received at: ${new Date().toLocaleString()}
-✅ Data saved to database successfully!
-
-📄 Report ID: ${reportId || "Not provided"}
-${billId ? `🧾 Bill ID: ${billId}` : ""}
-${testId ? `🧪 Test ID: ${testId}` : ""}
-${patientName ? `👤 Patient Name: ${patientName}` : ""}
-${patient ? `👤 Patient: ${patient.name || "N/A"} (${patient.patientId || patient._id})` : ""}
-${report ? `📋 Report: ${report.reportId || "N/A"} - ${report.status || "N/A"}` : ""}
-📦 Payload Fields: ${payload ? Object.keys(payload).join(", ") : "None"}
-
-This is an automated notification from the Crelio Dashboard Webhook Receiver.
-Webhook processed and saved to database successfully.
-    `.trim();
-
-    // Define email options
     // For Mailtrap: any email address works (emails are captured, not sent)
     // For production: use a real email address
     const fromEmail = process.env.EMAIL_FROM || EMAIL_CONFIG.auth.user || `webhook@crelio-dashboard.local`;
-    
-    const mailOptions = {
-      // Sender email (use authenticated user's email for better deliverability)
-      from: `"Crelio Dashboard Webhook" <${fromEmail}>`,
-      // Recipient email (can be comma-separated for multiple recipients)
-      to: RECIPIENT_EMAIL,
-      // Email subject
-      subject: subject,
-      // Plain text version (for email clients that don't support HTML)
-      text: textBody,
-      // HTML version (preferred)
-      html: emailBody,
-      // Additional headers for better email deliverability
-      headers: {
-        'X-Priority': '1',
-        'X-MSMail-Priority': 'High',
-        'Importance': 'high',
-      },
-      // Message ID (will be auto-generated if not provided)
-      // date: new Date(), // Auto-set by nodemailer
-    };
 
-    // Send email with proper error handling
-    const info = await emailTransporter.sendMail(mailOptions);
+    const info = await emailTransporter.sendMail({
+      // Sender email (use authenticated user's email for better deliverability)
+      from: `"${fromName}" <${fromEmail}>`,
+      to: recipient,
+      subject,
+      text,
+      html,
+      attachments,
+      ...(highPriority && {
+        headers: {
+          'X-Priority': '1',
+          'X-MSMail-Priority': 'High',
+          'Importance': 'high',
+        },
+      }),
+    });
 
-    // Log success
     console.log("📧 Email sent successfully:", info.messageId);
-    console.log("📧 Email sent to:", RECIPIENT_EMAIL);
+    console.log("📧 Email sent to:", recipient);
 
-    // Return success result
     return {
       success: true,
       messageId: info.messageId,
-      recipient: RECIPIENT_EMAIL,
+      recipient,
     };
   } catch (error) {
     // Log error but don't throw (don't break webhook processing if email fails)
@@ -339,14 +217,92 @@ Webhook processed and saved to database successfully.
       console.error("   4. Or use a different email provider that allows SMTP from cloud hosts");
       console.error("   5. Verify firewall/network settings allow outbound SMTP connections");
     }
-    
-    console.error("Email error details:", error);
 
-    // Return error result
     return {
       success: false,
       error: error.message,
+      recipient,
     };
   }
 }
 
+/**
+ * Send an SLA breach alert for an overdue test
+ *
+ * @param {Object} alert - SlaAlert document
+ * @param {Array<string>} recipients - Email addresses (defaults to RECIPIENT_EMAIL)
+ * @returns {Promise<Object>} - Email sending result
+ */
+export async function sendSlaBreachAlert(alert, recipients = []) {
+  const overdueMinutes = Math.max(0, Math.round((Date.now() - new Date(alert.dueAt).getTime()) / 60000));
+  const overdue = overdueMinutes >= 60
+    ? `${Math.floor(overdueMinutes / 60)}h ${overdueMinutes % 60}m`
+    : `${overdueMinutes}m`;
+
+  const subject = `⏰ TAT breach (level ${alert.level}) - Bill ${alert.billId} / ${alert.testName || `Test ${alert.testId}`}`;
+
+  const fields = [
+    ["🧾 Bill ID", alert.billId],
+    ["🧪 Test", alert.testName ? `${alert.testName}${alert.testCode ? ` (${alert.testCode})` : ""}` : alert.testId],
+    ["👤 Patient Name", alert.patientName],
+    ["🏥 Lab", alert.labName || alert.labId],
+    ["🏢 Organization", alert.orgName || alert.orgId],
+    ["🗂️ Department", alert.department],
+    ["🩻 Imaging Type", alert.imagingType],
+    ["📅 Billed At", alert.billTime ? new Date(alert.billTime).toLocaleString() : null],
+    ["🎯 Target", `${alert.targetMinutes} minutes (bill → report signed)`],
+    ["⏱️ Due At", new Date(alert.dueAt).toLocaleString()],
+    ["⚠️ Overdue By", overdue],
+  ].filter(([, value]) => value !== null && value !== undefined && value !== "");
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #DC2626; color: white; padding: 15px; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
+    .field { margin: 10px 0; padding: 10px; background-color: white; border-left: 3px solid #DC2626; }
+    .label { font-weight: bold; color: #555; }
+    .value { color: #333; margin-top: 5px; }
+    .footer { margin-top: 20px; padding: 10px; text-align: center; color: #777; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2>⏰ Report not signed within TAT (escalation level ${escapeHtml(alert.level)})</h2>
+    </div>
+    <div class="content">
+      ${fields.map(([label, value]) => `
+      <div class="field">
+        <div class="label">${label}:</div>
+        <div class="value">${escapeHtml(value)}</div>
+      </div>`).join("")}
+
+      <div class="footer">
+        <p>This is an automated SLA alert from the Crelio Dashboard. Acknowledge it on the dashboard to stop repeat notifications at this level.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const text = [
+    `⏰ Report not signed within TAT (escalation level ${alert.level})`,
+    "",
+    ...fields.map(([label, value]) => `${label}: ${value}`),
+  ].join("\n");
+
+  return sendEmail({
+    to: recipients,
+    subject,
+    html,
+    text,
+    fromName: "Crelio Dashboard Alerts",
+    highPriority: true,
+  });
+}
@@ -0,0 +1,398 @@
+/**
+ * Email Template Service
+ *
+ * Named, versioned email templates rendered with services/templateEngine.js.
+ * Each webhook event has a default template:
+ * - billGenerated: Bill generate webhook
+ * - sampleReceived: Sample status "Sample Received"
+ * - reportSigned: Report status "Report Signed"
+ * - reportPdfReady: Report status "Report PDF (Webhook)"
+ *
+ * Other built-in templates:
+ * - patientReport: Report PDF emailed to the patient
+ *
+ * Built-in versions of these templates are used until a template is edited;
+ * the first edit stores the built-in version as version 1 so it can be restored.
+ *
+ * Functions:
+ * - getEventTemplateName: Default template name for a webhook event
+ * - listTemplates: Stored and built-in templates
+ * - getTemplate: A template version ready for rendering
+ * - getTemplateHistory: Every stored version of a template
+ * - saveTemplateVersion: Validates and stores a new version
+ * - restoreTemplateVersion: Makes an old version current again
+ * - renderEmail: Renders subject, HTML and text for a context
+ * - previewTemplate: Renders a template against a stored webhook document
+ */
+
+import EmailTemplate from "../models/EmailTemplate.js";
+import { compileTemplate, renderTemplate } from "./templateEngine.js";
+import { buildEventContext, loadWebhookDocument, BILL_GENERATED } from "./eventContextService.js";
+import { SAMPLE_RECEIVED, REPORT_SIGNED, REPORT_PDF } from "./testLifecycleService.js";
+
+// Default template per webhook type and status
+const EVENT_TEMPLATES = [
+  { webhookType: "billGenerate", status: BILL_GENERATED, name: "billGenerated" },
+  { webhookType: "sampleStatus", status: SAMPLE_RECEIVED, name: "sampleReceived" },
+  { webhookType: "reportStatus", status: REPORT_SIGNED, name: "reportSigned" },
+  { webhookType: "reportStatus", status: REPORT_PDF, name: "reportPdfReady" },
+];
+
+/**
+ * Wrap template content in the standard email layout
+ */
+function layout(title, color, content) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: ${color}; color: white; padding: 15px; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
+    .field { margin: 10px 0; padding: 10px; background-color: white; border-left: 3px solid ${color}; }
+    .label { font-weight: bold; color: #555; }
+    .value { color: #333; margin-top: 5px; }
+    .footer { margin-top: 20px; padding: 10px; text-align: center; color: #777; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2>${title}</h2>
+    </div>
+    <div class="content">
+${content}
+      <div class="footer">
+        <p>This is an automated notification from the Crelio Dashboard.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * A labelled field, shown only when the value is present
+ */
+function field(label, path) {
+  return `      {{#if ${path}}}
+      <div class="field">
+        <div class="label">${label}:</div>
+        <div class="value">{{ ${path} }}</div>
+      </div>
+      {{/if}}`;
+}
+
+const PATIENT_FIELDS = [
+  field("🧾 Bill ID", "bill.billId"),
+  field("👤 Patient Name", "patient.name"),
+  field("🏥 Lab", "bill.labName"),
+  field("🏢 Organization", "bill.orgName"),
+  field("🩺 Referral Doctor", "bill.referralDoctor"),
+].join("\n");
+
+const TEST_LIST = `      {{#if tests}}
+      <div class="field">
+        <div class="label">🧪 Tests:</div>
+        <div class="value">
+          {{#each tests}}{{ testName }}{{#if department}} ({{ department }}){{/if}}<br>{{/each}}
+        </div>
+      </div>
+      {{/if}}`;
+
+export const DEFAULT_TEMPLATES = {
+  billGenerated: {
+    event: "billGenerated",
+    description: "Bill generated for a patient",
+    subject: "🧾 Bill {{ bill.billId }} generated for {{ patient.name }}",
+    html: layout("🧾 Bill Generated", "#14B8A6", [
+      PATIENT_FIELDS,
+      field("💰 Total Amount", "bill.totalAmount"),
+      field("💳 Due Amount", "bill.dueAmount"),
+      TEST_LIST,
+    ].join("\n")),
+    text: "Bill {{ bill.billId }} generated for {{ patient.name }}\nTests: {{ testNames }}\nTotal: {{ bill.totalAmount }}\nDue: {{ bill.dueAmount }}",
+  },
+  sampleReceived: {
+    event: "sampleReceived",
+    description: "Sample received at the lab",
+    subject: "🧪 Sample received for {{ patient.name }} (bill {{ bill.billId }})",
+    html: layout("🧪 Sample Received", "#3B82F6", [
+      PATIENT_FIELDS,
+      field("🔖 Sample ID", "sample.sampleId"),
+      field("📅 Accession Date", "sample.accessionDate"),
+      TEST_LIST,
+    ].join("\n")),
+    text: "Sample received for {{ patient.name }} (bill {{ bill.billId }})\nSample ID: {{ sample.sampleId }}\nTests: {{ testNames }}",
+  },
+  reportSigned: {
+    event: "reportSigned",
+    description: "Report signed by a doctor",
+    subject: "✅ Report signed for {{ patient.name }} (bill {{ bill.billId }})",
+    html: layout("✅ Report Signed", "#8B5CF6", [
+      PATIENT_FIELDS,
+      field("📄 Lab Report ID", "report.labReportId"),
+      field("✍️ Signed By", "report.signingDoctors"),
+      TEST_LIST,
+    ].join("\n")),
+    text: "Report signed for {{ patient.name }} (bill {{ bill.billId }})\nSigned by: {{ report.signingDoctors }}\nTests: {{ testNames }}",
+  },
+  reportPdfReady: {
+    event: "reportPdfReady",
+    description: "Report PDF available",
+    subject: "📄 Report PDF ready for {{ patient.name }} (bill {{ bill.billId }})",
+    html: layout("📄 Report PDF Ready", "#4CAF50", [
+      PATIENT_FIELDS,
+      field("📄 Lab Report ID", "report.labReportId"),
+      field("📅 Report Date", "report.reportDate"),
+      TEST_LIST,
+    ].join("\n")),
+    text: "Report PDF ready for {{ patient.name }} (bill {{ bill.billId }})\nTests: {{ testNames }}",
+  },
+  patientReport: {
+    event: null,
+    description: "Report PDF emailed to the patient (attachment added automatically)",
+    subject: "Your {{ test.testName }} report from {{ bill.labName }}",
+    html: layout("📄 Your Report Is Ready", "#14B8A6", `      <p>Dear {{ patient.name }},</p>
+      <p>Your {{ test.testName }} report is attached to this email.</p>
+      {{#if passwordProtected}}
+      <div class="field">
+        <div class="label">🔒 The attachment is password protected</div>
+        <div class="value">Open it with {{ passwordHint }}. Use 7-Zip, WinZip or your phone's file manager to open the ZIP file.</div>
+      </div>
+      {{/if}}
+${field("🧾 Bill ID", "bill.billId")}
+${field("🏥 Lab", "bill.labName")}`),
+    text: "Dear {{ patient.name }},\n\nYour {{ test.testName }} report is attached to this email.{{#if passwordProtected}}\n\nThe attachment is password protected. Open it with {{ passwordHint }}.{{/if}}\n\nBill ID: {{ bill.billId }}",
+  },
+};
+
+/**
+ * Default template name for a webhook event, or null
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {string} status - Event status
+ * @returns {string|null}
+ */
+export function getEventTemplateName(webhookType, status) {
+  const match = EVENT_TEMPLATES.find(
+    (entry) => entry.webhookType === webhookType && entry.status.toLowerCase() === String(status || "").toLowerCase()
+  );
+  return match ? match.name : null;
+}
+
+/**
+ * Built-in template as a version-1 template
+ */
+function builtInTemplate(name) {
+  const template = DEFAULT_TEMPLATES[name];
+  if (!template) return null;
+  return {
+    name,
+    event: template.event,
+    description: template.description,
+    version: 1,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    isBuiltIn: true,
+  };
+}
+
+/**
+ * List stored templates plus built-in templates that were never edited
+ *
+ * @returns {Promise<Array>} - [{ name, event, description, currentVersion, versionCount, updatedAt, isBuiltIn }]
+ */
+export async function listTemplates() {
+  const stored = await EmailTemplate.find({}).select("-versions.html -versions.text").sort({ name: 1 }).lean();
+  const storedNames = new Set(stored.map((template) => template.name));
+
+  const templates = stored.map((template) => ({
+    name: template.name,
+    event: template.event,
+    description: template.description,
+    currentVersion: template.currentVersion,
+    versionCount: template.versions.length,
+    updatedAt: template.updatedAt,
+    isBuiltIn: false,
+  }));
+
+  for (const name of Object.keys(DEFAULT_TEMPLATES)) {
+    if (storedNames.has(name)) continue;
+    const template = builtInTemplate(name);
+    templates.push({
+      name,
+      event: template.event,
+      description: template.description,
+      currentVersion: 1,
+      versionCount: 1,
+      updatedAt: null,
+      isBuiltIn: true,
+    });
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a template version ready for rendering
+ *
+ * @param {string} name - Template name
+ * @param {number} version - Version (defaults to the current version)
+ * @returns {Promise<Object|null>} - { name, event, description, version, subject, html, text, isBuiltIn }
+ */
+export async function getTemplate(name, version = null) {
+  const stored = await EmailTemplate.findOne({ name }).lean();
+  if (!stored) {
+    const builtIn = builtInTemplate(name);
+    return builtIn && (!version || version === 1) ? builtIn : null;
+  }
+
+  const wanted = version || stored.currentVersion;
+  const entry = stored.versions.find((candidate) => candidate.version === wanted);
+  if (!entry) return null;
+
+  return {
+    name: stored.name,
+    event: stored.event,
+    description: stored.description,
+    version: entry.version,
+    subject: entry.subject,
+    html: entry.html,
+    text: entry.text,
+    isBuiltIn: false,
+  };
+}
+
+/**
+ * Get every version of a template (newest first)
+ *
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>} - { name, event, description, currentVersion, versions }
+ */
+export async function getTemplateHistory(name) {
+  const stored = await EmailTemplate.findOne({ name }).lean();
+  if (stored) {
+    return { ...stored, versions: [...stored.versions].sort((a, b) => b.version - a.version) };
+  }
+
+  const builtIn = builtInTemplate(name);
+  if (!builtIn) return null;
+  return {
+    name,
+    event: builtIn.event,
+    description: builtIn.description,
+    currentVersion: 1,
+    isBuiltIn: true,
+    versions: [{ version: 1, subject: builtIn.subject, html: builtIn.html, text: builtIn.text, note: "Built-in default" }],
+  };
+}
+
+/**
+ * Validate and store a new version of a template (creating the template if needed)
+ * Throws TemplateError (400) when the subject, HTML or text does not compile.
+ *
+ * @param {string} name - Template name
+ * @param {Object} content
+ * @param {string} content.subject - Subject template
+ * @param {string} content.html - HTML body template
+ * @param {string} content.text - Plain text body template (optional)
+ * @param {string} content.description - Description (optional)
+ * @param {string} content.note - What changed (optional)
+ * @param {string} content.createdBy - Author (optional)
+ * @returns {Promise<Object|null>} - Updated template, or null on a concurrent edit
+ */
+export async function saveTemplateVersion(name, { subject, html, text = null, description, note = null, createdBy = null }) {
+  compileTemplate(subject);
+  compileTemplate(html);
+  if (text) compileTemplate(text);
+
+  let stored = await EmailTemplate.findOne({ name });
+  if (!stored) {
+    // Keep the built-in version as version 1 so it can be restored
+    const builtIn = builtInTemplate(name);
+    stored = await EmailTemplate.create({
+      name,
+      event: builtIn?.event || null,
+      description: description || builtIn?.description,
+      currentVersion: 0,
+      versions: builtIn
+        ? [{ version: 1, subject: builtIn.subject, html: builtIn.html, text: builtIn.text, note: "Built-in default" }]
+        : [],
+    });
+  }
+
+  const latestVersion = stored.versions.reduce((max, entry) => Math.max(max, entry.version), 0);
+  const update = {
+    $push: { versions: { version: latestVersion + 1, subject, html, text, note, createdBy } },
+    $set: { currentVersion: latestVersion + 1 },
+  };
+  if (description !== undefined) update.$set.description = description;
+
+  // Only succeeds if nobody saved a version in the meantime
+  return EmailTemplate.findOneAndUpdate(
+    { _id: stored._id, "versions.version": { $ne: latestVersion + 1 } },
+    update,
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Make an old version current again (stored as a new version)
+ *
+ * @param {string} name - Template name
+ * @param {number} version - Version to restore
+ * @param {string} createdBy - Author (optional)
+ * @returns {Promise<Object|null>} - Updated template, or null if the version does not exist
+ */
+export async function restoreTemplateVersion(name, version, createdBy = null) {
+  const template = await getTemplate(name, version);
+  if (!template) return null;
+
+  return saveTemplateVersion(name, {
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    note: `Restored version ${version}`,
+    createdBy,
+  });
+}
+
+/**
+ * Render a template's subject, HTML and text for a context
+ * Values are HTML-escaped in the HTML body only.
+ *
+ * @param {Object} template - { subject, html, text }
+ * @param {Object} context - Event details (see buildEventContext)
+ * @returns {Object} - { subject, html, text }
+ */
+export function renderEmail(template, context) {
+  return {
+    subject: renderTemplate(template.subject, context, { escape: false }),
+    html: renderTemplate(template.html, context),
+    text: template.text ? renderTemplate(template.text, context, { escape: false }) : undefined,
+  };
+}
+
+/**
+ * Render a template against a stored webhook document
+ *
+ * @param {Object} options
+ * @param {Object} options.template - { subject, html, text } (stored version or unsaved draft)
+ * @param {string} options.webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {string} options.sourceId - _id of the RequestDump / SampleStatusTracker / ReportStatusTracker document
+ * @returns {Promise<Object|null>} - { subject, html, text, context }, or null if the document is not found
+ */
+export async function previewTemplate({ template, webhookType, sourceId }) {
+  compileTemplate(template.subject);
+  compileTemplate(template.html);
+  if (template.text) compileTemplate(template.text);
+
+  const doc = await loadWebhookDocument(webhookType, sourceId);
+  if (!doc) return null;
+
+  const context = await buildEventContext(webhookType, doc);
+  return { ...renderEmail(template, context), context };
+}
@@ -0,0 +1,162 @@
+/**
+ * Encrypted ZIP Service
+ *
+ * Builds a single-file ZIP archive encrypted with AES-256 (WinZip AE-2 format),
+ * used to password-protect report PDFs sent by email. AE-2 archives open in
+ * 7-Zip, WinZip, WinRAR, macOS Keka/The Unarchiver and most mobile unzip apps.
+ *
+ * Format notes:
+ * - Keys: PBKDF2-HMAC-SHA1(password, salt, 1000 iterations) → encryption key,
+ *   authentication key and a 2-byte password verifier
+ * - Data: AES-256 in CTR mode with a little-endian counter starting at 1
+ * - Authentication: first 10 bytes of HMAC-SHA1 over the encrypted data
+ * - AE-2 stores a CRC of 0; integrity comes from the authentication code
+ *
+ * Functions:
+ * - createEncryptedZip: Compresses and encrypts one file into a ZIP buffer
+ */
+
+import crypto from "crypto";
+import zlib from "zlib";
+
+const AES_STRENGTH_256 = 3;
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+const PBKDF2_ITERATIONS = 1000;
+const AUTH_CODE_LENGTH = 10;
+
+const METHOD_AES = 99;
+const METHOD_DEFLATE = 8;
+const VERSION_NEEDED = 51;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * AES-256-CTR with the WinZip little-endian counter
+ */
+function aesCtrLittleEndian(key, data) {
+  const cipher = crypto.createCipheriv("aes-256-ecb", key, null);
+  cipher.setAutoPadding(false);
+
+  const output = Buffer.alloc(data.length);
+  const counter = Buffer.alloc(16);
+
+  for (let offset = 0, block = 1; offset < data.length; offset += 16, block++) {
+    counter.fill(0);
+    counter.writeUInt32LE(block >>> 0, 0);
+    counter.writeUInt32LE(Math.floor(block / 0x100000000), 4);
+
+    const keystream = cipher.update(counter);
+    const end = Math.min(offset + 16, data.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = data[i] ^ keystream[i - offset];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * MS-DOS date and time fields for a Date
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * AES extra field (header 0x9901)
+ */
+function aesExtraField() {
+  const extra = Buffer.alloc(11);
+  extra.writeUInt16LE(0x9901, 0);
+  extra.writeUInt16LE(7, 2);
+  extra.writeUInt16LE(2, 4); // AE-2
+  extra.write("AE", 6, "ascii");
+  extra.writeUInt8(AES_STRENGTH_256, 8);
+  extra.writeUInt16LE(METHOD_DEFLATE, 9);
+  return extra;
+}
+
+/**
+ * Compress and encrypt one file into a ZIP archive
+ *
+ * @param {string} fileName - Name of the file inside the archive
+ * @param {Buffer} content - File content
+ * @param {string} password - Password needed to open the file
+ * @param {Date} modifiedAt - Modification time stored in the archive
+ * @returns {Buffer} - ZIP archive
+ */
+export function createEncryptedZip(fileName, content, password, modifiedAt = new Date()) {
+  if (!password) {
+    throw new Error("A password is required to create an encrypted ZIP");
+  }
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derived = crypto.pbkdf2Sync(Buffer.from(password, "utf8"), salt, PBKDF2_ITERATIONS, KEY_LENGTH * 2 + 2, "sha1");
+  const encryptionKey = derived.subarray(0, KEY_LENGTH);
+  const authenticationKey = derived.subarray(KEY_LENGTH, KEY_LENGTH * 2);
+  const passwordVerifier = derived.subarray(KEY_LENGTH * 2);
+
+  const encrypted = aesCtrLittleEndian(encryptionKey, zlib.deflateRawSync(content));
+  const authCode = crypto.createHmac("sha1", authenticationKey).update(encrypted).digest().subarray(0, AUTH_CODE_LENGTH);
+  const fileData = Buffer.concat([salt, passwordVerifier, encrypted, authCode]);
+
+  const name = Buffer.from(fileName, "utf8");
+  const extra = aesExtraField();
+  const { time, date } = toDosDateTime(modifiedAt);
+  const flags = FLAG_ENCRYPTED | FLAG_UTF8;
+
+  const localHeader = Buffer.alloc(30);
+  localHeader.writeUInt32LE(0x04034b50, 0);
+  localHeader.writeUInt16LE(VERSION_NEEDED, 4);
+  localHeader.writeUInt16LE(flags, 6);
+  localHeader.writeUInt16LE(METHOD_AES, 8);
+  localHeader.writeUInt16LE(time, 10);
+  localHeader.writeUInt16LE(date, 12);
+  localHeader.writeUInt32LE(0, 14); // CRC is not stored for AE-2
+  localHeader.writeUInt32LE(fileData.length, 18);
+  localHeader.writeUInt32LE(content.length, 22);
+  localHeader.writeUInt16LE(name.length, 26);
+  localHeader.writeUInt16LE(extra.length, 28);
+
+  const centralHeader = Buffer.alloc(46);
+  centralHeader.writeUInt32LE(0x02014b50, 0);
+  centralHeader.writeUInt16LE(VERSION_NEEDED, 4);
+  centralHeader.writeUInt16LE(VERSION_NEEDED, 6);
+  centralHeader.writeUInt16LE(flags, 8);
+  centralHeader.writeUInt16LE(METHOD_AES, 10);
+  centralHeader.writeUInt16LE(time, 12);
+  centralHeader.writeUInt16LE(date, 14);
+  centralHeader.writeUInt32LE(0, 16);
+  centralHeader.writeUInt32LE(fileData.length, 20);
+  centralHeader.writeUInt32LE(content.length, 24);
+  centralHeader.writeUInt16LE(name.length, 28);
+  centralHeader.writeUInt16LE(extra.length, 30);
+  // Comment length, disk number, internal and external attributes stay 0
+  centralHeader.writeUInt32LE(0, 42); // Offset of the local header
+
+  const localLength = localHeader.length + name.length + extra.length + fileData.length;
+  const centralLength = centralHeader.length + name.length + extra.length;
+
+  const endOfCentralDirectory = Buffer.alloc(22);
+  endOfCentralDirectory.writeUInt32LE(0x06054b50, 0);
+  endOfCentralDirectory.writeUInt16LE(1, 8);
+  endOfCentralDirectory.writeUInt16LE(1, 10);
+  endOfCentralDirectory.writeUInt32LE(centralLength, 12);
+  endOfCentralDirectory.writeUInt32LE(localLength, 16);
+
+  return Buffer.concat([
+    localHeader,
+    name,
+    extra,
+    fileData,
+    centralHeader,
+    name,
+    extra,
+    endOfCentralDirectory,
+  ]);
+}
@@ -0,0 +1,115 @@
+/**
+ * Webhook Event Context Service
+ *
+ * Builds the details of a stored webhook event that notification rules match
+ * on and email templates render: the event itself, the bill (patient, lab,
+ * org, referral doctor), the tests on the event with their departments, and
+ * the sample or report details.
+ *
+ * Functions:
+ * - loadWebhookDocument: Loads a stored webhook document (without PDFs)
+ * - buildEventContext: Event details for a stored webhook document
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { billIdQuery, loadTestCatalog, lookupTest } from "./testLifecycleService.js";
+import { extractDoctorNameFromReferral } from "./patientConsolidationService.js";
+
+export const BILL_GENERATED = "Bill Generated";
+
+// Collection that stores each webhook type
+export const WEBHOOK_SOURCE_MODELS = {
+  billGenerate: RequestDump,
+  sampleStatus: SampleStatusTracker,
+  reportStatus: ReportStatusTracker,
+};
+
+// PDFs can be large; never load them when only event metadata is needed
+const WITHOUT_PDF = "-request.reportBase64 -request.reportDetails.reportBase64";
+
+/**
+ * Load a stored webhook document
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {string} sourceId - Document _id
+ * @returns {Promise<Object|null>} - Lean document, or null if not found
+ */
+export async function loadWebhookDocument(webhookType, sourceId) {
+  const Model = WEBHOOK_SOURCE_MODELS[webhookType];
+  if (!Model) return null;
+  return Model.findById(sourceId).select(WITHOUT_PDF).lean();
+}
+
+/**
+ * Build the event details for a stored webhook document
+ * Sample and report events are enriched with the bill (patient, lab, org,
+ * referral doctor and tests) from RequestDump.
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {Object} doc - Stored RequestDump / SampleStatusTracker / ReportStatusTracker document
+ * @returns {Promise<Object>}
+ */
+export async function buildEventContext(webhookType, doc) {
+  const normalized = getStoredNormalized(webhookType, doc);
+
+  let bill = normalized;
+  if (webhookType !== "billGenerate" && normalized.billId !== null && normalized.billId !== undefined) {
+    const billDump = await RequestDump.findOne(billIdQuery([normalized.billId]))
+      .sort({ createdAt: -1 })
+      .select("request normalized")
+      .lean();
+    bill = billDump ? getStoredNormalized("billGenerate", billDump) : {};
+  }
+
+  // Tests on the event (all bill tests for bill events)
+  const catalog = await loadTestCatalog();
+  const eventTestIds = webhookType === "billGenerate" ? null : normalized.testIds || [];
+  const tests = (bill.tests || [])
+    .filter((test) => !eventTestIds?.length || eventTestIds.includes(test.testId))
+    .map((test) => ({ ...test, ...lookupTest(catalog, test.testCode, test.testName) }));
+
+  return {
+    event: {
+      type: webhookType,
+      status: webhookType === "billGenerate" ? BILL_GENERATED : normalized.status || null,
+      receivedAt: doc.createdAt ? new Date(doc.createdAt) : new Date(),
+    },
+    bill: {
+      billId: normalized.billId ?? bill.billId ?? null,
+      billTime: bill.billTime || null,
+      totalAmount: bill.billTotalAmount ?? null,
+      dueAmount: bill.dueAmount ?? null,
+      referralDoctor: extractDoctorNameFromReferral(bill.billReferral),
+      labId: normalized.labId ?? bill.labId ?? null,
+      labName: bill.labName || null,
+      orgId: normalized.orgId ?? bill.orgId ?? null,
+      orgName: bill.orgName || null,
+    },
+    patient: {
+      patientId: bill.patientId ?? null,
+      labPatientId: bill.labPatientId || null,
+      name: bill.patientName || null,
+      age: bill.patientAge ?? null,
+      gender: bill.patientGender || null,
+      email: bill.patientEmail || null,
+      phone: bill.patientPhone || null,
+    },
+    tests,
+    testNames: tests.map((test) => test.testName).filter(Boolean),
+    departments: [...new Set(tests.map((test) => test.department).filter(Boolean))],
+    sample: webhookType === "sampleStatus"
+      ? { sampleId: normalized.sampleId, accessionDate: normalized.accessionDate }
+      : null,
+    report: webhookType === "reportStatus"
+      ? {
+          labReportId: normalized.labReportId,
+          signingDoctors: normalized.signingDoctors || [],
+          reportDate: normalized.reportDate,
+          hasPdf: normalized.hasPdf,
+        }
+      : null,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Field Diff Service
+ *
+ * Compares selected fields of two documents (hydrated, lean or plain objects)
+ * and describes what changed, for dry runs and replay reports.
+ *
+ * Functions:
+ * - diffFields: { path: { from, to } } for every path whose value differs
+ */
+
+/**
+ * Read a dotted path from a document or plain object
+ */
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Comparable, JSON-friendly form of a value (dates, ObjectIds, arrays)
+ */
+function toComparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === "function") return value.toHexString();
+  if (typeof value.toObject === "function") return JSON.parse(JSON.stringify(value.toObject()));
+  if (typeof value === "object") return JSON.parse(JSON.stringify(value));
+  return value;
+}
+
+/**
+ * Describe the changed fields between two documents
+ *
+ * @param {Object} before - Current document ({} or null when it does not exist yet)
+ * @param {Object} after - Document after the change
+ * @param {Array<string>} paths - Fields to compare (dotted paths allowed)
+ * @returns {Object} - { path: { from, to } } for every changed field
+ */
+export function diffFields(before, after, paths) {
+  const changes = {};
+  for (const path of paths) {
+    const from = toComparable(getPath(before, path));
+    const to = toComparable(getPath(after, path));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[path] = { from, to };
+    }
+  }
+  return changes;
+}
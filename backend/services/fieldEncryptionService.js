@@ -0,0 +1,382 @@
+/**
+ * Field Encryption Service
+ *
+ * Application-level encryption of sensitive fields at rest (AES-256-GCM).
+ * Models opt in with the fieldEncryption plugin (models/plugins/fieldEncryption.js)
+ * and the field lists below; values are encrypted on write and decrypted on read,
+ * so the rest of the code only ever sees plaintext.
+ *
+ * Stored values look like "enc:<keyId>:<mode>:<hex of iv | tag | ciphertext>":
+ * - mode "r" (random): a random IV per value
+ * - mode "d" (deterministic): the IV is an HMAC of the value, so equal values
+ *   encrypt to equal strings under the same key and stay searchable by equality
+ * Hex keeps the strings lowercase, so schema setters like lowercase/trim leave
+ * them untouched.
+ *
+ * Keys (FIELD_ENCRYPTION_KEYS) are "keyId:base64key" pairs, comma-separated,
+ * each a 32-byte key. New values use FIELD_ENCRYPTION_KEY_ID (default: the first
+ * key). Keep old keys listed until `npm run migrate:encrypt-fields` has
+ * re-encrypted every record with the new one. Without keys nothing is encrypted,
+ * which is only allowed outside production.
+ *
+ * Functions:
+ * - isEncryptionEnabled / getActiveKeyId: Key configuration
+ * - isEncryptedValue / encryptValue / decryptValue: Single values
+ * - reencryptValue: Moves a stored value to the active key (key rotation)
+ * - searchValues: Every stored form of a value, for deterministic lookups
+ * - encryptFields / decryptFields: Apply to the configured paths of an object
+ * - encryptFieldFilter / encryptFieldUpdate: Rewrite query filters and updates
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const DETERMINISTIC = "deterministic";
+export const RANDOM = "random";
+
+const PREFIX = "enc:";
+const KEY_ID_PATTERN = /^[a-z0-9_-]+$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Raw webhook bodies (RequestDump, SampleStatusTracker, ReportStatusTracker,
+// QuarantinedWebhook), under the field names Crelio uses
+const WEBHOOK_FIELDS = {
+  "request.Mobile Number": DETERMINISTIC,
+  "request.Patient Contact": DETERMINISTIC,
+  "request.Patient Alternate Contact": DETERMINISTIC,
+  "request.phone": DETERMINISTIC,
+  "request.patient_email": DETERMINISTIC,
+  "request.email": DETERMINISTIC,
+  "request.address": RANDOM,
+  "request.landmark": RANDOM,
+  "request.areaOfResidance": RANDOM,
+  "request.areaOfResidence": RANDOM,
+  "request.zip_code": RANDOM,
+  "request.zipCode": RANDOM,
+  "request.ssnNumber": RANDOM,
+  "request.passportNumber": RANDOM,
+  "normalized.patientPhone": DETERMINISTIC,
+  "normalized.patientEmail": DETERMINISTIC,
+};
+
+// Encrypted fields per model
+export const ENCRYPTED_FIELDS = {
+  Patient: {
+    phone: DETERMINISTIC,
+    email: DETERMINISTIC,
+    alternateContact: DETERMINISTIC,
+    alternateEmail: DETERMINISTIC,
+    ssnNumber: RANDOM,
+    passportNumber: RANDOM,
+    "address.street": RANDOM,
+    "address.city": RANDOM,
+    "address.state": RANDOM,
+    "address.zipCode": RANDOM,
+    "address.country": RANDOM,
+    "address.landmark": RANDOM,
+    "address.areaOfResidence": RANDOM,
+  },
+  RequestDump: WEBHOOK_FIELDS,
+  SampleStatusTracker: WEBHOOK_FIELDS,
+  ReportStatusTracker: WEBHOOK_FIELDS,
+  QuarantinedWebhook: WEBHOOK_FIELDS,
+};
+
+let keyring = null;
+
+/**
+ * Parse FIELD_ENCRYPTION_KEYS once
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || "").split(",").map((item) => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(":");
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: key IDs must match ${KEY_ID_PATTERN} ("${keyId}")`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: key "${keyId}" must be 32 bytes (base64)`);
+    }
+    // Separate subkeys for encryption and for deterministic IVs
+    keys.set(keyId, {
+      cipherKey: Buffer.from(crypto.hkdfSync("sha256", key, Buffer.alloc(0), "field-encryption:cipher", 32)),
+      ivKey: Buffer.from(crypto.hkdfSync("sha256", key, Buffer.alloc(0), "field-encryption:iv", 32)),
+    });
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${activeKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("FIELD_ENCRYPTION_KEYS must be set in production");
+    }
+    console.warn("⚠️  FIELD_ENCRYPTION_KEYS is not set; patient identifiers are stored unencrypted");
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+}
+
+/**
+ * Whether new values are encrypted
+ */
+export function isEncryptionEnabled() {
+  return Boolean(getKeyring().activeKeyId);
+}
+
+/**
+ * Key ID used for new values (null when encryption is off)
+ */
+export function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Whether a stored value is encrypted
+ */
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Whether a value is worth encrypting (empty values are stored as they are)
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Encrypt one value with a given key
+ */
+function encryptWithKey(value, mode, keyId) {
+  const { cipherKey, ivKey } = getKeyring().keys.get(keyId);
+  // JSON keeps the type (Crelio sends some numbers as numbers)
+  const plaintext = Buffer.from(JSON.stringify(value), "utf8");
+  const iv = mode === DETERMINISTIC
+    ? crypto.createHmac("sha256", ivKey).update(plaintext).digest().subarray(0, IV_LENGTH)
+    : crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", cipherKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("hex");
+
+  return `${PREFIX}${keyId}:${mode === DETERMINISTIC ? "d" : "r"}:${payload}`;
+}
+
+/**
+ * Encrypt a value with the active key
+ * Values that are empty or already encrypted are returned unchanged.
+ *
+ * @param {*} value - Plain value (string, number or object)
+ * @param {string} mode - DETERMINISTIC or RANDOM
+ * @returns {*} - Encrypted string, or the value when encryption is off
+ */
+export function encryptValue(value, mode = RANDOM) {
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId || !hasValue(value) || isEncryptedValue(value)) return value;
+  return encryptWithKey(value, mode, activeKeyId);
+}
+
+/**
+ * Decrypt a stored value (plain values are returned unchanged)
+ *
+ * @param {*} value - Stored value
+ * @returns {*} - Plain value
+ */
+export function decryptValue(value) {
+  if (!isEncryptedValue(value)) return value;
+
+  const [, keyId, , payload] = value.split(":");
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured (FIELD_ENCRYPTION_KEYS)`);
+  }
+
+  const data = Buffer.from(payload, "hex");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key.cipherKey, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  const plaintext = Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+/**
+ * Encrypt a stored value with the active key, unless it already is
+ *
+ * @param {*} value - Stored value (plain or encrypted with any configured key)
+ * @param {string} mode - DETERMINISTIC or RANDOM
+ * @returns {*} - Value encrypted with the active key
+ */
+export function reencryptValue(value, mode = RANDOM) {
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId || !hasValue(value)) return value;
+  if (isEncryptedValue(value) && value.split(":")[1] === activeKeyId) return value;
+  return encryptWithKey(decryptValue(value), mode, activeKeyId);
+}
+
+/**
+ * Every form a value can be stored in: plain (not yet migrated) and
+ * deterministically encrypted under each configured key
+ *
+ * @param {*} value - Plain value
+ * @returns {Array} - Values to match with $in
+ */
+export function searchValues(value) {
+  if (!hasValue(value) || isEncryptedValue(value)) return [value];
+  return [value, ...[...getKeyring().keys.keys()].map((keyId) => encryptWithKey(value, DETERMINISTIC, keyId))];
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !Buffer.isBuffer(value) && !(value instanceof Date);
+
+/**
+ * Apply fn to the configured paths of an object
+ * With copy, objects along each path are copied before being changed, so
+ * objects shared with the caller (e.g. a request body) are left alone.
+ */
+function transformFields(target, fields, fn, { paths = Object.keys(fields), copy = false } = {}) {
+  const copied = new WeakSet();
+  let changed = 0;
+
+  for (const path of paths) {
+    const parts = path.split(".");
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+      if (!isPlainObject(node?.[part])) {
+        node = null;
+        break;
+      }
+      if (copy && !copied.has(node[part])) {
+        node[part] = { ...node[part] };
+        copied.add(node[part]);
+      }
+      node = node[part];
+    }
+
+    const leaf = parts[parts.length - 1];
+    if (!node || !hasValue(node[leaf])) continue;
+    const value = fn(node[leaf], fields[path], path);
+    if (value !== node[leaf]) {
+      node[leaf] = value;
+      changed++;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Encrypt the configured fields of an object in place
+ *
+ * @param {Object} target - Document data
+ * @param {Object} fields - { path: mode }
+ * @param {Object} options - { paths: only these paths, copy: copy nested objects before changing them }
+ * @returns {number} - Number of values encrypted
+ */
+export function encryptFields(target, fields, options = {}) {
+  if (!isEncryptionEnabled()) return 0;
+  return transformFields(target, fields, (value, mode) => encryptValue(value, mode), options);
+}
+
+/**
+ * Decrypt the configured fields of an object in place
+ *
+ * @param {Object} target - Document data
+ * @param {Object} fields - { path: mode }
+ * @param {Object} options - See encryptFields
+ * @returns {number} - Number of values decrypted
+ */
+export function decryptFields(target, fields, options = {}) {
+  if (!target) return 0;
+  return transformFields(target, fields, decryptValue, options);
+}
+
+/**
+ * Condition matching every stored form of a deterministic field value
+ */
+function toSearchCondition(condition) {
+  if (!isPlainObject(condition)) return { $in: searchValues(condition) };
+
+  const result = { ...condition };
+  if ("$eq" in result) {
+    result.$in = [result.$eq];
+    delete result.$eq;
+  }
+  if (Array.isArray(result.$in)) result.$in = result.$in.flatMap(searchValues);
+  if ("$ne" in result) {
+    result.$nin = [result.$ne];
+    delete result.$ne;
+  }
+  if (Array.isArray(result.$nin)) result.$nin = result.$nin.flatMap(searchValues);
+  return result;
+}
+
+/**
+ * Rewrite a query filter so equality matches on deterministic fields find
+ * encrypted values. Random fields cannot be searched.
+ *
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} fields - { path: mode }
+ * @returns {Object} - Filter
+ */
+export function encryptFieldFilter(filter, fields) {
+  if (!isPlainObject(filter) || !isEncryptionEnabled()) return filter;
+
+  const result = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (["$and", "$or", "$nor"].includes(key) && Array.isArray(condition)) {
+      result[key] = condition.map((item) => encryptFieldFilter(item, fields));
+    } else if (fields[key] === DETERMINISTIC && condition !== null && !(condition instanceof RegExp)) {
+      result[key] = toSearchCondition(condition);
+    } else {
+      result[key] = condition;
+    }
+  }
+  return result;
+}
+
+/**
+ * Encrypt configured fields in an update ({ field }, $set, $setOnInsert)
+ *
+ * @param {Object} update - MongoDB update
+ * @param {Object} fields - { path: mode }
+ * @returns {Object} - Update with encrypted values
+ */
+export function encryptFieldUpdate(update, fields) {
+  if (!isPlainObject(update) || !isEncryptionEnabled()) return update;
+
+  const encryptSet = (values) => {
+    const result = { ...values };
+    for (const [key, value] of Object.entries(values)) {
+      if (key.startsWith("$")) continue;
+      if (fields[key]) {
+        result[key] = encryptValue(value, fields[key]);
+        continue;
+      }
+      // Whole objects, e.g. { address: { street } } or { request: body }
+      const nested = Object.fromEntries(
+        Object.entries(fields)
+          .filter(([path]) => path.startsWith(`${key}.`))
+          .map(([path, mode]) => [path.slice(key.length + 1), mode])
+      );
+      if (Object.keys(nested).length > 0 && isPlainObject(value)) {
+        result[key] = { ...value };
+        encryptFields(result[key], nested, { copy: true });
+      }
+    }
+    return result;
+  };
+
+  const result = encryptSet(update);
+  for (const operator of ["$set", "$setOnInsert"]) {
+    if (isPlainObject(update[operator])) result[operator] = encryptSet(update[operator]);
+  }
+  return result;
+}
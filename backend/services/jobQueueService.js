@@ -0,0 +1,291 @@
+/**
+ * Background Job Queue Service
+ *
+ * A small MongoDB-backed job queue. Jobs are stored in the BackgroundJob
+ * collection before the webhook is acknowledged, so work is not lost when the
+ * server crashes or restarts.
+ *
+ * Features:
+ * - Retries with exponential backoff (JOB_BACKOFF_BASE_MS, JOB_BACKOFF_MAX_MS)
+ * - Dead-letter state once maxAttempts is reached
+ * - Per-serialKey serialization: jobs with the same key never run concurrently,
+ *   also across server instances (a unique index allows one running job per key)
+ * - Coalescing: enqueueing a job whose key already has a pending job of the same
+ *   type refreshes that job instead of adding another one
+ * - Lease recovery: running jobs whose worker stopped responding count as a
+ *   failed attempt (retried with backoff or dead-lettered); long jobs (scans,
+ *   replays) renew their lease while they run
+ *
+ * Functions:
+ * - registerJobHandler: Registers the function that runs a job type
+ * - enqueueJob: Persists a new job
+ * - startJobWorker / stopJobWorker: Controls the polling worker
+ * - retryJob / purgeDeadJobs: Dead-letter management
+ */
+
+import os from "os";
+import dotenv from "dotenv";
+import BackgroundJob from "../models/BackgroundJob.js";
+
+// Load environment variables
+dotenv.config();
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000");
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || "300000");
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS || "5000");
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS || "3600000");
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "5");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Claims retried after losing a serialKey race to another worker
+const MAX_CLAIM_ATTEMPTS = 5;
+
+// Registered job handlers (type → async function(payload, job))
+const handlers = new Map();
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * Register the handler for a job type
+ *
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function receiving (payload, job); what it returns is kept as the job's result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Persist a new job
+ *
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - Arguments for the handler
+ * @param {Object} options
+ * @param {string} options.serialKey - Jobs with the same key run one at a time
+ * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+ * @param {boolean} options.coalesce - Reuse a pending job with the same type and key (default true)
+ * @returns {Promise<Object>} - The BackgroundJob document
+ */
+export async function enqueueJob(
+  type,
+  payload = {},
+  { serialKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, coalesce = true } = {}
+) {
+  if (serialKey && coalesce) {
+    // Coalesce with a job that has not started yet
+    const pendingJob = await BackgroundJob.findOneAndUpdate(
+      { type, serialKey, status: "pending" },
+      { $set: { payload } },
+      { new: true }
+    );
+    if (pendingJob) return pendingJob;
+  }
+
+  return BackgroundJob.create({ type, payload, serialKey, maxAttempts });
+}
+
+/**
+ * Delay before the next attempt (exponential backoff, capped)
+ */
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Outcome of a failed attempt: retried after a backoff, or dead-lettered once
+ * maxAttempts is reached
+ */
+function getFailureUpdate(job, lastError) {
+  const isDead = job.attempts >= job.maxAttempts;
+  const delay = getBackoffDelay(job.attempts);
+  return {
+    isDead,
+    delay,
+    $set: {
+      status: isDead ? "dead" : "failed",
+      runAt: new Date(Date.now() + delay),
+      lockedAt: null,
+      lockedBy: null,
+      lastError,
+    },
+  };
+}
+
+/**
+ * Fail jobs held by a worker that stopped responding to the queue
+ * A lease expiring counts as a failed attempt, so a job that keeps crashing or
+ * hanging its worker is dead-lettered like any other failing job.
+ */
+async function recoverExpiredLeases() {
+  const expired = { status: "running", lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } };
+  const jobs = await BackgroundJob.find(expired).select("type attempts maxAttempts").lean();
+
+  let recovered = 0;
+  for (const job of jobs) {
+    const { isDead, $set } = getFailureUpdate(job, "Worker lease expired");
+    // Skipped when the lease was renewed in the meantime
+    const result = await BackgroundJob.updateOne({ _id: job._id, ...expired }, { $set });
+    if (result.modifiedCount === 0) continue;
+    recovered++;
+    if (isDead) {
+      console.error(`❌ Job ${job._id} (${job.type}) moved to dead-letter after its worker lease expired ${job.attempts} time(s)`);
+    }
+  }
+  if (recovered > 0) {
+    console.warn(`⚠️  Recovered ${recovered} job(s) with expired worker leases`);
+  }
+}
+
+/**
+ * serialKeys of the jobs currently running
+ */
+async function getRunningSerialKeys() {
+  return (await BackgroundJob.distinct("serialKey", { status: "running" })).filter(Boolean);
+}
+
+/**
+ * Atomically claim the next runnable job whose serialKey is not already running
+ * Running keys are skipped up front; when another worker starts a job with the
+ * same key in between, the unique running-serialKey index rejects the claim
+ * and the next job is tried.
+ */
+async function claimNextJob() {
+  let runningKeys = await getRunningSerialKeys();
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const now = new Date();
+    try {
+      return await BackgroundJob.findOneAndUpdate(
+        {
+          status: { $in: ["pending", "failed"] },
+          runAt: { $lte: now },
+          serialKey: { $nin: runningKeys },
+        },
+        {
+          $set: { status: "running", lockedAt: now, lockedBy: WORKER_ID },
+          $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1, createdAt: 1 }, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      runningKeys = await getRunningSerialKeys();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a claimed job and record the outcome
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  // Keep the lease while the handler runs, so long jobs are not taken for abandoned ones
+  const leaseTimer = setInterval(() => {
+    BackgroundJob.updateOne({ _id: job._id, status: "running" }, { $set: { lockedAt: new Date() } }).catch((error) =>
+      console.warn(`⚠️  Could not renew the lease of job ${job._id}:`, error.message)
+    );
+  }, Math.max(LOCK_TIMEOUT_MS / 3, 1000));
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    const result = await handler(job.payload, job);
+
+    await BackgroundJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: "completed",
+        completedAt: new Date(),
+        result: result ?? null,
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+      },
+    });
+  } catch (error) {
+    const { isDead, delay, $set } = getFailureUpdate(job, error.message);
+    await BackgroundJob.findByIdAndUpdate(job._id, { $set });
+
+    if (isDead) {
+      console.error(`❌ Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`⚠️  Job ${job._id} (${job.type}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+  } finally {
+    clearInterval(leaseTimer);
+  }
+}
+
+/**
+ * Process all runnable jobs, then schedule the next poll
+ */
+async function pollJobs() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await recoverExpiredLeases();
+
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error("⚠️  Job worker error:", error.message);
+  } finally {
+    isRunning = false;
+    if (pollTimer) {
+      pollTimer = setTimeout(pollJobs, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Start the polling worker (call once the database is connected)
+ */
+export function startJobWorker() {
+  if (pollTimer) return;
+  pollTimer = setTimeout(pollJobs, 0);
+  console.log(`⚙️  Background job worker started (${WORKER_ID})`);
+}
+
+/**
+ * Stop the polling worker
+ */
+export function stopJobWorker() {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Reset a failed or dead job so the worker picks it up again
+ *
+ * @param {string} jobId - BackgroundJob _id
+ * @returns {Promise<Object|null>} - Updated job, or null if not retryable
+ */
+export async function retryJob(jobId) {
+  return BackgroundJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["failed", "dead"] } },
+    { $set: { status: "pending", attempts: 0, runAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Delete dead-lettered jobs
+ *
+ * @param {Object} filter - Optional extra filter (e.g. { type })
+ * @returns {Promise<number>} - Number of deleted jobs
+ */
+export async function purgeDeadJobs(filter = {}) {
+  const result = await BackgroundJob.deleteMany({ ...filter, status: "dead" });
+  return result.deletedCount;
+}
@@ -0,0 +1,220 @@
+/**
+ * Notification Rules Service
+ *
+ * Sends email notifications for stored webhooks according to the rules in the
+ * NotificationRule collection. Each webhook is dispatched by a background job,
+ * so a slow or failing mail server never delays the webhook response.
+ *
+ * A rule matches when every non-empty criterion matches the event:
+ * - webhookTypes: billGenerate, sampleStatus, reportStatus
+ * - statuses: Status value, e.g. "Report Signed" ("Bill Generated" for bills)
+ * - labIds / orgIds: Lab and organization of the bill
+ * - departments: Department of any test on the event (from TestInfo)
+ * - referralDoctors: Referral doctor of the bill
+ *
+ * The email comes from the rule's own subject/body, else the named template
+ * set on the rule, else the default template for the event (see
+ * services/emailTemplateService.js).
+ *
+ * Every dispatch is written to the NotificationDelivery log. Failed deliveries
+ * make the job retry; rules that were already sent for the event are skipped.
+ *
+ * Functions:
+ * - queueNotifications: Queues rule evaluation for a stored webhook
+ * - dispatchNotifications: Matches rules for a stored webhook and sends emails
+ * - matchesRule: Checks a rule against an event
+ * - renderRuleEmail: Renders the email for a rule and an event
+ */
+
+import NotificationRule from "../models/NotificationRule.js";
+import NotificationDelivery from "../models/NotificationDelivery.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+import { sendEmail } from "./emailService.js";
+import { buildEventContext, loadWebhookDocument } from "./eventContextService.js";
+import { getEventTemplateName, getTemplate, renderEmail } from "./emailTemplateService.js";
+import { renderTemplate } from "./templateEngine.js";
+
+export const DISPATCH_NOTIFICATIONS_JOB = "dispatchNotifications";
+
+/**
+ * Normalize a doctor name for comparison ("Dr. A  Kumar" → "a kumar")
+ */
+function normalizeDoctorName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/^dr\.?\s*/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Check whether a rule matches an event (empty criteria match anything)
+ *
+ * @param {Object} rule - NotificationRule document
+ * @param {Object} context - Event details (see buildEventContext)
+ * @returns {boolean}
+ */
+export function matchesRule(rule, context) {
+  const match = rule.match || {};
+  const lower = (values) => (values || []).map((value) => String(value).trim().toLowerCase());
+
+  if (match.webhookTypes?.length && !match.webhookTypes.includes(context.event.type)) return false;
+
+  if (match.statuses?.length && !lower(match.statuses).includes(String(context.event.status || "").toLowerCase())) {
+    return false;
+  }
+
+  if (match.labIds?.length && !match.labIds.includes(context.bill.labId)) return false;
+  if (match.orgIds?.length && !match.orgIds.includes(context.bill.orgId)) return false;
+
+  if (match.departments?.length) {
+    const departments = lower(match.departments);
+    if (!lower(context.departments).some((department) => departments.includes(department))) return false;
+  }
+
+  if (match.referralDoctors?.length) {
+    const doctors = match.referralDoctors.map(normalizeDoctorName);
+    if (!doctors.includes(normalizeDoctorName(context.bill.referralDoctor))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Render the email for a rule and an event
+ *
+ * @param {Object} rule - NotificationRule document
+ * @param {Object} context - Event details (see buildEventContext)
+ * @returns {Promise<Object>} - { subject, html, text, templateName, templateVersion }
+ */
+export async function renderRuleEmail(rule, context) {
+  if (rule.subject && rule.body) {
+    return {
+      subject: renderTemplate(rule.subject, context, { escape: false }),
+      html: renderTemplate(rule.body, context),
+      templateName: null,
+      templateVersion: null,
+    };
+  }
+
+  const templateName = rule.template || getEventTemplateName(context.event.type, context.event.status);
+  if (!templateName) {
+    throw new Error(`No email template for ${context.event.type} "${context.event.status}"`);
+  }
+
+  const template = await getTemplate(templateName);
+  if (!template) {
+    throw new Error(`Email template "${templateName}" not found`);
+  }
+
+  return {
+    ...renderEmail(template, context),
+    templateName: template.name,
+    templateVersion: template.version,
+  };
+}
+
+/**
+ * Match rules for a stored webhook and send emails
+ *
+ * @param {Object} payload
+ * @param {string} payload.webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {string} payload.sourceId - _id of the stored webhook document
+ * @returns {Promise<Object>} - { matched, sent, failed, skipped }
+ */
+export async function dispatchNotifications({ webhookType, sourceId }) {
+  const summary = { matched: 0, sent: 0, failed: 0, skipped: 0 };
+
+  const rules = await NotificationRule.find({ enabled: true }).lean();
+  if (rules.length === 0) return summary;
+
+  const doc = await loadWebhookDocument(webhookType, sourceId);
+  if (!doc) return summary;
+
+  const context = await buildEventContext(webhookType, doc);
+  const matchedRules = rules.filter((rule) => matchesRule(rule, context));
+  summary.matched = matchedRules.length;
+  if (matchedRules.length === 0) return summary;
+
+  // Rules already delivered for this event (job retries)
+  const delivered = await NotificationDelivery.find({
+    sourceId,
+    rule: { $in: matchedRules.map((rule) => rule._id) },
+    outcome: "sent",
+  })
+    .select("rule")
+    .lean();
+  const deliveredRuleIds = new Set(delivered.map((delivery) => delivery.rule.toString()));
+
+  for (const rule of matchedRules) {
+    if (deliveredRuleIds.has(rule._id.toString())) {
+      summary.skipped++;
+      continue;
+    }
+
+    let email;
+    let result;
+    try {
+      email = await renderRuleEmail(rule, context);
+      result = await sendEmail({ to: rule.recipients, ...email });
+    } catch (error) {
+      // Missing or broken template
+      result = { success: false, error: error.message };
+    }
+
+    await NotificationDelivery.findOneAndUpdate(
+      { rule: rule._id, sourceId },
+      {
+        $set: {
+          ruleName: rule.name,
+          webhookType,
+          billId: context.bill.billId,
+          status: context.event.status,
+          recipients: rule.recipients,
+          subject: email?.subject || null,
+          templateName: email?.templateName || null,
+          templateVersion: email?.templateVersion ?? null,
+          outcome: result.success ? "sent" : "failed",
+          messageId: result.messageId || null,
+          error: result.success ? null : result.error,
+        },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true }
+    );
+
+    if (result.success) {
+      summary.sent++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  if (summary.failed > 0) {
+    // Let the job queue retry the failed rules
+    throw new Error(`${summary.failed} notification(s) failed for ${webhookType} ${sourceId}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Queue rule evaluation for a stored webhook
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {Object} document - Stored webhook document
+ */
+export async function queueNotifications(webhookType, document) {
+  try {
+    if (!document?._id) return;
+    if (!(await NotificationRule.exists({ enabled: true }))) return;
+    await enqueueJob(DISPATCH_NOTIFICATIONS_JOB, { webhookType, sourceId: document._id.toString() });
+  } catch (error) {
+    console.error("⚠️  Error queueing notifications:", error.message);
+    // Rethrow so the webhook is not acknowledged and Crelio retries it
+    throw error;
+  }
+}
+
+// Register the job handler used by the background worker
+registerJobHandler(DISPATCH_NOTIFICATIONS_JOB, dispatchNotifications);
@@ -5,16 +5,35 @@
  * It can be called automatically after webhook data is inserted.
  * 
  * Functions:
- * - consolidatePatientFromWebhook: Consolidates a single patient from webhook data
- * - consolidatePatientFromBillId: Consolidates patient data for a specific billId
+ * - consolidatePatientFromWebhook: Queues consolidation of a single patient from webhook data
+ * - consolidatePatientFromBillId: Consolidates patient data for a specific billId (or previews it)
+ * - extractDoctorNameFromReferral: Doctor name from a Crelio billReferral string
+ *
+ * A returning patient (same "Patient Id") keeps one record, which follows their
+ * latest bill; an earlier bill (e.g. a report signed for a past visit) only adds
+ * its reports to the record's labReports. Every bill of the person is listed by
+ * services/patientHistoryService.js.
+ * Bills of a record merged into another patient (services/duplicatePatientService.js)
+ * update that patient. Every consolidated bill gets a BillSummary
+ * (services/billSummaryService.js), which is what retention checks before
+ * purging a bill's raw webhooks.
+ *
+ * Webhook-triggered consolidation runs through the durable job queue
+ * (services/jobQueueService.js) as "consolidatePatient" jobs, serialized per billId.
  */
 
 import Patient from "../models/Patient.js";
-import Doctor from "../models/Doctor.js";
 import RequestDump from "../models/RequestDump.js";
 import ReportStatusTracker from "../models/ReportStatusTracker.js";
 import SampleStatusTracker from "../models/SampleStatusTracker.js";
 import Report from "../models/Report.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+import { diffFields } from "./fieldDiff.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { findOrCreateDoctor } from "./doctorService.js";
+import { recordBillSummary } from "./billSummaryService.js";
+
+export const CONSOLIDATE_PATIENT_JOB = "consolidatePatient";
 
 // Import helper functions from consolidation script
 // We'll need to extract these functions or import them
@@ -22,7 +41,7 @@ import Report from "../models/Report.js";
 /**
  * Extract doctor name from billReferral string
  */
-function extractDoctorNameFromReferral(billReferral) {
+export function extractDoctorNameFromReferral(billReferral) {
   if (!billReferral || typeof billReferral !== 'string') return null;
   if (billReferral === 'SELF' || billReferral.trim() === '') return null;
   const doctorName = billReferral.split(';')[0].trim();
@@ -47,43 +66,18 @@ function extractDoctorNameFromSigningDoctor(signingDoctor) {
   return null;
 }
 
-/**
- * Find or create Doctor by name
- */
-async function findOrCreateDoctor(doctorName, docId = null) {
-  if (!doctorName || typeof doctorName !== 'string') return null;
-  
-  try {
-    // Try to find existing doctor by name (case-insensitive)
-    let doctor = await Doctor.findOne({
-      name: { $regex: new RegExp(`^${doctorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
-    });
-    
-    if (!doctor) {
-      // Create new doctor if not found
-      const doctorId = docId ? `DOC-${docId}` : `DOC-${Date.now()}`;
-      doctor = await Doctor.create({
-        doctorId: doctorId,
-        name: doctorName,
-        email: `${doctorId.toLowerCase().replace(/-/g, '')}@crelio.local`,
-        phone: '0000000000', // Default phone since it's required
-        specialty: 'General Practitioner',
-        status: 'Active',
-      });
-    }
-    
-    return doctor._id;
-  } catch (error) {
-    console.error(`⚠️  Error finding/creating doctor ${doctorName}:`, error.message);
-    return null;
-  }
-}
-
 /**
  * Consolidate patient data for a specific billId
- * This is called automatically after webhook data is inserted
+ * This is called by the job queue after webhook data is inserted, and by
+ * webhook replays. Errors are rethrown so the job queue can retry the consolidation.
+ *
+ * @param {number|string} billId - Bill ID
+ * @param {number|string} billIdNumber - Numeric bill ID ("bill_id"), if different
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Work out the changes without saving them
+ * @returns {Promise<Object>} - { billId, patientId, action: created/updated/unchanged/skipped, changes }
  */
-export async function consolidatePatientFromBillId(billId, billIdNumber = null) {
+export async function consolidatePatientFromBillId(billId, billIdNumber = null, { dryRun = false } = {}) {
   try {
     // Find existing patient by billId
     let existingPatient = await Patient.findOne({
@@ -104,6 +98,38 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       ]
     });
     
+    // Fields of a patient created from the bill (compared with an empty record)
+    let createdData = null;
+    // Bill fields moved onto a returning patient's record
+    let latestBill = {};
+    // An earlier visit of a returning patient: the record keeps following their newer bill
+    let earlierBill = false;
+
+    // Returning patient: one record per Patient Id, following their latest bill.
+    // A record merged into another patient leads to the patient it was merged into.
+    const returningIdNumber = requestDump?.request?.["Patient Id"] || requestDump?.request?.patientId;
+    const returningPatientId = returningIdNumber ? `PAT-${returningIdNumber}` : `BILL-${billId}`;
+    if (!existingPatient && requestDump?.request) {
+      const returningPatient = await Patient.findOne({
+        $or: [{ patientId: returningPatientId }, { "mergedFrom.patientId": returningPatientId }],
+      });
+      if (returningPatient) {
+        const { billTime } = getStoredNormalized("billGenerate", requestDump);
+        existingPatient = returningPatient;
+        // An earlier visit (e.g. a replayed bill or a late report): only its reports are added
+        earlierBill = Boolean(returningPatient.billTime && billTime && new Date(billTime) < returningPatient.billTime);
+        if (!earlierBill) {
+          latestBill = {
+            billId: String(billId),
+            billIdNumber: parseInt(billIdNumber || billId),
+            billTotalAmount: requestDump.request.billTotalAmount || null,
+            dueAmount: requestDump.request.dueAmount || null,
+            billReferral: requestDump.request.billReferral || null,
+          };
+        }
+      }
+    }
+
     if (!existingPatient && requestDump?.request) {
       // New patient - create from RequestDump data
       const req = requestDump.request;
@@ -112,7 +138,7 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       if (patientName) {
         // Generate patientId
         const patientIdNumber = req["Patient Id"] || req.patientId;
-        const patientId = patientIdNumber ? `PAT-${patientIdNumber}` : `BILL-${billId}`;
+        const patientId = returningPatientId;
         
         // Create new patient
         const newPatientData = {
@@ -136,29 +162,35 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
         if (req.billReferral) {
           const doctorName = extractDoctorNameFromReferral(req.billReferral);
           if (doctorName) {
-            const doctorId = await findOrCreateDoctor(doctorName, req.docId);
+            const doctorId = await findOrCreateDoctor(doctorName, req.docId, { dryRun });
             if (doctorId) {
               newPatientData.assignedDoctor = doctorId;
             }
           }
         }
         
-        await Patient.create(newPatientData);
-        console.log(`✅ Created new patient ${patientId} from webhook data`);
-        existingPatient = await Patient.findOne({ patientId });
+        createdData = newPatientData;
+        if (dryRun) {
+          existingPatient = newPatientData;
+        } else {
+          await Patient.create(newPatientData);
+          console.log(`✅ Created new patient ${patientId} from webhook data`);
+          existingPatient = await Patient.findOne({ patientId });
+        }
       } else {
         // No patient name - will be handled by full consolidation
         console.log(`📋 New patient detected for billId ${billId} - will be processed in next full consolidation`);
-        return;
+        return { billId, patientId: null, action: "skipped", changes: {}, reason: "No patient name on the bill" };
       }
     }
     
     if (!existingPatient) {
-      return; // Could not create or find patient
+      // Could not create or find patient
+      return { billId, patientId: null, action: "skipped", changes: {}, reason: "No bill data" };
     }
     
     // Update existing patient with latest data from all sources
-    const updateData = {};
+    const updateData = { ...latestBill };
     
     // Get latest Report data
     const report = await Report.findOne({
@@ -168,9 +200,8 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       ]
     });
     
-    if (report) {
+    if (report && !earlierBill) {
       if (report.signingDoctor) updateData.signingDoctor = report.signingDoctor;
-      if (report.reportBase64) updateData.reportBase64 = report.reportBase64;
       if (report.status) updateData.reportStatus = report.status;
       if (report.sampleDate) updateData.sampleDate = report.sampleDate;
     }
@@ -185,14 +216,11 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       ]
     }).sort({ createdAt: -1 }); // Get most recent
     
-    if (reportTracker?.request) {
+    if (reportTracker?.request && !earlierBill) {
       const req = reportTracker.request;
       if (req.reportDetails?.[0]?.["Signing Doctor"]) {
         updateData.signingDoctor = req.reportDetails[0]["Signing Doctor"];
       }
-      if (req.reportDetails?.[0]?.reportBase64) {
-        updateData.reportBase64 = req.reportDetails[0].reportBase64;
-      }
       if (req.status) {
         updateData.reportStatus = req.status;
       }
@@ -204,6 +232,15 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       }
     }
     
+    // Lab, organization and time of the bill (patients directory filters and access scopes)
+    if (requestDump && !earlierBill) {
+      const bill = getStoredNormalized("billGenerate", requestDump);
+      for (const field of ["labId", "labName", "orgId", "orgName", "billTime"]) {
+        if (bill[field] !== null && bill[field] !== undefined) updateData[field] = bill[field];
+      }
+      if (bill.billTime) updateData.lastVisitDate = bill.billTime;
+    }
+
     // Link doctor if not already linked
     if (!existingPatient.assignedDoctor) {
       let doctorId = null;
@@ -212,7 +249,7 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       if (requestDump?.request?.billReferral) {
         const doctorName = extractDoctorNameFromReferral(requestDump.request.billReferral);
         if (doctorName) {
-          doctorId = await findOrCreateDoctor(doctorName, requestDump.request.docId);
+          doctorId = await findOrCreateDoctor(doctorName, requestDump.request.docId, { dryRun });
         }
       }
       
@@ -220,7 +257,7 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       if (!doctorId && updateData.signingDoctor) {
         const doctorName = extractDoctorNameFromSigningDoctor(updateData.signingDoctor);
         if (doctorName) {
-          doctorId = await findOrCreateDoctor(doctorName);
+          doctorId = await findOrCreateDoctor(doctorName, null, { dryRun });
         }
       }
       
@@ -229,15 +266,41 @@ export async function consolidatePatientFromBillId(billId, billIdNumber = null)
       }
     }
     
+    // Reports of the bill, whichever visit it is, belong on the patient's record
+    const billReports = await Report.find({
+      billId: { $in: [...new Set([parseInt(billId), parseInt(billIdNumber || billId)])] },
+    }).select("_id").lean();
+    const linkedReports = (existingPatient.labReports || []).map(String);
+    const newReports = billReports.map((billReport) => billReport._id).filter((id) => !linkedReports.includes(String(id)));
+
+    const after = { ...(createdData || {}), ...updateData };
+    const changes = diffFields(createdData ? {} : existingPatient, after, Object.keys(after));
+    if (newReports.length > 0) {
+      changes.labReports = { from: linkedReports, to: [...linkedReports, ...newReports.map(String)] };
+    }
+
     // Update patient with new data
-    if (Object.keys(updateData).length > 0) {
-      await Patient.findByIdAndUpdate(existingPatient._id, { $set: updateData });
+    if (!dryRun && (Object.keys(updateData).length > 0 || newReports.length > 0)) {
+      await Patient.findByIdAndUpdate(existingPatient._id, {
+        ...(Object.keys(updateData).length > 0 && { $set: updateData }),
+        ...(newReports.length > 0 && { $addToSet: { labReports: { $each: newReports } } }),
+      });
       console.log(`✅ Updated patient ${existingPatient.patientId} with latest webhook data`);
     }
+    if (!dryRun && requestDump) {
+      await recordBillSummary(requestDump, existingPatient.patientId);
+    }
+
+    return {
+      billId,
+      patientId: existingPatient.patientId,
+      action: createdData ? "created" : Object.keys(changes).length > 0 ? "updated" : "unchanged",
+      changes,
+    };
     
   } catch (error) {
     console.error("⚠️  Error consolidating patient from billId:", error.message);
-    // Don't throw - we don't want to break webhook processing
+    throw error;
   }
 }
 
@@ -252,8 +315,9 @@ async function triggerFullConsolidation() {
 }
 
 /**
- * Consolidate patient from webhook data immediately after insertion
- * This is the main function called from webhook handlers
+ * Queue patient consolidation for webhook data immediately after insertion
+ * This is the main function called from webhook handlers. The job is persisted
+ * before it returns, so it is safe to acknowledge the webhook afterwards.
  */
 export async function consolidatePatientFromWebhook(webhookType, webhookData) {
   try {
@@ -273,15 +337,21 @@ export async function consolidatePatientFromWebhook(webhookType, webhookData) {
     }
     
     if (billId || billIdNumber) {
-      // Run consolidation asynchronously (don't block webhook response)
-      setImmediate(() => {
-        consolidatePatientFromBillId(billId, billIdNumber).catch(err => {
-          console.error("⚠️  Background consolidation error:", err.message);
-        });
-      });
+      // Consolidation runs in the background job worker (one job at a time per bill)
+      await enqueueJob(
+        CONSOLIDATE_PATIENT_JOB,
+        { billId, billIdNumber, webhookType },
+        { serialKey: `bill:${billIdNumber || billId}` }
+      );
     }
   } catch (error) {
     console.error("⚠️  Error in consolidatePatientFromWebhook:", error.message);
-    // Don't throw - we don't want to break webhook processing
+    // Rethrow so the webhook is not acknowledged and Crelio retries it
+    throw error;
   }
 }
+
+// Register the job handler used by the background worker
+registerJobHandler(CONSOLIDATE_PATIENT_JOB, ({ billId, billIdNumber }) =>
+  consolidatePatientFromBillId(billId, billIdNumber)
+);
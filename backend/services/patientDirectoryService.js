@@ -0,0 +1,120 @@
+/**
+ * Patient Directory Service
+ *
+ * Filters and sorting for the patients directory, which lists the
+ * consolidated Patient collection (services/patientConsolidationService.js)
+ * rather than raw bills.
+ *
+ * Functions:
+ * - PATIENT_SCOPE_FIELDS: Where Patient records keep the lab and organization
+ * - PATIENT_SORT_FIELDS: Fields the directory can be sorted by
+ * - buildPatientQuery: Validates directory filters into a MongoDB filter
+ * - buildPatientSort: Validates sortBy/sortOrder into a sort specification
+ */
+
+import mongoose from "mongoose";
+import Patient from "../models/Patient.js";
+
+// Patients keep the bill's lab and organization as top-level fields
+export const PATIENT_SCOPE_FIELDS = { lab: ["labId"], org: ["orgId"] };
+
+export const PATIENT_SORT_FIELDS = ["name", "age", "gender", "status", "labName", "billTime", "lastVisitDate", "createdAt"];
+
+const PATIENT_STATUSES = Patient.schema.path("status").enumValues;
+const PATIENT_GENDERS = Patient.schema.path("gender").enumValues;
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse an optional integer filter (undefined when absent, NaN when invalid)
+ */
+function parseInteger(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Build a filter from directory query parameters
+ *
+ * @param {Object} params - { search, status, gender, minAge, maxAge, labId, orgId, doctorId }
+ *   doctorId is a Doctor _id, or "none" for patients without an assigned doctor
+ * @returns {Object} - { query } or { error }
+ */
+export function buildPatientQuery(params) {
+  const { search, status, gender, minAge, maxAge, labId, orgId, doctorId } = params;
+  const query = {};
+
+  if (status) {
+    if (!PATIENT_STATUSES.includes(status)) {
+      return { error: `status must be one of ${PATIENT_STATUSES.join(", ")}` };
+    }
+    query.status = status;
+  }
+
+  if (gender) {
+    if (!PATIENT_GENDERS.includes(gender)) {
+      return { error: `gender must be one of ${PATIENT_GENDERS.join(", ")}` };
+    }
+    query.gender = gender;
+  }
+
+  const ages = { minAge: parseInteger(minAge), maxAge: parseInteger(maxAge) };
+  if (Number.isNaN(ages.minAge) || Number.isNaN(ages.maxAge)) {
+    return { error: "minAge and maxAge must be whole numbers" };
+  }
+  if (ages.minAge !== undefined && ages.maxAge !== undefined && ages.minAge > ages.maxAge) {
+    return { error: "minAge must not be greater than maxAge" };
+  }
+  if (ages.minAge !== undefined || ages.maxAge !== undefined) {
+    query.age = {
+      ...(ages.minAge !== undefined && { $gte: ages.minAge }),
+      ...(ages.maxAge !== undefined && { $lte: ages.maxAge }),
+    };
+  }
+
+  for (const [field, value] of [["labId", labId], ["orgId", orgId]]) {
+    const id = parseInteger(value);
+    if (Number.isNaN(id)) return { error: `${field} must be a numeric ID` };
+    if (id !== undefined) query[field] = id;
+  }
+
+  if (doctorId === "none") {
+    query.assignedDoctor = null;
+  } else if (doctorId) {
+    if (!mongoose.isValidObjectId(doctorId)) {
+      return { error: "doctorId must be a doctor ID or \"none\"" };
+    }
+    query.assignedDoctor = doctorId;
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(String(search).trim()), $options: "i" };
+    query.$or = [{ name: pattern }, { patientId: pattern }, { labPatientId: pattern }];
+  }
+
+  return { query };
+}
+
+/**
+ * Build a sort specification from directory query parameters
+ *
+ * @param {Object} params - { sortBy, sortOrder } (sortOrder "asc" or "desc")
+ * @returns {Object} - { sort } or { error }
+ */
+export function buildPatientSort({ sortBy = "lastVisitDate", sortOrder = "desc" }) {
+  if (!PATIENT_SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of ${PATIENT_SORT_FIELDS.join(", ")}` };
+  }
+  if (!["asc", "desc"].includes(sortOrder)) {
+    return { error: "sortOrder must be asc or desc" };
+  }
+  // _id keeps pages stable when many patients share a value
+  const direction = sortOrder === "asc" ? 1 : -1;
+  return { sort: { [sortBy]: direction, _id: direction } };
+}
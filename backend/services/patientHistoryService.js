@@ -0,0 +1,216 @@
+/**
+ * Patient History Service
+ *
+ * Every bill, test and report of one person across visits. Bills are matched
+ * to the person by the identifiers Crelio puts on the bill payload: "Patient Id"
+ * and labPatientId (taken from the consolidated Patient record, and from the
+ * records merged into it). Bills whose raw webhook was purged by retention come
+ * from their BillSummary (services/billSummaryService.js), and stage times fall
+ * back to the canonical Report once the status webhooks are gone.
+ *
+ * Functions:
+ * - patientBillsQuery: RequestDump filter for a person's bills
+ * - loadPatientHistory: Bills (newest first) with tests, reports and visit totals
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import Report from "../models/Report.js";
+import BillSummary from "../models/BillSummary.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { loadTestCatalog, loadTestLifecycles, lookupTest } from "./testLifecycleService.js";
+import { BILL_SUMMARY_SCOPE_FIELDS, withScope } from "./accessScopeService.js";
+import { summaryToBill } from "./billSummaryService.js";
+
+/**
+ * RequestDump filter matching the bills of a person
+ * Raw payloads may hold "Patient Id" as a number or a string.
+ *
+ * @param {Object} identity - { patientIdNumber, labPatientId, billIdNumber } from the Patient record
+ * @returns {Object|null} - Filter, or null when the record has no identifier
+ */
+export function patientBillsQuery({ patientIdNumber, labPatientId, billIdNumber }) {
+  const conditions = [];
+  if (patientIdNumber !== null && patientIdNumber !== undefined) {
+    conditions.push(
+      { "normalized.patientId": Number(patientIdNumber) },
+      { "request.Patient Id": { $in: [Number(patientIdNumber), String(patientIdNumber)] } }
+    );
+  }
+  if (labPatientId) {
+    conditions.push({ "normalized.labPatientId": labPatientId }, { "request.labPatientId": labPatientId });
+  }
+  // Patients without identifiers only have the bill they were created from
+  if (conditions.length === 0 && billIdNumber) {
+    conditions.push({ "normalized.billId": billIdNumber }, { "request.billId": billIdNumber });
+  }
+  return conditions.length > 0 ? { $or: conditions } : null;
+}
+
+/**
+ * BillSummary conditions matching the bills of a person
+ */
+function patientSummaryConditions({ patientId, patientIdNumber, labPatientId, billIdNumber }) {
+  const conditions = [];
+  if (patientId) conditions.push({ patientId });
+  if (patientIdNumber !== null && patientIdNumber !== undefined) {
+    conditions.push({ patientIdNumber: Number(patientIdNumber) });
+  }
+  if (labPatientId) conditions.push({ labPatientId });
+  if (billIdNumber) conditions.push({ billId: billIdNumber });
+  return conditions;
+}
+
+/**
+ * First signing doctor's name on a Report ([{ "<id>": "<name>" }])
+ */
+function reportSigningDoctor(report) {
+  const [entry] = report?.signingDoctor || [];
+  return (entry && typeof entry === "object" ? Object.values(entry)[0] : entry) || null;
+}
+
+/**
+ * Stage a test has reached
+ */
+function testStage(lifecycle) {
+  if (lifecycle.pdfAt) return "reportPdf";
+  if (lifecycle.signedAt) return "reportSigned";
+  if (lifecycle.sampleReceivedAt) return "sampleReceived";
+  return "billed";
+}
+
+/**
+ * Every bill, test and report of a person, with visit totals
+ *
+ * @param {Object} patient - Patient record (lean), with mergedFrom
+ * @param {Object|null} scope - From getUserScope; bills outside it are left out
+ * @returns {Promise<Object>} - { summary, bills }
+ */
+export async function loadPatientHistory(patient, scope) {
+  const identities = [patient, ...(patient.mergedFrom || [])];
+  const conditions = identities
+    .map(patientBillsQuery)
+    .filter(Boolean)
+    .flatMap((filter) => filter.$or);
+  const query = conditions.length > 0 ? { $or: conditions } : null;
+  const summaryConditions = identities.flatMap(patientSummaryConditions);
+
+  const [dumps, summaries] = await Promise.all([
+    query ? RequestDump.find(withScope(query, scope)).sort({ createdAt: -1 }).lean() : [],
+    summaryConditions.length > 0
+      ? BillSummary.find(withScope({ $or: summaryConditions }, scope, BILL_SUMMARY_SCOPE_FIELDS)).lean()
+      : [],
+  ]);
+
+  // Bills can be received more than once; keep the latest copy of each
+  const latestDumps = new Map();
+  for (const dump of dumps) {
+    const { billId } = getStoredNormalized("billGenerate", dump);
+    if (billId !== null && billId !== undefined && !latestDumps.has(billId)) {
+      latestDumps.set(billId, dump);
+    }
+  }
+  // Bills whose raw webhook was purged only have their summary left
+  const summariesByBill = new Map(summaries.map((summary) => [summary.billId, summary]));
+  const purgedBills = summaries.filter((summary) => !latestDumps.has(summary.billId));
+  const billIds = [...latestDumps.keys(), ...purgedBills.map((summary) => summary.billId)];
+
+  const [lifecycles, reports, catalog] = await Promise.all([
+    loadTestLifecycles([...latestDumps.values()], { withCatalog: true }),
+    Report.find({ billId: { $in: billIds } })
+      .select("billId testId status pdf.storageKey signingDoctor signedAt pdfAt updatedAt")
+      .lean(),
+    purgedBills.length > 0 ? loadTestCatalog() : null,
+  ]);
+
+  const reportsByTest = new Map(reports.map((report) => [`${report.billId}:${report.testId}`, report]));
+  const lifecyclesByBill = new Map();
+  for (const lifecycle of lifecycles) {
+    if (!lifecyclesByBill.has(lifecycle.billId)) lifecyclesByBill.set(lifecycle.billId, []);
+    lifecyclesByBill.get(lifecycle.billId).push(lifecycle);
+  }
+  for (const summary of purgedBills) {
+    lifecyclesByBill.set(
+      summary.billId,
+      (summary.tests || []).map((test) => ({
+        testId: test.testId,
+        testName: test.testName ?? null,
+        testCode: test.testCode ?? null,
+        ...lookupTest(catalog, test.testCode, test.testName),
+        sampleReceivedAt: test.sampleReceivedAt || null,
+        signedAt: null,
+        signingDoctor: null,
+        pdfAt: null,
+      }))
+    );
+  }
+
+  const sources = [
+    ...[...latestDumps.entries()].map(([billId, dump]) => ({
+      billId,
+      bill: getStoredNormalized("billGenerate", dump),
+      storedAt: dump.createdAt,
+    })),
+    ...purgedBills.map((summary) => ({ billId: summary.billId, bill: summaryToBill(summary), storedAt: summary.createdAt })),
+  ];
+
+  const bills = sources.map(({ billId, bill, storedAt }) => {
+    const amounts = new Map((bill.tests || []).map((test) => [test.testId, test.testAmount]));
+    const sampleTimes = new Map(
+      (summariesByBill.get(billId)?.tests || []).map((test) => [test.testId, test.sampleReceivedAt])
+    );
+
+    return {
+      billId,
+      billTime: new Date(bill.billTime || storedAt),
+      labId: bill.labId ?? null,
+      labName: bill.labName ?? null,
+      orgId: bill.orgId ?? null,
+      orgName: bill.orgName ?? null,
+      billReferral: bill.billReferral ?? null,
+      billTotalAmount: bill.billTotalAmount ?? 0,
+      dueAmount: bill.dueAmount ?? 0,
+      tests: (lifecyclesByBill.get(billId) || []).map((lifecycle) => {
+        const report = reportsByTest.get(`${billId}:${lifecycle.testId}`);
+        // Status webhooks may have been purged; the report and bill summary keep the times
+        const stages = {
+          sampleReceivedAt: lifecycle.sampleReceivedAt || sampleTimes.get(lifecycle.testId) || null,
+          signedAt: lifecycle.signedAt || report?.signedAt || null,
+          pdfAt: lifecycle.pdfAt || report?.pdfAt || null,
+        };
+        return {
+          testId: lifecycle.testId,
+          testName: lifecycle.testName,
+          testCode: lifecycle.testCode,
+          department: lifecycle.department,
+          imagingType: lifecycle.imagingType,
+          testAmount: amounts.get(lifecycle.testId) ?? null,
+          stage: testStage(stages),
+          sampleReceivedAt: stages.sampleReceivedAt,
+          signedAt: stages.signedAt,
+          signingDoctor: lifecycle.signingDoctor || reportSigningDoctor(report),
+          pdfAt: stages.pdfAt,
+          report: report ? { status: report.status, hasPdf: Boolean(report.pdf?.storageKey) } : null,
+        };
+      }),
+    };
+  });
+  bills.sort((a, b) => b.billTime - a.billTime);
+
+  const tests = bills.flatMap((bill) => bill.tests);
+  const visitDays = new Set(bills.map((bill) => bill.billTime.toISOString().slice(0, 10)));
+
+  return {
+    summary: {
+      visits: visitDays.size,
+      bills: bills.length,
+      tests: tests.length,
+      reports: tests.filter((test) => test.report?.hasPdf).length,
+      totalSpend: bills.reduce((total, bill) => total + bill.billTotalAmount, 0),
+      totalDue: bills.reduce((total, bill) => total + bill.dueAmount, 0),
+      firstVisit: bills.length > 0 ? bills[bills.length - 1].billTime : null,
+      lastVisit: bills.length > 0 ? bills[0].billTime : null,
+      labs: [...new Set(bills.map((bill) => bill.labName).filter(Boolean))],
+    },
+    bills,
+  };
+}
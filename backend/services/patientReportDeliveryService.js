@@ -0,0 +1,225 @@
+/**
+ * Patient Report Delivery Service
+ *
+ * Emails signed report PDFs to the patient's patient_email from the bill.
+ * Delivery is opt-in per organization (see ReportDeliverySetting) and runs in
+ * the background job worker; the outcome is recorded on Report.patientDelivery.
+ *
+ * Features:
+ * - Triggered by "Report PDF (Webhook)" events that carry a PDF
+ * - Optional password protection: the PDF is sent inside an AES-256 encrypted
+ *   ZIP with a random 80-bit password. The password is never emailed: staff
+ *   read it from the dashboard (audited) and give it to the patient by phone
+ *   or at the counter. It is kept encrypted on Report.deliveryPassword so a
+ *   resend opens with the same password.
+ * - Manual resend from the dashboard
+ * - Failed emails are retried by the job queue; missing email and disabled
+ *   organizations are recorded as "skipped"
+ *
+ * Functions:
+ * - getDeliverySetting: Effective setting for an organization
+ * - buildReportPassword: Random attachment password
+ * - getReportPassword: Attachment password of a delivered report
+ * - queuePatientReportDelivery: Queues a delivery job
+ * - deliverPatientReport: Emails the report PDF (job handler)
+ */
+
+import crypto from "crypto";
+import Report from "../models/Report.js";
+import ReportDeliverySetting from "../models/ReportDeliverySetting.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+import { sendEmail } from "./emailService.js";
+import { getTemplate, renderEmail } from "./emailTemplateService.js";
+import { createEncryptedZip } from "./encryptedZip.js";
+import { readBlob } from "./blobStoreService.js";
+import { decryptValue, encryptValue, RANDOM } from "./fieldEncryptionService.js";
+import { buildReportFileName, loadBillForReport } from "./reportPdfService.js";
+
+export const DELIVER_PATIENT_REPORT_JOB = "deliverPatientReport";
+
+const PATIENT_REPORT_TEMPLATE = "patientReport";
+
+// Crockford base32: no I, L, O or U, so the password reads well over the phone.
+// 32 symbols divide 256 evenly, so every byte maps without bias.
+const PASSWORD_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const PASSWORD_LENGTH = 16; // 80 bits
+const PASSWORD_GROUP = 4;
+
+// Shown to the patient in the email (templates say "Open it with {{ passwordHint }}")
+const PASSWORD_HINT = "the password the lab gives you by phone or at the counter (it is never sent by email)";
+
+/**
+ * Effective delivery setting for an organization
+ * Falls back to the setting with orgId null.
+ *
+ * @param {number|null} orgId - Crelio organization ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getDeliverySetting(orgId) {
+  const settings = await ReportDeliverySetting.find({ orgId: { $in: [orgId ?? null, null] } }).lean();
+  return (
+    settings.find((setting) => setting.orgId === (orgId ?? null)) ||
+    settings.find((setting) => setting.orgId === null || setting.orgId === undefined) ||
+    null
+  );
+}
+
+/**
+ * Build a random attachment password
+ * AE-2 fixes PBKDF2 at 1000 iterations, so the password itself must resist
+ * offline guessing: 16 base32 symbols (80 bits), grouped as XXXX-XXXX-XXXX-XXXX.
+ *
+ * @returns {string} - Password
+ */
+export function buildReportPassword() {
+  const symbols = Array.from(crypto.randomBytes(PASSWORD_LENGTH), (byte) => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]);
+  const groups = [];
+  for (let index = 0; index < symbols.length; index += PASSWORD_GROUP) {
+    groups.push(symbols.slice(index, index + PASSWORD_GROUP).join(""));
+  }
+  return groups.join("-");
+}
+
+/**
+ * Attachment password of a report emailed with password protection
+ *
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<string|null>} - Password, or null if none was generated
+ */
+export async function getReportPassword(billId, testId) {
+  const report = await Report.findOne({ billId, testId }).select("+deliveryPassword").lean();
+  return report?.deliveryPassword ? decryptValue(report.deliveryPassword) : null;
+}
+
+/**
+ * Record the delivery outcome on the Report
+ */
+async function recordDelivery(report, delivery, deliveryPassword = undefined) {
+  await Report.updateOne(
+    { _id: report._id },
+    {
+      $set: {
+        ...(deliveryPassword !== undefined && { deliveryPassword }),
+        patientDelivery: {
+          ...delivery,
+          attempts: (report.patientDelivery?.attempts || 0) + (delivery.status === "skipped" ? 0 : 1),
+          lastAttemptAt: new Date(),
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Email the report PDF for a bill/test pair to the patient
+ *
+ * @param {Object} payload
+ * @param {number} payload.billId - Bill ID
+ * @param {number} payload.testId - Test ID
+ * @param {string} payload.requestedBy - "webhook" or who requested a resend
+ * @returns {Promise<Object>} - The delivery recorded on the Report
+ */
+export async function deliverPatientReport({ billId, testId, requestedBy = "webhook" }) {
+  const report = await Report.findOne({ billId, testId }).select("+deliveryPassword").lean();
+  if (!report) return null;
+
+  const skip = async (reason) => {
+    const delivery = { status: "skipped", reason, requestedBy };
+    await recordDelivery(report, delivery);
+    console.log(`📧 Report delivery skipped for bill ${billId} / test ${testId}: ${reason}`);
+    return delivery;
+  };
+
+  if (!report.pdf?.storageKey) return skip("The report has no PDF");
+
+  const billDetails = await loadBillForReport(billId, testId);
+  if (!billDetails) return skip("Bill not found");
+  const { bill, test } = billDetails;
+
+  const setting = await getDeliverySetting(bill.orgId);
+  if (!setting?.enabled) return skip("Patient delivery is not enabled for this organization");
+
+  const email = bill.patientEmail;
+  if (!email || !/^\S+@\S+\.\S+$/.test(email)) return skip("No valid patient_email on the bill");
+
+  const fileName = buildReportFileName(bill.patientName, test.testName);
+  const pdf = await readBlob(report.pdf.storageKey);
+
+  let attachment = { filename: `${fileName}.pdf`, content: pdf, contentType: "application/pdf" };
+  let deliveryPassword;
+  if (setting.passwordProtect) {
+    // Resends keep the password the patient may already have been given
+    const password = (report.deliveryPassword && decryptValue(report.deliveryPassword)) || buildReportPassword();
+    deliveryPassword = encryptValue(password, RANDOM);
+    attachment = {
+      filename: `${fileName}.zip`,
+      content: createEncryptedZip(`${fileName}.pdf`, pdf, password),
+      contentType: "application/zip",
+    };
+  }
+
+  const template = await getTemplate(PATIENT_REPORT_TEMPLATE);
+  const message = renderEmail(template, {
+    patient: { name: bill.patientName, email },
+    bill: { billId, labName: bill.labName, orgName: bill.orgName },
+    test: { testId, testName: test.testName, testCode: test.testCode },
+    passwordProtected: setting.passwordProtect,
+    passwordHint: setting.passwordProtect ? PASSWORD_HINT : null,
+  });
+
+  const result = await sendEmail({ to: email, ...message, attachments: [attachment] });
+
+  const delivery = {
+    status: result.success ? "sent" : "failed",
+    email,
+    passwordProtected: setting.passwordProtect,
+    requestedBy,
+    sentAt: result.success ? new Date() : null,
+    messageId: result.messageId || null,
+    reason: result.success ? null : result.error,
+  };
+  await recordDelivery(report, delivery, deliveryPassword);
+
+  if (!result.success) {
+    // Let the job queue retry
+    throw new Error(`Report email to patient failed for bill ${billId} / test ${testId}: ${result.error}`);
+  }
+
+  return delivery;
+}
+
+/**
+ * Queue emailing a report PDF to the patient
+ * Webhook-triggered deliveries are only queued when at least one organization
+ * has delivery enabled.
+ *
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @param {string} requestedBy - "webhook" or who requested a resend
+ * @returns {Promise<Object|null>} - The queued job, or null if nothing was queued
+ */
+export async function queuePatientReportDelivery(billId, testId, requestedBy = "webhook") {
+  try {
+    if (billId === null || billId === undefined || testId === null || testId === undefined) return null;
+    if (requestedBy === "webhook" && !(await ReportDeliverySetting.exists({ enabled: true }))) return null;
+
+    await Report.updateOne(
+      { billId, testId },
+      { $set: { "patientDelivery.status": "pending", "patientDelivery.requestedBy": requestedBy } }
+    );
+
+    return await enqueueJob(
+      DELIVER_PATIENT_REPORT_JOB,
+      { billId, testId, requestedBy },
+      { serialKey: `patientReport:${billId}:${testId}` }
+    );
+  } catch (error) {
+    console.error("⚠️  Error queueing patient report delivery:", error.message);
+    // Rethrow so the webhook is not acknowledged and Crelio retries it
+    throw error;
+  }
+}
+
+// Register the job handler used by the background worker
+registerJobHandler(DELIVER_PATIENT_REPORT_JOB, deliverPatientReport);
@@ -0,0 +1,159 @@
+/**
+ * Report PDF Service
+ *
+ * Serves report PDFs from the blob store with a readable file name, and renders
+ * page-one thumbnails.
+ *
+ * Thumbnails are rendered with poppler's pdftoppm (PDF_THUMBNAIL_COMMAND,
+ * default "pdftoppm"; install poppler-utils on the server). The PNG is stored
+ * in the blob store and its key is kept on Report.pdf.thumbnailKey, so each PDF
+ * is rendered once. A new PDF replaces Report.pdf and with it the thumbnail.
+ *
+ * Functions:
+ * - loadBillForReport: Latest bill, its raw body and the test for a bill/test pair
+ *   (from the bill summary once the raw webhook has been purged)
+ * - buildReportFileName: "Jane Doe - CBC" style file name (no extension)
+ * - contentDisposition: Content-Disposition header with an ASCII fallback name
+ * - getReportThumbnailKey: Blob key of the page-one thumbnail (renders it if needed)
+ */
+
+import { spawn } from "child_process";
+import dotenv from "dotenv";
+import Report from "../models/Report.js";
+import RequestDump from "../models/RequestDump.js";
+import BillSummary from "../models/BillSummary.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { billIdQuery } from "./testLifecycleService.js";
+import { summaryToBill } from "./billSummaryService.js";
+import { putBlob, readBlob, statBlob } from "./blobStoreService.js";
+
+dotenv.config();
+
+const PDF_THUMBNAIL_COMMAND = process.env.PDF_THUMBNAIL_COMMAND || "pdftoppm";
+const PDF_THUMBNAIL_WIDTH = parseInt(process.env.PDF_THUMBNAIL_WIDTH) || 320;
+const PDF_THUMBNAIL_TIMEOUT_MS = 20000;
+
+/**
+ * Thrown when thumbnails cannot be rendered on this server
+ */
+export class ThumbnailUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ThumbnailUnavailableError";
+    this.statusCode = 501;
+  }
+}
+
+/**
+ * Latest bill for a bill/test pair
+ *
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<Object|null>} - { bill (normalized), rawBill, test }, or null if the bill is unknown
+ */
+export async function loadBillForReport(billId, testId) {
+  const billDump = await RequestDump.findOne(billIdQuery([billId]))
+    .sort({ createdAt: -1 })
+    .select("request normalized")
+    .lean();
+  const summary = billDump ? null : await BillSummary.findOne({ billId }).lean();
+  if (!billDump && !summary) return null;
+
+  const bill = billDump ? getStoredNormalized("billGenerate", billDump) : summaryToBill(summary);
+  const test = (bill.tests || []).find((candidate) => candidate.testId === testId) || {};
+  return { bill, rawBill: billDump?.request || {}, test };
+}
+
+/**
+ * File name for a report ("Jane Doe - CBC"), without extension
+ *
+ * @param {string} patientName - Patient name
+ * @param {string} testName - Test name
+ * @returns {string}
+ */
+export function buildReportFileName(patientName, testName) {
+  const name = [patientName, testName].filter(Boolean).join(" - ") || "Report";
+  return name.replace(/[\\/:*?"<>|\r\n]+/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Content-Disposition header value
+ * Non-ASCII names are sent in filename* with an ASCII fallback in filename.
+ *
+ * @param {string} fileName - File name including extension
+ * @param {boolean} attachment - Download instead of displaying inline
+ * @returns {string}
+ */
+export function contentDisposition(fileName, attachment = false) {
+  const fallback = fileName.normalize("NFKD").replace(/[^\x20-\x7e]/g, "").replace(/["\\]/g, "") || "report.pdf";
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${attachment ? "attachment" : "inline"}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Render page one of a PDF to PNG with pdftoppm (PDF on stdin, PNG on stdout)
+ */
+function renderFirstPage(pdf) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(
+      PDF_THUMBNAIL_COMMAND,
+      ["-png", "-singlefile", "-f", "1", "-l", "1", "-scale-to", String(PDF_THUMBNAIL_WIDTH), "-"],
+      { stdio: ["pipe", "pipe", "pipe"] }
+    );
+    const output = [];
+    let errorOutput = "";
+
+    const timer = setTimeout(() => child.kill("SIGKILL"), PDF_THUMBNAIL_TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => output.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      errorOutput += chunk;
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(
+        error.code === "ENOENT"
+          ? new ThumbnailUnavailableError(`Thumbnails need ${PDF_THUMBNAIL_COMMAND} (poppler-utils) on the server`)
+          : error
+      );
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0 && output.length > 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`Thumbnail rendering failed (${signal || `exit ${code}`}): ${errorOutput.trim()}`));
+      }
+    });
+
+    // Ignore EPIPE if the renderer exits before reading the whole PDF
+    child.stdin.on("error", () => {});
+    child.stdin.end(pdf);
+  });
+}
+
+/**
+ * Blob key of the page-one thumbnail of a report PDF
+ * Renders and stores the thumbnail on first use.
+ *
+ * @param {Object} report - Report document (lean) with pdf
+ * @returns {Promise<string>} - Storage key of the PNG
+ */
+export async function getReportThumbnailKey(report) {
+  const { pdf } = report;
+
+  if (pdf.thumbnailKey && (await statBlob(pdf.thumbnailKey))) {
+    return pdf.thumbnailKey;
+  }
+
+  const png = await renderFirstPage(await readBlob(pdf.storageKey));
+  const stored = await putBlob(png, { extension: "png" });
+
+  // Only attach the thumbnail if the PDF was not replaced meanwhile
+  await Report.updateOne(
+    { _id: report._id, "pdf.storageKey": pdf.storageKey },
+    { $set: { "pdf.thumbnailKey": stored.storageKey } }
+  );
+
+  return stored.storageKey;
+}
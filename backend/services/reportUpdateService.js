@@ -0,0 +1,131 @@
+/**
+ * Report Update Service
+ *
+ * Applies a report status webhook to the canonical Report (one per bill/test),
+ * for live webhooks (controllers/webhookController.js) and for replays of
+ * stored payloads (services/webhookReplayService.js).
+ *
+ * Report PDFs never reach MongoDB: storeWebhookPdfs moves them to the blob
+ * store before a delivery is recorded, and the stored body keeps only their
+ * blob (reportPdf) in place of reportBase64.
+ *
+ * Functions:
+ * - storeWebhookPdfs: Moves the PDFs of a report webhook body to the blob store
+ * - upsertReportFromWebhook: Updates or creates the Report for a report webhook
+ */
+
+import crypto from "crypto";
+import Report from "../models/Report.js";
+import { getBlobStore, putBlob } from "./blobStoreService.js";
+import { REPORT_PDF, REPORT_SIGNED } from "./testLifecycleService.js";
+
+/**
+ * Store a base64 PDF in the blob store
+ */
+async function storeBase64Pdf(reportBase64) {
+  const { storageKey, sha256, size } = await putBlob(Buffer.from(reportBase64, "base64"), { extension: "pdf" });
+  return { storageKey, sha256, size };
+}
+
+/**
+ * Move the PDFs of a report webhook body (reportBase64, at the top level and
+ * in reportDetails) to the blob store
+ *
+ * @param {Object} body - Raw webhook body
+ * @returns {Promise<Object>} - Copy of the body for storage, with each
+ *   reportBase64 replaced by reportPdf ({ storageKey, sha256, size })
+ */
+export async function storeWebhookPdfs(body) {
+  // Values that are not base64 strings (e.g. in quarantined payloads) are kept as they are
+  const hasPdf = (value) => value && typeof value === "object" && typeof value.reportBase64 === "string" && value.reportBase64 !== "";
+  const replacePdf = async ({ reportBase64, ...rest }) => ({ ...rest, reportPdf: await storeBase64Pdf(reportBase64) });
+
+  const stored = hasPdf(body) ? await replacePdf(body) : { ...body };
+
+  if (Array.isArray(body.reportDetails)) {
+    stored.reportDetails = [];
+    for (const detail of body.reportDetails) {
+      stored.reportDetails.push(hasPdf(detail) ? await replacePdf(detail) : detail);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Update (or create) the Report for a report status webhook
+ * The PDF goes to the blob store; the Report keeps only its key, hash and size.
+ * Bodies stored by storeWebhookPdfs carry the blob instead of the PDF.
+ *
+ * @param {Object} body - Raw webhook body
+ * @param {Object} normalized - Canonical payload (services/webhookNormalizer.js)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Build the update without storing anything
+ * @param {Object} options.current - Current Report, if known; an identical PDF is then not stored again
+ * @param {Date} options.receivedAt - When the webhook arrived (stored deliveries keep their createdAt)
+ * @returns {Promise<Object>} - { billId, testId, update, insert, report } (no report on dry runs)
+ */
+export async function upsertReportFromWebhook(body, normalized, { dryRun = false, current = null, receivedAt = new Date() } = {}) {
+  const { "Signing Doctor": signingDoctor, reportBase64, reportPdf } = body;
+  const { labReportId, billId, testId, status, sampleDate } = normalized;
+
+  // Build dynamic update object
+  const update = {
+    status,
+  };
+
+  // Status-based fields
+  if (status === REPORT_SIGNED && signingDoctor) {
+    update.signingDoctor = signingDoctor;
+    update.sampleDate = sampleDate;
+  }
+
+  if (status === REPORT_PDF && (reportBase64 || reportPdf?.storageKey)) {
+    let stored = reportPdf?.storageKey ? reportPdf : null;
+    const buffer = stored ? null : Buffer.from(reportBase64, "base64");
+    const sha256 = stored ? stored.sha256 : crypto.createHash("sha256").update(buffer).digest("hex");
+
+    if (dryRun) {
+      update.pdf = { sha256, size: stored ? stored.size : buffer.length };
+    } else if (current?.pdf?.sha256 !== sha256) {
+      if (!stored) {
+        stored = await putBlob(buffer, { extension: "pdf" });
+      }
+      update.pdf = {
+        storageKey: stored.storageKey,
+        sha256,
+        size: stored.size,
+        contentType: "application/pdf",
+        backend: getBlobStore().name,
+        storedAt: new Date(),
+      };
+    }
+  }
+
+  // When the report was first signed / its PDF first arrived (a PDF implies a signature)
+  const firstSeen = {};
+  if (status === REPORT_SIGNED || status === REPORT_PDF) firstSeen.signedAt = receivedAt;
+  if (status === REPORT_PDF) firstSeen.pdfAt = receivedAt;
+
+  // Only set on first create
+  const insert = { labReportId, billId, testId };
+
+  if (dryRun) {
+    return { billId, testId, update, insert, report: null };
+  }
+
+  const report = await Report.findOneAndUpdate(
+    { billId, testId },           // unique key
+    {
+      $set: update,               // update status + conditional fields
+      $setOnInsert: insert,
+      ...(Object.keys(firstSeen).length > 0 && { $min: firstSeen }), // keep the earliest event time
+    },
+    {
+      upsert: true,               // create if not exists
+      new: true,
+    }
+  );
+
+  return { billId, testId, update, insert, report };
+}
@@ -0,0 +1,265 @@
+/**
+ * Retention Service
+ *
+ * Purges raw webhook documents (RequestDump, SampleStatusTracker,
+ * ReportStatusTracker) once they are older than the retention period of their
+ * collection. Consolidated data is never purged: the canonical Report (and its
+ * PDF in the blob store), the Patient record and the bill's BillSummary (its
+ * patient, lab, organization and tests) are always kept.
+ *
+ * A document is purged when all of these hold:
+ * - it was received more than N days ago (RETENTION_*_DAYS, unset = keep forever)
+ * - its bill has been consolidated (it has a BillSummary), and not
+ *   re-consolidated within the last N days
+ * - its bill is not on legal hold (models/LegalHold.js)
+ *
+ * The purge runs as a "retentionPurge" background job every
+ * RETENTION_PURGE_INTERVAL_MS (default: daily), or only reports what it would
+ * delete with RETENTION_DRY_RUN=true. Purges started by an admin run on the
+ * same serial key, so two purges never run at once. Every purge is summarized
+ * in the audit log.
+ *
+ * Functions:
+ * - getRetentionPolicies: Retention period per collection
+ * - runRetentionPurge: Purges (or counts) expired documents once
+ * - queueRetentionPurge: Queues a purge on the background job queue
+ * - placeLegalHold / releaseLegalHold: Exempt a bill from purging
+ * - startRetentionScheduler / stopRetentionScheduler: Controls the periodic purge
+ */
+
+import dotenv from "dotenv";
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import BillSummary from "../models/BillSummary.js";
+import LegalHold from "../models/LegalHold.js";
+import AuditLog from "../models/AuditLog.js";
+import { extractBillId } from "./webhookNormalizer.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+
+// Load environment variables
+dotenv.config();
+
+export const RETENTION_PURGE_JOB = "retentionPurge";
+
+const PURGE_INTERVAL_MS = parseInt(process.env.RETENTION_PURGE_INTERVAL_MS || "86400000");
+const SCHEDULED_DRY_RUN = process.env.RETENTION_DRY_RUN === "true";
+// Serializes purges across server instances
+const PURGE_SERIAL_KEY = "retention";
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention period in days from an environment variable (null = keep forever)
+ */
+function parseDays(value) {
+  const days = parseInt(value);
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+const POLICIES = [
+  { collection: "RequestDump", model: RequestDump, days: parseDays(process.env.RETENTION_REQUEST_DUMP_DAYS) },
+  { collection: "SampleStatusTracker", model: SampleStatusTracker, days: parseDays(process.env.RETENTION_SAMPLE_STATUS_DAYS) },
+  { collection: "ReportStatusTracker", model: ReportStatusTracker, days: parseDays(process.env.RETENTION_REPORT_STATUS_DAYS) },
+];
+
+let purgeTimer = null;
+
+/**
+ * Retention period per collection
+ *
+ * @returns {Array<Object>} - [{ collection, retentionDays }] (null = keep forever)
+ */
+export function getRetentionPolicies() {
+  return POLICIES.map(({ collection, days }) => ({ collection, retentionDays: days }));
+}
+
+/**
+ * Delete (or count) the purgeable documents of one batch
+ */
+async function purgeBatch(policy, docs, cutoff, dryRun, summary) {
+  const billIds = [...new Set(docs.map((doc) => doc.billId).filter((billId) => billId !== null))];
+
+  const [heldBillIds, consolidatedBillIds] = await Promise.all([
+    LegalHold.distinct("billId", { billId: { $in: billIds } }),
+    // Bills consolidated (and left untouched) for the whole retention period; tracked
+    // per bill, since a returning patient's record only follows their latest bill
+    BillSummary.distinct("billId", { billId: { $in: billIds }, consolidatedAt: { $lt: cutoff } }),
+  ]);
+  const held = new Set(heldBillIds);
+  const consolidated = new Set(consolidatedBillIds);
+
+  const ids = [];
+  for (const doc of docs) {
+    if (held.has(doc.billId)) {
+      summary.held++;
+    } else if (doc.billId === null || !consolidated.has(doc.billId)) {
+      summary.unconsolidated++;
+    } else {
+      ids.push(doc._id);
+    }
+  }
+
+  if (ids.length === 0) return;
+  if (dryRun) {
+    summary.purged += ids.length;
+    return;
+  }
+  const result = await policy.model.deleteMany({ _id: { $in: ids } });
+  summary.purged += result.deletedCount;
+}
+
+/**
+ * Purge (or count) the expired documents of one collection
+ */
+async function purgeCollection(policy, now, dryRun) {
+  const cutoff = new Date(now.getTime() - policy.days * DAY_MS);
+  const summary = {
+    collection: policy.collection,
+    retentionDays: policy.days,
+    cutoff,
+    expired: 0,
+    held: 0,
+    unconsolidated: 0,
+    purged: 0,
+  };
+
+  const cursor = policy.model
+    .find({ createdAt: { $lt: cutoff } })
+    .select("request.billId request.bill_id request.billID normalized.billId")
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const doc of cursor) {
+    summary.expired++;
+    batch.push({ _id: doc._id, billId: doc.normalized?.billId ?? extractBillId(doc.request) });
+    if (batch.length >= BATCH_SIZE) {
+      await purgeBatch(policy, batch, cutoff, dryRun, summary);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await purgeBatch(policy, batch, cutoff, dryRun, summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Purge expired raw webhook documents once
+ * Real purges are recorded in the audit log with their summary.
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only count what would be purged
+ * @param {Object} options.user - { id, name, role } of the admin who started it (null when scheduled)
+ * @param {Date} options.now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} - { dryRun, startedAt, finishedAt, purged, collections }
+ */
+export async function runRetentionPurge({ dryRun = false, user = null, now = new Date() } = {}) {
+  const startedAt = new Date();
+  const collections = [];
+
+  for (const policy of POLICIES) {
+    if (!policy.days) continue;
+    collections.push(await purgeCollection(policy, now, dryRun));
+  }
+
+  const summary = {
+    dryRun,
+    startedAt,
+    finishedAt: new Date(),
+    purged: collections.reduce((total, collection) => total + collection.purged, 0),
+    collections,
+  };
+
+  if (!dryRun) {
+    await AuditLog.create({
+      action: "retention.purge",
+      user: user || undefined,
+      details: summary,
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Exempt a bill from purging
+ *
+ * @param {number} billId - Crelio bill ID
+ * @param {string} reason - Why the data is held
+ * @param {Object} placedBy - { id, name } of the admin
+ * @returns {Promise<Object>} - The LegalHold document
+ */
+export async function placeLegalHold(billId, reason, placedBy = null) {
+  return LegalHold.findOneAndUpdate(
+    { billId },
+    { $set: { reason, placedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+}
+
+/**
+ * Release the legal hold on a bill
+ *
+ * @param {number} billId - Crelio bill ID
+ * @returns {Promise<Object|null>} - Released hold, or null if there was none
+ */
+export async function releaseLegalHold(billId) {
+  return LegalHold.findOneAndDelete({ billId });
+}
+
+registerJobHandler(RETENTION_PURGE_JOB, async ({ dryRun, user = null }) => {
+  const summary = await runRetentionPurge({ dryRun, user });
+  console.log(`🧹 Retention purge${dryRun ? " (dry run)" : ""}: ${summary.purged} document(s) ${dryRun ? "to purge" : "purged"}`);
+  return summary;
+});
+
+/**
+ * Queue a purge started by an admin
+ * It gets its own job (a pending scheduled purge keeps its settings) and runs
+ * after any purge that is already running.
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only count what would be purged
+ * @param {Object} options.user - { id, name, role } of the admin
+ * @returns {Promise<Object>} - The BackgroundJob document (its result is the purge summary)
+ */
+export async function queueRetentionPurge({ dryRun = false, user = null } = {}) {
+  return enqueueJob(RETENTION_PURGE_JOB, { dryRun, user }, { serialKey: PURGE_SERIAL_KEY, coalesce: false, maxAttempts: 1 });
+}
+
+/**
+ * Queue a purge and schedule the next one
+ */
+async function queueAndReschedule() {
+  try {
+    await enqueueJob(RETENTION_PURGE_JOB, { dryRun: SCHEDULED_DRY_RUN }, { serialKey: PURGE_SERIAL_KEY });
+  } catch (error) {
+    console.error("❌ Failed to queue retention purge:", error.message);
+  }
+
+  if (purgeTimer) {
+    purgeTimer = setTimeout(queueAndReschedule, PURGE_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the periodic purge (only when a retention period is configured)
+ */
+export function startRetentionScheduler() {
+  if (purgeTimer || !POLICIES.some((policy) => policy.days)) return;
+  purgeTimer = setTimeout(queueAndReschedule, 0);
+  console.log(`🧹 Retention purge scheduled (every ${Math.round(PURGE_INTERVAL_MS / 3600000)}h${SCHEDULED_DRY_RUN ? ", dry run" : ""})`);
+}
+
+/**
+ * Stop the periodic purge
+ */
+export function stopRetentionScheduler() {
+  if (purgeTimer) {
+    clearTimeout(purgeTimer);
+    purgeTimer = null;
+  }
+}
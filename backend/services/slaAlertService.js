@@ -0,0 +1,385 @@
+/**
+ * SLA Alert Service
+ *
+ * Periodically scans open bill/test pairs (billed within SLA_LOOKBACK_DAYS)
+ * whose report has not reached "Report Signed" and compares the time since
+ * billing with the bill → signed TAT target for the test, its imaging
+ * procedure type, its department or the default target (see TatTarget).
+ *
+ * Features:
+ * - One SlaAlert per overdue bill/test pair, emailed through emailService by
+ *   the job queue (failed emails are retried with backoff)
+ * - Escalation: the level rises as the test passes each multiple of its target
+ *   (SLA_ESCALATION_MULTIPLIERS, default "1,1.5,2"); every new level is emailed
+ *   to the recipients configured up to that level (SLA_ALERT_RECIPIENTS)
+ * - Acknowledgement: silences an alert until it escalates to a higher level
+ * - Auto-resolution: alerts are resolved as soon as the report is signed
+ * - Bills are scanned in batches of SLA_SCAN_BATCH_SIZE, reading only the
+ *   normalized bill fields the scan needs
+ *
+ * Functions:
+ * - runSlaScan: Raises, escalates and resolves alerts once
+ * - sendSlaAlertEmail: Emails an alert level (job handler)
+ * - resolveSlaAlerts: Resolves alerts for signed bill/test pairs
+ * - acknowledgeSlaAlert: Marks an alert as acknowledged
+ * - startSlaMonitor / stopSlaMonitor: Controls the periodic scan
+ */
+
+import dotenv from "dotenv";
+import RequestDump from "../models/RequestDump.js";
+import Report from "../models/Report.js";
+import SlaAlert from "../models/SlaAlert.js";
+import { loadTestLifecycles, REPORT_SIGNED, REPORT_PDF } from "./testLifecycleService.js";
+import { loadTatTargetResolver } from "./tatService.js";
+import { sendSlaBreachAlert } from "./emailService.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+
+// Load environment variables
+dotenv.config();
+
+const SLA_ALERTS_ENABLED = process.env.SLA_ALERTS_ENABLED !== "false";
+const SCAN_INTERVAL_MS = parseInt(process.env.SLA_SCAN_INTERVAL_MS || "300000");
+const LOOKBACK_DAYS = parseInt(process.env.SLA_LOOKBACK_DAYS || "30");
+const SCAN_BATCH_SIZE = parseInt(process.env.SLA_SCAN_BATCH_SIZE || "500");
+
+export const SEND_SLA_ALERT_JOB = "sendSlaAlertEmail";
+
+// Normalized bill fields loadTestLifecycles reads (contact and billing details are left out)
+const BILL_FIELDS = [
+  "billId",
+  "billTime",
+  "patientName",
+  "labId",
+  "labName",
+  "orgId",
+  "orgName",
+  "tests.testId",
+  "tests.testName",
+  "tests.testCode",
+]
+  .map((field) => `normalized.${field}`)
+  .concat("createdAt")
+  .join(" ");
+
+// Multiples of the target at which each escalation level starts
+const ESCALATION_MULTIPLIERS = (process.env.SLA_ESCALATION_MULTIPLIERS || "1,1.5,2")
+  .split(",")
+  .map(Number)
+  .filter((multiplier) => Number.isFinite(multiplier) && multiplier > 0)
+  .sort((a, b) => a - b);
+
+// Recipients per level, e.g. "lab@x.com;manager@x.com;director@x.com"
+const RECIPIENTS_BY_LEVEL = (process.env.SLA_ALERT_RECIPIENTS || "")
+  .split(";")
+  .map((level) => level.split(",").map((email) => email.trim()).filter(Boolean));
+
+// Report statuses at or beyond signing
+const SIGNED_STATUSES = [REPORT_SIGNED, REPORT_PDF];
+
+const ACTIVE_STATUSES = ["open", "acknowledged"];
+
+let scanTimer = null;
+let isScanning = false;
+
+/**
+ * Escalation level for a test that has been open for a number of minutes
+ * Returns 0 while the test is within its target.
+ */
+function getEscalationLevel(elapsedMinutes, targetMinutes) {
+  return ESCALATION_MULTIPLIERS.filter((multiplier) => elapsedMinutes > targetMinutes * multiplier).length;
+}
+
+/**
+ * Recipients for a level (everyone configured up to and including that level)
+ */
+function getRecipients(level) {
+  return [...new Set(RECIPIENTS_BY_LEVEL.slice(0, level).flat())];
+}
+
+/**
+ * Queue the email for an alert's current level
+ * A pending email for a lower level is replaced, so only the latest level is sent.
+ */
+async function notifyAlert(alert) {
+  await enqueueJob(
+    SEND_SLA_ALERT_JOB,
+    { alertId: alert._id.toString(), level: alert.level },
+    { serialKey: `slaAlert:${alert._id}` }
+  );
+}
+
+/**
+ * Email an alert level and record the attempt on the alert
+ * Throws when the email fails, so the job queue retries it with backoff.
+ *
+ * @param {Object} payload
+ * @param {string} payload.alertId - SlaAlert _id
+ * @param {number} payload.level - Escalation level to email
+ * @returns {Promise<Object>} - { status, recipients }
+ */
+export async function sendSlaAlertEmail({ alertId, level }) {
+  const alert = await SlaAlert.findById(alertId).lean();
+  // Nothing to send once the alert is resolved, acknowledged or has escalated past this level
+  if (!alert || alert.status !== "open" || alert.level !== level) {
+    return { status: "skipped", recipients: [] };
+  }
+
+  const recipients = getRecipients(level);
+  const result = await sendSlaBreachAlert(alert, recipients);
+  const sentTo = result.recipient ? result.recipient.split(",").map((email) => email.trim()) : recipients;
+
+  await SlaAlert.updateOne(
+    { _id: alert._id },
+    {
+      $push: {
+        notifications: {
+          level,
+          recipients: sentTo,
+          success: result.success,
+          error: result.error,
+        },
+      },
+    }
+  );
+
+  if (!result.success) {
+    throw new Error(`SLA alert email failed: ${result.error || "unknown error"}`);
+  }
+  return { status: "sent", recipients: sentTo };
+}
+
+/**
+ * Raise a new alert, or escalate an existing one
+ * Escalation is applied with a conditional update so that only one scan
+ * (and one server instance) sends the email for each level.
+ */
+async function raiseOrEscalate(record, targetMinutes, level, dueAt) {
+  const existing = await SlaAlert.findOne({ billId: record.billId, testId: record.testId }).select("level status");
+
+  if (!existing) {
+    try {
+      const alert = await SlaAlert.create({
+        billId: record.billId,
+        testId: record.testId,
+        testName: record.testName,
+        testCode: record.testCode,
+        department: record.department,
+        imagingType: record.imagingType,
+        patientName: record.patientName,
+        labId: record.labId,
+        labName: record.labName,
+        orgId: record.orgId,
+        orgName: record.orgName,
+        billTime: record.billTime,
+        sampleReceivedAt: record.sampleReceivedAt,
+        targetMinutes,
+        dueAt,
+        level,
+      });
+      await notifyAlert(alert);
+      return "raised";
+    } catch (error) {
+      // Another scan raised it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  if (existing.status === "resolved" || level <= existing.level) return null;
+
+  const alert = await SlaAlert.findOneAndUpdate(
+    { _id: existing._id, status: { $in: ACTIVE_STATUSES }, level: { $lt: level } },
+    { $set: { level, status: "open", escalatedAt: new Date(), targetMinutes, dueAt } },
+    { new: true }
+  );
+  if (!alert) return null;
+
+  await notifyAlert(alert);
+  return "escalated";
+}
+
+/**
+ * Resolve active alerts for bill/test pairs whose report has been signed
+ *
+ * @param {number} billId - Bill ID
+ * @param {Array<number>} testIds - Test IDs on the report
+ * @param {string} resolution - Reason stored on the alert
+ * @returns {Promise<number>} - Number of resolved alerts
+ */
+export async function resolveSlaAlerts(billId, testIds, resolution = REPORT_SIGNED) {
+  if (billId === null || billId === undefined || !testIds?.length) return 0;
+
+  const result = await SlaAlert.updateMany(
+    { billId, testId: { $in: testIds }, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: "resolved", resolvedAt: new Date(), resolution } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Resolved ${result.modifiedCount} SLA alert(s) for bill ${billId}`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Resolve active alerts whose Report has been signed since the last scan
+ * (covers bills older than the lookback window)
+ */
+async function resolveSignedAlerts() {
+  const activeAlerts = await SlaAlert.find({ status: { $in: ACTIVE_STATUSES } }).select("billId testId").lean();
+  if (activeAlerts.length === 0) return 0;
+
+  const signedReports = await Report.find({
+    billId: { $in: [...new Set(activeAlerts.map((alert) => alert.billId))] },
+    status: { $in: SIGNED_STATUSES },
+  })
+    .select("billId testId")
+    .lean();
+
+  let resolved = 0;
+  for (const report of signedReports) {
+    resolved += await resolveSlaAlerts(report.billId, [report.testId]);
+  }
+  return resolved;
+}
+
+/**
+ * Load the next batch of bills created since a date, in _id order
+ * Bills stored before webhooks were normalized only have the raw request,
+ * which is loaded for those bills alone.
+ */
+async function loadBillBatch(since, afterId) {
+  const filter = { createdAt: { $gte: since } };
+  if (afterId) filter._id = { $gt: afterId };
+
+  const bills = await RequestDump.find(filter).sort({ _id: 1 }).limit(SCAN_BATCH_SIZE).select(BILL_FIELDS).lean();
+
+  const legacyIds = bills.filter((bill) => !bill.normalized).map((bill) => bill._id);
+  if (legacyIds.length === 0) return bills;
+
+  const legacyBills = await RequestDump.find({ _id: { $in: legacyIds } }).select("request createdAt").lean();
+  const legacyById = new Map(legacyBills.map((bill) => [bill._id.toString(), bill]));
+  return bills.map((bill) => legacyById.get(bill._id.toString()) || bill);
+}
+
+/**
+ * Raise or escalate alerts for one batch of bills
+ */
+async function scanBills(bills, resolve, now, summary) {
+  const lifecycles = await loadTestLifecycles(bills, { withCatalog: true });
+
+  // Latest canonical Report status per bill/test
+  const reports = await Report.find({ billId: { $in: [...new Set(lifecycles.map((record) => record.billId))] } })
+    .select("billId testId status")
+    .lean();
+  const reportStatus = new Map(reports.map((report) => [`${report.billId}:${report.testId}`, report.status]));
+
+  for (const record of lifecycles) {
+    const signed = record.signedAt || SIGNED_STATUSES.includes(reportStatus.get(`${record.billId}:${record.testId}`));
+    if (signed) continue;
+    summary.scanned++;
+
+    const { billToSignMinutes: targetMinutes } = resolve(record);
+    if (targetMinutes === null || targetMinutes === undefined) continue;
+
+    const elapsedMinutes = (now - new Date(record.billTime)) / 60000;
+    const level = getEscalationLevel(elapsedMinutes, targetMinutes);
+    if (level === 0) continue;
+    summary.overdue++;
+
+    const dueAt = new Date(new Date(record.billTime).getTime() + targetMinutes * 60000);
+    const outcome = await raiseOrEscalate(record, targetMinutes, level, dueAt);
+    if (outcome) summary[outcome]++;
+  }
+}
+
+/**
+ * Scan open bill/test pairs once
+ *
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} - { scanned, overdue, raised, escalated, resolved }
+ */
+export async function runSlaScan(now = new Date()) {
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const { resolve } = await loadTatTargetResolver();
+  const summary = { scanned: 0, overdue: 0, raised: 0, escalated: 0, resolved: 0 };
+
+  let bills;
+  let afterId = null;
+  do {
+    bills = await loadBillBatch(since, afterId);
+    if (bills.length === 0) break;
+    await scanBills(bills, resolve, now, summary);
+    afterId = bills[bills.length - 1]._id;
+  } while (bills.length === SCAN_BATCH_SIZE);
+
+  summary.resolved = await resolveSignedAlerts();
+  return summary;
+}
+
+/**
+ * Acknowledge an active alert
+ *
+ * @param {string} alertId - SlaAlert _id
+ * @param {Object} options
+ * @param {string} options.acknowledgedBy - Who acknowledged the alert
+ * @param {string} options.note - Optional note
+ * @returns {Promise<Object|null>} - Updated alert, or null if not active
+ */
+export async function acknowledgeSlaAlert(alertId, { acknowledgedBy = null, note = null } = {}) {
+  return SlaAlert.findOneAndUpdate(
+    { _id: alertId, status: "open" },
+    {
+      $set: {
+        status: "acknowledged",
+        acknowledgedAt: new Date(),
+        acknowledgedBy,
+        acknowledgementNote: note,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Run one scan and schedule the next one
+ */
+async function scanAndReschedule() {
+  if (!isScanning) {
+    isScanning = true;
+    try {
+      const summary = await runSlaScan();
+      if (summary.raised || summary.escalated || summary.resolved) {
+        console.log("⏰ SLA scan:", summary);
+      }
+    } catch (error) {
+      console.error("❌ SLA scan failed:", error.message);
+    } finally {
+      isScanning = false;
+    }
+  }
+
+  if (scanTimer) {
+    scanTimer = setTimeout(scanAndReschedule, SCAN_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the periodic SLA scan (disabled with SLA_ALERTS_ENABLED=false)
+ */
+export function startSlaMonitor() {
+  if (scanTimer || !SLA_ALERTS_ENABLED) return;
+  scanTimer = setTimeout(scanAndReschedule, 0);
+  console.log(`⏰ SLA monitor started (every ${Math.round(SCAN_INTERVAL_MS / 1000)}s)`);
+}
+
+/**
+ * Stop the periodic SLA scan
+ */
+export function stopSlaMonitor() {
+  if (scanTimer) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+}
+
+// Register the job handler used by the background worker
+registerJobHandler(SEND_SLA_ALERT_JOB, sendSlaAlertEmail);
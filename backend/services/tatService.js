@@ -0,0 +1,164 @@
+/**
+ * Turnaround Time (TAT) Service
+ *
+ * Computes per-test turnaround times from the captured webhook timestamps
+ * (see services/testLifecycleService.js) and summarizes them by test name,
+ * department, signing doctor and lab.
+ *
+ * Stages (minutes):
+ * - billToSample: billTime → sample received (accessionDate)
+ * - sampleToSign: sample received → "Report Signed"
+ * - signToPdf: "Report Signed" → "Report PDF (Webhook)"
+ * - billToSign: billTime → "Report Signed" (overall)
+ *
+ * Functions:
+ * - loadTatTargetResolver: Resolves the TAT target for a test
+ * - getTurnaroundStats: Median / p90 / max per stage and breach counts
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import TatTarget from "../models/TatTarget.js";
+import { loadTestLifecycles } from "./testLifecycleService.js";
+import { withScope } from "./accessScopeService.js";
+
+export const TAT_STAGES = {
+  billToSample: { from: "billTime", to: "sampleReceivedAt", target: "billToSampleMinutes" },
+  sampleToSign: { from: "sampleReceivedAt", to: "signedAt", target: "sampleToSignMinutes" },
+  signToPdf: { from: "signedAt", to: "pdfAt", target: "signToPdfMinutes" },
+  billToSign: { from: "billTime", to: "signedAt", target: "billToSignMinutes" },
+};
+
+// Most specific scope first
+const SCOPE_PRECEDENCE = ["test", "imagingType", "department", "default"];
+
+/**
+ * Load all TAT targets and build a resolver for test records
+ * For each stage the most specific target that defines that stage wins.
+ *
+ * @returns {Promise<{ targets: Array, resolve: Function }>}
+ */
+export async function loadTatTargetResolver() {
+  const targets = await TatTarget.find({}).lean();
+  const byScope = new Map();
+  for (const target of targets) {
+    byScope.set(`${target.scope}:${(target.key || "").toLowerCase()}`, target);
+  }
+
+  /**
+   * @param {Object} record - { testName, imagingType, department }
+   * @returns {Object} - { billToSampleMinutes, sampleToSignMinutes, signToPdfMinutes, billToSignMinutes }
+   */
+  const resolve = (record) => {
+    const candidates = SCOPE_PRECEDENCE.map((scope) => {
+      const key = scope === "test" ? record.testName
+        : scope === "imagingType" ? record.imagingType
+        : scope === "department" ? record.department
+        : "";
+      if (scope !== "default" && !key) return null;
+      return byScope.get(`${scope}:${String(key).toLowerCase()}`) || null;
+    }).filter(Boolean);
+
+    const resolved = {};
+    for (const { target: field } of Object.values(TAT_STAGES)) {
+      const match = candidates.find((candidate) => candidate[field] !== null && candidate[field] !== undefined);
+      resolved[field] = match ? match[field] : null;
+    }
+    return resolved;
+  };
+
+  return { targets, resolve };
+}
+
+/**
+ * Duration in minutes between two dates, or null when either is missing
+ */
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  const minutes = (new Date(to) - new Date(from)) / 60000;
+  return minutes >= 0 ? minutes : null;
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank - 1, 0), sorted.length - 1)];
+}
+
+/**
+ * Summarize one stage for a group
+ */
+function summarize(samples) {
+  const sorted = samples.map((sample) => sample.minutes).sort((a, b) => a - b);
+  const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+  return {
+    count: sorted.length,
+    median: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    max: round(sorted.length ? sorted[sorted.length - 1] : null),
+    breaches: samples.filter((sample) => sample.target !== null && sample.minutes > sample.target).length,
+  };
+}
+
+/**
+ * Group records by a dimension and summarize every stage
+ */
+function groupBy(records, getKey) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = getKey(record) || "Unknown";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  return [...groups.entries()]
+    .map(([key, groupRecords]) => {
+      const stages = {};
+      for (const stage of Object.keys(TAT_STAGES)) {
+        stages[stage] = summarize(groupRecords.map((record) => record.stages[stage]).filter(Boolean));
+      }
+      return { key, tests: groupRecords.length, stages };
+    })
+    .sort((a, b) => b.tests - a.tests);
+}
+
+/**
+ * Compute turnaround statistics for bills created in a date range
+ *
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (inclusive)
+ * @param {Object|null} scope - Labs/organizations to include (see accessScopeService; null for all)
+ * @returns {Promise<Object>} - { range, targets, overall, byTest, byDepartment, byDoctor, byLab }
+ */
+export async function getTurnaroundStats(startDate, endDate, scope = null) {
+  const bills = await RequestDump.find(withScope({ createdAt: { $gte: startDate, $lte: endDate } }, scope))
+    .select("request normalized createdAt")
+    .lean();
+
+  const [lifecycles, { targets, resolve }] = await Promise.all([
+    loadTestLifecycles(bills, { withCatalog: true }),
+    loadTatTargetResolver(),
+  ]);
+
+  const records = lifecycles.map((record) => {
+    const target = resolve(record);
+    const stages = {};
+    for (const [stage, definition] of Object.entries(TAT_STAGES)) {
+      const minutes = minutesBetween(record[definition.from], record[definition.to]);
+      stages[stage] = minutes === null ? null : { minutes, target: target[definition.target] };
+    }
+    return { ...record, stages };
+  });
+
+  return {
+    range: { fromDate: startDate.toISOString(), toDate: endDate.toISOString() },
+    targets,
+    overall: groupBy(records, () => "All tests")[0] || null,
+    byTest: groupBy(records, (record) => record.testName),
+    byDepartment: groupBy(records, (record) => record.department),
+    byDoctor: groupBy(records, (record) => record.signingDoctor),
+    byLab: groupBy(records, (record) => record.labName || (record.labId !== null ? `Lab ${record.labId}` : null)),
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Template Engine
+ *
+ * A small logic-less template language for email subjects and bodies.
+ * Values are HTML-escaped by default, so payload data can never inject markup.
+ *
+ * Syntax:
+ * - {{ patient.name }}          Escaped value (arrays are joined with ", ")
+ * - {{{ report.notes }}}        Unescaped value (only for trusted, pre-rendered HTML)
+ * - {{#if report}}...{{else}}...{{/if}}
+ * - {{#unless patient.email}}...{{/unless}}
+ * - {{#each tests}}{{ testName }} ({{ @index }}){{/each}}
+ *   Inside a block, names are looked up on the current item first, then on the
+ *   outer context; {{ this }} is the current item.
+ *
+ * Functions:
+ * - escapeHtml: Escapes a value for HTML text and attributes
+ * - compileTemplate: Parses a template (throws TemplateError on syntax errors)
+ * - renderTemplate: Renders a template against a context
+ */
+
+const BLOCK_HELPERS = ["if", "unless", "each"];
+
+/**
+ * Thrown for template syntax errors
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Escape a value for HTML text and attributes
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/`/g, "&#96;");
+}
+
+/**
+ * Parse a template into a tree of nodes
+ *
+ * @param {string} template - Template source
+ * @returns {Array} - Nodes: { type: "text" | "value" | "block", ... }
+ */
+export function compileTemplate(template) {
+  const source = String(template ?? "");
+  const tagPattern = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([^}]*?)\s*\}\}/g;
+
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: "text", text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const [, rawPath, tag] = match;
+    if (rawPath !== undefined) {
+      current.push({ type: "value", path: parsePath(rawPath), escape: false });
+      continue;
+    }
+
+    if (tag.startsWith("#")) {
+      const [helper, argument] = tag.slice(1).split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new TemplateError(`Unknown block helper "{{#${helper}}}"`);
+      }
+      const block = { type: "block", helper, path: parsePath(argument), children: [], inverse: [] };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+    } else if (tag === "else") {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        throw new TemplateError("Unexpected {{else}}");
+      }
+      block.inElse = true;
+      current = block.inverse;
+    } else if (tag.startsWith("/")) {
+      const helper = tag.slice(1).trim();
+      const block = stack.pop();
+      if (block === root || block.helper !== helper) {
+        throw new TemplateError(`Unexpected {{/${helper}}}`);
+      }
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : lastBranch(parent);
+    } else {
+      current.push({ type: "value", path: parsePath(tag), escape: true });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].helper}}} block`);
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: "text", text: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * The branch of an open block that new nodes are appended to
+ */
+function lastBranch(block) {
+  return block.inElse ? block.inverse : block.children;
+}
+
+/**
+ * Validate and split a dotted path ("patient.name", "this", "@index")
+ */
+function parsePath(path) {
+  const trimmed = String(path ?? "").trim();
+  if (!/^(@index|this|[A-Za-z_$][\w$]*)(\.[A-Za-z_$][\w$]*)*$/.test(trimmed)) {
+    throw new TemplateError(`Invalid placeholder "{{${trimmed}}}"`);
+  }
+  return trimmed.split(".");
+}
+
+/**
+ * Resolve a path against the scope stack (innermost scope first)
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path;
+  let value;
+
+  if (head === "this" || head === "@index") {
+    value = scopes[scopes.length - 1][head];
+  } else {
+    const scope = [...scopes].reverse().find((candidate) => {
+      const target = candidate.this;
+      return target !== null && typeof target === "object" && Object.hasOwn(target, head);
+    });
+    value = scope ? scope.this[head] : undefined;
+  }
+
+  // Own properties only, so templates cannot reach prototype members
+  return rest.reduce(
+    (current, key) => (current !== null && typeof current === "object" && Object.hasOwn(current, key) ? current[key] : undefined),
+    value
+  );
+}
+
+/**
+ * Format a value for output
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(formatValue).filter(Boolean).join(", ");
+  if (value instanceof Date) return value.toLocaleString();
+  if (typeof value === "object" || typeof value === "function") return "";
+  return String(value);
+}
+
+/**
+ * Template truthiness (empty arrays are false)
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ */
+function renderNodes(nodes, scopes, escape) {
+  let output = "";
+
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.text;
+    } else if (node.type === "value") {
+      const text = formatValue(lookup(node.path, scopes));
+      output += escape && node.escape ? escapeHtml(text) : text;
+    } else {
+      const value = lookup(node.path, scopes);
+      if (node.helper === "each") {
+        const items = Array.isArray(value) ? value : [];
+        output += items.length === 0
+          ? renderNodes(node.inverse, scopes, escape)
+          : items.map((item, index) => renderNodes(node.children, [...scopes, { this: item, "@index": index }], escape)).join("");
+      } else {
+        const show = node.helper === "if" ? isTruthy(value) : !isTruthy(value);
+        output += renderNodes(show ? node.children : node.inverse, scopes, escape);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template against a context
+ *
+ * @param {string} template - Template source
+ * @param {Object} context - Values available to placeholders
+ * @param {Object} options
+ * @param {boolean} options.escape - HTML-escape {{ }} values (default true; use false for subjects and plain text)
+ * @returns {string}
+ */
+export function renderTemplate(template, context = {}, { escape = true } = {}) {
+  return renderNodes(compileTemplate(template), [{ this: context, "@index": null }], escape);
+}
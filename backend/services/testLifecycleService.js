@@ -0,0 +1,170 @@
+/**
+ * Test Lifecycle Service
+ *
+ * Joins the raw webhook collections into one record per bill/test pair with
+ * the timestamp of each stage:
+ * - billTime: bill "billTime" (falls back to when the bill webhook was stored)
+ * - sampleReceivedAt: "Sample Received" accessionDate (falls back to storage time)
+ * - signedAt: first "Report Signed" event in ReportStatusTracker
+ * - pdfAt: first "Report PDF (Webhook)" event in ReportStatusTracker
+ *
+ * Functions:
+ * - loadTestLifecycles: Builds lifecycle records for a set of bills
+ * - loadTestCatalog: Maps test codes/names to department and imaging type
+ */
+
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import TestInfo from "../models/TestInfo.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+
+export const SAMPLE_RECEIVED = "Sample Received";
+export const REPORT_SIGNED = "Report Signed";
+export const REPORT_PDF = "Report PDF (Webhook)";
+
+// PDFs can be large; never load them when only event metadata is needed
+const WITHOUT_PDF = "-request.reportBase64 -request.reportDetails.reportBase64";
+
+/**
+ * Query matching raw dump documents for any of the given billIds
+ */
+export function billIdQuery(billIds) {
+  return {
+    $or: [
+      { "normalized.billId": { $in: billIds } },
+      { "request.billId": { $in: billIds } },
+    ],
+  };
+}
+
+/**
+ * Keep the earliest date for a key
+ */
+function setEarliest(map, key, date, extra = {}) {
+  const existing = map.get(key);
+  if (!existing || date < existing.date) {
+    map.set(key, { date, ...extra });
+  }
+}
+
+/**
+ * Load the test catalog (TestInfo with department and imaging procedure)
+ *
+ * @returns {Promise<{ byCode: Map, byName: Map }>} - Lookups to { department, imagingType }
+ */
+export async function loadTestCatalog() {
+  const tests = await TestInfo.find({})
+    .populate("DepartmentID", "DepartmentName")
+    .populate("ImagingProcedureID", "ProcedureName ImagingType")
+    .lean();
+
+  const byCode = new Map();
+  const byName = new Map();
+  for (const test of tests) {
+    const entry = {
+      department: test.DepartmentID?.DepartmentName || null,
+      imagingType: test.ImagingProcedureID?.ImagingType || null,
+      procedureName: test.ImagingProcedureID?.ProcedureName || null,
+    };
+    if (test.TestCode) byCode.set(test.TestCode.trim().toLowerCase(), entry);
+    if (test.TestName) byName.set(test.TestName.trim().toLowerCase(), entry);
+  }
+  return { byCode, byName };
+}
+
+/**
+ * Look up a test in the catalog by code, then by name
+ */
+export function lookupTest(catalog, testCode, testName) {
+  return (
+    (testCode && catalog.byCode.get(testCode.trim().toLowerCase())) ||
+    (testName && catalog.byName.get(testName.trim().toLowerCase())) ||
+    { department: null, imagingType: null, procedureName: null }
+  );
+}
+
+/**
+ * Build lifecycle records for every test on the given bills
+ *
+ * @param {Array} bills - RequestDump documents (lean, with request/normalized/createdAt)
+ * @param {Object} options
+ * @param {boolean} options.withCatalog - Attach department and imaging type from TestInfo
+ * @returns {Promise<Array>} - One record per bill/test pair
+ */
+export async function loadTestLifecycles(bills, { withCatalog = false } = {}) {
+  const normalizedBills = bills
+    .map((dump) => ({ dump, bill: getStoredNormalized("billGenerate", dump) }))
+    .filter(({ bill }) => bill.billId !== null && bill.billId !== undefined);
+
+  if (normalizedBills.length === 0) return [];
+
+  const billIds = [...new Set(normalizedBills.map(({ bill }) => bill.billId))];
+
+  const [samples, reportEvents, catalog] = await Promise.all([
+    SampleStatusTracker.find(billIdQuery(billIds)).select("request normalized createdAt").lean(),
+    ReportStatusTracker.find(billIdQuery(billIds)).select(WITHOUT_PDF).lean(),
+    withCatalog ? loadTestCatalog() : null,
+  ]);
+
+  // Earliest sample receipt per bill/test
+  const sampleTimes = new Map();
+  for (const sample of samples) {
+    const normalized = getStoredNormalized("sampleStatus", sample);
+    if (normalized.status !== SAMPLE_RECEIVED) continue;
+    const date = new Date(normalized.accessionDate || sample.createdAt);
+    for (const testId of normalized.testIds || []) {
+      setEarliest(sampleTimes, `${normalized.billId}:${testId}`, date);
+    }
+  }
+
+  // Earliest signing and PDF event per bill/test
+  const signTimes = new Map();
+  const pdfTimes = new Map();
+  for (const event of reportEvents) {
+    const normalized = getStoredNormalized("reportStatus", event);
+    const date = new Date(event.createdAt);
+    for (const testId of normalized.testIds || []) {
+      const key = `${normalized.billId}:${testId}`;
+      if (normalized.status === REPORT_SIGNED) {
+        setEarliest(signTimes, key, date, { signingDoctor: normalized.signingDoctors?.[0] || null });
+      } else if (normalized.status === REPORT_PDF) {
+        setEarliest(pdfTimes, key, date);
+      }
+    }
+  }
+
+  const records = [];
+  for (const { dump, bill } of normalizedBills) {
+    const billTime = new Date(bill.billTime || dump.createdAt);
+    for (const test of bill.tests || []) {
+      if (test.testId === null || test.testId === undefined) continue;
+      const key = `${bill.billId}:${test.testId}`;
+      const signed = signTimes.get(key);
+
+      const record = {
+        billId: bill.billId,
+        testId: test.testId,
+        testName: test.testName,
+        testCode: test.testCode,
+        patientName: bill.patientName || null,
+        labId: bill.labId ?? null,
+        labName: bill.labName ?? null,
+        orgId: bill.orgId ?? null,
+        orgName: bill.orgName ?? null,
+        billTime,
+        sampleReceivedAt: sampleTimes.get(key)?.date || null,
+        signedAt: signed?.date || null,
+        signingDoctor: signed?.signingDoctor || null,
+        pdfAt: pdfTimes.get(key)?.date || null,
+      };
+
+      if (catalog) {
+        Object.assign(record, lookupTest(catalog, test.testCode, test.testName));
+      }
+
+      records.push(record);
+    }
+  }
+
+  return records;
+}
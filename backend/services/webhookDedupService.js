@@ -0,0 +1,204 @@
+/**
+ * Webhook De-duplication Service
+ *
+ * Crelio retries deliveries it considers failed, so the same payload can arrive
+ * several times. This service fingerprints each delivery and stores it only once
+ * per de-duplication window.
+ *
+ * Fingerprint:
+ * - Delivery ID header (WEBHOOK_DELIVERY_ID_HEADERS) when the sender provides one
+ * - Otherwise a SHA-256 hash of the canonical (key-sorted) JSON body
+ *
+ * A stored delivery is claimed by the request processing it and only counts
+ * as a duplicate once marked processed (or while another request holds the
+ * claim). A delivery whose processing failed is picked up again by the retry.
+ * The unique { fingerprint, dedupWindow } index keeps concurrent retries from
+ * storing it twice. That index uses fixed buckets, so a copy arriving just
+ * after a bucket edge is first checked against an unprocessed copy stored in
+ * the previous bucket (within the window) and claims that one instead. Only
+ * copies racing across the edge, before either one is stored, can both be kept.
+ *
+ * Functions:
+ * - computeWebhookFingerprint: Builds the fingerprint for a request
+ * - recordWebhookDelivery: Stores and claims a delivery, or counts it as a duplicate
+ * - markWebhookProcessed: Marks a claimed delivery as processed
+ * - releaseWebhookDelivery: Releases the claim after processing failed
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Duplicates arriving within this many seconds of the original are not stored
+const DEDUP_WINDOW_SECONDS = parseInt(process.env.WEBHOOK_DEDUP_WINDOW_SECONDS || "86400");
+
+// A claim older than this is considered abandoned (e.g. the process crashed)
+const PROCESSING_LEASE_SECONDS = parseInt(process.env.WEBHOOK_PROCESSING_LEASE_SECONDS || "300");
+
+// Headers checked (in order) for a sender-provided delivery ID
+const DELIVERY_ID_HEADERS = (process.env.WEBHOOK_DELIVERY_ID_HEADERS || "x-webhook-delivery-id,x-delivery-id")
+  .split(",")
+  .map((header) => header.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Serialize a value as JSON with object keys sorted, so that key order
+ * does not change the hash
+ */
+export function canonicalStringify(value) {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value) ?? "null";
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  const keys = Object.keys(value).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(",")}}`;
+}
+
+/**
+ * Get the sender-provided delivery ID, if any
+ */
+function getDeliveryId(req) {
+  for (const header of DELIVERY_ID_HEADERS) {
+    const value = req.headers?.[header];
+    if (value) return String(value).trim();
+  }
+  return null;
+}
+
+/**
+ * Build the fingerprint for a webhook delivery
+ *
+ * @param {string} webhookType - Webhook type (billGenerate, sampleStatus, reportStatus)
+ * @param {Object} req - Express request object
+ * @returns {{ fingerprint: string, deliveryId: string|null }}
+ */
+export function computeWebhookFingerprint(webhookType, req) {
+  const deliveryId = getDeliveryId(req);
+  const source = deliveryId
+    ? `${webhookType}:id:${deliveryId}`
+    : `${webhookType}:body:${canonicalStringify(req.body || {})}`;
+
+  return {
+    fingerprint: crypto.createHash("sha256").update(source).digest("hex"),
+    deliveryId,
+  };
+}
+
+/**
+ * Take over a stored delivery that was not processed (its claim was released
+ * or abandoned), or count the request as a duplicate while another request
+ * still holds the claim
+ *
+ * @returns {Promise<{ duplicate: boolean, document: Object }|null>} - null when no delivery matches
+ */
+async function claimStoredDelivery(Model, webhookType, filter, now) {
+  const leaseStart = new Date(now.getTime() - PROCESSING_LEASE_SECONDS * 1000);
+  const unclaimed = await Model.findOneAndUpdate(
+    {
+      ...filter,
+      processedAt: null,
+      $or: [{ claimedAt: null }, { claimedAt: { $lt: leaseStart } }],
+    },
+    { $set: { claimedAt: now } },
+    { new: true }
+  );
+  if (unclaimed) {
+    console.log(`🔁 Retrying ${webhookType} delivery ${unclaimed._id} that was not processed`);
+    return { duplicate: false, document: unclaimed };
+  }
+
+  // Processed in the meantime, or still being processed by another request
+  const original = await Model.findOneAndUpdate(
+    filter,
+    { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: now } },
+    { new: true }
+  );
+  if (!original) return null;
+  console.log(`🔁 Duplicate ${webhookType} delivery ignored (${original.duplicateCount} so far for ${original._id})`);
+  return { duplicate: true, document: original };
+}
+
+/**
+ * Store a webhook delivery and claim it for processing, unless the same
+ * fingerprint was already processed (or is being processed) within the
+ * de-duplication window. Duplicates increment duplicateCount on the original
+ * document instead.
+ *
+ * @param {mongoose.Model} Model - Raw dump model (RequestDump, SampleStatusTracker, ReportStatusTracker)
+ * @param {string} webhookType - Webhook type used in the fingerprint
+ * @param {Object} req - Express request object
+ * @param {Object} extraFields - Additional fields stored on a new document (e.g. normalized,
+ *   or request to store a different body than req.body, such as one without PDFs)
+ * @returns {Promise<{ duplicate: boolean, document: Object }>}
+ */
+export async function recordWebhookDelivery(Model, webhookType, req, extraFields = {}) {
+  const { fingerprint, deliveryId } = computeWebhookFingerprint(webhookType, req);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - DEDUP_WINDOW_SECONDS * 1000);
+  const dedupWindow = Math.floor(now.getTime() / (DEDUP_WINDOW_SECONDS * 1000));
+
+  const processed = await Model.findOneAndUpdate(
+    { fingerprint, createdAt: { $gte: windowStart }, processedAt: { $ne: null } },
+    { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: now } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+  if (processed) {
+    console.log(`🔁 Duplicate ${webhookType} delivery ignored (${processed.duplicateCount} so far for ${processed._id})`);
+    return { duplicate: true, document: processed };
+  }
+
+  // Stored unprocessed just before the current bucket started
+  const previous = await Model.exists({
+    fingerprint,
+    dedupWindow: dedupWindow - 1,
+    createdAt: { $gte: windowStart },
+    processedAt: null,
+  });
+  if (previous) {
+    const claimed = await claimStoredDelivery(Model, webhookType, { _id: previous._id }, now);
+    if (claimed) return claimed;
+  }
+
+  try {
+    const document = await Model.create({
+      request: req.body,
+      ...extraFields,
+      fingerprint,
+      deliveryId,
+      dedupWindow,
+      claimedAt: now,
+    });
+    return { duplicate: false, document };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Already stored in this bucket
+  const stored = await claimStoredDelivery(Model, webhookType, { fingerprint, dedupWindow }, now);
+  return stored || { duplicate: true, document: null };
+}
+
+/**
+ * Mark a claimed delivery as processed, so later deliveries of it are duplicates
+ *
+ * @param {mongoose.Model} Model - Model the delivery was recorded in
+ * @param {Object} document - Document returned by recordWebhookDelivery
+ */
+export async function markWebhookProcessed(Model, document) {
+  await Model.updateOne({ _id: document._id }, { $set: { processedAt: new Date() }, $unset: { claimedAt: 1 } });
+}
+
+/**
+ * Release the claim on a delivery whose processing failed, so Crelio's retry
+ * processes it again
+ *
+ * @param {mongoose.Model} Model - Model the delivery was recorded in
+ * @param {Object} document - Document returned by recordWebhookDelivery
+ */
+export async function releaseWebhookDelivery(Model, document) {
+  await Model.updateOne({ _id: document._id, processedAt: null }, { $unset: { claimedAt: 1 } });
+}
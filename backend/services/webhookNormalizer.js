@@ -0,0 +1,267 @@
+/**
+ * Webhook Normalizer Service
+ *
+ * Crelio payloads are not consistent: billId may arrive as "billId" or "bill_id",
+ * as a number or a string; testID may be a scalar or an array; the patient name
+ * may be "Patient Name" or "patientName"; labId/orgId may be numbers or objects.
+ * This service maps each webhook type to a single canonical shape, which is
+ * stored next to the raw body as `normalized`.
+ *
+ * Functions:
+ * - normalizeWebhookPayload: Builds the canonical shape for a webhook type
+ * - getStoredNormalized: Canonical shape of a stored raw dump document
+ * - toNumber, toIsoDate, toNumberArray: Field coercion helpers
+ * - zonedTimeToDate: Instant of a wall-clock time in an IANA timezone
+ *
+ * Crelio sends local times without an offset; they are read in CRELIO_TIMEZONE
+ * (default UTC), not in the server's timezone.
+ */
+
+/**
+ * Coerce a value to a finite number, or null
+ */
+export function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "object") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Coerce a value (scalar, array or comma-separated string) to an array of numbers
+ */
+export function toNumberArray(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",")
+      : [value];
+  return values.map(toNumber).filter((number) => number !== null);
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at an instant
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Instant at which the clocks in a timezone show the given wall-clock time
+ *
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffset(wallClock, timezone);
+  // Around DST changes the offset at the result can differ from the first guess
+  const correctedOffset = getTimezoneOffset(wallClock - offset, timezone);
+  return new Date(wallClock - correctedOffset);
+}
+
+/**
+ * Coerce a date-like value to an ISO 8601 string, or null
+ * Accepts ISO strings, "YYYY-MM-DD HH:mm:ss", "DD/MM/YYYY[ HH:mm]" and epoch values.
+ * Times without an offset are read in the timezone (CRELIO_TIMEZONE by default);
+ * dates without a time (e.g. a date of birth) are kept as UTC midnight.
+ */
+export function toIsoDate(value, timezone = process.env.CRELIO_TIMEZONE || "UTC") {
+  if (value === undefined || value === null || value === "" || value === "-") return null;
+  if (typeof value === "object" && !(value instanceof Date)) return null;
+
+  let date;
+  if (typeof value === "string") {
+    const text = value.trim();
+    const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const localTime = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (dayFirst) {
+      const [, day, month, year, hour, minute, second = "0"] = dayFirst;
+      const parts = { year: Number(year), month: Number(month), day: Number(day) };
+      date = hour === undefined
+        ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+        : zonedTimeToDate({ ...parts, hour: Number(hour), minute: Number(minute), second: Number(second) }, timezone);
+    } else if (localTime) {
+      const [, year, month, day, hour, minute, second = "0"] = localTime.map(Number);
+      date = zonedTimeToDate({ year, month, day, hour, minute, second }, timezone);
+    } else {
+      date = new Date(text);
+    }
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Trim a string value, or null
+ */
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "object") return null;
+  const text = String(value).trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Extract a numeric ID from a value that may be a number or an object ({ labId } / { orgId })
+ */
+function toEntityId(value, key) {
+  if (value && typeof value === "object") return toNumber(value[key]);
+  return toNumber(value);
+}
+
+/**
+ * Extract a display name from a labId/orgId object
+ */
+function toEntityName(value, ...keys) {
+  if (!value || typeof value !== "object") return null;
+  for (const key of keys) {
+    if (value[key]) return toText(value[key]);
+  }
+  return null;
+}
+
+/**
+ * Read the billId from any of the field names Crelio uses
+ */
+export function extractBillId(body) {
+  return toNumber(body?.billId ?? body?.bill_id ?? body?.billID);
+}
+
+/**
+ * Normalize the signing doctor list to an array of names
+ * Crelio sends [{ "Signing Doctor 1": "Dr. Name" }, ...] or plain strings
+ */
+function normalizeSigningDoctors(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((entry) => (entry && typeof entry === "object" ? Object.values(entry)[0] : entry))
+    .map(toText)
+    .filter(Boolean);
+}
+
+/**
+ * Canonical shape for bill generate webhooks
+ */
+function normalizeBill(body) {
+  const tests = Array.isArray(body.billInfoDetails) ? body.billInfoDetails : [];
+
+  return {
+    billId: extractBillId(body),
+    patientId: toNumber(body["Patient Id"] ?? body.patientId),
+    labPatientId: toText(body.labPatientId),
+    patientName: toText(body["Patient Name"] ?? body.patientName),
+    patientAge: toNumber(body["Patient Age"]),
+    patientGender: toText(body["Patient gender"] ?? body.gender),
+    patientDob: toIsoDate(body["Patient Dob"]),
+    patientEmail: toText(body.patient_email ?? body.email),
+    patientPhone: toText(body["Mobile Number"] ?? body["Patient Contact"] ?? body.phone),
+    billTime: toIsoDate(body.billTime),
+    billTotalAmount: toNumber(body.billTotalAmount),
+    dueAmount: toNumber(body.dueAmount),
+    billAdvance: toNumber(body.billAdvance),
+    billConcession: toNumber(body.billConcession),
+    billReferral: toText(body.billReferral),
+    docId: toNumber(body.docId),
+    labId: toEntityId(body.labId, "labId"),
+    labName: toEntityName(body.labId, "labName"),
+    orgId: toEntityId(body.orgId, "orgId"),
+    orgName: toEntityName(body.orgId, "orgFullName", "orgName"),
+    tests: tests.map((test) => ({
+      testId: toNumber(test.testId ?? test.testID),
+      testName: toText(test.testname ?? test.TestDetails?.TestName),
+      testCode: toText(test.TestDetails?.TestCode ?? test.testCode),
+      testAmount: toNumber(test.testAmount),
+    })),
+  };
+}
+
+/**
+ * Canonical shape for sample status webhooks
+ */
+function normalizeSample(body) {
+  return {
+    billId: extractBillId(body),
+    testIds: toNumberArray(body.testID ?? body.testId),
+    status: toText(body.Status ?? body.status),
+    sampleId: toText(body.sampleId ?? body.sampleID),
+    accessionDate: toIsoDate(body.accessionDate ?? body["Accession Date"]),
+    labId: toEntityId(body.labId, "labId"),
+    orgId: toEntityId(body.orgId, "orgId"),
+  };
+}
+
+/**
+ * Canonical shape for report status webhooks
+ */
+function normalizeReport(body) {
+  const testIds = toNumberArray(body.testID ?? body.testId);
+  const detail = Array.isArray(body.reportDetails) ? body.reportDetails[0] || {} : {};
+
+  return {
+    billId: extractBillId(body),
+    testId: testIds[0] ?? null,
+    testIds,
+    labReportId: toNumber(body.labReportId),
+    status: toText(body.status ?? body.Status),
+    signingDoctors: normalizeSigningDoctors(body["Signing Doctor"] ?? detail["Signing Doctor"]),
+    sampleDate: toIsoDate(body["Sample Date"] ?? detail["Sample Date"]),
+    accessionDate: toIsoDate(body["Accession Date"] ?? detail["Accession Date"]),
+    reportDate: toIsoDate(body["Report Date"] ?? detail["Report Date"]),
+    hasPdf: Boolean(body.reportBase64 ?? body.reportPdf ?? detail.reportBase64 ?? detail.reportPdf),
+    labId: toEntityId(body.labId, "labId"),
+    orgId: toEntityId(body.orgId, "orgId"),
+  };
+}
+
+const normalizers = {
+  billGenerate: normalizeBill,
+  sampleStatus: normalizeSample,
+  reportStatus: normalizeReport,
+};
+
+/**
+ * Build the canonical shape for a webhook payload
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {Object} body - Raw webhook body
+ * @returns {Object|null} - Canonical payload, or null for unknown types
+ */
+export function normalizeWebhookPayload(webhookType, body) {
+  const normalizer = normalizers[webhookType];
+  if (!normalizer || !body || typeof body !== "object") return null;
+  return normalizer(body);
+}
+
+/**
+ * Get the canonical shape of a stored RequestDump / SampleStatusTracker /
+ * ReportStatusTracker document. Documents stored before normalization was
+ * introduced have no `normalized` field, so it is computed on the fly.
+ *
+ * @param {string} webhookType - billGenerate, sampleStatus or reportStatus
+ * @param {Object} doc - Stored document (lean or hydrated)
+ * @returns {Object} - Canonical payload (empty object when unavailable)
+ */
+export function getStoredNormalized(webhookType, doc) {
+  return doc?.normalized || normalizeWebhookPayload(webhookType, doc?.request || {}) || {};
+}
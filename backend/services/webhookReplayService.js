@@ -0,0 +1,291 @@
+/**
+ * Webhook Replay Service
+ *
+ * Re-runs stored webhook payloads (RequestDump, SampleStatusTracker,
+ * ReportStatusTracker) through the same processing as live webhooks, e.g.
+ * after the consolidation logic has changed:
+ * - report status payloads update the canonical Report (services/reportUpdateService.js)
+ * - every replayed bill is consolidated again: queued as a "consolidatePatient"
+ *   job, serialized per bill with live webhooks (dry runs preview it directly)
+ *
+ * Documents are replayed in the order they were originally received. Side
+ * effects of live webhooks that reach people (notification rules, report
+ * emails) and SLA alert resolution are not repeated.
+ *
+ * Dry runs save nothing and return a diff of what would change. Report changes
+ * follow the replayed payloads in order; patient changes are worked out from
+ * the Reports as they are stored now.
+ *
+ * Replays started from the dashboard run as "webhookReplay" background jobs;
+ * the job's result is the replay result.
+ *
+ * Functions:
+ * - WEBHOOK_REPLAY_TYPES: Webhook types that can be replayed
+ * - parseReplayFilters: Validates filters from a request body or the command line
+ * - selectReplayDocuments: Stored documents matching the filters, oldest first
+ * - replayWebhooks: Replays (or previews) the selected documents
+ * - queueWebhookReplay: Queues a replay on the background job queue
+ */
+
+import RequestDump from "../models/RequestDump.js";
+import SampleStatusTracker from "../models/SampleStatusTracker.js";
+import ReportStatusTracker from "../models/ReportStatusTracker.js";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import { getStoredNormalized } from "./webhookNormalizer.js";
+import { billIdQuery } from "./testLifecycleService.js";
+import { upsertReportFromWebhook } from "./reportUpdateService.js";
+import { CONSOLIDATE_PATIENT_JOB, consolidatePatientFromBillId } from "./patientConsolidationService.js";
+import { enqueueJob, registerJobHandler } from "./jobQueueService.js";
+import { diffFields } from "./fieldDiff.js";
+
+export const WEBHOOK_REPLAY_JOB = "webhookReplay";
+
+// Stored collection per webhook type
+const SOURCES = {
+  billGenerate: RequestDump,
+  sampleStatus: SampleStatusTracker,
+  reportStatus: ReportStatusTracker,
+};
+
+export const WEBHOOK_REPLAY_TYPES = Object.keys(SOURCES);
+
+// Report fields compared in replay diffs
+const REPORT_DIFF_FIELDS = ["labReportId", "status", "sampleDate", "signingDoctor", "pdf.sha256"];
+
+/**
+ * Split an array or comma-separated string into trimmed items
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a date filter; a bare YYYY-MM-DD end date includes the whole day
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Validate replay filters
+ * A bill ID or a date is required so a replay never covers everything by accident.
+ *
+ * @param {Object} input - { types, billIds, fromDate, toDate, limit } (lists as arrays or comma-separated)
+ * @returns {Object} - { filters } or { error }
+ */
+export function parseReplayFilters(input = {}) {
+  const types = toList(input.types);
+  const unknownType = types.find((type) => !WEBHOOK_REPLAY_TYPES.includes(type));
+  if (unknownType) {
+    return { error: `types must be one of ${WEBHOOK_REPLAY_TYPES.join(", ")}` };
+  }
+
+  const billIds = toList(input.billIds).map(Number);
+  if (!billIds.every(Number.isInteger)) {
+    return { error: "billIds must be a list of integer bill IDs" };
+  }
+
+  const fromDate = parseDate(input.fromDate);
+  const toDate = parseDate(input.toDate, true);
+  if (fromDate === undefined || toDate === undefined) {
+    return { error: "fromDate and toDate must be dates" };
+  }
+  if (billIds.length === 0 && !fromDate && !toDate) {
+    return { error: "Select webhooks by billIds or a date range" };
+  }
+
+  const limit = input.limit !== undefined && input.limit !== null ? parseInt(input.limit) : null;
+  if (limit !== null && !(limit > 0)) {
+    return { error: "limit must be a positive number" };
+  }
+
+  return {
+    filters: {
+      types: types.length > 0 ? types : WEBHOOK_REPLAY_TYPES,
+      billIds,
+      fromDate,
+      toDate,
+      limit,
+    },
+  };
+}
+
+/**
+ * Stored documents matching the filters, oldest first
+ * Only IDs and dates are loaded; documents are read one at a time when replayed.
+ *
+ * @param {Object} filters
+ * @param {Array<string>} filters.types - Webhook types (default: all)
+ * @param {Array<number>} filters.billIds - Bill IDs
+ * @param {Date} filters.fromDate / filters.toDate - Received between
+ * @param {number} filters.limit - Most documents to select
+ * @returns {Promise<Array<Object>>} - [{ type, _id, createdAt }]
+ */
+export async function selectReplayDocuments({ types = WEBHOOK_REPLAY_TYPES, billIds = [], fromDate = null, toDate = null, limit = null } = {}) {
+  const conditions = [];
+  if (billIds.length > 0) conditions.push(billIdQuery(billIds));
+  if (fromDate || toDate) {
+    conditions.push({
+      createdAt: {
+        ...(fromDate && { $gte: fromDate }),
+        ...(toDate && { $lte: toDate }),
+      },
+    });
+  }
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const selected = [];
+  for (const type of types) {
+    let find = SOURCES[type].find(query).select("_id createdAt").sort({ createdAt: 1, _id: 1 }).lean();
+    if (limit) find = find.limit(limit);
+    const docs = await find;
+    selected.push(...docs.map((doc) => ({ type, _id: doc._id, createdAt: doc.createdAt })));
+  }
+
+  selected.sort((a, b) => a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id)));
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+/**
+ * Replay (or preview) stored webhooks
+ * Real replays are recorded in the audit log with their summary.
+ *
+ * @param {Object} filters - See selectReplayDocuments
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Save nothing, only report the changes
+ * @param {Object} options.user - { id, name, role } of the admin who started it
+ * @returns {Promise<Object>} - { dryRun, selected, reports, patients, errors, summary }
+ */
+export async function replayWebhooks(filters = {}, { dryRun = false, user = null } = {}) {
+  const selected = await selectReplayDocuments(filters);
+
+  // Report state per bill/test, before and after the replay
+  const reports = new Map();
+  // Bills to consolidate, in the order they were first replayed
+  const bills = new Map();
+  const errors = [];
+
+  for (const { type, _id } of selected) {
+    const doc = await SOURCES[type].findById(_id).lean();
+    if (!doc) continue;
+
+    const normalized = getStoredNormalized(type, doc);
+    const { billId } = normalized;
+    if (billId === null || billId === undefined) {
+      errors.push({ type, id: _id, billId: null, error: "No billId in the stored payload" });
+      continue;
+    }
+
+    // Same bill IDs as live consolidation (consolidatePatientFromWebhook)
+    if (!bills.has(billId)) {
+      bills.set(billId, { billId: doc.request?.billId ?? billId, billIdNumber: doc.request?.bill_id || doc.request?.billId || billId });
+    }
+
+    if (type !== "reportStatus") continue;
+
+    try {
+      const key = `${billId}:${normalized.testId}`;
+      if (!reports.has(key)) {
+        const current = await Report.findOne({ billId, testId: normalized.testId }).lean();
+        reports.set(key, { billId, testId: normalized.testId, before: current, after: current });
+      }
+      const state = reports.get(key);
+
+      const result = await upsertReportFromWebhook(doc.request, normalized, {
+        dryRun,
+        current: state.after,
+        receivedAt: doc.createdAt,
+      });
+      state.after = dryRun
+        ? { ...result.insert, ...state.after, ...result.update }
+        : result.report.toObject();
+    } catch (error) {
+      errors.push({ type, id: _id, billId, error: error.message });
+    }
+  }
+
+  const reportChanges = [...reports.values()].map(({ billId, testId, before, after }) => {
+    const changes = diffFields(before || {}, after, REPORT_DIFF_FIELDS);
+    return {
+      billId,
+      testId,
+      action: !before ? "created" : Object.keys(changes).length > 0 ? "updated" : "unchanged",
+      changes,
+    };
+  });
+
+  const patientChanges = [];
+  for (const { billId, billIdNumber } of bills.values()) {
+    try {
+      if (dryRun) {
+        patientChanges.push(await consolidatePatientFromBillId(billId, billIdNumber, { dryRun }));
+        continue;
+      }
+      // Same queue and serialKey as live webhooks, so a bill is never consolidated twice at once
+      await enqueueJob(
+        CONSOLIDATE_PATIENT_JOB,
+        { billId, billIdNumber, webhookType: "replay" },
+        { serialKey: `bill:${billIdNumber || billId}` }
+      );
+      patientChanges.push({ billId, patientId: null, action: "queued", changes: {} });
+    } catch (error) {
+      errors.push({ type: "consolidation", id: null, billId, error: error.message });
+    }
+  }
+
+  const countActions = (items) =>
+    items.reduce((counts, item) => ({ ...counts, [item.action]: (counts[item.action] || 0) + 1 }), {});
+
+  const result = {
+    dryRun,
+    selected: WEBHOOK_REPLAY_TYPES.reduce(
+      (counts, type) => ({ ...counts, [type]: selected.filter((item) => item.type === type).length }),
+      {}
+    ),
+    summary: {
+      bills: bills.size,
+      reports: countActions(reportChanges),
+      patients: countActions(patientChanges),
+      errors: errors.length,
+    },
+    reports: reportChanges.filter((item) => item.action !== "unchanged"),
+    patients: patientChanges.filter((item) => item.action !== "unchanged" && item.action !== "queued"),
+    errors,
+  };
+
+  if (!dryRun) {
+    await AuditLog.create({
+      action: "webhook.replay",
+      user: user || undefined,
+      details: {
+        filters,
+        selected: result.selected,
+        summary: result.summary,
+      },
+    });
+  }
+
+  return result;
+}
+
+registerJobHandler(WEBHOOK_REPLAY_JOB, ({ filters, dryRun, user }) => replayWebhooks(filters, { dryRun, user }));
+
+/**
+ * Queue a replay on the background job queue
+ * Replays are not retried automatically; a failed one is dead-lettered with its error.
+ *
+ * @param {Object} filters - From parseReplayFilters
+ * @param {Object} options - { dryRun, user }, as for replayWebhooks
+ * @returns {Promise<Object>} - The BackgroundJob document; its result is the replay result
+ */
+export async function queueWebhookReplay(filters, { dryRun = false, user = null } = {}) {
+  return enqueueJob(WEBHOOK_REPLAY_JOB, { filters, dryRun, user }, { maxAttempts: 1 });
+}
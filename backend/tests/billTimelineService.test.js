@@ -0,0 +1,136 @@
+import { jest } from "@jest/globals";
+
+// Stored documents per collection; each test sets what has (not) been purged
+const stored = { billDump: null, summary: null, samples: [], reportEvents: [], reports: [] };
+
+/**
+ * Chainable stand-in for a Mongoose query resolving to a fixed result
+ */
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: async () => result(),
+  };
+  return chain;
+}
+
+jest.unstable_mockModule("../models/RequestDump.js", () => ({ default: { findOne: () => query(() => stored.billDump) } }));
+jest.unstable_mockModule("../models/BillSummary.js", () => ({ default: { findOne: () => query(() => stored.summary) } }));
+jest.unstable_mockModule("../models/SampleStatusTracker.js", () => ({ default: { find: () => query(() => stored.samples) } }));
+jest.unstable_mockModule("../models/ReportStatusTracker.js", () => ({ default: { find: () => query(() => stored.reportEvents) } }));
+jest.unstable_mockModule("../models/Report.js", () => ({ default: { find: () => query(() => stored.reports) } }));
+jest.unstable_mockModule("../models/TestInfo.js", () => ({ default: {} }));
+
+const { getBillTimeline } = await import("../services/billTimelineService.js");
+
+const stageOf = (test, stage) => test.stages.find((item) => item.stage === stage);
+
+// Later bill of a returning patient, after retention purged its webhooks
+const summary = {
+  billId: 700002,
+  patientId: "PAT-500001",
+  patientName: "Rahul Sharma",
+  billTime: new Date("2024-06-03T09:15:00Z"),
+  tests: [
+    { testId: 900001, testName: "CBC + ESR", testCode: "CBC", sampleReceivedAt: new Date("2024-06-03T10:00:00Z") },
+    { testId: 900002, testName: "Lipid Profile", testCode: "LIPID", sampleReceivedAt: null },
+  ],
+};
+
+beforeEach(() => {
+  Object.assign(stored, { billDump: null, summary: null, samples: [], reportEvents: [], reports: [] });
+});
+
+describe("getBillTimeline", () => {
+  test("returns null for an unknown bill", async () => {
+    expect(await getBillTimeline(1)).toBeNull();
+  });
+
+  test("reads the bill time, tests and sample times of a purged bill from its BillSummary", async () => {
+    stored.summary = summary;
+
+    const timeline = await getBillTimeline(700002);
+
+    expect(timeline.billTime).toEqual(summary.billTime);
+    expect(timeline.patientName).toBe("Rahul Sharma");
+    expect(timeline.tests.map((test) => [test.testId, test.testName])).toEqual([
+      [900001, "CBC + ESR"],
+      [900002, "Lipid Profile"],
+    ]);
+
+    const [cbc, lipid] = timeline.tests;
+    expect(stageOf(cbc, "billed")).toMatchObject({ completed: true, source: "BillSummary", timestamp: summary.billTime });
+    expect(stageOf(cbc, "sampleReceived")).toMatchObject({
+      completed: true,
+      source: "BillSummary",
+      timestamp: summary.tests[0].sampleReceivedAt,
+    });
+    expect(cbc.currentStage).toBe("sampleReceived");
+    expect(stageOf(lipid, "sampleReceived").completed).toBe(false);
+    expect(lipid.currentStage).toBe("billed");
+  });
+
+  test("prefers stored sample webhooks over the summary's sample times", async () => {
+    stored.summary = summary;
+    stored.samples = [
+      {
+        createdAt: new Date("2024-06-03T10:05:00Z"),
+        normalized: { billId: 700002, testIds: [900001], status: "Sample Received", accessionDate: "2024-06-03T10:01:00.000Z" },
+      },
+    ];
+
+    const [cbc] = (await getBillTimeline(700002)).tests;
+
+    expect(cbc.events.filter((event) => event.stage === "sampleReceived")).toHaveLength(1);
+    expect(stageOf(cbc, "sampleReceived")).toMatchObject({ source: "SampleStatusTracker" });
+  });
+
+  test("takes the report stages of a purged bill from the Report's signedAt and pdfAt", async () => {
+    stored.summary = summary;
+    stored.reports = [
+      {
+        billId: 700002,
+        testId: 900001,
+        status: "Report PDF (Webhook)",
+        signingDoctor: [{ 12: "Dr. Meera Rao" }],
+        signedAt: new Date("2024-06-03T12:00:00Z"),
+        pdfAt: new Date("2024-06-03T12:30:00Z"),
+        updatedAt: new Date("2024-06-20T08:00:00Z"),
+      },
+      { billId: 700002, testId: 900002, status: "Report Entered", updatedAt: new Date("2024-06-04T08:00:00Z") },
+    ];
+
+    const [cbc, lipid] = (await getBillTimeline(700002)).tests;
+
+    expect(stageOf(cbc, "reportSigned")).toMatchObject({
+      completed: true,
+      source: "Report",
+      actor: "Dr. Meera Rao",
+      timestamp: new Date("2024-06-03T12:00:00Z"),
+    });
+    expect(stageOf(cbc, "reportPdf")).toMatchObject({ completed: true, timestamp: new Date("2024-06-03T12:30:00Z") });
+    expect(cbc.currentStage).toBe("reportPdf");
+    expect(cbc.events.map((event) => event.stage)).toEqual(["billed", "sampleReceived", "reportSigned", "reportPdf"]);
+
+    expect(lipid.events.map((event) => [event.stage, event.status])).toEqual([
+      ["billed", null],
+      ["reportUpdate", "Report Entered"],
+    ]);
+    expect(lipid.currentStage).toBe("billed");
+  });
+
+  test("uses stored report webhooks instead of the Report when they are kept", async () => {
+    stored.summary = summary;
+    stored.reportEvents = [
+      { createdAt: new Date("2024-06-03T11:55:00Z"), normalized: { billId: 700002, testIds: [900001], status: "Report Signed" } },
+    ];
+    stored.reports = [{ billId: 700002, testId: 900001, status: "Report Signed", signedAt: new Date("2024-06-03T11:55:00Z") }];
+
+    const [cbc] = (await getBillTimeline(700002)).tests;
+
+    expect(cbc.events.filter((event) => event.stage === "reportSigned")).toEqual([
+      expect.objectContaining({ source: "ReportStatusTracker" }),
+    ]);
+  });
+});
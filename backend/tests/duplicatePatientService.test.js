@@ -0,0 +1,332 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+
+/**
+ * In-memory stand-ins for the collections a merge writes to. The patient
+ * collection covers the filters and update operators the service uses, and
+ * `crashOnce` makes the next call of a method fail like a lost connection.
+ */
+const patients = new Map();
+const merges = new Map();
+const events = [];
+const crashes = new Set();
+
+const copy = (doc) => ({ ...doc, mergedFrom: [...(doc.mergedFrom || [])], labReports: [...(doc.labReports || [])] });
+const crashOnce = (method) => crashes.add(method);
+
+function checkCrash(method) {
+  if (crashes.delete(method)) throw new Error("Connection lost");
+  events.push(`patient.${method}`);
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "mergedFrom.merge") {
+      const mergeIds = (doc.mergedFrom || []).map((identity) => String(identity.merge));
+      return condition?.$ne !== undefined ? !mergeIds.includes(String(condition.$ne)) : mergeIds.includes(String(condition));
+    }
+    return String(doc[key]) === String(condition);
+  });
+}
+
+const findPatient = (filter) => [...patients.values()].find((doc) => matches(doc, filter)) || null;
+
+const collection = {
+  async findOne(filter) {
+    const doc = findPatient(filter);
+    return doc ? copy(doc) : null;
+  },
+  async countDocuments(filter) {
+    return [...patients.values()].filter((doc) => matches(doc, filter)).length;
+  },
+  async insertOne(doc) {
+    checkCrash("insertOne");
+    if (patients.has(String(doc._id))) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    patients.set(String(doc._id), copy(doc));
+    return { acknowledged: true };
+  },
+  async updateOne(filter, { $set = {}, $unset = {}, $push = {}, $pull = {} }) {
+    checkCrash("updateOne");
+    const doc = findPatient(filter);
+    if (!doc) return { modifiedCount: 0 };
+    Object.assign(doc, $set);
+    for (const field of Object.keys($unset)) delete doc[field];
+    for (const [field, { $each }] of Object.entries($push)) doc[field] = [...(doc[field] || []), ...$each];
+    if ($pull.mergedFrom) {
+      doc.mergedFrom = doc.mergedFrom.filter((identity) => !$pull.mergedFrom.patientId.$in.includes(identity.patientId));
+    }
+    if ($pull.labReports) {
+      const removed = $pull.labReports.$in.map(String);
+      doc.labReports = doc.labReports.filter((reportId) => !removed.includes(String(reportId)));
+    }
+    return { modifiedCount: 1 };
+  },
+  async deleteOne(filter) {
+    checkCrash("deleteOne");
+    const doc = findPatient(filter);
+    if (doc) patients.delete(String(doc._id));
+    return { deletedCount: doc ? 1 : 0 };
+  },
+};
+
+class PatientMerge {
+  constructor(fields) {
+    Object.assign(this, fields);
+    this._id = new mongoose.Types.ObjectId();
+    this.createdAt = new Date();
+  }
+
+  async save() {
+    events.push(`merge.${this.status}`);
+    this.updatedAt = new Date();
+    merges.set(String(this._id), this);
+    return this;
+  }
+
+  static async findById(id) {
+    return merges.get(String(id)) || null;
+  }
+
+  static async findOneAndUpdate({ _id, status }, { $set }) {
+    const merge = merges.get(String(_id));
+    if (!merge || merge.status !== status) return null;
+    Object.assign(merge, $set, { updatedAt: new Date() });
+    return merge;
+  }
+
+  static async find({ status, updatedAt }) {
+    return [...merges.values()].filter((merge) => status.$in.includes(merge.status) && merge.updatedAt < updatedAt.$lt);
+  }
+}
+
+const DuplicateCandidate = { deleteMany: jest.fn(async () => ({})), updateOne: jest.fn(async () => ({})) };
+const AuditLog = { create: jest.fn(async () => ({})) };
+
+jest.unstable_mockModule("../models/Patient.js", () => ({ default: { collection } }));
+jest.unstable_mockModule("../models/PatientMerge.js", () => ({ default: PatientMerge }));
+jest.unstable_mockModule("../models/DuplicateCandidate.js", () => ({ default: DuplicateCandidate }));
+jest.unstable_mockModule("../models/AuditLog.js", () => ({ default: AuditLog }));
+jest.unstable_mockModule("../services/jobQueueService.js", () => ({
+  enqueueJob: jest.fn(async () => ({ _id: "job" })),
+  registerJobHandler: jest.fn(),
+}));
+
+const { PatientMergeError, mergePatients, resumePatientMerges, scorePatientPair, undoPatientMerge } = await import(
+  "../services/duplicatePatientService.js"
+);
+
+const admin = { id: "admin-1", name: "Admin", role: "admin" };
+const earlierMerge = new mongoose.Types.ObjectId();
+let survivor;
+let duplicate;
+let candidateId;
+
+const stored = (doc) => patients.get(String(doc._id));
+const onlyMerge = () => [...merges.values()][0];
+// Makes a merge or undo look interrupted (untouched for longer than the resume delay)
+const backdate = (merge) => (merge.updatedAt = new Date(Date.now() - 10 * 60 * 1000));
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  patients.clear();
+  merges.clear();
+  events.length = 0;
+  crashes.clear();
+
+  candidateId = new mongoose.Types.ObjectId();
+  survivor = {
+    _id: new mongoose.Types.ObjectId(),
+    patientId: "500001",
+    patientIdNumber: 500001,
+    name: "Rahul Sharma",
+    phone: "9876500001",
+    email: "",
+    age: null,
+    gender: "Male",
+    labReports: ["report-1", "report-2"],
+    mergedFrom: [],
+  };
+  duplicate = {
+    _id: new mongoose.Types.ObjectId(),
+    patientId: "500002",
+    patientIdNumber: 500002,
+    name: "Mr. Rahul Sharma",
+    phone: "+91 98765 00001",
+    email: "rahul@example.com",
+    age: 34,
+    gender: "Male",
+    labReports: ["report-2", "report-3"],
+    mergedFrom: [{ patientId: "499999", name: "R Sharma", merge: earlierMerge }],
+  };
+  patients.set(String(survivor._id), copy(survivor));
+  patients.set(String(duplicate._id), copy(duplicate));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+const merge = () =>
+  mergePatients({ survivorId: String(survivor._id), duplicateId: String(duplicate._id), candidateId, user: admin });
+
+describe("scorePatientPair", () => {
+  test("matches the same person despite titles, word order and phone formatting", () => {
+    const { score, reasons } = scorePatientPair(
+      { name: "Mr. Rahul Sharma", phone: "+91 98765 00001", age: 34, gender: "Male" },
+      { name: "sharma rahul", phone: "9876500001", age: 35, gender: "Male" }
+    );
+
+    expect(score).toBe(85);
+    expect(reasons.map((reason) => reason.field)).toEqual(["name", "phone", "age", "gender"]);
+  });
+
+  test("scores different names as zero", () => {
+    expect(scorePatientPair({ name: "Rahul Sharma", phone: "1234567" }, { name: "Priya Nair", phone: "1234567" }).score).toBe(0);
+  });
+
+  test("takes points off for conflicting details", () => {
+    const { score } = scorePatientPair(
+      { name: "Rahul Sharma", dateOfBirth: "1990-04-12", gender: "Male" },
+      { name: "Rahul Sharma", dateOfBirth: "1985-01-01", gender: "Female" }
+    );
+    expect(score).toBe(5);
+  });
+});
+
+describe("mergePatients", () => {
+  test("moves identifiers and reports to the kept record, fills blanks and removes the duplicate", async () => {
+    const result = await merge();
+
+    expect(result.status).toBe("merged");
+    const kept = stored(survivor);
+    expect(kept.email).toBe("rahul@example.com");
+    expect(kept.age).toBe(34);
+    expect(kept.phone).toBe("9876500001");
+    expect(kept.labReports).toEqual(["report-1", "report-2", "report-3"]);
+    expect(kept.mergedFrom.map((identity) => identity.patientId)).toEqual(["500002", "499999"]);
+    expect(stored(duplicate)).toBeUndefined();
+
+    expect(result.survivorFields).toEqual({ email: "", age: null });
+    expect(result.addedReports).toEqual(["report-3"]);
+    expect(result.movedIdentities).toEqual(["500002", "499999"]);
+    expect(DuplicateCandidate.updateOne).toHaveBeenCalledWith(
+      { _id: candidateId },
+      { $set: expect.objectContaining({ status: "merged" }) }
+    );
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: "patient.merge", patientId: 500001 }));
+  });
+
+  test("records the merge before changing any patient", async () => {
+    await merge();
+    expect(events).toEqual(["merge.merging", "patient.updateOne", "patient.deleteOne", "merge.merged"]);
+  });
+
+  test("rejects merging a record into itself or a missing record", async () => {
+    await expect(mergePatients({ survivorId: String(survivor._id), duplicateId: String(survivor._id) })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(
+      mergePatients({ survivorId: String(survivor._id), duplicateId: String(new mongoose.Types.ObjectId()) })
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(merges.size).toBe(0);
+  });
+
+  test("an interrupted merge is finished once, without applying it twice", async () => {
+    crashOnce("deleteOne");
+    await expect(merge()).rejects.toThrow("Connection lost");
+    expect(onlyMerge().status).toBe("merging");
+    expect(stored(duplicate)).toBeDefined();
+
+    // Still within the resume delay: it may be running elsewhere
+    expect(await resumePatientMerges()).toEqual({ merged: 0, undone: 0, failed: 0 });
+
+    backdate(onlyMerge());
+    expect(await resumePatientMerges()).toEqual({ merged: 1, undone: 0, failed: 0 });
+
+    const kept = stored(survivor);
+    expect(kept.mergedFrom).toHaveLength(2);
+    expect(kept.labReports).toEqual(["report-1", "report-2", "report-3"]);
+    expect(stored(duplicate)).toBeUndefined();
+    expect(onlyMerge().status).toBe("merged");
+  });
+
+  test("never removes the duplicate when the kept record does not hold the merge", async () => {
+    crashOnce("updateOne");
+    await expect(merge()).rejects.toThrow("Connection lost");
+    patients.delete(String(survivor._id));
+
+    backdate(onlyMerge());
+    expect(await resumePatientMerges()).toEqual({ merged: 0, undone: 0, failed: 1 });
+    expect(stored(duplicate)).toBeDefined();
+    expect(onlyMerge().status).toBe("merging");
+  });
+});
+
+describe("undoPatientMerge", () => {
+  test("restores the duplicate and takes back what it added", async () => {
+    const { _id: mergeId } = await merge();
+    stored(survivor).age = 35; // edited after the merge, so it is kept
+
+    const result = await undoPatientMerge(mergeId, admin);
+
+    expect(result.status).toBe("undone");
+    expect(stored(duplicate)).toEqual(duplicate);
+    const kept = stored(survivor);
+    expect(kept.email).toBe("");
+    expect(kept.age).toBe(35);
+    expect(kept.labReports).toEqual(["report-1", "report-2"]);
+    expect(kept.mergedFrom).toEqual([]);
+    expect(DuplicateCandidate.updateOne).toHaveBeenLastCalledWith(
+      { _id: candidateId },
+      { $set: { status: "pending", reviewedBy: null, reviewedAt: null } }
+    );
+    expect(AuditLog.create).toHaveBeenLastCalledWith(expect.objectContaining({ action: "patient.unmerge", patientId: 500002 }));
+  });
+
+  test("an interrupted undo is finished by undoing again", async () => {
+    const { _id: mergeId } = await merge();
+    crashOnce("updateOne");
+    await expect(undoPatientMerge(mergeId, admin)).rejects.toThrow("Connection lost");
+    expect(onlyMerge().status).toBe("undoing");
+    expect(stored(duplicate)).toBeDefined();
+
+    // The duplicate is already back, so inserting it again is skipped
+    const result = await undoPatientMerge(mergeId, admin);
+    expect(result.status).toBe("undone");
+    expect(stored(survivor).mergedFrom).toEqual([]);
+  });
+
+  test("interrupted undos are also finished by the resume step", async () => {
+    const { _id: mergeId } = await merge();
+    crashOnce("insertOne");
+    await expect(undoPatientMerge(mergeId, admin)).rejects.toThrow("Connection lost");
+
+    backdate(onlyMerge());
+    expect(await resumePatientMerges()).toEqual({ merged: 0, undone: 1, failed: 0 });
+    expect(stored(duplicate)).toEqual(duplicate);
+  });
+
+  test("refuses to restore over a new record with the same Patient Id", async () => {
+    const { _id: mergeId } = await merge();
+    const returning = { ...duplicate, _id: new mongoose.Types.ObjectId() };
+    patients.set(String(returning._id), copy(returning));
+
+    await expect(undoPatientMerge(mergeId, admin)).rejects.toThrow(PatientMergeError);
+    expect(onlyMerge().status).toBe("merged");
+  });
+
+  test("refuses merges that are undone or still being applied", async () => {
+    const { _id: mergeId } = await merge();
+    await undoPatientMerge(mergeId, admin);
+    await expect(undoPatientMerge(mergeId, admin)).rejects.toThrow(/already been undone/);
+
+    onlyMerge().status = "merging";
+    await expect(undoPatientMerge(mergeId, admin)).rejects.toThrow(/still being applied/);
+    await expect(undoPatientMerge(new mongoose.Types.ObjectId(), admin)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
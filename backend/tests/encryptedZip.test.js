@@ -0,0 +1,46 @@
+import { createEncryptedZip } from "../services/encryptedZip.js";
+import { readEncryptedZip } from "./helpers/readEncryptedZip.js";
+
+const pdf = Buffer.concat([Buffer.from("%PDF-1.4\n"), Buffer.from("Haemoglobin 13.5 g/dL\n".repeat(200)), Buffer.from("%%EOF")]);
+
+describe("createEncryptedZip", () => {
+  test("opens with the password and returns the original file", () => {
+    const zip = createEncryptedZip("Rahul Sharma - CBC.pdf", pdf, "ABCD-EFGH-JKMN-PQRS");
+    const entry = readEncryptedZip(zip, "ABCD-EFGH-JKMN-PQRS");
+
+    expect(entry.fileName).toBe("Rahul Sharma - CBC.pdf");
+    expect(entry.content.equals(pdf)).toBe(true);
+  });
+
+  test("writes a WinZip AE-2 entry with AES-256 over deflate", () => {
+    const zip = createEncryptedZip("report.pdf", pdf, "secret");
+    const entry = readEncryptedZip(zip, "secret");
+
+    expect(zip.readUInt16LE(6) & 0x0001).toBe(1); // encrypted flag
+    expect(entry.method).toBe(99);
+    expect(entry.extra).toEqual({ headerId: 0x9901, vendorVersion: 2, vendorId: "AE", strength: 3, method: 8 });
+    expect(zip.readUInt32LE(14)).toBe(0); // AE-2 stores no CRC
+  });
+
+  test("does not contain the file content in plaintext", () => {
+    const zip = createEncryptedZip("report.pdf", pdf, "secret");
+
+    expect(zip.includes("%PDF")).toBe(false);
+    expect(zip.includes("Haemoglobin")).toBe(false);
+  });
+
+  test("rejects a wrong password", () => {
+    const zip = createEncryptedZip("report.pdf", pdf, "secret");
+    expect(() => readEncryptedZip(zip, "not-the-secret")).toThrow(/Wrong password|Authentication/);
+  });
+
+  test("uses a new salt for every archive", () => {
+    const first = createEncryptedZip("report.pdf", pdf, "secret");
+    const second = createEncryptedZip("report.pdf", pdf, "secret");
+    expect(first.equals(second)).toBe(false);
+  });
+
+  test("requires a password", () => {
+    expect(() => createEncryptedZip("report.pdf", pdf, "")).toThrow(/password is required/);
+  });
+});
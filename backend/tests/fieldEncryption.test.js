@@ -0,0 +1,219 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+
+const OLD_KEY = crypto.randomBytes(32).toString("base64");
+const NEW_KEY = crypto.randomBytes(32).toString("base64");
+
+/**
+ * Load the service and plugin with the given keys (they are read once per module instance)
+ */
+async function loadEncryption(keys, activeKeyId) {
+  jest.resetModules();
+  process.env.FIELD_ENCRYPTION_KEYS = keys;
+  process.env.FIELD_ENCRYPTION_KEY_ID = activeKeyId;
+  const service = await import("../services/fieldEncryptionService.js");
+  const { default: fieldEncryption } = await import("../models/plugins/fieldEncryption.js");
+  const { default: mongoose } = await import("mongoose");
+  return { ...service, fieldEncryption, mongoose };
+}
+
+// Encrypts with the key that is being rotated out
+let legacy;
+
+beforeAll(async () => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  legacy = await loadEncryption(`old:${OLD_KEY}, new:${NEW_KEY}`, "old");
+  legacy.isEncryptionEnabled();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("fieldEncryptionService", () => {
+  let service;
+
+  beforeAll(async () => {
+    service = await loadEncryption(`old:${OLD_KEY}, new:${NEW_KEY}`, "new");
+  });
+
+  test("round-trips strings, numbers and objects with the active key", () => {
+    for (const value of ["9876500001", 9876500001, { street: "12 MG Road" }]) {
+      const encrypted = service.encryptValue(value, service.RANDOM);
+      expect(encrypted).toMatch(/^enc:new:r:[0-9a-f]+$/);
+      expect(service.decryptValue(encrypted)).toEqual(value);
+    }
+  });
+
+  test("random mode uses a new IV per value, deterministic mode does not", () => {
+    expect(service.encryptValue("a@example.com", service.RANDOM)).not.toBe(service.encryptValue("a@example.com", service.RANDOM));
+    expect(service.encryptValue("a@example.com", service.DETERMINISTIC)).toBe(
+      service.encryptValue("a@example.com", service.DETERMINISTIC)
+    );
+  });
+
+  test("leaves empty and already encrypted values alone", () => {
+    const encrypted = service.encryptValue("x");
+    expect(service.encryptValue(encrypted)).toBe(encrypted);
+    expect(service.encryptValue("")).toBe("");
+    expect(service.encryptValue(null)).toBeNull();
+    expect(service.decryptValue("plain")).toBe("plain");
+  });
+
+  test("rejects tampered values", () => {
+    const encrypted = service.encryptValue("9876500001");
+    const tampered = encrypted.slice(0, -2) + (encrypted.endsWith("00") ? "11" : "00");
+    expect(() => service.decryptValue(tampered)).toThrow();
+  });
+
+  test("decrypts values under an old key and moves them to the active one", () => {
+    const stored = legacy.encryptValue("9876500001", legacy.DETERMINISTIC);
+    expect(stored).toMatch(/^enc:old:d:/);
+    expect(service.decryptValue(stored)).toBe("9876500001");
+
+    const rotated = service.reencryptValue(stored, service.DETERMINISTIC);
+    expect(rotated).toMatch(/^enc:new:d:/);
+    expect(service.decryptValue(rotated)).toBe("9876500001");
+    expect(service.reencryptValue(rotated, service.DETERMINISTIC)).toBe(rotated);
+    expect(service.reencryptValue("plain", service.DETERMINISTIC)).toMatch(/^enc:new:d:/);
+  });
+
+  test("searches every stored form of a deterministic value", () => {
+    const values = service.searchValues("9876500001");
+    expect(values[0]).toBe("9876500001");
+    expect(values.slice(1).map((value) => value.split(":")[1]).sort()).toEqual(["new", "old"]);
+    expect(values.slice(1).map(service.decryptValue)).toEqual(["9876500001", "9876500001"]);
+  });
+
+  test("rewrites equality filters on deterministic fields only", () => {
+    const fields = { phone: service.DETERMINISTIC, ssnNumber: service.RANDOM };
+    const filter = service.encryptFieldFilter(
+      { $or: [{ phone: "98" }, { phone: { $eq: "96" } }, { phone: { $ne: "97" } }], ssnNumber: "X1", name: "Rahul" },
+      fields
+    );
+
+    expect(filter.$or[0].phone.$in).toEqual(service.searchValues("98"));
+    expect(filter.$or[1].phone).toEqual({ $in: service.searchValues("96") });
+    expect(filter.$or[2].phone).toEqual({ $nin: service.searchValues("97") });
+    expect(filter.ssnNumber).toBe("X1");
+    expect(filter.name).toBe("Rahul");
+  });
+
+  test("encrypts nested paths in updates without changing the caller's objects", () => {
+    const body = { "Mobile Number": "9876500001", billId: 1 };
+    const update = service.encryptFieldUpdate(
+      { $set: { request: body } },
+      { "request.Mobile Number": service.DETERMINISTIC }
+    );
+
+    expect(update.$set.request["Mobile Number"]).toMatch(/^enc:new:d:/);
+    expect(update.$set.request.billId).toBe(1);
+    expect(body["Mobile Number"]).toBe("9876500001");
+  });
+});
+
+describe("fieldEncryption plugin", () => {
+  let service;
+  let Contact;
+
+  beforeAll(async () => {
+    service = await loadEncryption(`old:${OLD_KEY}, new:${NEW_KEY}`, "new");
+    const { mongoose, fieldEncryption, DETERMINISTIC, RANDOM } = service;
+    const schema = new mongoose.Schema({
+      name: String,
+      phone: String,
+      email: { type: String, lowercase: true, trim: true },
+      ssnNumber: String,
+      address: { street: String, city: String },
+    });
+    schema.plugin(fieldEncryption, {
+      fields: { phone: DETERMINISTIC, email: DETERMINISTIC, ssnNumber: RANDOM, "address.street": RANDOM },
+    });
+    Contact = mongoose.model("EncryptedContact", schema);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  test("stores encrypted values on save and hands plaintext back", async () => {
+    const insertOne = jest.spyOn(Contact.collection, "insertOne").mockResolvedValue({ acknowledged: true });
+    const contact = new Contact({
+      name: "Rahul Sharma",
+      phone: "9876500001",
+      email: " Rahul@Example.com ",
+      address: { street: "12 MG Road", city: "Pune" },
+    });
+
+    await contact.save();
+
+    const stored = insertOne.mock.calls[0][0];
+    expect(stored.name).toBe("Rahul Sharma");
+    expect(stored.phone).toMatch(/^enc:new:d:/);
+    expect(stored.email).toMatch(/^enc:new:d:/);
+    expect(stored.address.street).toMatch(/^enc:new:r:/);
+    expect(stored.address.city).toBe("Pune");
+    expect(stored.encryptionKeyId).toBe("new");
+
+    expect(contact.phone).toBe("9876500001");
+    expect(contact.email).toBe("rahul@example.com");
+    expect(contact.address.street).toBe("12 MG Road");
+    expect(service.decryptValue(stored.email)).toBe("rahul@example.com");
+  });
+
+  test("decrypts hydrated documents, including values under an old key", () => {
+    const { encryptValue } = service;
+    const contact = Contact.hydrate({
+      _id: new service.mongoose.Types.ObjectId(),
+      name: "Rahul Sharma",
+      phone: legacy.encryptValue("9876500001", legacy.DETERMINISTIC),
+      ssnNumber: encryptValue("123-45-6789"),
+      address: { street: encryptValue("12 MG Road"), city: "Pune" },
+    });
+
+    expect(contact.phone).toBe("9876500001");
+    expect(contact.ssnNumber).toBe("123-45-6789");
+    expect(contact.address.street).toBe("12 MG Road");
+  });
+
+  test("rewrites query filters and decrypts lean results", async () => {
+    const stored = {
+      _id: new service.mongoose.Types.ObjectId(),
+      phone: service.encryptValue("9876500001", service.DETERMINISTIC),
+      ssnNumber: service.encryptValue("123-45-6789"),
+    };
+    const findOne = jest.spyOn(Contact.collection, "findOne").mockResolvedValue({ ...stored });
+
+    const contact = await Contact.findOne({ phone: "9876500001" }).lean();
+
+    expect(findOne.mock.calls[0][0]).toEqual({ phone: { $in: service.searchValues("9876500001") } });
+    expect(contact.phone).toBe("9876500001");
+    expect(contact.ssnNumber).toBe("123-45-6789");
+  });
+
+  test("encrypts values set through query updates", async () => {
+    const updateOne = jest.spyOn(Contact.collection, "updateOne").mockResolvedValue({ acknowledged: true, modifiedCount: 1 });
+
+    await Contact.updateOne({ name: "Rahul Sharma" }, { $set: { phone: "9876500002", "address.street": "1 FC Road" } });
+
+    const [, update] = updateOne.mock.calls[0];
+    expect(service.decryptValue(update.$set.phone)).toBe("9876500002");
+    expect(update.$set.phone).toMatch(/^enc:new:d:/);
+    expect(service.decryptValue(update.$set["address.street"])).toBe("1 FC Road");
+  });
+});
+
+describe("without keys", () => {
+  test("stores values as they are outside production", async () => {
+    const service = await loadEncryption("", "");
+    expect(service.isEncryptionEnabled()).toBe(false);
+    expect(service.encryptValue("9876500001")).toBe("9876500001");
+    expect(service.encryptFieldFilter({ phone: "98" }, { phone: service.DETERMINISTIC })).toEqual({ phone: "98" });
+  });
+
+  test("rejects malformed keys", async () => {
+    const service = await loadEncryption("bad key:abc", "");
+    expect(() => service.isEncryptionEnabled()).toThrow(/key IDs must match/);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Minimal reader for single-file WinZip AE-2 archives, used to check what
+ * createEncryptedZip produces without an AES-capable unzip tool
+ */
+
+import crypto from "crypto";
+import zlib from "zlib";
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const AUTH_CODE_LENGTH = 10;
+
+/**
+ * Read the first entry of an archive and decrypt it
+ *
+ * @param {Buffer} zip - ZIP archive
+ * @param {string} password - Archive password
+ * @returns {{ fileName: string, method: number, extra: Object, content: Buffer }}
+ */
+export function readEncryptedZip(zip, password) {
+  if (zip.readUInt32LE(0) !== 0x04034b50) throw new Error("Not a ZIP archive");
+
+  const method = zip.readUInt16LE(8);
+  const compressedSize = zip.readUInt32LE(18);
+  const nameLength = zip.readUInt16LE(26);
+  const extraLength = zip.readUInt16LE(28);
+  const fileName = zip.subarray(30, 30 + nameLength).toString("utf8");
+
+  const extraField = zip.subarray(30 + nameLength, 30 + nameLength + extraLength);
+  const extra = {
+    headerId: extraField.readUInt16LE(0),
+    vendorVersion: extraField.readUInt16LE(4),
+    vendorId: extraField.subarray(6, 8).toString("ascii"),
+    strength: extraField.readUInt8(8),
+    method: extraField.readUInt16LE(9),
+  };
+
+  const dataStart = 30 + nameLength + extraLength;
+  const data = zip.subarray(dataStart, dataStart + compressedSize);
+  const salt = data.subarray(0, SALT_LENGTH);
+  const verifier = data.subarray(SALT_LENGTH, SALT_LENGTH + 2);
+  const encrypted = data.subarray(SALT_LENGTH + 2, data.length - AUTH_CODE_LENGTH);
+  const authCode = data.subarray(data.length - AUTH_CODE_LENGTH);
+
+  const derived = crypto.pbkdf2Sync(Buffer.from(password, "utf8"), salt, 1000, KEY_LENGTH * 2 + 2, "sha1");
+  if (!derived.subarray(KEY_LENGTH * 2).equals(verifier)) throw new Error("Wrong password");
+
+  const expectedAuthCode = crypto
+    .createHmac("sha1", derived.subarray(KEY_LENGTH, KEY_LENGTH * 2))
+    .update(encrypted)
+    .digest()
+    .subarray(0, AUTH_CODE_LENGTH);
+  if (!expectedAuthCode.equals(authCode)) throw new Error("Authentication code mismatch");
+
+  // AES-256-CTR with a little-endian block counter starting at 1
+  const cipher = crypto.createCipheriv("aes-256-ecb", derived.subarray(0, KEY_LENGTH), null);
+  cipher.setAutoPadding(false);
+  const compressed = Buffer.alloc(encrypted.length);
+  for (let offset = 0, block = 1; offset < encrypted.length; offset += 16, block++) {
+    const counter = Buffer.alloc(16);
+    counter.writeUInt32LE(block, 0);
+    const keystream = cipher.update(counter);
+    for (let i = offset; i < Math.min(offset + 16, encrypted.length); i++) {
+      compressed[i] = encrypted[i] ^ keystream[i - offset];
+    }
+  }
+
+  return { fileName, method, extra, content: zlib.inflateRawSync(compressed) };
+}
@@ -0,0 +1,287 @@
+import { jest } from "@jest/globals";
+
+process.env.JOB_POLL_INTERVAL_MS = "60000";
+process.env.JOB_BACKOFF_BASE_MS = "60000";
+process.env.JOB_LOCK_TIMEOUT_MS = "300000";
+
+/**
+ * In-memory stand-in for the BackgroundJob model, covering the queries the queue makes.
+ * Like the unique index on running jobs, it rejects a second running job per serialKey.
+ */
+const jobs = [];
+let nextId = 1;
+let claimConflicts = 0;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key];
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, argument]) => {
+        if (operator === "$in") return argument.includes(value);
+        if (operator === "$nin") return !argument.includes(value);
+        if (operator === "$lte") return value <= argument;
+        if (operator === "$lt") return value < argument;
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+    return String(value) === String(condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set || {});
+  for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+}
+
+function assertOneRunningPerKey(doc, update) {
+  const serialKey = doc.serialKey;
+  if (update.$set?.status !== "running" || !serialKey) return;
+  if (claimConflicts > 0) {
+    claimConflicts--;
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  }
+  if (jobs.some((job) => job !== doc && job.serialKey === serialKey && job.status === "running")) {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  }
+}
+
+const BackgroundJob = {
+  async create({ type, payload = {}, serialKey = null, maxAttempts = 5 }) {
+    const doc = {
+      _id: String(nextId++),
+      type,
+      payload,
+      serialKey,
+      maxAttempts,
+      status: "pending",
+      attempts: 0,
+      runAt: new Date(),
+      createdAt: new Date(Date.now() + nextId), // keeps creation order stable within a millisecond
+      result: null,
+    };
+    jobs.push(doc);
+    return { ...doc };
+  },
+  async findOneAndUpdate(filter, update, { sort } = {}) {
+    const candidates = jobs.filter((job) => matches(job, filter));
+    if (sort) candidates.sort((a, b) => a.runAt - b.runAt || a.createdAt - b.createdAt);
+    const doc = candidates[0];
+    if (!doc) return null;
+    assertOneRunningPerKey(doc, update);
+    applyUpdate(doc, update);
+    return { ...doc };
+  },
+  find(filter) {
+    const found = jobs.filter((job) => matches(job, filter)).map((job) => ({ ...job }));
+    const chain = { select: () => chain, lean: async () => found };
+    return chain;
+  },
+  async findByIdAndUpdate(id, update) {
+    const doc = jobs.find((job) => job._id === String(id));
+    if (doc) applyUpdate(doc, update);
+    return doc ? { ...doc } : null;
+  },
+  async updateOne(filter, update) {
+    const doc = jobs.find((job) => matches(job, filter));
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  },
+  async updateMany(filter, update) {
+    const docs = jobs.filter((job) => matches(job, filter));
+    docs.forEach((doc) => applyUpdate(doc, update));
+    return { modifiedCount: docs.length };
+  },
+  async distinct(field, filter) {
+    return [...new Set(jobs.filter((job) => matches(job, filter)).map((job) => job[field]))];
+  },
+  async deleteMany(filter) {
+    const remaining = jobs.filter((job) => !matches(job, filter));
+    const deletedCount = jobs.length - remaining.length;
+    jobs.splice(0, jobs.length, ...remaining);
+    return { deletedCount };
+  },
+};
+
+jest.unstable_mockModule("../models/BackgroundJob.js", () => ({ default: BackgroundJob }));
+
+const { enqueueJob, registerJobHandler, startJobWorker, stopJobWorker, retryJob, purgeDeadJobs } = await import(
+  "../services/jobQueueService.js"
+);
+
+const ran = [];
+registerJobHandler("record", async ({ name }) => {
+  ran.push(name);
+  return { name };
+});
+registerJobHandler("fail", async () => {
+  throw new Error("Crelio is down");
+});
+
+const nothingRunnable = () =>
+  !jobs.some((job) => job.status === "running" || (["pending", "failed"].includes(job.status) && job.runAt <= new Date()));
+
+/**
+ * Run the worker until `done` holds (by default: until no runnable job is left)
+ */
+async function drainQueue(done = nothingRunnable) {
+  startJobWorker();
+  for (let waited = 0; waited < 2000 && !done(); waited += 5) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  // Let the last poll finish before stopping
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  stopJobWorker();
+}
+
+const statusOf = (job) => jobs.find((stored) => stored._id === job._id).status;
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jobs.length = 0;
+  ran.length = 0;
+  claimConflicts = 0;
+});
+
+afterAll(() => {
+  stopJobWorker();
+  jest.restoreAllMocks();
+});
+
+describe("enqueueJob", () => {
+  test("coalesces with a pending job of the same type and serialKey", async () => {
+    const first = await enqueueJob("record", { name: "first" }, { serialKey: "bill:1" });
+    const second = await enqueueJob("record", { name: "second" }, { serialKey: "bill:1" });
+
+    expect(second._id).toBe(first._id);
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].payload).toEqual({ name: "second" });
+  });
+
+  test("adds a job when the key is running, has another type, or there is no key", async () => {
+    const running = await enqueueJob("record", { name: "a" }, { serialKey: "bill:1" });
+    jobs.find((job) => job._id === running._id).status = "running";
+
+    await enqueueJob("record", { name: "b" }, { serialKey: "bill:1" });
+    await enqueueJob("fail", {}, { serialKey: "bill:1" });
+    await enqueueJob("record", { name: "c" });
+    await enqueueJob("record", { name: "d" });
+
+    expect(jobs).toHaveLength(5);
+  });
+
+  test("adds a job for the same key when coalescing is turned off", async () => {
+    const scheduled = await enqueueJob("record", { name: "scheduled" }, { serialKey: "retention" });
+    const manual = await enqueueJob("record", { name: "manual" }, { serialKey: "retention", coalesce: false });
+
+    expect(manual._id).not.toBe(scheduled._id);
+    expect(jobs.map((job) => job.payload.name)).toEqual(["scheduled", "manual"]);
+  });
+});
+
+describe("job worker", () => {
+  test("runs jobs in order and keeps their results", async () => {
+    const first = await enqueueJob("record", { name: "first" }, { serialKey: "bill:1" });
+    await enqueueJob("record", { name: "second" }, { serialKey: "bill:2" });
+
+    await drainQueue();
+
+    expect(ran).toEqual(["first", "second"]);
+    expect(jobs.every((job) => job.status === "completed")).toBe(true);
+    expect(jobs.find((job) => job._id === first._id).result).toEqual({ name: "first" });
+  });
+
+  test("never claims a job whose serialKey is running elsewhere", async () => {
+    const elsewhere = await enqueueJob("record", { name: "other worker" }, { serialKey: "bill:1" });
+    Object.assign(jobs.find((job) => job._id === elsewhere._id), { status: "running", lockedAt: new Date() });
+    const blocked = await enqueueJob("record", { name: "blocked" }, { serialKey: "bill:1" });
+    await enqueueJob("record", { name: "free" }, { serialKey: "bill:2" });
+
+    await drainQueue(() => ran.includes("free"));
+
+    expect(ran).toEqual(["free"]);
+    expect(statusOf(blocked)).toBe("pending");
+  });
+
+  test("retries the claim after losing a serialKey race", async () => {
+    await enqueueJob("record", { name: "raced" }, { serialKey: "bill:1" });
+    claimConflicts = 1;
+
+    await drainQueue();
+
+    expect(ran).toEqual(["raced"]);
+  });
+
+  test("backs off after a failure and dead-letters at maxAttempts", async () => {
+    const retrying = await enqueueJob("fail", {}, { maxAttempts: 3 });
+    const dead = await enqueueJob("fail", {}, { maxAttempts: 1 });
+
+    await drainQueue();
+
+    const stored = jobs.find((job) => job._id === retrying._id);
+    expect(stored.status).toBe("failed");
+    expect(stored.attempts).toBe(1);
+    expect(stored.lastError).toBe("Crelio is down");
+    expect(stored.runAt.getTime()).toBeGreaterThan(Date.now() + 30000);
+    expect(statusOf(dead)).toBe("dead");
+  });
+
+  test("counts an expired worker lease as a failed attempt", async () => {
+    const abandoned = await enqueueJob("record", { name: "abandoned" }, { serialKey: "bill:1" });
+    const crashing = await enqueueJob("record", { name: "crashing" }, { serialKey: "bill:2", maxAttempts: 3 });
+    const expiredLease = { status: "running", lockedAt: new Date(Date.now() - 600000) };
+    Object.assign(jobs.find((job) => job._id === abandoned._id), expiredLease, { attempts: 1 });
+    Object.assign(jobs.find((job) => job._id === crashing._id), expiredLease, { attempts: 3 });
+
+    await drainQueue();
+
+    const retried = jobs.find((job) => job._id === abandoned._id);
+    expect(retried).toMatchObject({ status: "failed", lockedAt: null, lastError: "Worker lease expired" });
+    expect(retried.runAt.getTime()).toBeGreaterThan(Date.now() + 30000);
+    expect(statusOf(crashing)).toBe("dead");
+    expect(ran).toEqual([]);
+  });
+
+  test("leaves jobs whose lease is still fresh", async () => {
+    const running = await enqueueJob("record", { name: "running" }, { serialKey: "bill:1" });
+    Object.assign(jobs.find((job) => job._id === running._id), { status: "running", lockedAt: new Date(), attempts: 1 });
+
+    await drainQueue(() => true);
+
+    expect(statusOf(running)).toBe("running");
+  });
+
+  test("fails jobs without a registered handler", async () => {
+    const unknown = await enqueueJob("unknown", {}, { maxAttempts: 1 });
+
+    await drainQueue();
+
+    expect(statusOf(unknown)).toBe("dead");
+    expect(jobs[0].lastError).toMatch(/No handler registered/);
+  });
+});
+
+describe("dead-letter management", () => {
+  test("retryJob re-queues failed and dead jobs only", async () => {
+    const dead = await enqueueJob("fail", {}, { maxAttempts: 1 });
+    const pending = await enqueueJob("record", { name: "pending" });
+    Object.assign(jobs.find((job) => job._id === dead._id), { status: "dead", attempts: 1 });
+
+    expect((await retryJob(dead._id)).status).toBe("pending");
+    expect(jobs.find((job) => job._id === dead._id).attempts).toBe(0);
+    expect(await retryJob(pending._id)).toBeNull();
+  });
+
+  test("purgeDeadJobs deletes dead jobs only", async () => {
+    const dead = await enqueueJob("fail", {});
+    await enqueueJob("record", { name: "pending" });
+    jobs.find((job) => job._id === dead._id).status = "dead";
+
+    expect(await purgeDeadJobs()).toBe(1);
+    expect(jobs.map((job) => job.status)).toEqual(["pending"]);
+  });
+});
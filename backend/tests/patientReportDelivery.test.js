@@ -0,0 +1,147 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import { readEncryptedZip } from "./helpers/readEncryptedZip.js";
+
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString("base64")}`;
+process.env.FIELD_ENCRYPTION_KEY_ID = "test";
+
+const pdf = Buffer.from("%PDF-1.4\nHaemoglobin 13.5 g/dL\n%%EOF");
+
+// Database, blob store and email are replaced by these
+let report;
+let setting;
+const updateReport = jest.fn(async () => ({ modifiedCount: 1 }));
+const sendEmail = jest.fn(async () => ({ success: true, messageId: "message-1" }));
+const renderEmail = jest.fn((template, context) => ({ subject: "Your report", html: `<p>${context.passwordHint}</p>` }));
+
+jest.unstable_mockModule("../models/Report.js", () => ({
+  default: {
+    findOne: () => ({ select: () => ({ lean: async () => report }) }),
+    updateOne: updateReport,
+  },
+}));
+jest.unstable_mockModule("../models/ReportDeliverySetting.js", () => ({
+  default: {
+    find: () => ({ lean: async () => (setting ? [setting] : []) }),
+    exists: async () => Boolean(setting?.enabled),
+  },
+}));
+jest.unstable_mockModule("../services/jobQueueService.js", () => ({
+  enqueueJob: jest.fn(async () => ({ _id: "job" })),
+  registerJobHandler: jest.fn(),
+}));
+jest.unstable_mockModule("../services/emailService.js", () => ({ sendEmail }));
+jest.unstable_mockModule("../services/emailTemplateService.js", () => ({
+  getTemplate: async () => ({ name: "patientReport" }),
+  renderEmail,
+}));
+jest.unstable_mockModule("../services/blobStoreService.js", () => ({ readBlob: async () => pdf }));
+jest.unstable_mockModule("../services/reportPdfService.js", () => ({
+  buildReportFileName: (patientName, testName) => `${patientName} - ${testName}`,
+  loadBillForReport: async () => ({
+    bill: { orgId: 12, patientName: "Rahul Sharma", patientEmail: "rahul.sharma@example.com", labName: "MedShell" },
+    test: { testId: 900001, testName: "CBC", testCode: "CBC" },
+  }),
+}));
+
+const { buildReportPassword, deliverPatientReport } = await import("../services/patientReportDeliveryService.js");
+const { decryptValue, encryptValue } = await import("../services/fieldEncryptionService.js");
+
+/**
+ * What deliverPatientReport recorded on the Report
+ */
+const recorded = () => updateReport.mock.calls[updateReport.mock.calls.length - 1][1].$set;
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  report = { _id: "report-1", billId: 700001, testId: 900001, pdf: { storageKey: "reports/700001.pdf" } };
+  setting = { orgId: 12, enabled: true, passwordProtect: true };
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("buildReportPassword", () => {
+  test("builds four groups of four Crockford base32 symbols", () => {
+    for (let index = 0; index < 200; index++) {
+      expect(buildReportPassword()).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/);
+    }
+  });
+
+  test("builds a different password every time", () => {
+    const passwords = new Set(Array.from({ length: 1000 }, buildReportPassword));
+    expect(passwords.size).toBe(1000);
+  });
+});
+
+describe("deliverPatientReport", () => {
+  test("sends the PDF inside a ZIP that opens with the stored password", async () => {
+    const delivery = await deliverPatientReport({ billId: 700001, testId: 900001 });
+
+    expect(delivery).toMatchObject({ status: "sent", passwordProtected: true, email: "rahul.sharma@example.com" });
+    const [{ attachments }] = sendEmail.mock.calls[0];
+    expect(attachments).toEqual([
+      expect.objectContaining({ filename: "Rahul Sharma - CBC.zip", contentType: "application/zip" }),
+    ]);
+    expect(attachments[0].content.includes("%PDF")).toBe(false);
+
+    // The password is kept encrypted on the Report, and opens the attachment
+    const { deliveryPassword } = recorded();
+    expect(deliveryPassword).toMatch(/^enc:test:r:/);
+    const password = decryptValue(deliveryPassword);
+    const entry = readEncryptedZip(attachments[0].content, password);
+    expect(entry.fileName).toBe("Rahul Sharma - CBC.pdf");
+    expect(entry.content.equals(pdf)).toBe(true);
+  });
+
+  test("never puts the password in the email", async () => {
+    await deliverPatientReport({ billId: 700001, testId: 900001 });
+
+    const password = decryptValue(recorded().deliveryPassword);
+    const [message] = sendEmail.mock.calls[0];
+    expect(JSON.stringify({ ...message, attachments: undefined })).not.toContain(password);
+    expect(JSON.stringify(renderEmail.mock.calls[0][1])).not.toContain(password);
+  });
+
+  test("keeps the password the patient was given when the report is resent", async () => {
+    report.deliveryPassword = encryptValue("ABCD-EFGH-JKMN-PQRS");
+
+    await deliverPatientReport({ billId: 700001, testId: 900001, requestedBy: "admin@example.com" });
+
+    const [{ attachments }] = sendEmail.mock.calls[0];
+    expect(readEncryptedZip(attachments[0].content, "ABCD-EFGH-JKMN-PQRS").content.equals(pdf)).toBe(true);
+    expect(decryptValue(recorded().deliveryPassword)).toBe("ABCD-EFGH-JKMN-PQRS");
+  });
+
+  test("attaches the plain PDF when password protection is off", async () => {
+    setting.passwordProtect = false;
+
+    await deliverPatientReport({ billId: 700001, testId: 900001 });
+
+    const [{ attachments }] = sendEmail.mock.calls[0];
+    expect(attachments[0]).toMatchObject({ filename: "Rahul Sharma - CBC.pdf", contentType: "application/pdf" });
+    expect(attachments[0].content).toBe(pdf);
+    expect(recorded()).not.toHaveProperty("deliveryPassword");
+  });
+
+  test("skips organizations without delivery enabled", async () => {
+    setting.enabled = false;
+
+    const delivery = await deliverPatientReport({ billId: 700001, testId: 900001 });
+
+    expect(delivery.status).toBe("skipped");
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("throws on a failed email so the job queue retries", async () => {
+    sendEmail.mockResolvedValueOnce({ success: false, error: "SMTP timeout" });
+
+    await expect(deliverPatientReport({ billId: 700001, testId: 900001 })).rejects.toThrow(/SMTP timeout/);
+    expect(recorded().patientDelivery).toMatchObject({ status: "failed", reason: "SMTP timeout", attempts: 1 });
+  });
+});
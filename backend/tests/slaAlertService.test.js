@@ -0,0 +1,159 @@
+import { jest } from "@jest/globals";
+
+process.env.SLA_SCAN_BATCH_SIZE = "2";
+process.env.SLA_ALERT_RECIPIENTS = "lab@example.com;manager@example.com";
+
+// Stored bills, alerts and the queries made against them
+let dumps = [];
+let alerts = [];
+const dumpQueries = [];
+const enqueueJob = jest.fn(async () => ({ _id: "job" }));
+const sendSlaBreachAlert = jest.fn(async () => ({ success: true }));
+const updateAlert = jest.fn(async () => ({ modifiedCount: 1 }));
+
+/**
+ * Chainable stand-in for a Mongoose query; `resolve` receives the applied sort, limit and select
+ */
+function query(resolve) {
+  const options = {};
+  const chain = {
+    sort: () => chain,
+    limit: (limit) => {
+      options.limit = limit;
+      return chain;
+    },
+    select: (select) => {
+      options.select = select;
+      return chain;
+    },
+    lean: async () => resolve(options),
+  };
+  return chain;
+}
+
+jest.unstable_mockModule("../models/RequestDump.js", () => ({
+  default: {
+    find: (filter) =>
+      query((options) => {
+        dumpQueries.push({ filter, ...options });
+        if (filter._id?.$in) return dumps.filter((dump) => filter._id.$in.includes(dump._id));
+        return dumps.filter((dump) => !filter._id || dump._id > filter._id.$gt).slice(0, options.limit);
+      }),
+  },
+}));
+jest.unstable_mockModule("../models/Report.js", () => ({ default: { find: () => query(() => []) } }));
+jest.unstable_mockModule("../models/SlaAlert.js", () => ({
+  default: {
+    findOne: () => ({ select: async () => null }),
+    create: async (fields) => {
+      const alert = { _id: `alert-${alerts.length + 1}`, status: "open", ...fields };
+      alerts.push(alert);
+      return alert;
+    },
+    findById: (id) => query(() => alerts.find((alert) => alert._id === id) || null),
+    find: () => query(() => []),
+    updateOne: updateAlert,
+  },
+}));
+jest.unstable_mockModule("../services/testLifecycleService.js", () => ({
+  REPORT_SIGNED: "Report Signed",
+  REPORT_PDF: "Report PDF (Webhook)",
+  // One overdue test per bill, taken from the normalized bill or the raw request
+  loadTestLifecycles: async (bills) =>
+    bills.map((dump) => ({
+      billId: (dump.normalized || dump.request).billId,
+      testId: 900001,
+      billTime: new Date("2024-06-03T09:00:00Z"),
+      signedAt: null,
+    })),
+}));
+jest.unstable_mockModule("../services/tatService.js", () => ({
+  loadTatTargetResolver: async () => ({ resolve: () => ({ billToSignMinutes: 60 }) }),
+}));
+jest.unstable_mockModule("../services/emailService.js", () => ({ sendSlaBreachAlert }));
+jest.unstable_mockModule("../services/jobQueueService.js", () => ({ enqueueJob, registerJobHandler: jest.fn() }));
+
+const { runSlaScan, sendSlaAlertEmail, SEND_SLA_ALERT_JOB } = await import("../services/slaAlertService.js");
+
+const now = new Date("2024-06-03T12:00:00Z");
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dumpQueries.length = 0;
+  alerts = [];
+  dumps = [
+    { _id: 1, normalized: { billId: 700001 } },
+    { _id: 2, normalized: { billId: 700002 } },
+    // Stored before webhooks were normalized
+    { _id: 3, request: { billId: 700003, "Patient Name": "Rahul Sharma" } },
+  ];
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("runSlaScan", () => {
+  test("loads bills in batches with only the normalized fields it needs", async () => {
+    const summary = await runSlaScan(now);
+
+    expect(summary).toMatchObject({ scanned: 3, overdue: 3, raised: 3 });
+    const batches = dumpQueries.filter((dumpQuery) => dumpQuery.limit);
+    expect(batches.map((batch) => batch.filter._id?.$gt)).toEqual([undefined, 2]);
+    for (const batch of batches) {
+      expect(batch.select.split(" ")).not.toContain("request");
+      expect(batch.select).not.toMatch(/patientEmail|patientPhone/);
+    }
+  });
+
+  test("reads the raw request of legacy bills only", async () => {
+    await runSlaScan(now);
+
+    const legacy = dumpQueries.filter((dumpQuery) => dumpQuery.filter._id?.$in);
+    expect(legacy).toEqual([expect.objectContaining({ filter: { _id: { $in: [3] } }, select: "request createdAt" })]);
+    expect(alerts.map((alert) => alert.billId)).toEqual([700001, 700002, 700003]);
+  });
+
+  test("queues the email of each raised alert on the job queue", async () => {
+    await runSlaScan(now);
+
+    expect(sendSlaBreachAlert).not.toHaveBeenCalled();
+    expect(enqueueJob).toHaveBeenCalledWith(
+      SEND_SLA_ALERT_JOB,
+      { alertId: "alert-1", level: 3 },
+      { serialKey: "slaAlert:alert-1" }
+    );
+  });
+});
+
+describe("sendSlaAlertEmail", () => {
+  beforeEach(() => {
+    alerts = [{ _id: "alert-1", billId: 700001, testId: 900001, status: "open", level: 2 }];
+  });
+
+  test("emails the level's recipients and records the attempt", async () => {
+    const sent = await sendSlaAlertEmail({ alertId: "alert-1", level: 2 });
+
+    expect(sent).toEqual({ status: "sent", recipients: ["lab@example.com", "manager@example.com"] });
+    expect(updateAlert.mock.calls[0][1].$push.notifications).toMatchObject({ level: 2, success: true });
+  });
+
+  test("throws on a failed email so the job queue retries", async () => {
+    sendSlaBreachAlert.mockResolvedValueOnce({ success: false, error: "SMTP timeout" });
+
+    await expect(sendSlaAlertEmail({ alertId: "alert-1", level: 2 })).rejects.toThrow(/SMTP timeout/);
+    expect(updateAlert.mock.calls[0][1].$push.notifications).toMatchObject({ success: false, error: "SMTP timeout" });
+  });
+
+  test("skips alerts that were resolved, acknowledged or escalated since", async () => {
+    for (const change of [{ status: "resolved" }, { status: "acknowledged" }, { level: 3 }]) {
+      Object.assign(alerts[0], { status: "open", level: 2 }, change);
+      expect((await sendSlaAlertEmail({ alertId: "alert-1", level: 2 })).status).toBe("skipped");
+    }
+    expect(sendSlaBreachAlert).not.toHaveBeenCalled();
+  });
+});
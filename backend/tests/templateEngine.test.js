@@ -0,0 +1,74 @@
+import { TemplateError, escapeHtml, renderTemplate } from "../services/templateEngine.js";
+
+describe("escapeHtml", () => {
+  test("escapes every character that can break out of text or attributes", () => {
+    expect(escapeHtml(`<a href="x" title='y'>&\`</a>`)).toBe(
+      "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;"
+    );
+  });
+
+  test("renders null and undefined as empty", () => {
+    expect(escapeHtml(null)).toBe("");
+    expect(escapeHtml(undefined)).toBe("");
+    expect(escapeHtml(0)).toBe("0");
+  });
+});
+
+describe("renderTemplate", () => {
+  const context = {
+    patient: { name: `<script>alert("x")</script>`, email: "" },
+    report: { notes: "<b>Fasting sample</b>" },
+    doctors: ["Dr. A & B", "Dr. <C>"],
+    tests: [{ testName: "CBC" }, { testName: "<Lipid>" }],
+  };
+
+  test("escapes {{ }} values", () => {
+    expect(renderTemplate("Hello {{ patient.name }}", context)).toBe(
+      "Hello &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;"
+    );
+  });
+
+  test("leaves {{{ }}} values and plain-text renders unescaped", () => {
+    expect(renderTemplate("{{{ report.notes }}}", context)).toBe("<b>Fasting sample</b>");
+    expect(renderTemplate("{{ report.notes }}", context, { escape: false })).toBe("<b>Fasting sample</b>");
+  });
+
+  test("joins arrays and escapes each item", () => {
+    expect(renderTemplate("{{ doctors }}", context)).toBe("Dr. A &amp; B, Dr. &lt;C&gt;");
+  });
+
+  test("renders missing values, objects and prototype members as empty", () => {
+    expect(renderTemplate("[{{ missing.value }}][{{ patient }}][{{ patient.constructor }}]", context)).toBe("[][][]");
+  });
+
+  test("supports if, unless and else", () => {
+    expect(renderTemplate("{{#if report}}yes{{else}}no{{/if}}", context)).toBe("yes");
+    expect(renderTemplate("{{#if tests.missing}}yes{{else}}no{{/if}}", context)).toBe("no");
+    expect(renderTemplate("{{#unless patient.email}}no email{{/unless}}", context)).toBe("no email");
+  });
+
+  test("loops with each, exposing @index, this and the outer context", () => {
+    expect(renderTemplate("{{#each tests}}{{ @index }}:{{ testName }}/{{ patient.email }};{{/each}}", context)).toBe(
+      "0:CBC/;1:&lt;Lipid&gt;/;"
+    );
+    expect(renderTemplate("{{#each doctors}}[{{ this }}]{{/each}}", context)).toBe("[Dr. A &amp; B][Dr. &lt;C&gt;]");
+    expect(renderTemplate("{{#each none}}x{{else}}empty{{/each}}", context)).toBe("empty");
+  });
+});
+
+describe("template syntax errors", () => {
+  test.each([
+    ["an unknown helper", "{{#with patient}}{{/with}}"],
+    ["an unclosed block", "{{#if report}}yes"],
+    ["a mismatched close", "{{#if report}}yes{{/each}}"],
+    ["a stray else", "{{else}}"],
+    ["a second else", "{{#if report}}a{{else}}b{{else}}c{{/if}}"],
+    ["an invalid placeholder", "{{ patient['name'] }}"],
+  ])("throws TemplateError for %s", (_, template) => {
+    expect(() => renderTemplate(template, {})).toThrow(TemplateError);
+  });
+
+  test("marks TemplateError as a client error", () => {
+    expect(() => renderTemplate("{{#if}}", {})).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
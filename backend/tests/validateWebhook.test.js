@@ -0,0 +1,117 @@
+import { jest } from "@jest/globals";
+
+// Quarantining writes to MongoDB; record the calls instead
+const recordWebhookDelivery = jest.fn(async () => ({ duplicate: false, document: { _id: "quarantined" } }));
+const markWebhookProcessed = jest.fn(async () => {});
+const storeWebhookPdfs = jest.fn(async (body) => ({ ...body, reportBase64: undefined, reportPdf: { storageKey: "pdf" } }));
+
+jest.unstable_mockModule("../models/QuarantinedWebhook.js", () => ({ default: { modelName: "QuarantinedWebhook" } }));
+jest.unstable_mockModule("../services/webhookDedupService.js", () => ({ recordWebhookDelivery, markWebhookProcessed }));
+jest.unstable_mockModule("../services/reportUpdateService.js", () => ({ storeWebhookPdfs }));
+
+const { validateWebhook } = await import("../middleware/validateWebhook.js");
+
+/**
+ * Run the validation middleware for a webhook type on a body
+ */
+async function validate(webhookType, body) {
+  const req = { body, headers: {}, originalUrl: `/api/webhook/crelio/${webhookType}` };
+  const res = {
+    statusCode: 200,
+    payload: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+      return this;
+    },
+  };
+  const next = jest.fn();
+  await validateWebhook(webhookType)(req, res, next);
+  return { req, res, passed: next.mock.calls.length === 1 };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("validateWebhook", () => {
+  test("passes a valid bill and attaches the normalized payload", async () => {
+    const { req, passed } = await validate("billGenerate", {
+      bill_id: "700001",
+      patientName: "Rahul Sharma",
+      billInfoDetails: [],
+      billTotalAmount: 1250,
+      patient_email: "",
+    });
+
+    expect(passed).toBe(true);
+    expect(req.normalizedPayload).toMatchObject({ billId: 700001, patientName: "Rahul Sharma", billTotalAmount: 1250 });
+    expect(recordWebhookDelivery).not.toHaveBeenCalled();
+  });
+
+  test("quarantines an invalid bill with the failing fields but not their values", async () => {
+    const { res, passed } = await validate("billGenerate", {
+      billId: "abc",
+      "Patient Name": " ",
+      billTotalAmount: "lots",
+      patient_email: "not-an-email",
+    });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(422);
+    expect(res.payload.quarantined).toBe(true);
+    expect(res.payload.errors.map((error) => error.field).sort()).toEqual(
+      ["Patient Name", "billId", "billTotalAmount", "patient_email"].sort()
+    );
+    expect(JSON.stringify(res.payload.errors)).not.toContain("not-an-email");
+
+    expect(recordWebhookDelivery).toHaveBeenCalledTimes(1);
+    const [, webhookType, , extraFields] = recordWebhookDelivery.mock.calls[0];
+    expect(webhookType).toBe("billGenerate");
+    expect(extraFields.reasons).toHaveLength(4);
+    expect(markWebhookProcessed).toHaveBeenCalledTimes(1);
+  });
+
+  test("requires numeric test IDs on sample webhooks", async () => {
+    expect((await validate("sampleStatus", { billId: 1, testID: "900001,900002" })).passed).toBe(true);
+
+    const { res } = await validate("sampleStatus", { billId: 1, testID: "x" });
+    expect(res.statusCode).toBe(422);
+    expect(res.payload.errors).toEqual([expect.objectContaining({ field: "testID" })]);
+  });
+
+  test("requires a status on report webhooks and stores quarantined PDFs in the blob store", async () => {
+    const { res } = await validate("reportStatus", { billId: 1, testID: 900001, reportBase64: "JVBERi0=" });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.payload.errors).toEqual([expect.objectContaining({ field: "status" })]);
+    expect(storeWebhookPdfs).toHaveBeenCalledTimes(1);
+    const [, , , extraFields] = recordWebhookDelivery.mock.calls[0];
+    expect(extraFields.request.reportPdf).toEqual({ storageKey: "pdf" });
+  });
+
+  test("does not process a quarantined delivery twice", async () => {
+    recordWebhookDelivery.mockResolvedValueOnce({ duplicate: true, document: { _id: "quarantined" } });
+
+    const { res } = await validate("sampleStatus", { billId: 1 });
+    expect(res.statusCode).toBe(422);
+    expect(markWebhookProcessed).not.toHaveBeenCalled();
+  });
+
+  test("treats a non-object body as empty", async () => {
+    const { res } = await validate("sampleStatus", ["not", "an", "object"]);
+    expect(res.statusCode).toBe(422);
+    expect(res.payload.errors.map((error) => error.field).sort()).toEqual(["billId", "testID"]);
+  });
+});
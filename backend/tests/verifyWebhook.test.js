@@ -0,0 +1,147 @@
+import { jest } from "@jest/globals";
+
+const SECRET = "current-secret";
+const OLD_SECRET = "previous-secret";
+const LAB_SECRET = "lab-7-secret";
+
+/**
+ * Load the middleware with the given settings (they are read when it is imported)
+ */
+async function loadMiddleware(mode) {
+  jest.resetModules();
+  process.env.WEBHOOK_AUTH_MODE = mode;
+  process.env.WEBHOOK_SECRET = `${SECRET}, ${OLD_SECRET}`;
+  process.env.WEBHOOK_LAB_SECRETS = JSON.stringify({ 7: LAB_SECRET });
+  process.env.WEBHOOK_TIMESTAMP_TOLERANCE = "300";
+  return import("../middleware/verifyWebhook.js");
+}
+
+/**
+ * Run the middleware on a fake request; returns the status it answered with (200 when it passed)
+ */
+function run(verifyWebhook, { headers = {}, body = {}, rawBody } = {}) {
+  const req = {
+    headers,
+    body,
+    rawBody: rawBody ?? Buffer.from(JSON.stringify(body)),
+    method: "POST",
+    originalUrl: "/api/webhook/crelio",
+    ip: "127.0.0.1",
+  };
+  let status = 200;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  const next = jest.fn();
+  verifyWebhook(req, res, next);
+  return { status, passed: next.mock.calls.length === 1 };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("verifyWebhook (hmac)", () => {
+  let verifyWebhook;
+  let computeWebhookSignature;
+
+  beforeAll(async () => {
+    ({ verifyWebhook, computeWebhookSignature } = await loadMiddleware("hmac"));
+  });
+
+  const body = { billId: 123, labId: 1 };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const now = () => String(Math.floor(Date.now() / 1000));
+  const signed = (secret, timestamp = now()) => ({
+    "x-webhook-timestamp": timestamp,
+    "x-webhook-signature": `sha256=${computeWebhookSignature(secret, timestamp, rawBody)}`,
+  });
+
+  test("accepts a body signed with the current or a previous secret", () => {
+    expect(run(verifyWebhook, { body, rawBody, headers: signed(SECRET) }).passed).toBe(true);
+    expect(run(verifyWebhook, { body, rawBody, headers: signed(OLD_SECRET) }).passed).toBe(true);
+  });
+
+  test("accepts a bare hex signature and a timestamp in milliseconds", () => {
+    const timestamp = String(Date.now());
+    const headers = {
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": computeWebhookSignature(SECRET, timestamp, rawBody),
+    };
+    expect(run(verifyWebhook, { body, rawBody, headers }).passed).toBe(true);
+  });
+
+  test("rejects a wrong secret or a changed body", () => {
+    expect(run(verifyWebhook, { body, rawBody, headers: signed("wrong-secret") }).status).toBe(401);
+
+    const tampered = Buffer.from(JSON.stringify({ ...body, billId: 124 }));
+    expect(run(verifyWebhook, { body, rawBody: tampered, headers: signed(SECRET) }).status).toBe(401);
+  });
+
+  test("rejects timestamps outside the tolerance window", () => {
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+    const future = String(Math.floor(Date.now() / 1000) + 301);
+    expect(run(verifyWebhook, { body, rawBody, headers: signed(SECRET, stale) }).status).toBe(401);
+    expect(run(verifyWebhook, { body, rawBody, headers: signed(SECRET, future) }).status).toBe(401);
+  });
+
+  test("rejects missing or malformed headers", () => {
+    expect(run(verifyWebhook, { body, rawBody }).status).toBe(401);
+    expect(run(verifyWebhook, { body, rawBody, headers: { "x-webhook-signature": "abc" } }).status).toBe(401);
+    expect(
+      run(verifyWebhook, { body, rawBody, headers: { "x-webhook-timestamp": "soon", "x-webhook-signature": "abc" } }).status
+    ).toBe(401);
+  });
+
+  test("only accepts its own secret for a lab with one", () => {
+    const labBody = { billId: 123, labId: { labId: 7, labName: "Lab 7" } };
+    const labRawBody = Buffer.from(JSON.stringify(labBody));
+    const timestamp = now();
+    const headersFor = (secret) => ({
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": computeWebhookSignature(secret, timestamp, labRawBody),
+    });
+
+    expect(run(verifyWebhook, { body: labBody, rawBody: labRawBody, headers: headersFor(LAB_SECRET) }).passed).toBe(true);
+    expect(run(verifyWebhook, { body: labBody, rawBody: labRawBody, headers: headersFor(SECRET) }).status).toBe(401);
+  });
+});
+
+describe("verifyWebhook (token)", () => {
+  let verifyWebhook;
+
+  beforeAll(async () => {
+    ({ verifyWebhook } = await loadMiddleware("token"));
+  });
+
+  test("accepts any configured token", () => {
+    expect(run(verifyWebhook, { headers: { "x-webhook-token": SECRET } }).passed).toBe(true);
+    expect(run(verifyWebhook, { headers: { "x-webhook-token": OLD_SECRET } }).passed).toBe(true);
+  });
+
+  test("rejects a missing or wrong token", () => {
+    expect(run(verifyWebhook).status).toBe(401);
+    expect(run(verifyWebhook, { headers: { "x-webhook-token": "nope" } }).status).toBe(401);
+  });
+});
+
+describe("verifyWebhook (configuration)", () => {
+  test("refuses to load with an unknown WEBHOOK_AUTH_MODE", async () => {
+    await expect(loadMiddleware("hmac256")).rejects.toThrow(/WEBHOOK_AUTH_MODE must be one of token, hmac, disabled \("hmac256"\)/);
+  });
+
+  test("accepts a known mode regardless of case and spacing", async () => {
+    const { verifyWebhook } = await loadMiddleware(" HMAC ");
+    expect(run(verifyWebhook, { headers: { "x-webhook-token": SECRET } }).status).toBe(401);
+  });
+});
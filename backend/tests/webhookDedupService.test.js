@@ -0,0 +1,134 @@
+import { jest } from "@jest/globals";
+
+process.env.WEBHOOK_DEDUP_WINDOW_SECONDS = "60";
+process.env.WEBHOOK_PROCESSING_LEASE_SECONDS = "30";
+
+const { recordWebhookDelivery, markWebhookProcessed, releaseWebhookDelivery } = await import(
+  "../services/webhookDedupService.js"
+);
+
+/**
+ * In-memory stand-in for a raw dump model, covering the queries the service makes.
+ * Like the unique index, it rejects a second delivery per fingerprint and dedupWindow.
+ */
+const docs = [];
+let nextId = 1;
+
+function matchesCondition(value, condition) {
+  if (condition === null) return value === null || value === undefined;
+  if (typeof condition === "object" && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, argument]) => {
+      if (operator === "$gte") return value >= argument;
+      if (operator === "$lt") return value < argument;
+      if (operator === "$ne") return argument === null ? value !== null && value !== undefined : value !== argument;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  return value === condition;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) =>
+    key === "$or" ? condition.some((branch) => matches(doc, branch)) : matchesCondition(doc[key], condition)
+  );
+}
+
+const Model = {
+  async create(fields) {
+    if (docs.some((doc) => doc.fingerprint === fields.fingerprint && doc.dedupWindow === fields.dedupWindow)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const doc = { _id: String(nextId++), duplicateCount: 0, processedAt: null, createdAt: new Date(), ...fields };
+    docs.push(doc);
+    return { ...doc };
+  },
+  async exists(filter) {
+    const doc = docs.find((stored) => matches(stored, filter));
+    return doc ? { _id: doc._id } : null;
+  },
+  async findOneAndUpdate(filter, update) {
+    const doc = docs.find((stored) => matches(stored, filter));
+    if (!doc) return null;
+    Object.assign(doc, update.$set || {});
+    for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+    return { ...doc };
+  },
+  async updateOne(filter, update) {
+    const doc = docs.find((stored) => matches(stored, filter));
+    if (!doc) return { modifiedCount: 0 };
+    Object.assign(doc, update.$set || {});
+    for (const key of Object.keys(update.$unset || {})) doc[key] = null;
+    return { modifiedCount: 1 };
+  },
+};
+
+const delivery = () => ({ headers: { "x-webhook-delivery-id": "delivery-1" }, body: { billId: 700001 } });
+
+// Two seconds before and after the edge between the 60 s buckets 28333333 and 28333334
+const beforeEdge = new Date(28333334 * 60000 - 2000);
+const afterEdge = new Date(28333334 * 60000 + 2000);
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  docs.length = 0;
+  jest.useFakeTimers({ now: beforeEdge });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("recordWebhookDelivery", () => {
+  test("stores and claims a new delivery", async () => {
+    const { duplicate, document } = await recordWebhookDelivery(Model, "billGenerate", delivery());
+
+    expect(duplicate).toBe(false);
+    expect(document).toMatchObject({ dedupWindow: 28333333, claimedAt: beforeEdge });
+  });
+
+  test("counts a copy of a processed delivery as a duplicate", async () => {
+    const { document } = await recordWebhookDelivery(Model, "billGenerate", delivery());
+    await markWebhookProcessed(Model, document);
+    jest.setSystemTime(afterEdge);
+
+    expect((await recordWebhookDelivery(Model, "billGenerate", delivery())).duplicate).toBe(true);
+    expect(docs).toHaveLength(1);
+  });
+
+  test("counts a copy arriving after the bucket edge as a duplicate while the original is processed", async () => {
+    await recordWebhookDelivery(Model, "billGenerate", delivery());
+    jest.setSystemTime(afterEdge);
+
+    const retry = await recordWebhookDelivery(Model, "billGenerate", delivery());
+
+    expect(retry.duplicate).toBe(true);
+    expect(docs).toHaveLength(1);
+    expect(docs[0].duplicateCount).toBe(1);
+  });
+
+  test("takes over a released delivery from the previous bucket instead of storing it again", async () => {
+    const { document } = await recordWebhookDelivery(Model, "billGenerate", delivery());
+    await releaseWebhookDelivery(Model, document);
+    jest.setSystemTime(afterEdge);
+
+    const retry = await recordWebhookDelivery(Model, "billGenerate", delivery());
+
+    expect(retry).toMatchObject({ duplicate: false, document: { _id: document._id, claimedAt: afterEdge } });
+    expect(docs).toHaveLength(1);
+  });
+
+  test("stores a copy again once the window has passed", async () => {
+    await recordWebhookDelivery(Model, "billGenerate", delivery());
+    jest.setSystemTime(new Date(beforeEdge.getTime() + 61000));
+
+    expect((await recordWebhookDelivery(Model, "billGenerate", delivery())).duplicate).toBe(false);
+    expect(docs).toHaveLength(2);
+  });
+});
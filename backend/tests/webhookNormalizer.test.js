@@ -0,0 +1,159 @@
+import {
+  extractBillId,
+  getStoredNormalized,
+  normalizeWebhookPayload,
+  toIsoDate,
+  toNumber,
+  toNumberArray,
+} from "../services/webhookNormalizer.js";
+
+const bill = {
+  billId: "700001",
+  "Patient Id": 500001,
+  labPatientId: " LP-500001 ",
+  "Patient Name": "Rahul Sharma",
+  "Patient Age": "34",
+  "Patient gender": "Male",
+  "Patient Dob": "12/04/1990",
+  "Mobile Number": "9876500001",
+  patient_email: "rahul.sharma@example.com",
+  billTime: "2024-06-03 14:45:00",
+  billTotalAmount: "1250",
+  dueAmount: 0,
+  billReferral: "Dr. A Kumar;",
+  labId: { labId: 101, labName: "MedShell Diagnostics" },
+  orgId: { orgId: 12, orgFullName: "City Clinic" },
+  billInfoDetails: [
+    { testID: 900001, testname: "CBC + ESR", testAmount: 450, TestDetails: { TestName: "CBC + ESR", TestCode: "CBC" } },
+    { testId: "900002", TestDetails: { TestName: "Lipid Profile", TestCode: "LIPID" } },
+  ],
+};
+
+describe("field coercion", () => {
+  test("toNumber accepts numbers and numeric strings only", () => {
+    expect(toNumber("42")).toBe(42);
+    expect(toNumber(7.5)).toBe(7.5);
+    expect(toNumber("")).toBeNull();
+    expect(toNumber("abc")).toBeNull();
+    expect(toNumber({ labId: 1 })).toBeNull();
+    expect(toNumber(undefined)).toBeNull();
+  });
+
+  test("toNumberArray reads scalars, arrays and comma-separated strings", () => {
+    expect(toNumberArray(5)).toEqual([5]);
+    expect(toNumberArray("1, 2,x,3")).toEqual([1, 2, 3]);
+    expect(toNumberArray(["4", null, 5])).toEqual([4, 5]);
+    expect(toNumberArray("")).toEqual([]);
+  });
+
+  test("extractBillId reads every field name Crelio uses", () => {
+    expect(extractBillId({ billId: 1 })).toBe(1);
+    expect(extractBillId({ bill_id: "2" })).toBe(2);
+    expect(extractBillId({ billID: 3 })).toBe(3);
+    expect(extractBillId({})).toBeNull();
+  });
+
+  test("toIsoDate reads local times in the given timezone", () => {
+    expect(toIsoDate("2024-06-03 14:45:00", "Asia/Kolkata")).toBe("2024-06-03T09:15:00.000Z");
+    expect(toIsoDate("03/06/2024 14:45", "Asia/Kolkata")).toBe("2024-06-03T09:15:00.000Z");
+    expect(toIsoDate("2024-06-03T09:15:00Z", "Asia/Kolkata")).toBe("2024-06-03T09:15:00.000Z");
+  });
+
+  test("toIsoDate keeps dates without a time at UTC midnight", () => {
+    expect(toIsoDate("12/04/1990", "Asia/Kolkata")).toBe("1990-04-12T00:00:00.000Z");
+  });
+
+  test("toIsoDate returns null for placeholders and invalid dates", () => {
+    expect(toIsoDate("-")).toBeNull();
+    expect(toIsoDate("")).toBeNull();
+    expect(toIsoDate("not a date")).toBeNull();
+    expect(toIsoDate({})).toBeNull();
+  });
+});
+
+describe("normalizeWebhookPayload", () => {
+  test("normalizes a bill", () => {
+    const normalized = normalizeWebhookPayload("billGenerate", bill);
+
+    expect(normalized).toMatchObject({
+      billId: 700001,
+      patientId: 500001,
+      labPatientId: "LP-500001",
+      patientName: "Rahul Sharma",
+      patientAge: 34,
+      patientGender: "Male",
+      patientDob: "1990-04-12T00:00:00.000Z",
+      patientEmail: "rahul.sharma@example.com",
+      patientPhone: "9876500001",
+      billTotalAmount: 1250,
+      dueAmount: 0,
+      billReferral: "Dr. A Kumar;",
+      labId: 101,
+      labName: "MedShell Diagnostics",
+      orgId: 12,
+      orgName: "City Clinic",
+    });
+    expect(normalized.tests).toEqual([
+      { testId: 900001, testName: "CBC + ESR", testCode: "CBC", testAmount: 450 },
+      { testId: 900002, testName: "Lipid Profile", testCode: "LIPID", testAmount: null },
+    ]);
+  });
+
+  test("normalizes a sample status", () => {
+    const normalized = normalizeWebhookPayload("sampleStatus", {
+      bill_id: 700001,
+      testID: "900001,900002",
+      Status: "Sample Received",
+      sampleID: 55,
+      "Accession Date": "2024-06-03T10:00:00Z",
+      labId: 101,
+    });
+
+    expect(normalized).toEqual({
+      billId: 700001,
+      testIds: [900001, 900002],
+      status: "Sample Received",
+      sampleId: "55",
+      accessionDate: "2024-06-03T10:00:00.000Z",
+      labId: 101,
+      orgId: null,
+    });
+  });
+
+  test("normalizes a report status with details and a stored PDF", () => {
+    const normalized = normalizeWebhookPayload("reportStatus", {
+      billId: 700001,
+      testID: [900001],
+      status: "Report PDF (Webhook)",
+      reportDetails: [{ "Signing Doctor": [{ 12: "Dr. Meera Rao" }], "Sample Date": "2024-06-03T10:00:00Z" }],
+      reportPdf: { storageKey: "abc.pdf" },
+    });
+
+    expect(normalized).toMatchObject({
+      billId: 700001,
+      testId: 900001,
+      testIds: [900001],
+      status: "Report PDF (Webhook)",
+      signingDoctors: ["Dr. Meera Rao"],
+      sampleDate: "2024-06-03T10:00:00.000Z",
+      hasPdf: true,
+    });
+  });
+
+  test("returns null for unknown types or missing bodies", () => {
+    expect(normalizeWebhookPayload("unknown", bill)).toBeNull();
+    expect(normalizeWebhookPayload("billGenerate", null)).toBeNull();
+  });
+});
+
+describe("getStoredNormalized", () => {
+  test("uses the stored normalized shape when there is one", () => {
+    const normalized = { billId: 1 };
+    expect(getStoredNormalized("billGenerate", { normalized, request: bill })).toBe(normalized);
+  });
+
+  test("normalizes documents stored before normalization existed", () => {
+    expect(getStoredNormalized("billGenerate", { request: bill }).billId).toBe(700001);
+    expect(getStoredNormalized("billGenerate", null).billId).toBeNull();
+  });
+});
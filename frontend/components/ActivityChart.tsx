@@ -0,0 +1,138 @@
+import { motion } from 'framer-motion'
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  Cell,
+} from 'recharts'
+
+export type ActivityInterval = 'day' | 'week' | 'month'
+
+export interface ActivityBucket {
+  bucket: string
+  fromDate: string
+  toDate: string
+  bills: number
+  samplesReceived: number
+  reportsSigned: number
+}
+
+interface ActivityChartProps {
+  data: ActivityBucket[]
+  interval: ActivityInterval
+  loading?: boolean
+  selectedBucket?: string | null
+  onIntervalChange: (interval: ActivityInterval) => void
+  onBucketClick: (bucket: ActivityBucket) => void
+}
+
+const intervals: { value: ActivityInterval; label: string }[] = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+]
+
+const series = [
+  { dataKey: 'bills', name: 'Bills', color: '#14B8A6' },
+  { dataKey: 'samplesReceived', name: 'Samples Received', color: '#3B82F6' },
+  { dataKey: 'reportsSigned', name: 'Reports Signed', color: '#8B5CF6' },
+]
+
+// Helper to format bucket labels on the X axis
+const formatBucketLabel = (bucket: string, interval: ActivityInterval) => {
+  if (interval === 'month') {
+    const [year, month] = bucket.split('-').map(Number)
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })
+  }
+  const [year, month, day] = bucket.split('-').map(Number)
+  const label = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+  return interval === 'week' ? `Wk ${label}` : label
+}
+
+export default function ActivityChart({
+  data,
+  interval,
+  loading = false,
+  selectedBucket = null,
+  onIntervalChange,
+  onBucketClick,
+}: ActivityChartProps) {
+  const handleChartClick = (state: any) => {
+    const bucket = state?.activePayload?.[0]?.payload as ActivityBucket | undefined
+    if (bucket) {
+      onBucketClick(bucket)
+    }
+  }
+
+  return (
+    <motion.div
+      className="bg-white rounded-2xl p-6"
+      style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-base font-bold text-gray-800">Activity</h3>
+          <p className="text-xs text-gray-500">Click a bar to see the bills for that period</p>
+        </div>
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+          {intervals.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => onIntervalChange(option.value)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                interval === option.value
+                  ? 'bg-white text-teal-600 shadow-sm'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="h-72">
+        {loading ? (
+          <div className="flex items-center justify-center h-full text-xs text-gray-500">Loading...</div>
+        ) : data.length === 0 ? (
+          <div className="flex items-center justify-center h-full text-xs text-gray-500">No activity in this period</div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data} onClick={handleChartClick} className="cursor-pointer">
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#E5E7EB" />
+              <XAxis
+                dataKey="bucket"
+                tickFormatter={(bucket: string) => formatBucketLabel(bucket, interval)}
+                tick={{ fontSize: 11, fill: '#6B7280' }}
+              />
+              <YAxis allowDecimals={false} tick={{ fontSize: 11, fill: '#6B7280' }} />
+              <Tooltip
+                labelFormatter={(bucket: string) => formatBucketLabel(bucket, interval)}
+                cursor={{ fill: '#F3F4F6' }}
+              />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {series.map((item) => (
+                <Bar key={item.dataKey} dataKey={item.dataKey} name={item.name} fill={item.color} radius={[4, 4, 0, 0]}>
+                  {data.map((entry) => (
+                    <Cell
+                      key={entry.bucket}
+                      fillOpacity={!selectedBucket || entry.bucket === selectedBucket ? 1 : 0.35}
+                    />
+                  ))}
+                </Bar>
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </motion.div>
+  )
+}
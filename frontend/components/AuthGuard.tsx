@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/router'
+import { PUBLIC_PAGES, canAccessPage, getAccessToken, onSessionChange } from '@/lib/auth'
+
+interface AuthGuardProps {
+  children: React.ReactNode
+}
+
+type GuardState = 'checking' | 'allowed' | 'forbidden'
+
+// Sends logged-out visitors to the login page and blocks pages the user's role may not open
+export default function AuthGuard({ children }: AuthGuardProps) {
+  const router = useRouter()
+  const [state, setState] = useState<GuardState>('checking')
+  const isPublic = PUBLIC_PAGES.includes(router.pathname)
+
+  useEffect(() => {
+    if (isPublic || !router.isReady) return
+
+    const check = () => {
+      if (!getAccessToken()) {
+        setState('checking')
+        router.replace(`/login?next=${encodeURIComponent(router.asPath)}`)
+        return
+      }
+      setState(canAccessPage(router.pathname) ? 'allowed' : 'forbidden')
+    }
+
+    check()
+    // Logging out in another tab logs this tab out too
+    return onSessionChange(check)
+  }, [isPublic, router, router.isReady, router.pathname, router.asPath])
+
+  if (isPublic) return <>{children}</>
+
+  if (state === 'forbidden') {
+    return (
+      <div className="flex h-screen items-center justify-center" style={{ backgroundColor: '#F6F7FB' }}>
+        <div className="bg-white rounded-2xl p-6 text-center" style={{ boxShadow: '0px 4px 12px rgba(0, 0, 0, 0.08)' }}>
+          <h2 className="text-lg font-semibold text-gray-800">Access denied</h2>
+          <p className="text-sm text-gray-500 mt-1">Your role does not have access to this page.</p>
+          <button
+            onClick={() => router.push('/')}
+            className="mt-4 px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600"
+          >
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return state === 'allowed' ? <>{children}</> : null
+}
@@ -1,6 +1,32 @@
-import { HiSearch } from 'react-icons/hi'
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/router'
+import { HiSearch, HiLogout } from 'react-icons/hi'
+import { logout } from '@/lib/api'
+import { getCurrentUser, onSessionChange } from '@/lib/auth'
+
+interface CurrentUser {
+  name: string
+  role: string
+}
 
 export default function Navbar() {
+  const router = useRouter()
+  const [user, setUser] = useState<CurrentUser | null>(null)
+
+  useEffect(() => {
+    setUser(getCurrentUser())
+    return onSessionChange(() => setUser(getCurrentUser()))
+  }, [])
+
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch (error) {
+      console.error('Error logging out:', error)
+    }
+    router.replace('/login')
+  }
+
   return (
     <nav className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
       <div className="flex items-center justify-between">
@@ -24,12 +50,21 @@ export default function Navbar() {
           {/* User Profile */}
           <div className="flex items-center space-x-2 cursor-pointer hover:bg-gray-100 rounded-lg p-2 transition-colors ml-2">
             <div className="w-8 h-8 bg-teal-500 rounded-full flex items-center justify-center text-white font-semibold text-sm">
-              A
+              {(user?.name || '?').charAt(0).toUpperCase()}
+            </div>
+            <div className="hidden md:block">
+              <p className="text-sm font-medium text-gray-700 leading-tight">{user?.name}</p>
+              <p className="text-xs text-gray-400 capitalize leading-tight">{user?.role.replace('-', ' ')}</p>
             </div>
-            <span className="hidden md:block text-sm font-medium text-gray-700">
-              Admin
-            </span>
           </div>
+          <button
+            onClick={handleLogout}
+            className="flex items-center gap-1 p-2 text-sm text-gray-500 rounded-lg hover:bg-gray-100 transition-colors"
+            title="Log out"
+          >
+            <HiLogout className="w-5 h-5" />
+            <span className="hidden md:block">Log out</span>
+          </button>
         </div>
       </div>
     </nav>
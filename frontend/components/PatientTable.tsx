@@ -9,13 +9,18 @@ interface Patient {
   [key: string]: any; // allows extra keys safely
 }
 
-// Helper function to get today's date in YYYY-MM-DD format
-const getTodayDate = () => {
-  const today = new Date()
-  return today.toISOString().split('T')[0]
+// Helper function to get today's local date in YYYY-MM-DD format
+const getTodayDate = () => new Intl.DateTimeFormat('en-CA').format(new Date())
+
+// Browser timezone, so days match the activity chart's buckets
+const getTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+interface PatientTableProps {
+  // Optional date range to apply from outside (e.g. a clicked activity chart bucket)
+  dateRange?: { fromDate: string; toDate: string } | null
 }
 
-export default function PatientTable() {
+export default function PatientTable({ dateRange = null }: PatientTableProps) {
   const router = useRouter()
   const [patients, setPatients] = useState<Patient[]>([])
   const [loading, setLoading] = useState(false)
@@ -25,6 +30,14 @@ export default function PatientTable() {
   const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('')
   const searchTimeoutRef = useRef<NodeJS.Timeout | null>(null)
 
+  // Apply an externally selected date range
+  useEffect(() => {
+    if (dateRange) {
+      setFromDate(dateRange.fromDate)
+      setToDate(dateRange.toDate)
+    }
+  }, [dateRange])
+
   const handleRowClick = (patient: Patient) => {
     const billId = patient.request?.['billId'] 
     router.push(`/patient/${billId}`)
@@ -50,7 +63,7 @@ export default function PatientTable() {
   const fetchPatients = async () => {
     try {
       setLoading(true)
-      const params: any = { page: 1, limit: 50 }
+      const params: any = { page: 1, limit: 50, timezone: getTimezone() }
       
       // Add search parameter if provided
       if (debouncedSearchQuery.trim()) {
@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { HiDocument, HiDownload, HiExternalLink, HiX } from 'react-icons/hi'
+import { getReportPdf, getReportThumbnail } from '@/lib/api'
+
+interface ReportViewerProps {
+  billId: number
+  testId: number
+  title: string
+}
+
+interface LoadedPdf {
+  url: string
+  fileName: string
+}
+
+// Page-one thumbnail that opens the PDF in an in-page viewer.
+// Files are fetched with the access token and shown through object URLs.
+export default function ReportViewer({ billId, testId, title }: ReportViewerProps) {
+  const [open, setOpen] = useState(false)
+  const [thumbnailUrl, setThumbnailUrl] = useState<string | null>(null)
+  const [pdf, setPdf] = useState<LoadedPdf | null>(null)
+  const [loadingPdf, setLoadingPdf] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let url: string | null = null
+    let cancelled = false
+
+    getReportThumbnail(billId, testId)
+      .then((blob: Blob) => {
+        if (cancelled) return
+        url = URL.createObjectURL(blob)
+        setThumbnailUrl(url)
+      })
+      .catch(() => {
+        // No thumbnail renderer on the server: show the document icon
+        if (!cancelled) setThumbnailUrl(null)
+      })
+
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [billId, testId])
+
+  // Free the PDF when switching tests or leaving the page
+  useEffect(() => {
+    return () => {
+      if (pdf) URL.revokeObjectURL(pdf.url)
+    }
+  }, [pdf])
+
+  useEffect(() => {
+    setPdf(null)
+    setError(null)
+  }, [billId, testId])
+
+  useEffect(() => {
+    if (!open) return
+    const closeOnEscape = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') setOpen(false)
+    }
+    window.addEventListener('keydown', closeOnEscape)
+    return () => window.removeEventListener('keydown', closeOnEscape)
+  }, [open])
+
+  const openViewer = async () => {
+    setOpen(true)
+    if (pdf || loadingPdf) return
+
+    setLoadingPdf(true)
+    setError(null)
+    try {
+      const { blob, fileName } = await getReportPdf(billId, testId)
+      setPdf({ url: URL.createObjectURL(blob), fileName })
+    } catch (loadError) {
+      console.error('Error loading report PDF:', loadError)
+      setError('Failed to load the report PDF')
+    } finally {
+      setLoadingPdf(false)
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={openViewer}
+        className="w-full flex items-center gap-3 p-2 border border-gray-200 rounded-md hover:border-blue-400 hover:bg-blue-50 transition-colors text-left"
+      >
+        {thumbnailUrl ? (
+          <img
+            src={thumbnailUrl}
+            alt={`First page of ${title}`}
+            className="w-12 h-16 object-cover object-top border border-gray-200 rounded bg-white flex-shrink-0"
+          />
+        ) : (
+          <div className="w-12 h-16 flex items-center justify-center bg-gray-100 rounded flex-shrink-0">
+            <HiDocument className="w-6 h-6 text-gray-400" />
+          </div>
+        )}
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-blue-600">View Report PDF</p>
+          <p className="text-xs text-gray-500 truncate">{title}</p>
+        </div>
+      </button>
+
+      {open && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+          onClick={() => setOpen(false)}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.97 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ duration: 0.15 }}
+            className="bg-white rounded-2xl w-full max-w-5xl h-[90vh] flex flex-col overflow-hidden"
+            style={{ boxShadow: '0px 4px 12px rgba(0, 0, 0, 0.08)' }}
+            onClick={(event) => event.stopPropagation()}
+          >
+            <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-gray-200">
+              <h3 className="font-semibold text-gray-800 text-sm truncate">{title}</h3>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                {pdf && (
+                  <>
+                    <a
+                      href={pdf.url}
+                      download={pdf.fileName}
+                      className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-700 rounded-md hover:bg-gray-100"
+                    >
+                      <HiDownload className="w-4 h-4" />
+                      Download
+                    </a>
+                    <a
+                      href={pdf.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-700 rounded-md hover:bg-gray-100"
+                    >
+                      <HiExternalLink className="w-4 h-4" />
+                      New tab
+                    </a>
+                  </>
+                )}
+                <button
+                  onClick={() => setOpen(false)}
+                  className="p-1.5 text-gray-500 rounded-md hover:bg-gray-100"
+                  aria-label="Close"
+                >
+                  <HiX className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+            {pdf ? (
+              <iframe src={pdf.url} title={title} className="flex-1 w-full bg-gray-100" />
+            ) : (
+              <div className="flex-1 flex items-center justify-center bg-gray-100 text-sm text-gray-500">
+                {error || 'Loading report...'}
+              </div>
+            )}
+          </motion.div>
+        </div>
+      )}
+    </>
+  )
+}
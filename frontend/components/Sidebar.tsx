@@ -1,6 +1,8 @@
 import { motion } from 'framer-motion'
 import Link from 'next/link'
 import { useRouter } from 'next/router'
+import { useEffect, useState } from 'react'
+import { canAccessPage, onSessionChange } from '@/lib/auth'
 
 interface SidebarProps {
   isOpen: boolean
@@ -9,6 +11,10 @@ interface SidebarProps {
 
 export default function Sidebar({ isOpen, onToggle }: SidebarProps) {
   const router = useRouter()
+  // Re-render when the user changes so role-restricted items appear or disappear
+  const [, setSessionVersion] = useState(0)
+
+  useEffect(() => onSessionChange(() => setSessionVersion((version) => version + 1)), [])
 
   const dashboardItems = [
     {
@@ -27,8 +33,38 @@ export default function Sidebar({ isOpen, onToggle }: SidebarProps) {
       title: 'Patients',
       path: '/patients',
       icon: '👥', // Two people icon
+    },
+    {
+      title: 'Duplicates',
+      path: '/patients/duplicates',
+      icon: '🔗', // Link icon
+    },
+    {
+      title: 'Doctors',
+      path: '/doctors',
+      icon: '🩺', // Stethoscope icon
+    },
+    {
+      title: 'Turnaround',
+      path: '/tat',
+      icon: '⏱️', // Stopwatch icon
+    },
+    {
+      title: 'Users',
+      path: '/users',
+      icon: '🔑', // Key icon
+    },
+    {
+      title: 'Audit Log',
+      path: '/audit',
+      icon: '📜', // Scroll icon
+    },
+    {
+      title: 'Retention',
+      path: '/retention',
+      icon: '🗄️', // File cabinet icon
     }
-  ]
+  ].filter((item) => canAccessPage(item.path))
 
   const isActive = (path: string) => router.pathname === path
 
@@ -1,5 +1,6 @@
 import axios from "axios";
 import { API_URL } from "./config";
+import { getAccessToken, getRefreshToken, saveSession, clearSession } from "./auth";
 
 // Create axios instance with default config
 const apiClient = axios.create({
@@ -10,14 +11,13 @@ const apiClient = axios.create({
   timeout: 30000, // 30 seconds timeout
 });
 
-// Request interceptor (for adding auth tokens, etc.)
+// Request interceptor (adds the access token)
 apiClient.interceptors.request.use(
   (config) => {
-    // You can add auth tokens here if needed
-    // const token = localStorage.getItem('token');
-    // if (token) {
-    //   config.headers.Authorization = `Bearer ${token}`;
-    // }
+    const token = getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -25,10 +25,56 @@ apiClient.interceptors.request.use(
   }
 );
 
-// Response interceptor (for error handling)
+// One refresh at a time; concurrent 401s wait for the same refresh
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    // Plain axios, so the refresh call itself is not intercepted
+    refreshPromise = axios
+      .post(`${API_URL}/api/auth/refresh`, { refreshToken: getRefreshToken() })
+      .then((response) => {
+        saveSession(response.data.data);
+        return response.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Send the user to the login page, returning to the current page afterwards
+const redirectToLogin = () => {
+  clearSession();
+  if (typeof window !== "undefined" && window.location.pathname !== "/login") {
+    const next = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.assign(`/login?next=${next}`);
+  }
+};
+
+// Response interceptor (token refresh and error handling)
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+
+    // Expired access token: refresh once and retry the request
+    if (response?.status === 401 && !config?._retried && !config?.url?.startsWith("/auth/")) {
+      if (response.data?.code === "TOKEN_EXPIRED" && getRefreshToken()) {
+        try {
+          const token = await refreshAccessToken();
+          config._retried = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return apiClient(config);
+        } catch (refreshError) {
+          redirectToLogin();
+          return Promise.reject(refreshError);
+        }
+      }
+      redirectToLogin();
+    }
+
     // Handle common errors
     if (error.response) {
       // Server responded with error status
@@ -44,22 +90,91 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Auth API Functions
+ */
+
+/**
+ * Log in and store the session
+ * @param {string} email - Login email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Logged-in user
+ */
+export const login = async (email, password) => {
+  const response = await apiClient.post("/auth/login", { email, password });
+  saveSession(response.data.data);
+  return response.data.data.user;
+};
+
+/**
+ * End the session on the server and forget it locally
+ */
+export const logout = async () => {
+  try {
+    await apiClient.post("/auth/logout", { refreshToken: getRefreshToken() });
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * Change the logged-in user's password (other sessions are logged out)
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password (at least 10 characters)
+ * @returns {Promise<Object>} User
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await apiClient.put("/auth/me/password", { currentPassword, newPassword });
+  return response.data;
+};
+
+/**
+ * List user accounts (admin)
+ * @returns {Promise<Object>} Users
+ */
+export const getUsers = async () => {
+  const response = await apiClient.get("/dashboard/users");
+  return response.data;
+};
+
+/**
+ * Create a user account (admin)
+ * @param {Object} user - { email, name, role, password, allLabs, labIds, orgIds }
+ * @returns {Promise<Object>} Created user
+ */
+export const createUser = async (user) => {
+  const response = await apiClient.post("/dashboard/users", user);
+  return response.data;
+};
+
+/**
+ * Update a user account (admin)
+ * @param {string} id - User ID
+ * @param {Object} changes - { name, role, active, password, allLabs, labIds, orgIds }
+ * @returns {Promise<Object>} Updated user
+ */
+export const updateUser = async (id, changes) => {
+  const response = await apiClient.put(`/dashboard/users/${id}`, changes);
+  return response.data;
+};
+
 /**
  * Dashboard API Functions
  */
 
 /**
  * Get dashboard statistics
- * @returns {Promise<Object>} Dashboard stats
+ * @param {Object} params - Query parameters (fromDate, toDate as YYYY-MM-DD; defaults to today)
+ * @returns {Promise<Object>} Dashboard stats (totals, pending per stage, byLab, byOrg)
  */
-export const getDashboardStats = async () => {
-  const response = await apiClient.get("/dashboard/stats");
+export const getDashboardStats = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/stats", { params });
   return response.data;
 };
 
 /**
  * Get today's patients
- * @returns {Promise<Array>} List of patients registered today
+ * @returns {Promise<Array>} List of patient records registered today
  */
 export const getTodayPatients = async () => {
   const response = await apiClient.get("/dashboard/patients/today");
@@ -68,10 +183,10 @@ export const getTodayPatients = async () => {
 
 /**
  * Get patients by status
- * @param {string} status - Patient status
+ * @param {string} status - Patient status (e.g. "Registered", "Report Generated")
  * @param {number} page - Page number
  * @param {number} limit - Items per page
- * @returns {Promise<Object>} Paginated patients
+ * @returns {Promise<Object>} Paginated patient records
  */
 export const getPatientsByStatus = async (status, page = 1, limit = 20) => {
   const response = await apiClient.get(`/dashboard/patients/status/${status}`, {
@@ -92,24 +207,189 @@ export const getAllPatients = async (params = {}) => {
 
 /**
  * Get patient by ID
- * @param {string} id - Patient ID
+ * @param {string} id - Patient ID (e.g. "PAT-12345")
  * @returns {Promise<Object>} Patient details
  */
 export const getPatientById = async (id) => {
-  const response = await apiClient.get(`/dashboard/patients/${id}`);
+  const response = await apiClient.get(`/dashboard/patients/${encodeURIComponent(id)}`);
+  return response.data;
+};
+
+/**
+ * Every bill, test and report of a patient across visits
+ * @param {string} id - Patient ID (e.g. "PAT-12345")
+ * @returns {Promise<Object>} { patient, summary: { visits, bills, tests, reports, totalSpend, totalDue }, bills }
+ */
+export const getPatientHistory = async (id) => {
+  const response = await apiClient.get(`/dashboard/patients/${encodeURIComponent(id)}/history`);
+  return response.data;
+};
+
+/**
+ * Review queue of likely duplicate patients (admin)
+ * @param {Object} params - { status: pending|dismissed|merged, minScore, page, limit }
+ * @returns {Promise<Object>} { data: [{ _id, patients, score, reasons, status }], pagination }
+ */
+export const getDuplicateCandidates = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/patients/duplicates", { params });
+  return response.data;
+};
+
+/**
+ * Queue a duplicate scan of every patient now (admin)
+ * @returns {Promise<Object>} { data: background job }; follow it with getJob
+ */
+export const scanDuplicatePatients = async () => {
+  const response = await apiClient.post("/dashboard/patients/duplicates/scan");
+  return response.data;
+};
+
+/**
+ * A background job with its status and, once completed, its result (admin)
+ * @param {string} id - BackgroundJob _id
+ * @returns {Promise<Object>} { data: { _id, type, status, result, lastError } }
+ */
+export const getJob = async (id) => {
+  const response = await apiClient.get(`/dashboard/jobs/${id}`);
+  return response.data;
+};
+
+const JOB_POLL_MS = 2000;
+
+/**
+ * Poll a background job until it completes or is dead-lettered (admin)
+ * @param {string} id - BackgroundJob _id
+ * @returns {Promise<Object|null>} The finished job, or null if it no longer exists
+ */
+export const waitForJob = async (id) => {
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+    const response = await getJob(id);
+    const job = response?.data;
+    if (!job || job.status === "completed" || job.status === "dead") return job || null;
+  }
+};
+
+/**
+ * Mark a candidate pair as not a duplicate (admin)
+ * @param {string} id - DuplicateCandidate _id
+ * @returns {Promise<Object>} The candidate
+ */
+export const dismissDuplicateCandidate = async (id) => {
+  const response = await apiClient.post(`/dashboard/patients/duplicates/${id}/dismiss`);
+  return response.data;
+};
+
+/**
+ * Merge a candidate pair, keeping one of the two records (admin)
+ * @param {string} id - DuplicateCandidate _id
+ * @param {string} keep - Patient _id of the record to keep
+ * @returns {Promise<Object>} The merge
+ */
+export const mergeDuplicateCandidate = async (id, keep) => {
+  const response = await apiClient.post(`/dashboard/patients/duplicates/${id}/merge`, { keep });
   return response.data;
 };
 
 /**
- * Get all doctors
- * @param {Object} params - Query parameters (status, specialty)
- * @returns {Promise<Array>} List of doctors
+ * Merge history, newest first (admin)
+ * @param {Object} params - { page, limit }
+ * @returns {Promise<Object>} { data: [{ _id, survivorPatientId, duplicatePatientId, status, mergedBy }], pagination }
+ */
+export const getPatientMerges = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/patients/merges", { params });
+  return response.data;
+};
+
+/**
+ * Undo a merge and restore the merged record (admin)
+ * @param {string} id - PatientMerge _id
+ * @returns {Promise<Object>} The merge
+ */
+export const undoPatientMerge = async (id) => {
+  const response = await apiClient.post(`/dashboard/patients/merges/${id}/undo`);
+  return response.data;
+};
+
+/**
+ * Patients directory (consolidated patient records)
+ * @param {Object} params - { page, limit, search, status, gender, minAge, maxAge, labId, orgId, doctorId, sortBy, sortOrder }
+ * @returns {Promise<Object>} Paginated patient records
+ */
+export const getPatientDirectory = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/patients/directory", { params });
+  return response.data;
+};
+
+/**
+ * Filter options for the patients directory
+ * @returns {Promise<Object>} { statuses, genders, labs, orgs, doctors }
+ */
+export const getPatientDirectoryFilters = async () => {
+  const response = await apiClient.get("/dashboard/patients/directory/filters");
+  return response.data;
+};
+
+/**
+ * Doctors directory
+ * @param {Object} params - { search, status, specialty, placeholder: "true"|"false", page, limit }
+ * @returns {Promise<Object>} { data: [{ _id, doctorId, name, specialty, isPlaceholder, patients }], pagination }
  */
 export const getAllDoctors = async (params = {}) => {
   const response = await apiClient.get("/dashboard/doctors", { params });
   return response.data;
 };
 
+/**
+ * Specialties and statuses to filter doctors by, and the number of placeholder profiles
+ * @returns {Promise<Object>} { specialties, statuses, placeholders }
+ */
+export const getDoctorFilters = async () => {
+  const response = await apiClient.get("/dashboard/doctors/filters");
+  return response.data;
+};
+
+/**
+ * A doctor with their patient count and most recent patients
+ * @param {string} id - Doctor _id
+ * @returns {Promise<Object>} Doctor with patients and recentPatients
+ */
+export const getDoctorById = async (id) => {
+  const response = await apiClient.get(`/dashboard/doctors/${id}`);
+  return response.data;
+};
+
+/**
+ * Complete or edit a doctor's profile (admin)
+ * @param {string} id - Doctor _id
+ * @param {Object} profile - { name, email, phone, specialty, qualifications, licenseNumber, experience, status }
+ * @returns {Promise<Object>} The updated doctor
+ */
+export const updateDoctor = async (id, profile) => {
+  const response = await apiClient.put(`/dashboard/doctors/${id}`, profile);
+  return response.data;
+};
+
+/**
+ * Pairs of doctors with similar names (admin)
+ * @returns {Promise<Object>} { data: [{ doctors: [a, b], similarity, detail, differentDocIds }] }
+ */
+export const getDuplicateDoctors = async () => {
+  const response = await apiClient.get("/dashboard/doctors/duplicates");
+  return response.data;
+};
+
+/**
+ * Merge a duplicate doctor into another one (admin)
+ * @param {string} id - Doctor _id to keep
+ * @param {string} duplicateId - Doctor _id to merge into it
+ * @returns {Promise<Object>} { doctor, patientsMoved }
+ */
+export const mergeDoctors = async (id, duplicateId) => {
+  const response = await apiClient.post(`/dashboard/doctors/${id}/merge`, { duplicateId });
+  return response.data;
+};
+
 /**
  * Get recent reports
  * @param {number} limit - Number of reports to fetch
@@ -124,12 +404,13 @@ export const getRecentReports = async (limit = 10) => {
 
 /**
  * Get activity chart data
- * @param {number} months - Number of months of data
+ * @param {number} months - Number of months of data (ignored when fromDate/toDate are set)
+ * @param {Object} params - Extra query parameters (interval: day|week|month, timezone, fromDate, toDate)
  * @returns {Promise<Array>} Activity data for chart
  */
-export const getActivityData = async (months = 6) => {
+export const getActivityData = async (months = 6, params = {}) => {
   const response = await apiClient.get("/dashboard/activity", {
-    params: { months },
+    params: { months, ...params },
   });
   return response.data;
 };
@@ -143,6 +424,194 @@ export const getSuccessStats = async () => {
   return response.data;
 };
 
+/**
+ * Get turnaround-time statistics
+ * @param {Object} params - Query parameters (fromDate, toDate)
+ * @returns {Promise<Object>} TAT summary by test, department, doctor and lab
+ */
+export const getTatStats = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/tat", { params });
+  return response.data;
+};
+
+/**
+ * Get configured TAT targets
+ * @returns {Promise<Array>} TAT targets
+ */
+export const getTatTargets = async () => {
+  const response = await apiClient.get("/dashboard/tat/targets");
+  return response.data;
+};
+
+/**
+ * Create or update a TAT target (matched by scope and key)
+ * @param {Object} target - { scope, key, billToSampleMinutes, sampleToSignMinutes, signToPdfMinutes, billToSignMinutes }
+ * @returns {Promise<Object>} Saved target
+ */
+export const saveTatTarget = async (target) => {
+  const response = await apiClient.put("/dashboard/tat/targets", target);
+  return response.data;
+};
+
+/**
+ * Delete a TAT target
+ * @param {string} id - Target ID
+ * @returns {Promise<Object>} Deleted target
+ */
+export const deleteTatTarget = async (id) => {
+  const response = await apiClient.delete(`/dashboard/tat/targets/${id}`);
+  return response.data;
+};
+
+/**
+ * Get per-organization settings for emailing report PDFs to patients
+ * @returns {Promise<Array>} Delivery settings
+ */
+export const getReportDeliverySettings = async () => {
+  const response = await apiClient.get("/dashboard/report-delivery/settings");
+  return response.data;
+};
+
+/**
+ * Create or update a report delivery setting (matched by orgId; null = fallback)
+ * @param {Object} setting - { orgId, orgName, enabled, passwordProtect }
+ * @returns {Promise<Object>} Saved setting
+ */
+export const saveReportDeliverySetting = async (setting) => {
+  const response = await apiClient.put("/dashboard/report-delivery/settings", setting);
+  return response.data;
+};
+
+/**
+ * Email a report PDF to the patient again
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<Object>} Report with the pending patientDelivery
+ */
+export const resendReportEmail = async (billId, testId) => {
+  const response = await apiClient.post(`/dashboard/reports/${billId}/${testId}/deliver`);
+  return response.data;
+};
+
+/**
+ * Get the password of the encrypted ZIP emailed to the patient
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<Object>} { billId, testId, password }
+ */
+export const getReportDeliveryPassword = async (billId, testId) => {
+  const response = await apiClient.get(`/dashboard/reports/${billId}/${testId}/delivery-password`);
+  return response.data;
+};
+
+/**
+ * File name from a Content-Disposition header (prefers the UTF-8 filename*)
+ */
+const parseFileName = (header) => {
+  if (!header) return null;
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(header);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  const plain = /filename="([^"]+)"/i.exec(header);
+  return plain ? plain[1] : null;
+};
+
+/**
+ * Get a report PDF (fetched with the access token, so it works behind login)
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<{ blob: Blob, fileName: string }>} PDF and its file name
+ */
+export const getReportPdf = async (billId, testId) => {
+  const response = await apiClient.get(`/dashboard/reports/${billId}/${testId}/pdf`, {
+    responseType: "blob",
+    timeout: 120000,
+  });
+  return {
+    blob: response.data,
+    fileName: parseFileName(response.headers["content-disposition"]) || "report.pdf",
+  };
+};
+
+/**
+ * Get the page-one thumbnail (PNG) of a report PDF
+ * @param {number} billId - Bill ID
+ * @param {number} testId - Test ID
+ * @returns {Promise<Blob>} Thumbnail image
+ */
+export const getReportThumbnail = async (billId, testId) => {
+  const response = await apiClient.get(`/dashboard/reports/${billId}/${testId}/thumbnail`, {
+    responseType: "blob",
+  });
+  return response.data;
+};
+
+/**
+ * Get the PHI access audit trail (admin)
+ * @param {Object} params - Filters (user, userId, patient, patientId, billId, action, fromDate, toDate) and page, limit
+ * @returns {Promise<Object>} Paginated audit entries
+ */
+export const getAuditLog = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/audit", { params });
+  return response.data;
+};
+
+/**
+ * Export the audit trail as CSV (admin)
+ * @param {Object} params - Same filters as getAuditLog
+ * @returns {Promise<{ blob: Blob, fileName: string }>} CSV file and its name
+ */
+export const exportAuditLog = async (params = {}) => {
+  const response = await apiClient.get("/dashboard/audit/export", {
+    params,
+    responseType: "blob",
+    timeout: 120000,
+  });
+  return {
+    blob: response.data,
+    fileName: parseFileName(response.headers["content-disposition"]) || "audit-log.csv",
+  };
+};
+
+/**
+ * Get the retention periods, legal holds and last purge (admin)
+ * @returns {Promise<Object>} { policies, holds, lastPurge }
+ */
+export const getRetention = async () => {
+  const response = await apiClient.get("/dashboard/retention");
+  return response.data;
+};
+
+/**
+ * Queue a purge of expired raw webhook documents now (admin)
+ * @param {boolean} dryRun - Only count what would be purged
+ * @returns {Promise<Object>} { data: background job }; its result is the purge summary per collection
+ */
+export const runRetentionPurge = async (dryRun = true) => {
+  const response = await apiClient.post("/dashboard/retention/purge", { dryRun });
+  return response.data;
+};
+
+/**
+ * Place a legal hold on a bill so its raw data is never purged (admin)
+ * @param {number|string} billId - Bill ID
+ * @param {string} reason - Why the data is held
+ * @returns {Promise<Object>} The legal hold
+ */
+export const placeLegalHold = async (billId, reason) => {
+  const response = await apiClient.put(`/dashboard/retention/holds/${billId}`, { reason });
+  return response.data;
+};
+
+/**
+ * Release the legal hold on a bill (admin)
+ * @param {number|string} billId - Bill ID
+ * @returns {Promise<Object>} The released hold
+ */
+export const releaseLegalHold = async (billId) => {
+  const response = await apiClient.delete(`/dashboard/retention/holds/${billId}`);
+  return response.data;
+};
+
 export const getPatientBillById = async (id) => {
   const response = await apiClient.get(`/dashboard/patients/bill?id=${id}`);
   return response.data;
@@ -163,5 +632,15 @@ export const getPatientReportStatus = async (id) => {
   return response.data;
 };
 
+/**
+ * Ordered lifecycle timeline of every test on a bill
+ * @param {number|string} id - Bill ID
+ * @returns {Promise<Object>} { billId, billTime, patientName, tests: [{ testId, currentStage, stages, events }] }
+ */
+export const getPatientTimeline = async (id) => {
+  const response = await apiClient.get(`/dashboard/patients/timeline?id=${id}`);
+  return response.data;
+};
+
 export default apiClient;
 
@@ -0,0 +1,109 @@
+/**
+ * Login session storage
+ *
+ * Access and refresh tokens and the logged-in user are kept in localStorage so
+ * a session survives page reloads. Components subscribe to changes (login,
+ * logout, token refresh in another tab) with onSessionChange.
+ */
+
+const ACCESS_TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+const USER_KEY = "user";
+const SESSION_EVENT = "auth:session";
+
+// Pages that can be opened without logging in
+export const PUBLIC_PAGES = ["/login"];
+
+// Roles allowed per page (pages not listed are open to every logged-in user)
+export const PAGE_ROLES = {
+  "/users": ["admin"],
+  "/audit": ["admin"],
+  "/retention": ["admin"],
+  "/patients/duplicates": ["admin"],
+};
+
+const isBrowser = () => typeof window !== "undefined";
+
+/**
+ * Current access token
+ * @returns {string|null}
+ */
+export const getAccessToken = () => (isBrowser() ? localStorage.getItem(ACCESS_TOKEN_KEY) : null);
+
+/**
+ * Current refresh token
+ * @returns {string|null}
+ */
+export const getRefreshToken = () => (isBrowser() ? localStorage.getItem(REFRESH_TOKEN_KEY) : null);
+
+/**
+ * Logged-in user
+ * @returns {{ id: string, email: string, name: string, role: string, allLabs: boolean, labIds: number[], orgIds: number[] } | null}
+ */
+export const getCurrentUser = () => {
+  if (!isBrowser()) return null;
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY) || "null");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether the logged-in user has one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {boolean}
+ */
+export const hasRole = (...roles) => {
+  const user = getCurrentUser();
+  return Boolean(user && roles.includes(user.role));
+};
+
+/**
+ * Check whether the logged-in user may open a page
+ * @param {string} pathname - Next.js route pathname
+ * @returns {boolean}
+ */
+export const canAccessPage = (pathname) => {
+  const roles = PAGE_ROLES[pathname];
+  return !roles || hasRole(...roles);
+};
+
+/**
+ * Store tokens (and the user) returned by login or refresh
+ * @param {Object} session - { accessToken, refreshToken, user }
+ */
+export const saveSession = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+  window.dispatchEvent(new Event(SESSION_EVENT));
+};
+
+/**
+ * Forget the session
+ */
+export const clearSession = () => {
+  if (!isBrowser()) return;
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  window.dispatchEvent(new Event(SESSION_EVENT));
+};
+
+/**
+ * Subscribe to session changes in this tab and in other tabs
+ * @param {() => void} callback - Called with no arguments
+ * @returns {() => void} Unsubscribe
+ */
+export const onSessionChange = (callback) => {
+  const onStorage = (event) => {
+    if ([ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY, null].includes(event.key)) callback();
+  };
+  window.addEventListener(SESSION_EVENT, callback);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(SESSION_EVENT, callback);
+    window.removeEventListener("storage", onStorage);
+  };
+};
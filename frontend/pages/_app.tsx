@@ -3,12 +3,18 @@
  * 
  * This is the root component that wraps all pages.
  * It imports global styles and sets up the app structure.
+ * Every page except /login requires a logged-in user (see AuthGuard).
  */
 
 import type { AppProps } from 'next/app'
+import AuthGuard from '@/components/AuthGuard'
 import '../styles/globals.css'
 
 export default function App({ Component, pageProps }: AppProps) {
-  return <Component {...pageProps} />
+  return (
+    <AuthGuard>
+      <Component {...pageProps} />
+    </AuthGuard>
+  )
 }
 
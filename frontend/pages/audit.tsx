@@ -0,0 +1,310 @@
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { HiDownload } from 'react-icons/hi'
+import Layout from '@/components/Layout'
+import { getAuditLog, exportAuditLog } from '@/lib/api'
+
+interface AuditEntry {
+  _id: string
+  action: string
+  user?: { id: string; name: string; role: string }
+  billId?: number
+  testId?: number
+  patientId?: number
+  patientName?: string
+  method: string
+  endpoint: string
+  statusCode: number
+  ip?: string
+  userAgent?: string
+  createdAt: string
+}
+
+interface Filters {
+  user: string
+  patient: string
+  billId: string
+  action: string
+  fromDate: string
+  toDate: string
+}
+
+const actions: { value: string; label: string }[] = [
+  { value: 'bill.view', label: 'Bill viewed' },
+  { value: 'tests.view', label: 'Tests viewed' },
+  { value: 'reports.view', label: 'Reports viewed' },
+  { value: 'reportStatus.view', label: 'Report status viewed' },
+  { value: 'timeline.view', label: 'Timeline viewed' },
+  { value: 'patient.view', label: 'Patient viewed' },
+  { value: 'patientHistory.view', label: 'Patient history viewed' },
+  { value: 'patients.list', label: 'Patient list viewed' },
+  { value: 'reportPdf.view', label: 'Report PDF viewed' },
+  { value: 'reportPdf.download', label: 'Report PDF downloaded' },
+  { value: 'reportThumbnail.view', label: 'Report thumbnail viewed' },
+  { value: 'file.download', label: 'File downloaded' },
+  { value: 'report.email', label: 'Report emailed' },
+  { value: 'reportPassword.view', label: 'Report password viewed' },
+  { value: 'auditLog.export', label: 'Audit log exported' },
+  { value: 'retention.purge', label: 'Expired data purged' },
+  { value: 'legalHold.place', label: 'Legal hold placed' },
+  { value: 'legalHold.release', label: 'Legal hold released' },
+  { value: 'webhook.replay', label: 'Webhooks replayed' },
+  { value: 'patient.merge', label: 'Patients merged' },
+  { value: 'patient.unmerge', label: 'Patient merge undone' },
+  { value: 'doctor.merge', label: 'Doctors merged' },
+]
+
+const actionLabel = (action: string) => actions.find((item) => item.value === action)?.label || action
+
+const toInputDate = (date: Date) => date.toISOString().split('T')[0]
+const defaultFromDate = () => {
+  const date = new Date()
+  date.setDate(date.getDate() - 7)
+  return toInputDate(date)
+}
+
+const formatDateTime = (dateStr: string) =>
+  new Date(dateStr).toLocaleString('en-US', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// Drop empty filters so they are not sent as query parameters
+const toParams = (filters: Filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+
+export default function AuditLogPage() {
+  const [filters, setFilters] = useState<Filters>(() => ({
+    user: '',
+    patient: '',
+    billId: '',
+    action: '',
+    fromDate: defaultFromDate(),
+    toDate: toInputDate(new Date()),
+  }))
+  const [entries, setEntries] = useState<AuditEntry[]>([])
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response: any = await getAuditLog({ ...toParams(filters), page, limit: 50 })
+      setEntries(response?.data || [])
+      setPages(response?.pagination?.pages || 1)
+      setTotal(response?.pagination?.total || 0)
+    } catch (err: any) {
+      console.error('❌ Error fetching audit log:', err?.response?.data || err?.message)
+      setEntries([])
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    fetchEntries()
+  }, [fetchEntries])
+
+  const updateFilter = (field: keyof Filters, value: string) => {
+    setFilters((current) => ({ ...current, [field]: value }))
+    setPage(1)
+  }
+
+  const handleExport = async () => {
+    setError(null)
+    try {
+      setExporting(true)
+      const { blob, fileName } = await exportAuditLog(toParams(filters))
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    } catch (err: any) {
+      console.error('❌ Error exporting audit log:', err?.message)
+      setError('Failed to export the audit log')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Audit Log</h1>
+            <p className="text-sm text-gray-500">Who opened which patient, bill, test list or report, and when.</p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex items-center gap-1 px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+          >
+            <HiDownload className="w-4 h-4" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+            <label className="text-xs text-gray-500">
+              User
+              <input
+                type="text"
+                placeholder="Name"
+                value={filters.user}
+                onChange={(event) => updateFilter('user', event.target.value)}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Patient
+              <input
+                type="text"
+                placeholder="Name"
+                value={filters.patient}
+                onChange={(event) => updateFilter('patient', event.target.value)}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Bill ID
+              <input
+                type="text"
+                inputMode="numeric"
+                value={filters.billId}
+                onChange={(event) => updateFilter('billId', event.target.value.replace(/\D/g, ''))}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Action
+              <select
+                value={filters.action}
+                onChange={(event) => updateFilter('action', event.target.value)}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              >
+                <option value="">All actions</option>
+                {actions.map((action) => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              From
+              <input
+                type="date"
+                value={filters.fromDate}
+                onChange={(event) => updateFilter('fromDate', event.target.value)}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              To
+              <input
+                type="date"
+                value={filters.toDate}
+                onChange={(event) => updateFilter('toDate', event.target.value)}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+          </div>
+          {error && <p className="text-xs text-red-600 mt-4">{error}</p>}
+        </div>
+
+        {/* Entries */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          {loading ? (
+            <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+          ) : entries.length === 0 ? (
+            <div className="py-12 text-center text-xs text-gray-500">No audit entries</div>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                    <th className="py-2 pr-4 font-medium">Time</th>
+                    <th className="py-2 pr-4 font-medium">User</th>
+                    <th className="py-2 pr-4 font-medium">Action</th>
+                    <th className="py-2 pr-4 font-medium">Patient</th>
+                    <th className="py-2 pr-4 font-medium">Bill</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 font-medium">Client</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry._id} className="border-b border-gray-50 align-top">
+                      <td className="py-2 pr-4 text-gray-500 whitespace-nowrap">{formatDateTime(entry.createdAt)}</td>
+                      <td className="py-2 pr-4">
+                        <p className="font-medium text-gray-800">{entry.user?.name || (entry.action === 'retention.purge' || entry.action === 'webhook.replay' ? 'System' : '-')}</p>
+                        <p className="text-xs text-gray-400">{entry.user?.role}</p>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <p className="text-gray-800">{actionLabel(entry.action)}</p>
+                        <p className="text-xs text-gray-400 break-all">{entry.method} {entry.endpoint}</p>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <p className="text-gray-800">{entry.patientName || '-'}</p>
+                        {entry.patientId && <p className="text-xs text-gray-400">ID {entry.patientId}</p>}
+                      </td>
+                      <td className="py-2 pr-4">
+                        {entry.billId ? (
+                          <Link href={`/patient/${entry.billId}`} className="text-teal-600 hover:underline">
+                            {entry.billId}
+                          </Link>
+                        ) : (
+                          '-'
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${entry.statusCode < 400 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                          {entry.statusCode}
+                        </span>
+                      </td>
+                      <td className="py-2 text-xs text-gray-500">
+                        <p>{entry.ip || '-'}</p>
+                        <p className="text-gray-400 truncate max-w-[12rem]" title={entry.userAgent}>{entry.userAgent}</p>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="flex items-center justify-between mt-4 text-xs text-gray-500">
+                <span>{total} entries</span>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1}
+                    className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <span>Page {page} of {pages}</span>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pages}
+                    className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
@@ -0,0 +1,553 @@
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { HiX } from 'react-icons/hi'
+import Layout from '@/components/Layout'
+import { hasRole } from '@/lib/auth'
+import {
+  getAllDoctors,
+  getDoctorFilters,
+  getDoctorById,
+  updateDoctor,
+  getDuplicateDoctors,
+  mergeDoctors,
+} from '@/lib/api'
+
+interface Doctor {
+  _id: string
+  doctorId: string
+  name: string
+  specialty: string
+  email?: string
+  phone?: string
+  qualifications?: string[]
+  licenseNumber?: string
+  experience?: number | null
+  status: string
+  crelioDocIds?: number[]
+  aliases?: string[]
+  isPlaceholder?: boolean
+  patients?: number
+}
+
+interface DoctorPatient {
+  _id: string
+  patientId: string
+  name: string
+  age?: number
+  gender?: string
+  billIdNumber?: number
+  lastVisitDate?: string
+}
+
+interface DoctorDetail extends Doctor {
+  recentPatients: DoctorPatient[]
+}
+
+interface DuplicatePair {
+  doctors: [Doctor, Doctor]
+  similarity: number
+  detail: string
+  differentDocIds: boolean
+}
+
+interface FilterOptions {
+  specialties: string[]
+  statuses: string[]
+  placeholders: number
+}
+
+interface Filters {
+  search: string
+  status: string
+  specialty: string
+  placeholder: string
+}
+
+interface ProfileForm {
+  name: string
+  email: string
+  phone: string
+  specialty: string
+  qualifications: string
+  licenseNumber: string
+  experience: string
+  status: string
+}
+
+const emptyFilters: Filters = { search: '', status: '', specialty: '', placeholder: '' }
+
+const formatDate = (dateStr?: string) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' }) : '-'
+
+// Drop empty filters so they are not sent as query parameters
+const toParams = (filters: Filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+
+const toForm = (doctor: Doctor): ProfileForm => ({
+  name: doctor.name,
+  // Placeholder contact details are left blank so they get replaced
+  email: doctor.isPlaceholder && doctor.email?.endsWith('@crelio.local') ? '' : doctor.email || '',
+  phone: doctor.isPlaceholder && doctor.phone === '0000000000' ? '' : doctor.phone || '',
+  specialty: doctor.specialty,
+  qualifications: (doctor.qualifications || []).join(', '),
+  licenseNumber: doctor.licenseNumber || '',
+  experience: doctor.experience == null ? '' : String(doctor.experience),
+  status: doctor.status,
+})
+
+export default function DoctorsPage() {
+  const [canEdit] = useState(() => hasRole('admin'))
+  const [filters, setFilters] = useState<Filters>(emptyFilters)
+  const [options, setOptions] = useState<FilterOptions | null>(null)
+  const [doctors, setDoctors] = useState<Doctor[]>([])
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [selected, setSelected] = useState<DoctorDetail | null>(null)
+  const [form, setForm] = useState<ProfileForm | null>(null)
+  const [saving, setSaving] = useState(false)
+  const [duplicates, setDuplicates] = useState<DuplicatePair[]>([])
+  const [mergingKey, setMergingKey] = useState<string | null>(null)
+
+  const fetchOptions = useCallback(() => {
+    getDoctorFilters()
+      .then((response: any) => setOptions(response?.data || null))
+      .catch((err: any) => console.error('❌ Error fetching doctor filters:', err?.response?.data || err?.message))
+  }, [])
+
+  const fetchDuplicates = useCallback(() => {
+    if (!canEdit) return
+    getDuplicateDoctors()
+      .then((response: any) => setDuplicates(response?.data || []))
+      .catch((err: any) => console.error('❌ Error fetching duplicate doctors:', err?.response?.data || err?.message))
+  }, [canEdit])
+
+  useEffect(() => {
+    fetchOptions()
+    fetchDuplicates()
+  }, [fetchOptions, fetchDuplicates])
+
+  const fetchDoctors = useCallback(async () => {
+    setError(null)
+    try {
+      setLoading(true)
+      const response: any = await getAllDoctors({ ...toParams(filters), page, limit: 25 })
+      setDoctors(response?.data || [])
+      setPages(response?.pagination?.pages || 1)
+      setTotal(response?.pagination?.total || 0)
+    } catch (err: any) {
+      console.error('❌ Error fetching doctors:', err?.response?.data || err?.message)
+      setError(err?.response?.data?.error || 'Failed to load doctors')
+      setDoctors([])
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    fetchDoctors()
+  }, [fetchDoctors])
+
+  const updateFilter = (field: keyof Filters, value: string) => {
+    setFilters((current) => ({ ...current, [field]: value }))
+    setPage(1)
+  }
+
+  const handleSelect = async (doctor: Doctor) => {
+    setSelected({ ...doctor, recentPatients: [] })
+    setForm(null)
+    try {
+      const response: any = await getDoctorById(doctor._id)
+      setSelected(response?.data || { ...doctor, recentPatients: [] })
+    } catch (err: any) {
+      console.error('❌ Error fetching doctor:', err?.response?.data || err?.message)
+    }
+  }
+
+  const updateForm = (field: keyof ProfileForm, value: string) => {
+    setForm((current) => (current ? { ...current, [field]: value } : current))
+  }
+
+  const handleSave = async () => {
+    if (!selected || !form) return
+    setError(null)
+    try {
+      setSaving(true)
+      // Blank contact fields keep the stored (placeholder) value
+      const profile = Object.fromEntries(
+        Object.entries(form).filter(([field, value]) => value !== '' || (field !== 'email' && field !== 'phone'))
+      )
+      const response: any = await updateDoctor(selected._id, profile)
+      setSelected({ ...selected, ...response?.data })
+      setForm(null)
+      fetchDoctors()
+      fetchOptions()
+      fetchDuplicates()
+    } catch (err: any) {
+      console.error('❌ Error updating doctor:', err?.response?.data || err?.message)
+      setError(err?.response?.data?.error || 'Failed to update doctor')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleMerge = async (keep: Doctor, duplicate: Doctor) => {
+    if (!confirm(`Merge "${duplicate.name}" into "${keep.name}"? Their patients move to ${keep.name}.`)) return
+    setError(null)
+    try {
+      setMergingKey(`${keep._id}-${duplicate._id}`)
+      await mergeDoctors(keep._id, duplicate._id)
+      if (selected && (selected._id === duplicate._id || selected._id === keep._id)) {
+        setSelected(null)
+        setForm(null)
+      }
+      fetchDoctors()
+      fetchOptions()
+      fetchDuplicates()
+    } catch (err: any) {
+      console.error('❌ Error merging doctors:', err?.response?.data || err?.message)
+      setError(err?.response?.data?.error || 'Failed to merge doctors')
+    } finally {
+      setMergingKey(null)
+    }
+  }
+
+  const selectClass = 'block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800'
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Doctors</h1>
+          <p className="text-sm text-gray-500">Referring doctors, linked to bills by their Crelio doctor ID.</p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+            <label className="text-xs text-gray-500 col-span-2">
+              Search
+              <input
+                type="text"
+                placeholder="Name, alias or doctor ID"
+                value={filters.search}
+                onChange={(event) => updateFilter('search', event.target.value)}
+                className={selectClass}
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Status
+              <select value={filters.status} onChange={(event) => updateFilter('status', event.target.value)} className={selectClass}>
+                <option value="">All</option>
+                {options?.statuses.map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Specialty
+              <select value={filters.specialty} onChange={(event) => updateFilter('specialty', event.target.value)} className={selectClass}>
+                <option value="">All</option>
+                {options?.specialties.map((specialty) => (
+                  <option key={specialty} value={specialty}>{specialty}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Profile
+              <select value={filters.placeholder} onChange={(event) => updateFilter('placeholder', event.target.value)} className={selectClass}>
+                <option value="">All</option>
+                <option value="true">Incomplete ({options?.placeholders ?? 0})</option>
+                <option value="false">Complete</option>
+              </select>
+            </label>
+          </div>
+          {error && <p className="text-xs text-red-600 mt-4">{error}</p>}
+        </div>
+
+        {/* Likely duplicates */}
+        {canEdit && duplicates.length > 0 && (
+          <div className="bg-white rounded-2xl p-6 space-y-3" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800">Possible duplicates</h2>
+              <p className="text-xs text-gray-500">Doctors with similar names. Keep one and its patients, docIds and names absorb the other.</p>
+            </div>
+            {duplicates.map((pair) => (
+              <div key={`${pair.doctors[0]._id}-${pair.doctors[1]._id}`} className="border border-gray-100 rounded-xl p-4">
+                <div className="flex items-center justify-between text-xs text-gray-500 mb-3">
+                  <span>{pair.detail} • {Math.round(pair.similarity * 100)}% similar</span>
+                  {pair.differentDocIds && (
+                    <span className="px-2 py-0.5 rounded-full bg-amber-50 text-amber-700">Linked to different Crelio doctors</span>
+                  )}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {pair.doctors.map((doctor, index) => {
+                    const other = pair.doctors[1 - index]
+                    const key = `${doctor._id}-${other._id}`
+                    return (
+                      <div key={doctor._id} className="flex items-start justify-between gap-2 text-sm">
+                        <div>
+                          <p className="font-medium text-gray-800">{doctor.name}</p>
+                          <p className="text-xs text-gray-400">
+                            {doctor.doctorId} • {doctor.specialty}
+                            {doctor.isPlaceholder && ' • incomplete profile'}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleMerge(doctor, other)}
+                          disabled={mergingKey !== null}
+                          className="px-3 py-1 bg-teal-500 text-white text-xs font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+                        >
+                          {mergingKey === key ? 'Merging...' : 'Keep this'}
+                        </button>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-[1fr_22rem] gap-6 items-start">
+          {/* Doctors */}
+          <div className="bg-white rounded-2xl p-6 overflow-x-auto" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+            {loading ? (
+              <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+            ) : doctors.length === 0 ? (
+              <div className="py-12 text-center text-xs text-gray-500">No doctors found</div>
+            ) : (
+              <>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                      <th className="py-2 pr-4 font-medium">Doctor</th>
+                      <th className="py-2 pr-4 font-medium">Specialty</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium">Patients</th>
+                      <th className="py-2 font-medium">Profile</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {doctors.map((doctor) => (
+                      <tr
+                        key={doctor._id}
+                        onClick={() => handleSelect(doctor)}
+                        className={`border-b border-gray-50 cursor-pointer hover:bg-gray-50 ${selected?._id === doctor._id ? 'bg-teal-50' : ''}`}
+                      >
+                        <td className="py-2 pr-4">
+                          <p className="font-medium text-gray-800">{doctor.name}</p>
+                          <p className="text-xs text-gray-400">{doctor.doctorId}</p>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{doctor.specialty}</td>
+                        <td className="py-2 pr-4">
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-teal-50 text-teal-700">{doctor.status}</span>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{doctor.patients ?? 0}</td>
+                        <td className="py-2 text-xs">
+                          {doctor.isPlaceholder ? (
+                            <span className="px-2 py-0.5 rounded-full bg-amber-50 text-amber-700">Incomplete</span>
+                          ) : (
+                            <span className="text-gray-500">Complete</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="flex items-center justify-between mt-4 text-xs text-gray-500">
+                  <span>{total} doctors</span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setPage(page - 1)}
+                      disabled={page <= 1}
+                      className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span>Page {page} of {pages}</span>
+                    <button
+                      onClick={() => setPage(page + 1)}
+                      disabled={page >= pages}
+                      className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Selected doctor */}
+          {selected && (
+            <div className="bg-white rounded-2xl p-6 space-y-3" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-800">{selected.name}</h2>
+                  <p className="text-xs text-gray-500">
+                    {selected.doctorId}
+                    {selected.crelioDocIds && selected.crelioDocIds.length > 0 && ` • Crelio ${selected.crelioDocIds.join(', ')}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => {
+                    setSelected(null)
+                    setForm(null)
+                  }}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <HiX className="w-4 h-4" />
+                </button>
+              </div>
+
+              {form ? (
+                <div className="space-y-2">
+                  <label className="block text-xs text-gray-500">
+                    Name
+                    <input value={form.name} onChange={(event) => updateForm('name', event.target.value)} className={selectClass} />
+                  </label>
+                  <label className="block text-xs text-gray-500">
+                    Email
+                    <input type="email" value={form.email} onChange={(event) => updateForm('email', event.target.value)} className={selectClass} />
+                  </label>
+                  <label className="block text-xs text-gray-500">
+                    Phone
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={form.phone}
+                      onChange={(event) => updateForm('phone', event.target.value.replace(/\D/g, ''))}
+                      className={selectClass}
+                    />
+                  </label>
+                  <label className="block text-xs text-gray-500">
+                    Specialty
+                    <select value={form.specialty} onChange={(event) => updateForm('specialty', event.target.value)} className={selectClass}>
+                      {options?.specialties.map((specialty) => (
+                        <option key={specialty} value={specialty}>{specialty}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block text-xs text-gray-500">
+                    Qualifications
+                    <input
+                      placeholder="MBBS, MD"
+                      value={form.qualifications}
+                      onChange={(event) => updateForm('qualifications', event.target.value)}
+                      className={selectClass}
+                    />
+                  </label>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="block text-xs text-gray-500">
+                      License
+                      <input value={form.licenseNumber} onChange={(event) => updateForm('licenseNumber', event.target.value)} className={selectClass} />
+                    </label>
+                    <label className="block text-xs text-gray-500">
+                      Experience (years)
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        value={form.experience}
+                        onChange={(event) => updateForm('experience', event.target.value.replace(/\D/g, ''))}
+                        className={selectClass}
+                      />
+                    </label>
+                  </div>
+                  <label className="block text-xs text-gray-500">
+                    Status
+                    <select value={form.status} onChange={(event) => updateForm('status', event.target.value)} className={selectClass}>
+                      {options?.statuses.map((status) => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="flex gap-2 pt-1">
+                    <button
+                      onClick={handleSave}
+                      disabled={saving || !form.name.trim()}
+                      className="flex-1 px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      onClick={() => setForm(null)}
+                      className="flex-1 px-4 py-2 border border-gray-200 text-gray-600 text-sm font-medium rounded-lg hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {selected.isPlaceholder && (
+                    <p className="text-xs px-3 py-2 rounded-lg bg-amber-50 text-amber-700">
+                      Created from a bill referral. Contact details are still missing.
+                    </p>
+                  )}
+                  <dl className="grid grid-cols-[7rem_1fr] gap-y-2 text-sm">
+                    <dt className="text-xs text-gray-500">Specialty</dt>
+                    <dd className="text-gray-800">{selected.specialty}</dd>
+                    <dt className="text-xs text-gray-500">Email</dt>
+                    <dd className="text-gray-800 break-all">{selected.email || '-'}</dd>
+                    <dt className="text-xs text-gray-500">Phone</dt>
+                    <dd className="text-gray-800">{selected.phone || '-'}</dd>
+                    <dt className="text-xs text-gray-500">Qualifications</dt>
+                    <dd className="text-gray-800">{selected.qualifications?.length ? selected.qualifications.join(', ') : '-'}</dd>
+                    <dt className="text-xs text-gray-500">License</dt>
+                    <dd className="text-gray-800">{selected.licenseNumber || '-'}</dd>
+                    <dt className="text-xs text-gray-500">Experience</dt>
+                    <dd className="text-gray-800">{selected.experience != null ? `${selected.experience} years` : '-'}</dd>
+                    <dt className="text-xs text-gray-500">Status</dt>
+                    <dd className="text-gray-800">{selected.status}</dd>
+                    {selected.aliases && selected.aliases.length > 0 && (
+                      <>
+                        <dt className="text-xs text-gray-500">Also billed as</dt>
+                        <dd className="text-gray-800">{selected.aliases.join(', ')}</dd>
+                      </>
+                    )}
+                  </dl>
+                  {canEdit && (
+                    <button
+                      onClick={() => setForm(toForm(selected))}
+                      className="w-full px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600"
+                    >
+                      {selected.isPlaceholder ? 'Complete profile' : 'Edit profile'}
+                    </button>
+                  )}
+                </>
+              )}
+
+              <div className="pt-2 border-t border-gray-100">
+                <p className="text-xs text-gray-500 mb-2">Patients ({selected.patients ?? 0})</p>
+                {selected.recentPatients.length === 0 ? (
+                  <p className="text-xs text-gray-400">No patients</p>
+                ) : (
+                  <ul className="space-y-1 text-sm">
+                    {selected.recentPatients.map((patient) => (
+                      <li key={patient._id} className="flex items-center justify-between gap-2">
+                        <Link href={`/patients/${encodeURIComponent(patient.patientId)}`} className="text-teal-600 hover:underline">
+                          {patient.name}
+                        </Link>
+                        <span className="text-xs text-gray-400">{formatDate(patient.lastVisitDate)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
@@ -1,12 +1,28 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import { motion } from 'framer-motion'
 import Layout from '@/components/Layout'
 import PatientTable from '@/components/PatientTable'
+import ActivityChart, { ActivityBucket, ActivityInterval } from '@/components/ActivityChart'
 import { getDashboardStats, getActivityData } from '@/lib/api'
 
+// Months of history shown for each activity interval
+const ACTIVITY_WINDOW_MONTHS: Record<ActivityInterval, number> = {
+  day: 1,
+  week: 3,
+  month: 6,
+}
+
+// Browser timezone, used to bucket activity by local day
+const getTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
 export default function Dashboard() {
-  const [activityData, setActivityData] = useState<any[]>([])
+  const [activityData, setActivityData] = useState<ActivityBucket[]>([])
+  const [activityInterval, setActivityInterval] = useState<ActivityInterval>('month')
+  const [activityLoading, setActivityLoading] = useState(false)
+  const [selectedBucket, setSelectedBucket] = useState<ActivityBucket | null>(null)
   const [loading, setLoading] = useState(true)
+  const isFirstActivityLoad = useRef(true)
+  const billListRef = useRef<HTMLDivElement>(null)
 
   // Fetch dashboard data on component mount
   useEffect(() => {
@@ -17,7 +33,7 @@ export default function Dashboard() {
         // Fetch all data in parallel
         const [statsRes, activityRes] = await Promise.all([
           getDashboardStats(),
-          getActivityData(6),
+          getActivityData(ACTIVITY_WINDOW_MONTHS.month, { interval: 'month', timezone: getTimezone() }),
         ])
 
         const statsData = (statsRes as any)?.data || statsRes
@@ -42,6 +58,44 @@ export default function Dashboard() {
     
   }, [])
 
+  // Refetch activity when the interval changes (the initial load happens above)
+  useEffect(() => {
+    if (isFirstActivityLoad.current) {
+      isFirstActivityLoad.current = false
+      return
+    }
+
+    const fetchActivity = async () => {
+      try {
+        setActivityLoading(true)
+        const activityRes: any = await getActivityData(ACTIVITY_WINDOW_MONTHS[activityInterval], {
+          interval: activityInterval,
+          timezone: getTimezone(),
+        })
+        setActivityData(activityRes?.data || [])
+      } catch (error: any) {
+        console.error('❌ Error fetching activity data:', error?.response?.data || error?.message)
+        setActivityData([])
+      } finally {
+        setActivityLoading(false)
+      }
+    }
+
+    setSelectedBucket(null)
+    fetchActivity()
+  }, [activityInterval])
+
+  const drillDownRange = useMemo(
+    () => (selectedBucket ? { fromDate: selectedBucket.fromDate, toDate: selectedBucket.toDate } : null),
+    [selectedBucket]
+  )
+
+  // Drill down into the bill list for a clicked bucket
+  const handleBucketClick = (bucket: ActivityBucket) => {
+    setSelectedBucket(bucket)
+    billListRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
   const containerVariants = {
     hidden: { opacity: 0 },
     visible: {
@@ -158,9 +212,20 @@ export default function Dashboard() {
         <div className="grid grid-cols-1 lg:grid-cols-1 gap-4">
           {/* Left Column */}
           <div className="space-y-4">
-            {/* Online Appointment Table */}
+            {/* Activity Chart */}
             <motion.div variants={itemVariants}>
-              <PatientTable />
+              <ActivityChart
+                data={activityData}
+                interval={activityInterval}
+                loading={activityLoading}
+                selectedBucket={selectedBucket?.bucket || null}
+                onIntervalChange={setActivityInterval}
+                onBucketClick={handleBucketClick}
+              />
+            </motion.div>
+            {/* Online Appointment Table */}
+            <motion.div variants={itemVariants} ref={billListRef}>
+              <PatientTable dateRange={drillDownRange} />
             </motion.div>
             {/* Doctor List */}
             {/* <motion.div variants={itemVariants}>
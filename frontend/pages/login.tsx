@@ -0,0 +1,88 @@
+import { FormEvent, useEffect, useState } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import { login } from '@/lib/api'
+import { getAccessToken } from '@/lib/auth'
+
+// Only return to pages on this site after logging in
+const safeNextPath = (next: unknown) =>
+  typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/'
+
+export default function Login() {
+  const router = useRouter()
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  // Already logged in
+  useEffect(() => {
+    if (router.isReady && getAccessToken()) {
+      router.replace(safeNextPath(router.query.next))
+    }
+  }, [router, router.isReady])
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      await login(email, password)
+      router.replace(safeNextPath(router.query.next))
+    } catch (loginError: any) {
+      setError(loginError?.response?.data?.error || 'Login failed. Please try again.')
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center p-4" style={{ backgroundColor: '#F6F7FB' }}>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-2xl p-8 w-full max-w-sm"
+        style={{ boxShadow: '0px 4px 12px rgba(0, 0, 0, 0.08)' }}
+      >
+        <h1 className="text-2xl font-bold text-gray-800">MedShell</h1>
+        <p className="text-sm text-gray-500 mt-1 mb-6">Sign in to the lab dashboard</p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="username"
+              required
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 transition-colors disabled:opacity-50"
+          >
+            {submitting ? 'Signing in...' : 'Sign in'}
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  )
+}
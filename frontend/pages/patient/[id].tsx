@@ -1,20 +1,58 @@
 import { useEffect, useState } from 'react'
+import Link from 'next/link'
 import { useRouter } from 'next/router'
 import { motion } from 'framer-motion'
 import Layout from '@/components/Layout'
-import { HiDownload, HiUserCircle, HiArrowLeft, HiDocument, HiBeaker, HiCurrencyDollar, HiOfficeBuilding, HiPhone, HiMail, HiLocationMarker, HiCalendar, HiIdentification, HiClipboardList, HiPlus, HiPrinter, HiCheckCircle } from 'react-icons/hi'
-import { getPatientBillById, getPatientTests, getPatientReports, getPatientReportStatus } from '@/lib/api'
+import ReportViewer from '@/components/ReportViewer'
+import { HiUserCircle, HiArrowLeft, HiDocument, HiBeaker, HiCurrencyDollar, HiOfficeBuilding, HiPhone, HiMail, HiLocationMarker, HiCalendar, HiIdentification, HiClipboardList, HiPlus, HiPrinter, HiCheckCircle } from 'react-icons/hi'
+import { getPatientBillById, getPatientTimeline, getPatientReports, getPatientReportStatus, resendReportEmail, getReportDeliveryPassword } from '@/lib/api'
+import { hasRole } from '@/lib/auth'
+
+interface TimelineStage {
+  stage: string
+  label: string
+  completed: boolean
+  timestamp: string | null
+  actor: string | null
+  source: string | null
+}
+
+interface TestTimeline {
+  testId: number
+  currentStage: string | null
+  stages: TimelineStage[]
+}
+
+// Icon per timeline stage (stages come from GET /dashboard/patients/timeline)
+const STAGE_ICONS: Record<string, typeof HiPlus> = {
+  billed: HiPlus,
+  sampleReceived: HiBeaker,
+  reportSigned: HiDocument,
+  reportPdf: HiPrinter,
+}
+
+// Shown for tests without any recorded event yet
+const PENDING_STAGES: TimelineStage[] = [
+  { stage: 'billed', label: 'Bill Generation' },
+  { stage: 'sampleReceived', label: 'Sample Collection' },
+  { stage: 'reportSigned', label: 'Report Signed' },
+  { stage: 'reportPdf', label: 'Report Print' },
+].map((stage) => ({ ...stage, completed: false, timestamp: null, actor: null, source: null }))
 
 export default function PatientDetail() {
   const router = useRouter()
   const { id } = router.query
 
   const [patientBill, setPatientBill] = useState<any>(null)
-  const [tests, setTests] = useState<any[]>([])
+  const [timeline, setTimeline] = useState<TestTimeline[]>([])
   const [reports, setReports] = useState<any[]>([])
   const [reportStatus, setReportStatus] = useState<any[]>([])
   const [activeTestTab, setActiveTestTab] = useState<number>(0)
   const [activeInfoTab, setActiveInfoTab] = useState<number>(0)
+  const [emailingTestId, setEmailingTestId] = useState<number | null>(null)
+  const [emailError, setEmailError] = useState<string | null>(null)
+  const [reportPasswords, setReportPasswords] = useState<Record<number, string>>({})
+  const [canEmailReports] = useState(() => hasRole('admin', 'front-desk'))
 
   useEffect(() => {
     async function fetchPatientBill() {
@@ -33,18 +71,18 @@ export default function PatientDetail() {
   }, [id]);
 
   useEffect(() => {
-    async function fetchPatientTests() {
+    async function fetchPatientTimeline() {
       try {
-        const data = await getPatientTests(id);
-        setTests(data?.data || []);
+        const data: any = await getPatientTimeline(id as string);
+        setTimeline(data?.data?.tests || []);
       } catch (error) {
-        console.error("Error fetching patient tests:", error);
-        setTests([]);
+        console.error("Error fetching patient timeline:", error);
+        setTimeline([]);
       }
     }
   
     if (id) {
-      fetchPatientTests();
+      fetchPatientTimeline();
     }
   }, [id]);
 
@@ -64,6 +102,32 @@ export default function PatientDetail() {
     }
   }, [id]);
 
+  const handleEmailReport = async (testId: number) => {
+    setEmailingTestId(testId);
+    setEmailError(null);
+    try {
+      await resendReportEmail(Number(id), testId);
+      const data = await getPatientReports(id);
+      setReports(data?.data || []);
+    } catch (error: any) {
+      console.error("Error emailing report to patient:", error);
+      setEmailError(error?.response?.data?.error || 'Failed to email the report');
+    } finally {
+      setEmailingTestId(null);
+    }
+  };
+
+  const handleShowPassword = async (testId: number) => {
+    setEmailError(null);
+    try {
+      const data: any = await getReportDeliveryPassword(Number(id), testId);
+      setReportPasswords((current) => ({ ...current, [testId]: data?.data?.password }));
+    } catch (error: any) {
+      console.error("Error fetching report password:", error);
+      setEmailError(error?.response?.data?.error || 'Failed to load the report password');
+    }
+  };
+
   useEffect(() => {
     async function fetchPatientReportStatus() {
       try {
@@ -167,41 +231,6 @@ export default function PatientDetail() {
     return null;
   };
 
-  // Helper function to get timeline stages for a test
-  const getTimelineStages = (test: any, testReport: any, testStatus: any, reportDetail: any) => {
-    const stages = [
-      {
-        id: 'billGeneration',
-        label: 'Bill Generation',
-        icon: HiPlus,
-        completed: true, // Always completed if test exists
-        timestamp: billData?.billTime || null,
-      },
-      {
-        id: 'sample',
-        label: 'Sample Collection',
-        icon: HiBeaker,
-        completed: testStatus?.Status === 'Sample Received',
-        timestamp: testStatus?.accessionDate || null,
-      },
-      {
-        id: 'report',
-        label: testReport?.status || reportDetail?.status || 'Report Generation',
-        icon: HiDocument,
-        completed: !!(testReport?.status || reportDetail),
-        timestamp: testReport?.sampleDate || reportDetail?.['Sample Date'] || reportDetail?.['Report Date'] || null,
-      },
-      {
-        id: 'print',
-        label: 'Report Print',
-        icon: HiPrinter,
-        completed: testReport?.status === 'Report PDF (Webhook)',
-        timestamp: reportDetail?.['Report Date'] || null,
-      }
-    ];
-    return stages;
-  };
-
   return (
     <Layout>
       <div className="p-2 space-y-2 bg-gray-50">
@@ -235,7 +264,13 @@ export default function PatientDetail() {
             <div className="grid grid-cols-2 gap-x-6 gap-y-2 flex-1">
               <div className="flex items-center gap-2">
                 <p className="text-xs text-white text-opacity-80">Patient ID:</p>
-                <p className="text-sm font-medium text-white">{billData['Patient Id'] || 'N/A'}</p>
+                {billData['Patient Id'] ? (
+                  <Link href={`/patients/PAT-${billData['Patient Id']}`} className="text-sm font-medium text-white underline" title="All visits of this patient">
+                    {billData['Patient Id']}
+                  </Link>
+                ) : (
+                  <p className="text-sm font-medium text-white">N/A</p>
+                )}
             </div>
               <div className="flex items-center gap-2">
                 <p className="text-xs text-white text-opacity-80">Age:</p>
@@ -333,9 +368,7 @@ export default function PatientDetail() {
                 (() => {
                   const test = billInfoDetails[activeTestTab];
                   const testReport = reports.find((r: any) => r.testId === test.testId);
-                  const testStatus = tests.find((t: any) => t.testID?.includes(test.testId));
-                  const reportDetail = reportDetails.find((rd: any) => rd.reportID?.testID === test.testId);
-                  const stages = getTimelineStages(test, testReport, testStatus, reportDetail);
+                  const stages = timeline.find((t) => t.testId === test.testId)?.stages || PENDING_STAGES;
                 
                 return (
                     <div className="border border-gray-200 rounded-lg p-2">
@@ -361,14 +394,14 @@ export default function PatientDetail() {
                       {/* Progress Timeline Pipeline */}
                     <div className="relative">
                         {stages.map((stage, stageIndex) => {
-                        const Icon = stage.icon;
+                        const Icon = STAGE_ICONS[stage.stage] || HiDocument;
                           const isLast = stageIndex === stages.length - 1;
                         const isCompleted = stage.completed;
                           const nextStage = stages[stageIndex + 1];
                         const isNextCompleted = nextStage?.completed || false;
                         
                         return (
-                            <div key={stage.id} className="relative flex items-start gap-3 pb-4">
+                            <div key={stage.stage} className="relative flex items-start gap-3 pb-4">
                             {/* Vertical Line */}
                             {!isLast && (
                               <div
@@ -405,6 +438,9 @@ export default function PatientDetail() {
                               }`}>
                                 {stage.label}
                               </p>
+                              {stage.actor && (
+                                <p className="text-xs text-gray-500 mt-1 truncate">{stage.actor}</p>
+                              )}
                               {stage.timestamp ? (
                                 <p className="text-xs text-gray-400 mt-1">
                                     {formatDate(stage.timestamp)}
@@ -419,25 +455,72 @@ export default function PatientDetail() {
                     </div>
 
                     {/* View Report Button */}
-                      {testReport?.reportBase64 && (
+                      {testReport?.pdf?.storageKey && (
                         <div className="mt-2 pt-2 border-t border-gray-200">
-                        <button
-                          onClick={() => {
-                              const byteCharacters = atob(testReport.reportBase64);
-                            const byteNumbers = new Array(byteCharacters.length);
-                            for (let i = 0; i < byteCharacters.length; i++) {
-                              byteNumbers[i] = byteCharacters.charCodeAt(i);
-                            }
-                            const byteArray = new Uint8Array(byteNumbers);
-                            const blob = new Blob([byteArray], { type: 'application/pdf' });
-                            const url = URL.createObjectURL(blob);
-                            window.open(url, '_blank');
-                          }}
-                            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors w-full justify-center"
-                        >
-                          <HiDownload className="w-4 h-4" />
-                            View Report PDF
-                        </button>
+                        <ReportViewer
+                          billId={testReport.billId}
+                          testId={testReport.testId}
+                          title={`${billData['Patient Name'] || 'Patient'} - ${test.testname || test.TestDetails?.TestName || 'Report'}`}
+                        />
+
+                        {/* Patient Email Delivery */}
+                        <div className="flex items-center justify-between gap-2 mt-2">
+                          <div className="min-w-0 text-xs">
+                            {testReport.patientDelivery?.status ? (
+                              <>
+                                <span className={`px-2 py-0.5 rounded-full font-medium capitalize ${
+                                  testReport.patientDelivery.status === 'sent'
+                                    ? 'bg-green-100 text-green-700'
+                                    : testReport.patientDelivery.status === 'failed'
+                                    ? 'bg-red-100 text-red-700'
+                                    : testReport.patientDelivery.status === 'pending'
+                                    ? 'bg-blue-100 text-blue-700'
+                                    : 'bg-gray-100 text-gray-600'
+                                }`}>
+                                  {testReport.patientDelivery.status === 'sent' ? 'Emailed' : testReport.patientDelivery.status}
+                                </span>
+                                {testReport.patientDelivery.passwordProtected && testReport.patientDelivery.status === 'sent' && (
+                                  <span className="ml-1 text-gray-500">🔒</span>
+                                )}
+                                {testReport.patientDelivery.passwordProtected && testReport.patientDelivery.status === 'sent' && canEmailReports && (
+                                  reportPasswords[test.testId] ? (
+                                    <span className="ml-1 font-mono text-gray-700 select-all">{reportPasswords[test.testId]}</span>
+                                  ) : (
+                                    <button
+                                      onClick={() => handleShowPassword(test.testId)}
+                                      className="ml-1 text-blue-600 hover:underline"
+                                      title="Give this password to the patient by phone or at the counter"
+                                    >
+                                      Password
+                                    </button>
+                                  )
+                                )}
+                                <p className="text-gray-500 mt-1 truncate" title={testReport.patientDelivery.reason || testReport.patientDelivery.email || ''}>
+                                  {testReport.patientDelivery.status === 'sent'
+                                    ? `${testReport.patientDelivery.email} • ${formatDate(testReport.patientDelivery.sentAt)}`
+                                    : testReport.patientDelivery.reason || (testReport.patientDelivery.lastAttemptAt ? formatDate(testReport.patientDelivery.lastAttemptAt) : 'Queued')}
+                                </p>
+                              </>
+                            ) : (
+                              <span className="text-gray-400">Not emailed to patient</span>
+                            )}
+                          </div>
+                          {canEmailReports && (
+                            <button
+                              onClick={() => handleEmailReport(test.testId)}
+                              disabled={emailingTestId === test.testId}
+                              className="flex items-center gap-1 px-3 py-1.5 border border-blue-600 text-blue-600 text-xs font-medium rounded-md hover:bg-blue-50 transition-colors flex-shrink-0 disabled:opacity-50"
+                            >
+                              <HiMail className="w-4 h-4" />
+                              {emailingTestId === test.testId
+                                ? 'Sending...'
+                                : testReport.patientDelivery?.status ? 'Resend' : 'Email to patient'}
+                            </button>
+                          )}
+                        </div>
+                        {emailError && (
+                          <p className="text-xs text-red-600 mt-1">{emailError}</p>
+                        )}
                       </div>
                     )}
                   </div>
@@ -0,0 +1,393 @@
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { HiChevronDown, HiChevronUp, HiX } from 'react-icons/hi'
+import Layout from '@/components/Layout'
+import { getPatientDirectory, getPatientDirectoryFilters, getPatientById } from '@/lib/api'
+
+interface Doctor {
+  _id: string
+  doctorId: string
+  name: string
+  specialty?: string
+  email?: string
+  phone?: string
+}
+
+interface PatientRecord {
+  _id: string
+  patientId: string
+  labPatientId?: string
+  designation?: string
+  name: string
+  age?: number
+  gender?: string
+  phone?: string
+  email?: string
+  status: string
+  reportStatus?: string
+  assignedDoctor?: Doctor | null
+  billIdNumber?: number
+  billTime?: string
+  testName?: string
+  labName?: string
+  orgName?: string
+  lastVisitDate?: string
+  registrationDate?: string
+}
+
+interface FilterOptions {
+  statuses: string[]
+  genders: string[]
+  labs: { labId: number; labName?: string }[]
+  orgs: { orgId: number; orgName?: string }[]
+  doctors: Doctor[]
+}
+
+interface Filters {
+  search: string
+  status: string
+  gender: string
+  minAge: string
+  maxAge: string
+  labId: string
+  orgId: string
+  doctorId: string
+}
+
+type SortField = 'name' | 'age' | 'gender' | 'status' | 'labName' | 'billTime' | 'lastVisitDate'
+
+const emptyFilters: Filters = { search: '', status: '', gender: '', minAge: '', maxAge: '', labId: '', orgId: '', doctorId: '' }
+
+const columns: { field: SortField; label: string }[] = [
+  { field: 'name', label: 'Patient' },
+  { field: 'age', label: 'Age' },
+  { field: 'gender', label: 'Gender' },
+  { field: 'status', label: 'Status' },
+  { field: 'labName', label: 'Lab / Organization' },
+  { field: 'billTime', label: 'Latest bill' },
+  { field: 'lastVisitDate', label: 'Last visit' },
+]
+
+const formatDate = (dateStr?: string) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' }) : '-'
+
+// Drop empty filters so they are not sent as query parameters
+const toParams = (filters: Filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+
+export default function PatientsPage() {
+  const [filters, setFilters] = useState<Filters>(emptyFilters)
+  const [options, setOptions] = useState<FilterOptions | null>(null)
+  const [sortBy, setSortBy] = useState<SortField>('lastVisitDate')
+  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc')
+  const [patients, setPatients] = useState<PatientRecord[]>([])
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [selected, setSelected] = useState<PatientRecord | null>(null)
+
+  useEffect(() => {
+    getPatientDirectoryFilters()
+      .then((response: any) => setOptions(response?.data || null))
+      .catch((err: any) => console.error('❌ Error fetching patient filters:', err?.response?.data || err?.message))
+  }, [])
+
+  const fetchPatients = useCallback(async () => {
+    setError(null)
+    try {
+      setLoading(true)
+      const response: any = await getPatientDirectory({ ...toParams(filters), sortBy, sortOrder, page, limit: 25 })
+      setPatients(response?.data || [])
+      setPages(response?.pagination?.pages || 1)
+      setTotal(response?.pagination?.total || 0)
+    } catch (err: any) {
+      console.error('❌ Error fetching patients:', err?.response?.data || err?.message)
+      setError(err?.response?.data?.error || 'Failed to load patients')
+      setPatients([])
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, sortBy, sortOrder, page])
+
+  useEffect(() => {
+    fetchPatients()
+  }, [fetchPatients])
+
+  const updateFilter = (field: keyof Filters, value: string) => {
+    setFilters((current) => ({ ...current, [field]: value }))
+    setPage(1)
+  }
+
+  const handleSort = (field: SortField) => {
+    if (field === sortBy) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')
+    } else {
+      setSortBy(field)
+      setSortOrder(field === 'name' || field === 'labName' ? 'asc' : 'desc')
+    }
+    setPage(1)
+  }
+
+  const handleSelect = async (patient: PatientRecord) => {
+    setSelected(patient)
+    try {
+      const response: any = await getPatientById(patient.patientId)
+      setSelected(response?.data || patient)
+    } catch (err: any) {
+      console.error('❌ Error fetching patient:', err?.response?.data || err?.message)
+    }
+  }
+
+  const selectClass = 'block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800'
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Patients</h1>
+          <p className="text-sm text-gray-500">Consolidated patient records from every bill.</p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3 items-end">
+            <label className="text-xs text-gray-500 col-span-2">
+              Search
+              <input
+                type="text"
+                placeholder="Name or patient ID"
+                value={filters.search}
+                onChange={(event) => updateFilter('search', event.target.value)}
+                className={selectClass}
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Status
+              <select value={filters.status} onChange={(event) => updateFilter('status', event.target.value)} className={selectClass}>
+                <option value="">All</option>
+                {options?.statuses.map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Gender
+              <select value={filters.gender} onChange={(event) => updateFilter('gender', event.target.value)} className={selectClass}>
+                <option value="">All</option>
+                {options?.genders.map((gender) => (
+                  <option key={gender} value={gender}>{gender}</option>
+                ))}
+              </select>
+            </label>
+            <div className="text-xs text-gray-500">
+              Age
+              <div className="flex items-center gap-1 mt-1">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Min"
+                  value={filters.minAge}
+                  onChange={(event) => updateFilter('minAge', event.target.value.replace(/\D/g, ''))}
+                  className="w-full px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+                />
+                <span>-</span>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Max"
+                  value={filters.maxAge}
+                  onChange={(event) => updateFilter('maxAge', event.target.value.replace(/\D/g, ''))}
+                  className="w-full px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+                />
+              </div>
+            </div>
+            <label className="text-xs text-gray-500">
+              Lab
+              <select value={filters.labId} onChange={(event) => updateFilter('labId', event.target.value)} className={selectClass}>
+                <option value="">All labs</option>
+                {options?.labs.map((lab) => (
+                  <option key={lab.labId} value={lab.labId}>{lab.labName || `Lab ${lab.labId}`}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Organization
+              <select value={filters.orgId} onChange={(event) => updateFilter('orgId', event.target.value)} className={selectClass}>
+                <option value="">All organizations</option>
+                {options?.orgs.map((org) => (
+                  <option key={org.orgId} value={org.orgId}>{org.orgName || `Organization ${org.orgId}`}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Doctor
+              <select value={filters.doctorId} onChange={(event) => updateFilter('doctorId', event.target.value)} className={selectClass}>
+                <option value="">All doctors</option>
+                <option value="none">No doctor assigned</option>
+                {options?.doctors.map((doctor) => (
+                  <option key={doctor._id} value={doctor._id}>{doctor.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {error && <p className="text-xs text-red-600 mt-4">{error}</p>}
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-[1fr_20rem] gap-6 items-start">
+          {/* Patients */}
+          <div className="bg-white rounded-2xl p-6 overflow-x-auto" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+            {loading ? (
+              <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+            ) : patients.length === 0 ? (
+              <div className="py-12 text-center text-xs text-gray-500">No patients found</div>
+            ) : (
+              <>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                      {columns.map((column) => (
+                        <th key={column.field} className="py-2 pr-4 font-medium">
+                          <button onClick={() => handleSort(column.field)} className="flex items-center gap-1 hover:text-gray-800">
+                            {column.label}
+                            {sortBy === column.field && (sortOrder === 'asc' ? <HiChevronUp className="w-3 h-3" /> : <HiChevronDown className="w-3 h-3" />)}
+                          </button>
+                        </th>
+                      ))}
+                      <th className="py-2 font-medium">Doctor</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {patients.map((patient) => (
+                      <tr
+                        key={patient._id}
+                        onClick={() => handleSelect(patient)}
+                        className={`border-b border-gray-50 cursor-pointer hover:bg-gray-50 ${selected?._id === patient._id ? 'bg-teal-50' : ''}`}
+                      >
+                        <td className="py-2 pr-4">
+                          <p className="font-medium text-gray-800">
+                            {patient.designation && <span className="text-gray-500 font-normal">{patient.designation} </span>}
+                            {patient.name}
+                          </p>
+                          <p className="text-xs text-gray-400">{patient.patientId}</p>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{patient.age ?? '-'}</td>
+                        <td className="py-2 pr-4 text-gray-600">{patient.gender || '-'}</td>
+                        <td className="py-2 pr-4">
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-teal-50 text-teal-700">{patient.status}</span>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">
+                          <p>{patient.labName || '-'}</p>
+                          {patient.orgName && <p className="text-xs text-gray-400">{patient.orgName}</p>}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {patient.billIdNumber ? (
+                            <Link
+                              href={`/patient/${patient.billIdNumber}`}
+                              onClick={(event) => event.stopPropagation()}
+                              className="text-teal-600 hover:underline"
+                            >
+                              {patient.billIdNumber}
+                            </Link>
+                          ) : (
+                            '-'
+                          )}
+                          <p className="text-xs text-gray-400">{formatDate(patient.billTime)}</p>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(patient.lastVisitDate)}</td>
+                        <td className="py-2 text-gray-600">{patient.assignedDoctor?.name || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="flex items-center justify-between mt-4 text-xs text-gray-500">
+                  <span>{total} patients</span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setPage(page - 1)}
+                      disabled={page <= 1}
+                      className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span>Page {page} of {pages}</span>
+                    <button
+                      onClick={() => setPage(page + 1)}
+                      disabled={page >= pages}
+                      className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Selected patient */}
+          {selected && (
+            <div className="bg-white rounded-2xl p-6 space-y-3" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-800">{selected.name}</h2>
+                  <p className="text-xs text-gray-500">
+                    {selected.patientId}
+                    {selected.labPatientId && ` • ${selected.labPatientId}`}
+                  </p>
+                </div>
+                <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">
+                  <HiX className="w-4 h-4" />
+                </button>
+              </div>
+              <dl className="grid grid-cols-[7rem_1fr] gap-y-2 text-sm">
+                <dt className="text-xs text-gray-500">Age / Gender</dt>
+                <dd className="text-gray-800">{selected.age ?? '-'} / {selected.gender || '-'}</dd>
+                <dt className="text-xs text-gray-500">Phone</dt>
+                <dd className="text-gray-800">{selected.phone || '-'}</dd>
+                <dt className="text-xs text-gray-500">Email</dt>
+                <dd className="text-gray-800 break-all">{selected.email || '-'}</dd>
+                <dt className="text-xs text-gray-500">Status</dt>
+                <dd className="text-gray-800">{selected.status}</dd>
+                <dt className="text-xs text-gray-500">Report</dt>
+                <dd className="text-gray-800">{selected.reportStatus || '-'}</dd>
+                <dt className="text-xs text-gray-500">Latest test</dt>
+                <dd className="text-gray-800">{selected.testName || '-'}</dd>
+                <dt className="text-xs text-gray-500">Doctor</dt>
+                <dd className="text-gray-800">
+                  {selected.assignedDoctor?.name || '-'}
+                  {selected.assignedDoctor?.specialty && <p className="text-xs text-gray-400">{selected.assignedDoctor.specialty}</p>}
+                </dd>
+                <dt className="text-xs text-gray-500">Registered</dt>
+                <dd className="text-gray-800">{formatDate(selected.registrationDate)}</dd>
+              </dl>
+              <div className="flex gap-2">
+                <Link
+                  href={`/patients/${encodeURIComponent(selected.patientId)}`}
+                  className="flex-1 text-center px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600"
+                >
+                  History
+                </Link>
+                {selected.billIdNumber && (
+                  <Link
+                    href={`/patient/${selected.billIdNumber}`}
+                    className="flex-1 text-center px-4 py-2 border border-teal-500 text-teal-600 text-sm font-medium rounded-lg hover:bg-teal-50"
+                  >
+                    Latest bill
+                  </Link>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
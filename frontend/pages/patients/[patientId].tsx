@@ -0,0 +1,208 @@
+import { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import { HiArrowLeft } from 'react-icons/hi'
+import Layout from '@/components/Layout'
+import { getPatientHistory } from '@/lib/api'
+
+interface HistoryTest {
+  testId: number
+  testName?: string
+  testCode?: string
+  department?: string
+  imagingType?: string
+  testAmount?: number | null
+  stage: 'billed' | 'sampleReceived' | 'reportSigned' | 'reportPdf'
+  signedAt?: string | null
+  signingDoctor?: string | null
+  report?: { status: string; hasPdf: boolean } | null
+}
+
+interface HistoryBill {
+  billId: number
+  billTime: string
+  labName?: string
+  orgName?: string
+  billReferral?: string
+  billTotalAmount: number
+  dueAmount: number
+  tests: HistoryTest[]
+}
+
+interface PatientHistory {
+  patient: {
+    patientId: string
+    labPatientId?: string
+    designation?: string
+    name: string
+    age?: number
+    gender?: string
+    phone?: string
+    email?: string
+    assignedDoctor?: { name: string } | null
+  }
+  summary: {
+    visits: number
+    bills: number
+    tests: number
+    reports: number
+    totalSpend: number
+    totalDue: number
+    firstVisit: string | null
+    lastVisit: string | null
+    labs: string[]
+  }
+  bills: HistoryBill[]
+}
+
+const STAGE_LABELS: Record<HistoryTest['stage'], { label: string; className: string }> = {
+  billed: { label: 'Billed', className: 'bg-gray-100 text-gray-600' },
+  sampleReceived: { label: 'Sample received', className: 'bg-blue-100 text-blue-700' },
+  reportSigned: { label: 'Report signed', className: 'bg-purple-100 text-purple-700' },
+  reportPdf: { label: 'Report ready', className: 'bg-green-100 text-green-700' },
+}
+
+const formatDate = (dateStr?: string | null) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' }) : '-'
+
+const formatCurrency = (amount?: number | null) => (amount === null || amount === undefined ? '-' : `₹${amount.toFixed(2)}`)
+
+export default function PatientHistoryPage() {
+  const router = useRouter()
+  const { patientId } = router.query
+  const [history, setHistory] = useState<PatientHistory | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!patientId) return
+    async function fetchHistory() {
+      setError(null)
+      try {
+        setLoading(true)
+        const response: any = await getPatientHistory(patientId as string)
+        setHistory(response?.data || null)
+      } catch (err: any) {
+        console.error('❌ Error fetching patient history:', err?.response?.data || err?.message)
+        setError(err?.response?.data?.error || 'Failed to load the patient history')
+        setHistory(null)
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchHistory()
+  }, [patientId])
+
+  const patient = history?.patient
+  const summary = history?.summary
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => router.push('/patients')}
+            className="flex items-center justify-center w-8 h-8 rounded-lg text-gray-500 hover:bg-gray-100"
+          >
+            <HiArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">
+              {patient?.designation && <span className="text-gray-500 font-normal">{patient.designation} </span>}
+              {patient?.name || 'Patient history'}
+            </h1>
+            <p className="text-sm text-gray-500">
+              {patientId}
+              {patient?.labPatientId && ` • ${patient.labPatientId}`}
+              {patient?.age !== undefined && patient?.age !== null && ` • ${patient.age} yrs`}
+              {patient?.gender && ` • ${patient.gender}`}
+            </p>
+          </div>
+        </div>
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+        ) : history && summary ? (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { label: 'Visits', value: summary.visits, note: `${summary.bills} bill(s)` },
+                { label: 'Tests', value: summary.tests, note: `${summary.reports} report(s) ready` },
+                { label: 'Total spend', value: formatCurrency(summary.totalSpend), note: `${formatCurrency(summary.totalDue)} due` },
+                { label: 'Last visit', value: formatDate(summary.lastVisit), note: `First ${formatDate(summary.firstVisit)}` },
+              ].map((card) => (
+                <div key={card.label} className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+                  <p className="text-xs text-gray-500">{card.label}</p>
+                  <p className="text-2xl font-bold text-gray-800">{card.value}</p>
+                  <p className="text-xs text-gray-400">{card.note}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* Bills */}
+            <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+              <h2 className="text-lg font-semibold text-gray-800 mb-4">Bills</h2>
+              {history.bills.length === 0 ? (
+                <div className="py-6 text-center text-xs text-gray-500">No bills found for this patient</div>
+              ) : (
+                <div className="space-y-4">
+                  {history.bills.map((bill) => (
+                    <div key={bill.billId} className="border border-gray-100 rounded-xl p-4">
+                      <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+                        <div>
+                          <Link href={`/patient/${bill.billId}`} className="font-medium text-teal-600 hover:underline">
+                            Bill {bill.billId}
+                          </Link>
+                          <p className="text-xs text-gray-500">
+                            {formatDate(bill.billTime)}
+                            {bill.labName && ` • ${bill.labName}`}
+                            {bill.orgName && ` • ${bill.orgName}`}
+                            {bill.billReferral && ` • ${bill.billReferral.replace(/;$/, '')}`}
+                          </p>
+                        </div>
+                        <div className="text-right text-sm">
+                          <p className="font-medium text-gray-800">{formatCurrency(bill.billTotalAmount)}</p>
+                          {bill.dueAmount > 0 && <p className="text-xs text-red-600">{formatCurrency(bill.dueAmount)} due</p>}
+                        </div>
+                      </div>
+                      <table className="w-full text-sm">
+                        <tbody>
+                          {bill.tests.map((test) => (
+                            <tr key={test.testId} className="border-t border-gray-50">
+                              <td className="py-2 pr-4">
+                                <p className="text-gray-800">{test.testName || test.testCode || `Test ${test.testId}`}</p>
+                                <p className="text-xs text-gray-400">{test.imagingType || test.department || ''}</p>
+                              </td>
+                              <td className="py-2 pr-4">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STAGE_LABELS[test.stage].className}`}>
+                                  {STAGE_LABELS[test.stage].label}
+                                </span>
+                              </td>
+                              <td className="py-2 pr-4 text-xs text-gray-500">
+                                {test.signingDoctor ? `${test.signingDoctor} • ${formatDate(test.signedAt)}` : ''}
+                              </td>
+                              <td className="py-2 text-right text-gray-600">{formatCurrency(test.testAmount)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        ) : null}
+      </motion.div>
+    </Layout>
+  )
+}
@@ -0,0 +1,420 @@
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import Layout from '@/components/Layout'
+import {
+  getDuplicateCandidates,
+  scanDuplicatePatients,
+  dismissDuplicateCandidate,
+  mergeDuplicateCandidate,
+  getPatientMerges,
+  undoPatientMerge,
+  waitForJob,
+} from '@/lib/api'
+
+interface CandidatePatient {
+  _id: string
+  patientId: string
+  labPatientId?: string
+  designation?: string
+  name: string
+  age?: number
+  gender?: string
+  dateOfBirth?: string
+  phone?: string
+  email?: string
+  billIdNumber?: number
+  labName?: string
+  lastVisitDate?: string
+}
+
+interface Candidate {
+  _id: string
+  // A record merged elsewhere in the meantime is no longer populated
+  patients: (CandidatePatient | null)[]
+  score: number
+  reasons: { field: string; points: number; detail: string }[]
+  status: 'pending' | 'dismissed' | 'merged'
+  reviewedBy?: { name: string }
+  reviewedAt?: string
+}
+
+interface Merge {
+  _id: string
+  survivorPatientId: string
+  duplicatePatientId: string
+  duplicateName?: string
+  movedIdentities: string[]
+  addedReports: string[]
+  mergedBy?: { name: string }
+  // merging / undoing: interrupted half-way, finished by the next scan
+  status: 'merging' | 'merged' | 'undoing' | 'undone'
+  undoneBy?: { name: string }
+  undoneAt?: string
+  createdAt: string
+}
+
+interface ScanSummary {
+  patients: number
+  compared: number
+  candidates: number
+  created: number
+  removed: number
+}
+
+const STATUSES: { value: Candidate['status']; label: string }[] = [
+  { value: 'pending', label: 'To review' },
+  { value: 'dismissed', label: 'Not duplicates' },
+  { value: 'merged', label: 'Merged' },
+]
+
+const formatDate = (dateStr?: string) =>
+  dateStr ? new Date(dateStr).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' }) : '-'
+
+const PATIENT_ROWS: { label: string; value: (patient: CandidatePatient) => string }[] = [
+  { label: 'Patient ID', value: (patient) => [patient.patientId, patient.labPatientId].filter(Boolean).join(' • ') },
+  { label: 'Age / Gender', value: (patient) => [patient.age !== undefined && patient.age !== null ? `${patient.age} yrs` : '', patient.gender].filter(Boolean).join(' • ') },
+  { label: 'Date of birth', value: (patient) => formatDate(patient.dateOfBirth) },
+  { label: 'Phone', value: (patient) => patient.phone || '-' },
+  { label: 'Email', value: (patient) => patient.email || '-' },
+  { label: 'Lab', value: (patient) => patient.labName || '-' },
+  { label: 'Last visit', value: (patient) => formatDate(patient.lastVisitDate) },
+]
+
+const formatDateTime = (dateStr: string) =>
+  new Date(dateStr).toLocaleString('en-US', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+const scoreClass = (score: number) =>
+  score >= 85 ? 'bg-red-100 text-red-700' : score >= 70 ? 'bg-orange-100 text-orange-700' : 'bg-yellow-100 text-yellow-700'
+
+export default function DuplicatePatientsPage() {
+  const [status, setStatus] = useState<Candidate['status']>('pending')
+  const [candidates, setCandidates] = useState<Candidate[]>([])
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [merges, setMerges] = useState<Merge[]>([])
+  const [scanSummary, setScanSummary] = useState<ScanSummary | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchCandidates = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response: any = await getDuplicateCandidates({ status, page, limit: 10 })
+      setCandidates(response?.data || [])
+      setPages(response?.pagination?.pages || 1)
+      setTotal(response?.pagination?.total || 0)
+    } catch (err: any) {
+      console.error('❌ Error fetching duplicate patients:', err?.response?.data || err?.message)
+      setError(err?.response?.data?.error || 'Failed to load the duplicate patients')
+      setCandidates([])
+    } finally {
+      setLoading(false)
+    }
+  }, [status, page])
+
+  const fetchMerges = useCallback(async () => {
+    try {
+      const response: any = await getPatientMerges({ limit: 20 })
+      setMerges(response?.data || [])
+    } catch (err: any) {
+      console.error('❌ Error fetching patient merges:', err?.response?.data || err?.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchCandidates()
+  }, [fetchCandidates])
+
+  useEffect(() => {
+    fetchMerges()
+  }, [fetchMerges])
+
+  const handleScan = async () => {
+    setError(null)
+    try {
+      setBusy('scan')
+      const response: any = await scanDuplicatePatients()
+      // Scans run on the background job queue
+      const job: any = await waitForJob(response?.data?._id)
+      if (job?.status !== 'completed') {
+        setError(job?.lastError || 'The duplicate scan failed')
+        return
+      }
+      setScanSummary(job.result || null)
+      fetchCandidates()
+      fetchMerges()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to scan for duplicates')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleMerge = async (candidate: Candidate, keep: CandidatePatient, duplicate: CandidatePatient) => {
+    if (!window.confirm(`Merge ${duplicate.patientId} into ${keep.patientId}? ${duplicate.patientId} is removed; the merge can be undone.`)) return
+    setError(null)
+    try {
+      setBusy(candidate._id)
+      await mergeDuplicateCandidate(candidate._id, keep._id)
+      fetchCandidates()
+      fetchMerges()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to merge the patients')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDismiss = async (candidate: Candidate) => {
+    setError(null)
+    try {
+      setBusy(candidate._id)
+      await dismissDuplicateCandidate(candidate._id)
+      fetchCandidates()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to dismiss the pair')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleUndo = async (merge: Merge) => {
+    if (!window.confirm(`Undo the merge and restore ${merge.duplicatePatientId}?`)) return
+    setError(null)
+    try {
+      setBusy(merge._id)
+      await undoPatientMerge(merge._id)
+      fetchMerges()
+      fetchCandidates()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to undo the merge')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Duplicate Patients</h1>
+            <p className="text-sm text-gray-500">
+              Records that probably belong to the same person, scored on name, phone, date of birth, age and gender.
+            </p>
+            {scanSummary && (
+              <p className="text-xs text-gray-500 mt-1">
+                Scanned {scanSummary.patients} patients ({scanSummary.compared} pairs compared): {scanSummary.candidates} likely
+                duplicate(s), {scanSummary.created} new
+              </p>
+            )}
+          </div>
+          <button
+            onClick={handleScan}
+            disabled={busy !== null}
+            className="px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+          >
+            {busy === 'scan' ? 'Scanning...' : 'Scan now'}
+          </button>
+        </div>
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {/* Review queue */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="flex gap-2 mb-4">
+            {STATUSES.map((item) => (
+              <button
+                key={item.value}
+                onClick={() => {
+                  setStatus(item.value)
+                  setPage(1)
+                }}
+                className={`px-3 py-1.5 text-sm rounded-lg ${
+                  status === item.value ? 'bg-teal-500 text-white' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="py-6 text-center text-xs text-gray-500">Loading...</div>
+          ) : candidates.length === 0 ? (
+            <div className="py-6 text-center text-xs text-gray-500">No pairs</div>
+          ) : (
+            <div className="space-y-4">
+              {candidates.map((candidate) => {
+                const [first, second] = candidate.patients
+                return (
+                  <div key={candidate._id} className="border border-gray-100 rounded-xl p-4">
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${scoreClass(candidate.score)}`}>
+                        {candidate.score}
+                      </span>
+                      {candidate.reasons.map((reason) => (
+                        <span
+                          key={reason.field}
+                          className={`px-2 py-0.5 rounded-full text-xs ${reason.points < 0 ? 'bg-gray-100 text-gray-500 line-through' : 'bg-teal-50 text-teal-700'}`}
+                        >
+                          {reason.detail}
+                        </span>
+                      ))}
+                      {candidate.reviewedAt && (
+                        <span className="text-xs text-gray-400 ml-auto">
+                          {formatDateTime(candidate.reviewedAt)}
+                          {candidate.reviewedBy?.name && ` by ${candidate.reviewedBy.name}`}
+                        </span>
+                      )}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {[first, second].map((patient, index) => {
+                        const other = index === 0 ? second : first
+                        return patient ? (
+                          <div key={patient._id} className="bg-gray-50 rounded-lg p-3">
+                            <Link href={`/patients/${encodeURIComponent(patient.patientId)}`} className="font-medium text-teal-600 hover:underline">
+                              {patient.designation && `${patient.designation} `}
+                              {patient.name}
+                            </Link>
+                            <dl className="mt-2 space-y-1 text-xs">
+                              {PATIENT_ROWS.map((row) => (
+                                <div key={row.label} className="flex justify-between gap-2">
+                                  <dt className="text-gray-500">{row.label}</dt>
+                                  <dd className="text-gray-800 text-right">{row.value(patient) || '-'}</dd>
+                                </div>
+                              ))}
+                            </dl>
+                            {candidate.status === 'pending' && other && (
+                              <button
+                                onClick={() => handleMerge(candidate, patient, other)}
+                                disabled={busy !== null}
+                                className="mt-3 w-full px-3 py-1.5 border border-teal-500 text-teal-600 text-xs font-medium rounded-lg hover:bg-teal-50 disabled:opacity-50"
+                              >
+                                Keep this record
+                              </button>
+                            )}
+                          </div>
+                        ) : (
+                          <div key={index} className="bg-gray-50 rounded-lg p-3 text-xs text-gray-500">
+                            Record no longer exists (merged)
+                          </div>
+                        )
+                      })}
+                    </div>
+
+                    {candidate.status === 'pending' && (
+                      <div className="flex justify-end mt-3">
+                        <button
+                          onClick={() => handleDismiss(candidate)}
+                          disabled={busy !== null}
+                          className="text-xs text-gray-500 hover:underline disabled:opacity-50"
+                        >
+                          Not a duplicate
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
+          {!loading && total > 0 && (
+            <div className="flex items-center justify-between mt-4 text-xs text-gray-500">
+              <span>{total} pairs</span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span>Page {page} of {pages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pages}
+                  className="px-3 py-1 border border-gray-200 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Merge history */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Merge history</h2>
+          {merges.length === 0 ? (
+            <div className="py-6 text-center text-xs text-gray-500">No merges yet</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Kept</th>
+                  <th className="py-2 pr-4 font-medium">Merged</th>
+                  <th className="py-2 pr-4 font-medium">Reports moved</th>
+                  <th className="py-2 pr-4 font-medium">When</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {merges.map((merge) => (
+                  <tr key={merge._id} className="border-b border-gray-50">
+                    <td className="py-2 pr-4">
+                      <Link href={`/patients/${encodeURIComponent(merge.survivorPatientId)}`} className="text-teal-600 hover:underline">
+                        {merge.survivorPatientId}
+                      </Link>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-800">
+                      {merge.duplicatePatientId}
+                      {merge.duplicateName && <span className="text-xs text-gray-500"> ({merge.duplicateName})</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">{merge.addedReports.length}</td>
+                    <td className="py-2 pr-4 text-xs text-gray-500">
+                      {formatDateTime(merge.createdAt)}
+                      {merge.mergedBy?.name && ` by ${merge.mergedBy.name}`}
+                      {(merge.status === 'merging' || merge.status === 'undoing') && (
+                        <span className="block text-orange-600">
+                          {merge.status === 'merging' ? 'Merge' : 'Undo'} interrupted; finished by the next scan
+                        </span>
+                      )}
+                      {merge.status === 'undone' && merge.undoneAt && (
+                        <span className="block">
+                          Undone {formatDateTime(merge.undoneAt)}
+                          {merge.undoneBy?.name && ` by ${merge.undoneBy.name}`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right">
+                      {(merge.status === 'merged' || merge.status === 'undoing') && (
+                        <button
+                          onClick={() => handleUndo(merge)}
+                          disabled={busy !== null}
+                          className="text-xs text-red-600 hover:underline disabled:opacity-50"
+                        >
+                          {merge.status === 'undoing' ? 'Finish undo' : 'Undo'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
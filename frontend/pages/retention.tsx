@@ -0,0 +1,272 @@
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import Layout from '@/components/Layout'
+import { getRetention, runRetentionPurge, placeLegalHold, releaseLegalHold, waitForJob } from '@/lib/api'
+
+interface Policy {
+  collection: string
+  retentionDays: number | null
+}
+
+interface LegalHold {
+  _id: string
+  billId: number
+  reason: string
+  placedBy?: { id: string; name: string }
+  createdAt: string
+}
+
+interface CollectionSummary {
+  collection: string
+  retentionDays: number
+  expired: number
+  held: number
+  unconsolidated: number
+  purged: number
+}
+
+interface PurgeSummary {
+  dryRun: boolean
+  purged: number
+  collections: CollectionSummary[]
+}
+
+interface LastPurge {
+  createdAt: string
+  user?: { name: string }
+  details: PurgeSummary
+}
+
+const formatDateTime = (dateStr: string) =>
+  new Date(dateStr).toLocaleString('en-US', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+export default function RetentionPage() {
+  const [policies, setPolicies] = useState<Policy[]>([])
+  const [holds, setHolds] = useState<LegalHold[]>([])
+  const [lastPurge, setLastPurge] = useState<LastPurge | null>(null)
+  const [summary, setSummary] = useState<PurgeSummary | null>(null)
+  const [holdForm, setHoldForm] = useState({ billId: '', reason: '' })
+  const [loading, setLoading] = useState(true)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchRetention = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response: any = await getRetention()
+      setPolicies(response?.data?.policies || [])
+      setHolds(response?.data?.holds || [])
+      setLastPurge(response?.data?.lastPurge || null)
+    } catch (err: any) {
+      console.error('❌ Error fetching retention settings:', err?.response?.data || err?.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRetention()
+  }, [fetchRetention])
+
+  const hasPolicy = policies.some((policy) => policy.retentionDays)
+
+  const handlePurge = async (dryRun: boolean) => {
+    if (!dryRun && !window.confirm('Permanently delete the expired raw webhook documents?')) return
+    setError(null)
+    try {
+      setRunning(true)
+      // Purges run on the background job queue, one at a time with the scheduled purge
+      const response: any = await runRetentionPurge(dryRun)
+      const job: any = await waitForJob(response?.data?._id)
+      if (job?.status !== 'completed') {
+        setError(job?.lastError || 'The purge failed')
+        return
+      }
+      setSummary(job.result || null)
+      if (!dryRun) fetchRetention()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to run the purge')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handlePlaceHold = async () => {
+    setError(null)
+    try {
+      await placeLegalHold(holdForm.billId, holdForm.reason)
+      setHoldForm({ billId: '', reason: '' })
+      fetchRetention()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to place the legal hold')
+    }
+  }
+
+  const handleReleaseHold = async (hold: LegalHold) => {
+    if (!window.confirm(`Release the legal hold on bill ${hold.billId}? Its raw data can then be purged.`)) return
+    setError(null)
+    try {
+      await releaseLegalHold(hold.billId)
+      fetchRetention()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to release the legal hold')
+    }
+  }
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Data Retention</h1>
+          <p className="text-sm text-gray-500">
+            Raw webhook documents are purged once they expire and their bill is consolidated. Reports and patients are always kept.
+          </p>
+        </div>
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {/* Policies and purge */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800">Retention periods</h2>
+              <p className="text-xs text-gray-500">
+                {lastPurge
+                  ? `Last purge ${formatDateTime(lastPurge.createdAt)} by ${lastPurge.user?.name || 'the scheduler'}: ${lastPurge.details?.purged ?? 0} document(s)`
+                  : 'No purge has run yet'}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handlePurge(true)}
+                disabled={running || !hasPolicy}
+                className="px-4 py-2 border border-teal-500 text-teal-600 text-sm font-medium rounded-lg hover:bg-teal-50 disabled:opacity-50"
+              >
+                {running ? 'Running...' : 'Dry run'}
+              </button>
+              <button
+                onClick={() => handlePurge(false)}
+                disabled={running || !hasPolicy}
+                className="px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+              >
+                Purge now
+              </button>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="py-6 text-center text-xs text-gray-500">Loading...</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Collection</th>
+                  <th className="py-2 pr-4 font-medium">Kept for</th>
+                  <th className="py-2 pr-4 font-medium">Expired</th>
+                  <th className="py-2 pr-4 font-medium">{summary?.dryRun ? 'Would purge' : 'Purged'}</th>
+                  <th className="py-2 pr-4 font-medium">On legal hold</th>
+                  <th className="py-2 font-medium">Not consolidated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {policies.map((policy) => {
+                  const result = summary?.collections.find((item) => item.collection === policy.collection)
+                  return (
+                    <tr key={policy.collection} className="border-b border-gray-50">
+                      <td className="py-2 pr-4 font-medium text-gray-800">{policy.collection}</td>
+                      <td className="py-2 pr-4 text-gray-600">{policy.retentionDays ? `${policy.retentionDays} days` : 'Forever'}</td>
+                      <td className="py-2 pr-4 text-gray-600">{result?.expired ?? '-'}</td>
+                      <td className="py-2 pr-4 text-gray-600">{result?.purged ?? '-'}</td>
+                      <td className="py-2 pr-4 text-gray-600">{result?.held ?? '-'}</td>
+                      <td className="py-2 text-gray-600">{result?.unconsolidated ?? '-'}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+          {!loading && !hasPolicy && (
+            <p className="text-xs text-gray-500 mt-4">
+              Nothing is purged until a retention period is set (RETENTION_REQUEST_DUMP_DAYS, RETENTION_SAMPLE_STATUS_DAYS, RETENTION_REPORT_STATUS_DAYS).
+            </p>
+          )}
+        </div>
+
+        {/* Legal holds */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Legal holds</h2>
+          <div className="flex flex-wrap items-end gap-3 mb-4">
+            <label className="text-xs text-gray-500">
+              Bill ID
+              <input
+                type="text"
+                inputMode="numeric"
+                value={holdForm.billId}
+                onChange={(event) => setHoldForm({ ...holdForm, billId: event.target.value.replace(/\D/g, '') })}
+                className="block w-32 mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500 flex-1 min-w-[16rem]">
+              Reason
+              <input
+                type="text"
+                value={holdForm.reason}
+                onChange={(event) => setHoldForm({ ...holdForm, reason: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <button
+              onClick={handlePlaceHold}
+              disabled={!holdForm.billId || !holdForm.reason.trim()}
+              className="px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+            >
+              Place hold
+            </button>
+          </div>
+
+          {holds.length === 0 ? (
+            <div className="py-6 text-center text-xs text-gray-500">No bills on legal hold</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Bill</th>
+                  <th className="py-2 pr-4 font-medium">Reason</th>
+                  <th className="py-2 pr-4 font-medium">Placed</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {holds.map((hold) => (
+                  <tr key={hold._id} className="border-b border-gray-50">
+                    <td className="py-2 pr-4">
+                      <Link href={`/patient/${hold.billId}`} className="text-teal-600 hover:underline">
+                        {hold.billId}
+                      </Link>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-800">{hold.reason}</td>
+                    <td className="py-2 pr-4 text-xs text-gray-500">
+                      {formatDateTime(hold.createdAt)}
+                      {hold.placedBy?.name && ` by ${hold.placedBy.name}`}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button onClick={() => handleReleaseHold(hold)} className="text-xs text-red-600 hover:underline">
+                        Release
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
@@ -0,0 +1,407 @@
+import { useCallback, useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { HiTrash } from 'react-icons/hi'
+import Layout from '@/components/Layout'
+import { getTatStats, getTatTargets, saveTatTarget, deleteTatTarget } from '@/lib/api'
+import { hasRole } from '@/lib/auth'
+
+type TatStage = 'billToSample' | 'sampleToSign' | 'signToPdf' | 'billToSign'
+type TatDimension = 'byTest' | 'byDepartment' | 'byDoctor' | 'byLab'
+type TatScope = 'test' | 'imagingType' | 'department' | 'default'
+
+interface StageSummary {
+  count: number
+  median: number | null
+  p90: number | null
+  max: number | null
+  breaches: number
+}
+
+interface TatGroup {
+  key: string
+  tests: number
+  stages: Record<TatStage, StageSummary>
+}
+
+interface TatStats {
+  overall: TatGroup | null
+  byTest: TatGroup[]
+  byDepartment: TatGroup[]
+  byDoctor: TatGroup[]
+  byLab: TatGroup[]
+}
+
+interface TatTarget {
+  _id: string
+  scope: TatScope
+  key: string
+  billToSampleMinutes: number | null
+  sampleToSignMinutes: number | null
+  signToPdfMinutes: number | null
+  billToSignMinutes: number | null
+}
+
+type TargetForm = Omit<TatTarget, '_id' | 'billToSampleMinutes' | 'sampleToSignMinutes' | 'signToPdfMinutes' | 'billToSignMinutes'> &
+  Record<'billToSampleMinutes' | 'sampleToSignMinutes' | 'signToPdfMinutes' | 'billToSignMinutes', string>
+
+const stages: { value: TatStage; label: string; targetField: keyof TatTarget }[] = [
+  { value: 'billToSample', label: 'Bill → Sample', targetField: 'billToSampleMinutes' },
+  { value: 'sampleToSign', label: 'Sample → Signed', targetField: 'sampleToSignMinutes' },
+  { value: 'signToPdf', label: 'Signed → PDF', targetField: 'signToPdfMinutes' },
+  { value: 'billToSign', label: 'Bill → Signed', targetField: 'billToSignMinutes' },
+]
+
+const dimensions: { value: TatDimension; label: string }[] = [
+  { value: 'byTest', label: 'Test' },
+  { value: 'byDepartment', label: 'Department' },
+  { value: 'byDoctor', label: 'Doctor' },
+  { value: 'byLab', label: 'Lab' },
+]
+
+const scopes: { value: TatScope; label: string }[] = [
+  { value: 'test', label: 'Test name' },
+  { value: 'imagingType', label: 'Imaging type' },
+  { value: 'department', label: 'Department' },
+  { value: 'default', label: 'Default' },
+]
+
+const emptyForm: TargetForm = {
+  scope: 'test',
+  key: '',
+  billToSampleMinutes: '',
+  sampleToSignMinutes: '',
+  signToPdfMinutes: '',
+  billToSignMinutes: '',
+}
+
+// Helper to format minutes as "1h 20m" / "2d 3h"
+const formatMinutes = (minutes: number | null) => {
+  if (minutes === null || minutes === undefined) return '-'
+  if (minutes < 60) return `${Math.round(minutes)}m`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`
+  return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`
+}
+
+// Default range: last 30 days
+const toInputDate = (date: Date) => date.toISOString().split('T')[0]
+const defaultFromDate = () => {
+  const date = new Date()
+  date.setDate(date.getDate() - 30)
+  return toInputDate(date)
+}
+
+export default function TurnaroundPage() {
+  const [fromDate, setFromDate] = useState(defaultFromDate)
+  const [toDate, setToDate] = useState(() => toInputDate(new Date()))
+  const [dimension, setDimension] = useState<TatDimension>('byTest')
+  const [stats, setStats] = useState<TatStats | null>(null)
+  const [targets, setTargets] = useState<TatTarget[]>([])
+  const [form, setForm] = useState<TargetForm>(emptyForm)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  // Only admins can change targets
+  const [canEditTargets] = useState(() => hasRole('admin'))
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response: any = await getTatStats({ fromDate, toDate })
+      setStats(response?.data || null)
+    } catch (err: any) {
+      console.error('❌ Error fetching TAT stats:', err?.response?.data || err?.message)
+      setStats(null)
+    } finally {
+      setLoading(false)
+    }
+  }, [fromDate, toDate])
+
+  const fetchTargets = useCallback(async () => {
+    try {
+      const response: any = await getTatTargets()
+      setTargets(response?.data || [])
+    } catch (err: any) {
+      console.error('❌ Error fetching TAT targets:', err?.response?.data || err?.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchStats()
+  }, [fetchStats])
+
+  useEffect(() => {
+    fetchTargets()
+  }, [fetchTargets])
+
+  const handleSaveTarget = async (event: React.FormEvent) => {
+    event.preventDefault()
+    setError(null)
+    try {
+      setSaving(true)
+      await saveTatTarget({
+        scope: form.scope,
+        key: form.key,
+        billToSampleMinutes: form.billToSampleMinutes === '' ? null : Number(form.billToSampleMinutes),
+        sampleToSignMinutes: form.sampleToSignMinutes === '' ? null : Number(form.sampleToSignMinutes),
+        signToPdfMinutes: form.signToPdfMinutes === '' ? null : Number(form.signToPdfMinutes),
+        billToSignMinutes: form.billToSignMinutes === '' ? null : Number(form.billToSignMinutes),
+      })
+      setForm(emptyForm)
+      await Promise.all([fetchTargets(), fetchStats()])
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to save target')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleEditTarget = (target: TatTarget) => {
+    const toField = (value: number | null) => (value === null || value === undefined ? '' : String(value))
+    setForm({
+      scope: target.scope,
+      key: target.key,
+      billToSampleMinutes: toField(target.billToSampleMinutes),
+      sampleToSignMinutes: toField(target.sampleToSignMinutes),
+      signToPdfMinutes: toField(target.signToPdfMinutes),
+      billToSignMinutes: toField(target.billToSignMinutes),
+    })
+  }
+
+  const handleDeleteTarget = async (id: string) => {
+    try {
+      await deleteTatTarget(id)
+      await Promise.all([fetchTargets(), fetchStats()])
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to delete target')
+    }
+  }
+
+  const rows = stats?.[dimension] || []
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        {/* Header + date range */}
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Turnaround Times</h1>
+            <p className="text-sm text-gray-500">Median, p90 and max per stage. Breaches of the configured targets are shown in red.</p>
+          </div>
+          <div className="flex items-end gap-3">
+            <label className="text-xs text-gray-500">
+              From
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate}
+                onChange={(event) => setFromDate(event.target.value)}
+                className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              To
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate}
+                onChange={(event) => setToDate(event.target.value)}
+                className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+          </div>
+        </div>
+
+        {/* Overall summary */}
+        {stats?.overall && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {stages.map((stage) => {
+              const summary = stats.overall!.stages[stage.value]
+              return (
+                <div key={stage.value} className="bg-white rounded-2xl p-4" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+                  <p className="text-xs text-gray-500">{stage.label}</p>
+                  <p className="text-xl font-bold text-gray-800">{formatMinutes(summary.median)}</p>
+                  <p className="text-xs text-gray-500">
+                    p90 {formatMinutes(summary.p90)} · {summary.count} tests
+                    {summary.breaches > 0 && <span className="text-red-600 font-medium"> · {summary.breaches} breached</span>}
+                  </p>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Breakdown table */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <div className="flex gap-1 bg-gray-100 rounded-lg p-1 w-fit mb-4">
+            {dimensions.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setDimension(option.value)}
+                className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                  dimension === option.value ? 'bg-white text-teal-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+          ) : rows.length === 0 ? (
+            <div className="py-12 text-center text-xs text-gray-500">No tests in this period</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                    <th className="py-2 pr-4 font-medium">{dimensions.find((option) => option.value === dimension)?.label}</th>
+                    <th className="py-2 pr-4 font-medium">Tests</th>
+                    {stages.map((stage) => (
+                      <th key={stage.value} className="py-2 pr-4 font-medium">
+                        {stage.label}
+                        <span className="block font-normal text-gray-400">median / p90 / max</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr key={row.key} className="border-b border-gray-50">
+                      <td className="py-2 pr-4 font-medium text-gray-800">{row.key}</td>
+                      <td className="py-2 pr-4 text-gray-600">{row.tests}</td>
+                      {stages.map((stage) => {
+                        const summary = row.stages[stage.value]
+                        const breached = summary.breaches > 0
+                        return (
+                          <td key={stage.value} className={`py-2 pr-4 ${breached ? 'text-red-600' : 'text-gray-600'}`}>
+                            {summary.count === 0
+                              ? '-'
+                              : `${formatMinutes(summary.median)} / ${formatMinutes(summary.p90)} / ${formatMinutes(summary.max)}`}
+                            {breached && (
+                              <span className="block text-xs font-medium">
+                                {summary.breaches} of {summary.count} over target
+                              </span>
+                            )}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Targets editor */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <h3 className="text-base font-bold text-gray-800">TAT Targets</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Targets are in minutes. The most specific target wins: test name, then imaging type, then department, then default.
+          </p>
+
+          {canEditTargets && (
+            <form onSubmit={handleSaveTarget} className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end mb-4">
+              <label className="text-xs text-gray-500">
+                Scope
+                <select
+                  value={form.scope}
+                  onChange={(event) => setForm({ ...form, scope: event.target.value as TatScope })}
+                  className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+                >
+                  {scopes.map((scope) => (
+                    <option key={scope.value} value={scope.value}>{scope.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs text-gray-500">
+                Name
+                <input
+                  type="text"
+                  value={form.scope === 'default' ? '' : form.key}
+                  disabled={form.scope === 'default'}
+                  onChange={(event) => setForm({ ...form, key: event.target.value })}
+                  className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800 disabled:bg-gray-50"
+                />
+              </label>
+              {stages.map((stage) => (
+                <label key={stage.value} className="text-xs text-gray-500">
+                  {stage.label}
+                  <input
+                    type="number"
+                    min={0}
+                    value={form[stage.targetField as keyof TargetForm]}
+                    onChange={(event) => setForm({ ...form, [stage.targetField]: event.target.value })}
+                    className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+                  />
+                </label>
+              ))}
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+          {error && <p className="text-xs text-red-600 mb-4">{error}</p>}
+
+          {targets.length === 0 ? (
+            <p className="text-xs text-gray-500">No targets configured</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Scope</th>
+                  <th className="py-2 pr-4 font-medium">Name</th>
+                  {stages.map((stage) => (
+                    <th key={stage.value} className="py-2 pr-4 font-medium">{stage.label}</th>
+                  ))}
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {targets.map((target) => (
+                  <tr
+                    key={target._id}
+                    onClick={() => canEditTargets && handleEditTarget(target)}
+                    className={`border-b border-gray-50 ${canEditTargets ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                  >
+                    <td className="py-2 pr-4 text-gray-600">{scopes.find((scope) => scope.value === target.scope)?.label}</td>
+                    <td className="py-2 pr-4 text-gray-800">{target.key || '-'}</td>
+                    {stages.map((stage) => (
+                      <td key={stage.value} className="py-2 pr-4 text-gray-600">
+                        {formatMinutes(target[stage.targetField] as number | null)}
+                      </td>
+                    ))}
+                    <td className="py-2 text-right">
+                      {canEditTargets && (
+                        <button
+                          onClick={(event) => {
+                            event.stopPropagation()
+                            handleDeleteTarget(target._id)
+                          }}
+                          className="text-gray-400 hover:text-red-600"
+                          aria-label="Delete target"
+                        >
+                          <HiTrash />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}
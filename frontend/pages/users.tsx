@@ -0,0 +1,334 @@
+import { useCallback, useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import Layout from '@/components/Layout'
+import { getUsers, createUser, updateUser } from '@/lib/api'
+import { getCurrentUser } from '@/lib/auth'
+
+type UserRole = 'admin' | 'front-desk' | 'doctor' | 'lab-tech'
+
+interface User {
+  _id: string
+  email: string
+  name: string
+  role: UserRole
+  allLabs: boolean
+  labIds: number[]
+  orgIds: number[]
+  active: boolean
+  lastLoginAt?: string
+}
+
+const roles: { value: UserRole; label: string }[] = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'front-desk', label: 'Front desk' },
+  { value: 'doctor', label: 'Doctor' },
+  { value: 'lab-tech', label: 'Lab tech' },
+]
+
+const emptyForm = { email: '', name: '', role: 'front-desk' as UserRole, password: '', allLabs: false, labIds: '', orgIds: '' }
+
+// "1, 2" → [1, 2]; the backend rejects anything that is not an integer
+const parseIds = (value: string) =>
+  value.split(',').map((id) => id.trim()).filter(Boolean).map(Number)
+
+const describeScope = (user: User) => {
+  if (user.role === 'admin' || user.allLabs) return 'All labs'
+  const parts = [
+    user.labIds.length ? `Labs ${user.labIds.join(', ')}` : null,
+    user.orgIds.length ? `Orgs ${user.orgIds.join(', ')}` : null,
+  ].filter(Boolean)
+  return parts.length ? parts.join(' · ') : 'No access'
+}
+
+const formatDate = (dateStr?: string) =>
+  dateStr
+    ? new Date(dateStr).toLocaleString('en-US', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : 'Never'
+
+export default function UsersPage() {
+  const [users, setUsers] = useState<User[]>([])
+  const [form, setForm] = useState(emptyForm)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [currentUserId] = useState(() => getCurrentUser()?.id)
+  const [scopeDraft, setScopeDraft] = useState<{ id: string; allLabs: boolean; labIds: string; orgIds: string } | null>(null)
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response: any = await getUsers()
+      setUsers(response?.data || [])
+    } catch (err: any) {
+      console.error('❌ Error fetching users:', err?.response?.data || err?.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
+
+  const handleCreate = async (event: React.FormEvent) => {
+    event.preventDefault()
+    setError(null)
+    try {
+      setSaving(true)
+      await createUser({ ...form, labIds: parseIds(form.labIds), orgIds: parseIds(form.orgIds) })
+      setForm(emptyForm)
+      await fetchUsers()
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to create user')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdate = async (user: User, changes: Partial<User> & { password?: string }) => {
+    setError(null)
+    try {
+      await updateUser(user._id, changes)
+      await fetchUsers()
+      return true
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to update user')
+      return false
+    }
+  }
+
+  const handleSaveScope = async (user: User) => {
+    if (!scopeDraft) return
+    const saved = await handleUpdate(user, {
+      allLabs: scopeDraft.allLabs,
+      labIds: parseIds(scopeDraft.labIds),
+      orgIds: parseIds(scopeDraft.orgIds),
+    })
+    if (saved) setScopeDraft(null)
+  }
+
+  const handleResetPassword = (user: User) => {
+    const password = window.prompt(`New password for ${user.name} (at least 10 characters). They will be logged out everywhere.`)
+    if (password) handleUpdate(user, { password })
+  }
+
+  return (
+    <Layout>
+      <motion.div
+        className="p-6 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Users</h1>
+          <p className="text-sm text-gray-500">
+            Dashboard accounts, their roles and the labs or organizations whose patients they can see. Changing a role or access logs the user out.
+          </p>
+        </div>
+
+        {/* New user */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          <h3 className="text-base font-bold text-gray-800 mb-4">Add User</h3>
+          <form onSubmit={handleCreate} className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+            <label className="text-xs text-gray-500">
+              Name
+              <input
+                type="text"
+                required
+                value={form.name}
+                onChange={(event) => setForm({ ...form, name: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Email
+              <input
+                type="email"
+                required
+                value={form.email}
+                onChange={(event) => setForm({ ...form, email: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Role
+              <select
+                value={form.role}
+                onChange={(event) => setForm({ ...form, role: event.target.value as UserRole })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              >
+                {roles.map((role) => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-500">
+              Password
+              <input
+                type="password"
+                required
+                minLength={10}
+                autoComplete="new-password"
+                value={form.password}
+                onChange={(event) => setForm({ ...form, password: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Lab IDs
+              <input
+                type="text"
+                placeholder="None"
+                disabled={form.allLabs}
+                value={form.labIds}
+                onChange={(event) => setForm({ ...form, labIds: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Organization IDs
+              <input
+                type="text"
+                placeholder="None"
+                disabled={form.allLabs}
+                value={form.orgIds}
+                onChange={(event) => setForm({ ...form, orgIds: event.target.value })}
+                className="block w-full mt-1 px-2 py-2 border border-gray-200 rounded-lg text-sm text-gray-800"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-xs text-gray-500 py-2">
+              <input
+                type="checkbox"
+                checked={form.allLabs}
+                onChange={(event) => setForm({ ...form, allLabs: event.target.checked })}
+              />
+              All labs
+            </label>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded-lg hover:bg-teal-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Add'}
+            </button>
+          </form>
+          <p className="text-xs text-gray-400 mt-3">Comma-separated IDs. A user sees bills from any of their labs or organizations; users without any (and without All labs) see no patient data. Admins always see every lab.</p>
+          {error && <p className="text-xs text-red-600 mt-4">{error}</p>}
+        </div>
+
+        {/* User list */}
+        <div className="bg-white rounded-2xl p-6" style={{ boxShadow: '0px 4px 12px rgba(0,0,0,0.08)' }}>
+          {loading ? (
+            <div className="py-12 text-center text-xs text-gray-500">Loading...</div>
+          ) : users.length === 0 ? (
+            <div className="py-12 text-center text-xs text-gray-500">No users</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Name</th>
+                  <th className="py-2 pr-4 font-medium">Email</th>
+                  <th className="py-2 pr-4 font-medium">Role</th>
+                  <th className="py-2 pr-4 font-medium">Access</th>
+                  <th className="py-2 pr-4 font-medium">Last login</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => {
+                  const isSelf = user._id === currentUserId
+                  return (
+                    <tr key={user._id} className={`border-b border-gray-50 ${user.active ? '' : 'text-gray-400'}`}>
+                      <td className="py-2 pr-4 font-medium">{user.name}</td>
+                      <td className="py-2 pr-4">{user.email}</td>
+                      <td className="py-2 pr-4">
+                        <select
+                          value={user.role}
+                          disabled={isSelf}
+                          onChange={(event) => handleUpdate(user, { role: event.target.value as UserRole })}
+                          className="px-2 py-1 border border-gray-200 rounded-lg text-sm disabled:bg-gray-50"
+                        >
+                          {roles.map((role) => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-4">
+                        {scopeDraft?.id === user._id ? (
+                          <div className="flex items-center gap-1">
+                            <label className="flex items-center gap-1 text-xs text-gray-500" title="See every lab">
+                              <input
+                                type="checkbox"
+                                checked={scopeDraft.allLabs}
+                                onChange={(event) => setScopeDraft({ ...scopeDraft, allLabs: event.target.checked })}
+                              />
+                              All
+                            </label>
+                            <input
+                              type="text"
+                              placeholder="Labs"
+                              value={scopeDraft.labIds}
+                              onChange={(event) => setScopeDraft({ ...scopeDraft, labIds: event.target.value })}
+                              className="w-20 px-2 py-1 border border-gray-200 rounded-lg text-sm"
+                            />
+                            <input
+                              type="text"
+                              placeholder="Orgs"
+                              value={scopeDraft.orgIds}
+                              onChange={(event) => setScopeDraft({ ...scopeDraft, orgIds: event.target.value })}
+                              className="w-20 px-2 py-1 border border-gray-200 rounded-lg text-sm"
+                            />
+                            <button onClick={() => handleSaveScope(user)} className="text-xs text-teal-600 hover:text-teal-700">
+                              Save
+                            </button>
+                            <button onClick={() => setScopeDraft(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() =>
+                              setScopeDraft({ id: user._id, allLabs: Boolean(user.allLabs), labIds: user.labIds.join(', '), orgIds: user.orgIds.join(', ') })
+                            }
+                            className="text-left hover:text-teal-600"
+                            title="Change access"
+                          >
+                            {describeScope(user)}
+                          </button>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-500">{formatDate(user.lastLoginAt)}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${user.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>
+                          {user.active ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => handleResetPassword(user)}
+                          className="text-xs text-gray-500 hover:text-teal-600 mr-3"
+                        >
+                          Reset password
+                        </button>
+                        {!isSelf && (
+                          <button
+                            onClick={() => handleUpdate(user, { active: !user.active })}
+                            className="text-xs text-gray-500 hover:text-red-600"
+                          >
+                            {user.active ? 'Deactivate' : 'Activate'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </motion.div>
+    </Layout>
+  )
+}